@@ -0,0 +1,257 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { ALERT_RULE_TYPES } = require('../../utils/alerts');
+
+const router = Router();
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * GET /api/admin/alerts
+ * @summary List admin alerts
+ * @description Retrieves a paginated list of alerts raised by the alert rules, newest activity first. Repeats of an unresolved alert are counted in `occurrences` instead of being listed again. Each alert includes the per-channel delivery result.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [open, acknowledged, resolved]
+ *     description: Filter by status.
+ *   - in: query
+ *     name: ruleType
+ *     type: string
+ *     enum: [slot_faulty, rejected_no_session, booth_offline, payment_stuck, door_open, over_temperature]
+ *     description: Filter by the rule that raised the alert.
+ *   - in: query
+ *     name: severity
+ *     type: string
+ *     enum: [info, warning, critical]
+ *     description: Filter by severity.
+ *   - in: query
+ *     name: boothUid
+ *     type: string
+ *     description: Filter by booth.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of alerts.
+ *   400:
+ *     description: Invalid status, rule type or severity filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/alerts', [verifyFirebaseToken, requirePermission('alerts:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { status, ruleType, severity, boothUid } = req.query;
+
+  if (status && !ALERT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${ALERT_STATUSES.join(', ')}.` });
+  }
+  if (ruleType && !ALERT_RULE_TYPES.includes(ruleType)) {
+    return res.status(400).json({ error: `Invalid rule type '${ruleType}'. Must be one of: ${ALERT_RULE_TYPES.join(', ')}.` });
+  }
+  if (severity && !ALERT_SEVERITIES.includes(severity)) {
+    return res.status(400).json({ error: `Invalid severity '${severity}'. Must be one of: ${ALERT_SEVERITIES.join(', ')}.` });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`a.status = $${params.length}`);
+  }
+  if (ruleType) {
+    params.push(ruleType);
+    conditions.push(`a.rule_type = $${params.length}`);
+  }
+  if (severity) {
+    params.push(severity);
+    conditions.push(`a.severity = $${params.length}`);
+  }
+  if (boothUid) {
+    params.push(boothUid);
+    conditions.push(`b.booth_uid = $${params.length}`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(
+      `SELECT COUNT(*) FROM alerts a LEFT JOIN booths b ON b.id = a.booth_id ${whereClause}`,
+      params
+    );
+
+    const { rows } = await client.query(`
+      SELECT
+        a.id,
+        a.rule_type AS "ruleType",
+        a.severity,
+        a.status,
+        a.title,
+        a.message,
+        b.booth_uid AS "boothUid",
+        s.slot_identifier AS "slotIdentifier",
+        a.session_id AS "sessionId",
+        a.data,
+        a.occurrences,
+        a.deliveries,
+        a.created_at AS "createdAt",
+        a.last_seen_at AS "lastSeenAt",
+        a.acknowledged_by AS "acknowledgedBy",
+        a.acknowledged_at AS "acknowledgedAt",
+        a.resolved_by AS "resolvedBy",
+        a.resolved_at AS "resolvedAt",
+        a.resolution_note AS "resolutionNote"
+      FROM alerts a
+      LEFT JOIN booths b ON b.id = a.booth_id
+      LEFT JOIN booth_slots s ON s.id = a.slot_id
+      ${whereClause}
+      ORDER BY a.last_seen_at DESC, a.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      alerts: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch alerts:', error);
+    res.status(500).json({ error: 'Failed to retrieve alerts.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:alertId/acknowledge
+ * @summary Acknowledge an alert
+ * @description Marks an open alert as acknowledged, so other admins can see someone is on it. The alert stays unresolved: repeats are still counted and not delivered again.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: alertId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Alert acknowledged.
+ *   404:
+ *     description: Alert not found.
+ *   409:
+ *     description: Alert is not open.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/alerts/:alertId/acknowledge', [verifyFirebaseToken, requirePermission('alerts:write')], async (req, res) => {
+  const { alertId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const ackRes = await client.query(
+      `UPDATE alerts
+       SET status = 'acknowledged', acknowledged_by = $2, acknowledged_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING id`,
+      [alertId, req.user.uid]
+    );
+
+    if (ackRes.rowCount === 0) {
+      const existsRes = await client.query('SELECT 1 FROM alerts WHERE id = $1', [alertId]);
+      if (existsRes.rowCount === 0) {
+        return res.status(404).json({ error: 'Alert not found.' });
+      }
+      return res.status(409).json({ error: 'Invalid status', message: 'Only open alerts can be acknowledged.' });
+    }
+
+    logger.info(`Admin (UID: ${req.user.uid}) acknowledged alert ${alertId}.`);
+    res.status(200).json({ message: 'Alert acknowledged.', alertId: Number(alertId) });
+  } catch (error) {
+    logger.error(`Failed to acknowledge alert ${alertId}:`, error);
+    res.status(500).json({ error: 'Failed to acknowledge alert.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/alerts/:alertId/resolve
+ * @summary Resolve an alert
+ * @description Resolves an open or acknowledged alert. If the problem happens again afterwards, a new alert is raised and delivered.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: alertId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: false
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           note:
+ *             type: string
+ * @responses
+ *   200:
+ *     description: Alert resolved.
+ *   404:
+ *     description: Alert not found.
+ *   409:
+ *     description: Alert is already resolved.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/alerts/:alertId/resolve', [verifyFirebaseToken, requirePermission('alerts:write')], async (req, res) => {
+  const { alertId } = req.params;
+  const { note } = req.body || {};
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const resolveRes = await client.query(
+      `UPDATE alerts
+       SET status = 'resolved', resolved_by = $2, resolved_at = NOW(), resolution_note = $3
+       WHERE id = $1 AND status <> 'resolved'
+       RETURNING id`,
+      [alertId, req.user.uid, note || null]
+    );
+
+    if (resolveRes.rowCount === 0) {
+      const existsRes = await client.query('SELECT 1 FROM alerts WHERE id = $1', [alertId]);
+      if (existsRes.rowCount === 0) {
+        return res.status(404).json({ error: 'Alert not found.' });
+      }
+      return res.status(409).json({ error: 'Invalid status', message: 'The alert is already resolved.' });
+    }
+
+    logger.info(`Admin (UID: ${req.user.uid}) resolved alert ${alertId}.`);
+    res.status(200).json({ message: 'Alert resolved.', alertId: Number(alertId) });
+  } catch (error) {
+    logger.error(`Failed to resolve alert ${alertId}:`, error);
+    res.status(500).json({ error: 'Failed to resolve alert.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+
+const router = Router();
+
+/**
+ * GET /api/admin/audit-log
+ * @summary Search the admin audit log
+ * @description Retrieves admin actions, newest first. Every POST, PUT, PATCH or DELETE under /api/admin is recorded with the admin's UID, IP address, user agent and the response status, including requests that were refused (403) or failed. Slot commands, force unlocks, manual withdrawals, booth and slot status changes, user role and status changes, user and session deletes and settings changes are recorded under a named action (e.g. `slot.force_unlock`) with the state before and after; other actions are named after their route (e.g. `POST /promotions`) and record the request body.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: actorUid
+ *     type: string
+ *     description: Filter by the admin's UID.
+ *   - in: query
+ *     name: action
+ *     type: string
+ *     description: Filter by action (e.g. slot.force_unlock).
+ *   - in: query
+ *     name: targetType
+ *     type: string
+ *     description: Filter by target type (e.g. slot, user, session, booth, settings).
+ *   - in: query
+ *     name: targetId
+ *     type: string
+ *     description: Filter by target (e.g. booth-001/slot004). Prefix matches are included, so a booth UID also finds its slots.
+ *   - in: query
+ *     name: from
+ *     type: string
+ *     format: date-time
+ *     description: Only actions at or after this time.
+ *   - in: query
+ *     name: to
+ *     type: string
+ *     format: date-time
+ *     description: Only actions before this time.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of audit log entries.
+ *   400:
+ *     description: Invalid date range.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/audit-log', [verifyFirebaseToken, requirePermission('audit:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { actorUid, action, targetType, targetId } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return res.status(400).json({ error: '`from` and `to` must be valid dates.' });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (actorUid) {
+    params.push(actorUid);
+    conditions.push(`a.actor_uid = $${params.length}`);
+  }
+  if (action) {
+    params.push(action);
+    conditions.push(`a.action = $${params.length}`);
+  }
+  if (targetType) {
+    params.push(targetType);
+    conditions.push(`a.target_type = $${params.length}`);
+  }
+  if (targetId) {
+    params.push(targetId);
+    conditions.push(`(a.target_id = $${params.length} OR a.target_id LIKE $${params.length} || '/%')`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`a.created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`a.created_at < $${params.length}`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM admin_audit_log a ${whereClause}`, params);
+
+    const { rows } = await client.query(`
+      SELECT
+        a.id,
+        a.actor_uid AS "actorUid",
+        a.actor_email AS "actorEmail",
+        u.name AS "actorName",
+        a.action,
+        a.target_type AS "targetType",
+        a.target_id AS "targetId",
+        a.before,
+        a.after,
+        a.method,
+        a.path,
+        a.status_code AS "statusCode",
+        a.ip_address AS "ipAddress",
+        a.user_agent AS "userAgent",
+        a.created_at AS "createdAt"
+      FROM admin_audit_log a
+      LEFT JOIN users u ON u.user_id = a.actor_uid
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      entries: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch admin audit log:', error);
+    res.status(500).json({ error: 'Failed to retrieve the audit log.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,858 @@
+const { Router } = require('express');
+const multer = require('multer');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { getBulkChargeRate } = require('../../utils/batteryHealth');
+const { MAX_BATTERY_UID_LENGTH, MAX_MODEL_LENGTH, parseBatteryCsv } = require('../../utils/batteries');
+
+const router = Router();
+
+// Import files are read in memory and parsed; they are not kept.
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+const FLEET_STATUSES = ['in_service', 'workshop', 'retired'];
+const HEALTH_STATUSES = ['good', 'degraded', 'faulty'];
+const LOCATION_TYPES = ['booth', 'rider', 'workshop', 'in_transit', 'retired', 'unassigned'];
+const TRANSFER_DESTINATIONS = ['workshop', 'booth'];
+
+/*
+ * Every battery with where it is now. A battery in a slot is at that booth whatever its fleet
+ * status says; otherwise the newest of its last rider session and its last ops transfer wins:
+ * a completed withdrawal that took it out puts it with that rider, a transfer to a booth that
+ * has not been docked yet leaves it in transit.
+ */
+const FLEET_CTE = `
+  WITH fleet AS (
+    SELECT
+      bat.id,
+      bat.battery_uid,
+      bat.model,
+      bat.notes,
+      bat.fleet_status,
+      bat.health_status,
+      bat.charge_level_percent,
+      bat.retired_at,
+      bat.retired_reason,
+      bat.created_at,
+      s.slot_identifier,
+      last_session.user_id,
+      last_session.user_name,
+      CASE
+        WHEN bat.fleet_status = 'retired' THEN 'retired'
+        WHEN s.id IS NOT NULL THEN 'booth'
+        WHEN bat.fleet_status = 'workshop' THEN 'workshop'
+        WHEN last_session.session_type = 'withdrawal'
+          AND last_session.status = 'completed'
+          AND COALESCE(last_session.collected_battery_id, last_session.battery_id) = bat.id
+          AND (last_transfer.created_at IS NULL OR last_session.at > last_transfer.created_at) THEN 'rider'
+        WHEN last_transfer.to_location = 'booth' THEN 'in_transit'
+        ELSE 'unassigned'
+      END AS location_type,
+      COALESCE(b.booth_uid, last_transfer.booth_uid) AS booth_uid,
+      COALESCE(b.name, last_transfer.booth_name) AS booth_name,
+      last_session.at AS session_at,
+      last_transfer.created_at AS transfer_at
+    FROM batteries bat
+    LEFT JOIN booth_slots s ON s.current_battery_id = bat.id
+    LEFT JOIN booths b ON b.id = s.booth_id
+    LEFT JOIN LATERAL (
+      SELECT d.session_type, d.status, d.battery_id, d.collected_battery_id, d.user_id, u.name AS user_name,
+             COALESCE(d.completed_at, d.started_at) AS at
+      FROM deposits d
+      LEFT JOIN users u ON u.user_id = d.user_id
+      WHERE d.battery_id = bat.id OR d.collected_battery_id = bat.id
+      ORDER BY COALESCE(d.completed_at, d.started_at) DESC NULLS LAST, d.id DESC
+      LIMIT 1
+    ) last_session ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT t.to_location, t.created_at, tb.booth_uid, tb.name AS booth_name
+      FROM battery_transfers t
+      LEFT JOIN booths tb ON tb.id = t.to_booth_id
+      WHERE t.battery_id = bat.id
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT 1
+    ) last_transfer ON TRUE
+  )
+`;
+
+/**
+ * Maps a row of the fleet CTE to the API shape.
+ * @param {object} row - The fleet row.
+ * @returns {object} The battery with its current location.
+ */
+function toFleetBattery(row) {
+  const type = row.location_type;
+  const location = { type };
+  if (type === 'booth' || type === 'in_transit') {
+    location.boothUid = row.booth_uid;
+    location.boothName = row.booth_name;
+  }
+  if (type === 'booth') {
+    location.slotIdentifier = row.slot_identifier;
+  }
+  if (type === 'rider') {
+    location.userId = row.user_id;
+    location.userName = row.user_name;
+    location.since = row.session_at;
+  }
+  if (type === 'workshop' || type === 'in_transit') {
+    location.since = row.transfer_at;
+  }
+  if (type === 'retired') {
+    location.since = row.retired_at;
+  }
+
+  return {
+    batteryUid: row.battery_uid,
+    model: row.model,
+    notes: row.notes,
+    fleetStatus: row.fleet_status,
+    healthStatus: row.health_status,
+    chargeLevel: row.charge_level_percent,
+    retiredReason: row.retired_reason,
+    registeredAt: row.created_at,
+    location,
+  };
+}
+
+/**
+ * GET /api/admin/batteries
+ * @summary List the battery fleet
+ * @description Returns every battery with its current location: `booth` (docked in a slot), `rider` (collected by
+ * a rider and not yet brought back), `workshop`, `in_transit` (sent to a booth by ops, not yet docked), `retired`
+ * or `unassigned`.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [in_service, workshop, retired]
+ *     description: Filter by fleet status.
+ *   - in: query
+ *     name: health
+ *     type: string
+ *     enum: [good, degraded, faulty]
+ *     description: Filter by health status.
+ *   - in: query
+ *     name: location
+ *     type: string
+ *     enum: [booth, rider, workshop, in_transit, retired, unassigned]
+ *     description: Filter by location type.
+ *   - in: query
+ *     name: boothUid
+ *     type: string
+ *     description: Only batteries docked at, or in transit to, this booth.
+ *   - in: query
+ *     name: search
+ *     type: string
+ *     description: Search by battery serial or model.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A paginated list of batteries.
+ *   400:
+ *     description: Invalid filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/batteries', [verifyFirebaseToken, requirePermission('batteries:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { status, health, location, boothUid, search } = req.query;
+
+  if (status && !FLEET_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${FLEET_STATUSES.join(', ')}.` });
+  }
+  if (health && !HEALTH_STATUSES.includes(health)) {
+    return res.status(400).json({ error: `health must be one of: ${HEALTH_STATUSES.join(', ')}.` });
+  }
+  if (location && !LOCATION_TYPES.includes(location)) {
+    return res.status(400).json({ error: `location must be one of: ${LOCATION_TYPES.join(', ')}.` });
+  }
+
+  const whereClauses = [];
+  const queryParams = [];
+  if (status) {
+    queryParams.push(status);
+    whereClauses.push(`fleet_status = $${queryParams.length}`);
+  }
+  if (health) {
+    queryParams.push(health);
+    whereClauses.push(`health_status = $${queryParams.length}`);
+  }
+  if (location) {
+    queryParams.push(location);
+    whereClauses.push(`location_type = $${queryParams.length}`);
+  }
+  if (boothUid) {
+    queryParams.push(boothUid);
+    whereClauses.push(`booth_uid = $${queryParams.length} AND location_type IN ('booth', 'in_transit')`);
+  }
+  if (search) {
+    queryParams.push(`%${search}%`);
+    whereClauses.push(`(battery_uid ILIKE $${queryParams.length} OR model ILIKE $${queryParams.length})`);
+  }
+  const whereString = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const [batteriesResult, countResult] = await Promise.all([
+      client.query(
+        `${FLEET_CTE} SELECT * FROM fleet ${whereString} ORDER BY battery_uid
+         LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}`,
+        [...queryParams, limit, offset]
+      ),
+      client.query(`${FLEET_CTE} SELECT COUNT(*) FROM fleet ${whereString}`, queryParams),
+    ]);
+
+    res.status(200).json({
+      batteries: batteriesResult.rows.map(toFleetBattery),
+      total: parseInt(countResult.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to list batteries:', error);
+    res.status(500).json({ error: 'Failed to retrieve batteries.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/batteries/summary
+ * @summary Summarise where the fleet is
+ * @description Counts batteries by location, fleet status and health, and lists each booth with the batteries docked
+ * in it and in transit to it.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: The fleet summary.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/batteries/summary', [verifyFirebaseToken, requirePermission('batteries:read')], async (req, res) => {
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`
+      ${FLEET_CTE}
+      SELECT location_type, fleet_status, health_status, booth_uid, booth_name, COUNT(*)::int AS count
+      FROM fleet
+      GROUP BY location_type, fleet_status, health_status, booth_uid, booth_name
+    `);
+
+    const byLocation = Object.fromEntries(LOCATION_TYPES.map((type) => [type, 0]));
+    const byFleetStatus = Object.fromEntries(FLEET_STATUSES.map((status) => [status, 0]));
+    const byHealth = Object.fromEntries(HEALTH_STATUSES.map((status) => [status, 0]));
+    const booths = new Map();
+    let total = 0;
+
+    for (const row of rows) {
+      total += row.count;
+      byLocation[row.location_type] += row.count;
+      byFleetStatus[row.fleet_status] += row.count;
+      byHealth[row.health_status] += row.count;
+      if (row.location_type === 'booth' || row.location_type === 'in_transit') {
+        const booth = booths.get(row.booth_uid) || { boothUid: row.booth_uid, name: row.booth_name, docked: 0, inTransit: 0 };
+        booth[row.location_type === 'booth' ? 'docked' : 'inTransit'] += row.count;
+        booths.set(row.booth_uid, booth);
+      }
+    }
+
+    res.status(200).json({
+      total,
+      byLocation,
+      byFleetStatus,
+      byHealth,
+      booths: [...booths.values()].sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    });
+  } catch (error) {
+    logger.error('Failed to summarise the battery fleet:', error);
+    res.status(500).json({ error: 'Failed to retrieve the fleet summary.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/batteries
+ * @summary Register a battery
+ * @description Adds a battery to the fleet ahead of its first telemetry. `batteryUid` must be the serial the firmware
+ * reports (BMS ID or RFID tag) so that the booth links it when it is docked.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [batteryUid]
+ *         properties:
+ *           batteryUid:
+ *             type: string
+ *           model:
+ *             type: string
+ *           notes:
+ *             type: string
+ * @responses
+ *   201:
+ *     description: Battery registered.
+ *   400:
+ *     description: Invalid input.
+ *   409:
+ *     description: A battery with this serial already exists.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/batteries', [verifyFirebaseToken, requirePermission('batteries:write')], async (req, res) => {
+  const batteryUid = typeof req.body.batteryUid === 'string' ? req.body.batteryUid.trim() : '';
+  const model = typeof req.body.model === 'string' && req.body.model.trim() !== '' ? req.body.model.trim() : null;
+  const notes = typeof req.body.notes === 'string' && req.body.notes.trim() !== '' ? req.body.notes.trim() : null;
+
+  if (!batteryUid || batteryUid.length > MAX_BATTERY_UID_LENGTH) {
+    return res.status(400).json({ error: `batteryUid is required and must be at most ${MAX_BATTERY_UID_LENGTH} characters.` });
+  }
+  if (model && model.length > MAX_MODEL_LENGTH) {
+    return res.status(400).json({ error: `model must be at most ${MAX_MODEL_LENGTH} characters.` });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    // A battery seen by a booth before it was registered keeps its telemetry-derived row.
+    const insertRes = await client.query(
+      `INSERT INTO batteries (battery_uid, model, notes)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (battery_uid) DO NOTHING
+       RETURNING battery_uid AS "batteryUid", model, notes, fleet_status AS "fleetStatus", created_at AS "registeredAt"`,
+      [batteryUid, model, notes]
+    );
+    if (insertRes.rowCount === 0) {
+      return res.status(409).json({ error: `Battery ${batteryUid} is already registered.` });
+    }
+
+    logger.info(`Admin (UID: ${req.user.uid}) registered battery '${batteryUid}'.`);
+    res.status(201).json({ message: 'Battery registered.', battery: insertRes.rows[0] });
+  } catch (error) {
+    logger.error(`Failed to register battery ${batteryUid}:`, error);
+    res.status(500).json({ error: 'Failed to register battery.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/batteries/import
+ * @summary Bulk-register batteries from a CSV
+ * @description Registers batteries from a CSV with a `battery_uid` header column and optional `model` and `notes`
+ * columns (at most 1000 rows). Send the file as multipart form field `file`, or the CSV text as JSON `{ "csv": "..." }`.
+ * The file is checked as a whole: if any row is invalid nothing is imported and the errors are returned with their
+ * line numbers. Serials that are already registered are skipped.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   201:
+ *     description: Import finished; returns the imported and skipped serials.
+ *   400:
+ *     description: No file, or the file has invalid rows.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/batteries/import', [verifyFirebaseToken, requirePermission('batteries:write'), csvUpload.single('file')], async (req, res) => {
+  const csv = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+  if (typeof csv !== 'string' || csv.trim() === '') {
+    return res.status(400).json({ error: 'Upload a CSV file as `file` or send its contents as `csv`.' });
+  }
+
+  const { batteries, errors } = parseBatteryCsv(csv);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'The file has invalid rows. Nothing was imported.', errors });
+  }
+  if (batteries.length === 0) {
+    return res.status(400).json({ error: 'The file has no batteries.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const insertRes = await client.query(
+      `INSERT INTO batteries (battery_uid, model, notes)
+       SELECT * FROM UNNEST($1::varchar[], $2::varchar[], $3::text[])
+       ON CONFLICT (battery_uid) DO NOTHING
+       RETURNING battery_uid`,
+      [batteries.map((b) => b.batteryUid), batteries.map((b) => b.model), batteries.map((b) => b.notes)]
+    );
+    await client.query('COMMIT');
+
+    const imported = new Set(insertRes.rows.map((row) => row.battery_uid));
+    const skipped = batteries.map((b) => b.batteryUid).filter((uid) => !imported.has(uid));
+
+    logger.info(`Admin (UID: ${req.user.uid}) imported ${imported.size} batteries (${skipped.length} already registered).`);
+    res.status(201).json({ imported: imported.size, skipped });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Failed to import batteries:', error);
+    res.status(500).json({ error: 'Failed to import batteries. Nothing was imported.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/batteries/:batteryUid/custody
+ * @summary Get a battery's custody history
+ * @description Returns the battery, the slot it is in now (if any) and every session that moved it, newest first:
+ * `deposited` when a rider brought it in, `collected` when a rider took it out, and `billed` when a rider was
+ * charged for it but a different battery left the slot. `batteryMismatch` marks withdrawals where the collected
+ * battery is not the one billed. Batteries are identified by the serial the firmware reports (BMS ID or RFID tag).
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: batteryUid
+ *     required: true
+ *     schema:
+ *       type: string
+ *     description: The battery serial (battery_uid).
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: The battery, its current location and its custody history.
+ *   404:
+ *     description: Battery not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/batteries/:batteryUid/custody', [verifyFirebaseToken, requirePermission('batteries:read')], async (req, res) => {
+  const { batteryUid } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const batteryRes = await client.query(
+      `SELECT
+         bat.id,
+         bat.battery_uid AS "batteryUid",
+         bat.charge_level_percent AS "chargeLevel",
+         bat.health_status AS "healthStatus",
+         bat.created_at AS "firstSeenAt",
+         b.booth_uid AS "boothUid",
+         s.slot_identifier AS "slotIdentifier",
+         s.status AS "slotStatus"
+       FROM batteries bat
+       LEFT JOIN booth_slots s ON s.current_battery_id = bat.id
+       LEFT JOIN booths b ON b.id = s.booth_id
+       WHERE bat.battery_uid = $1`,
+      [batteryUid]
+    );
+    if (batteryRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Battery not found.' });
+    }
+
+    const { boothUid, slotIdentifier, slotStatus, ...battery } = batteryRes.rows[0];
+
+    const countRes = await client.query(
+      'SELECT COUNT(*) FROM deposits WHERE battery_id = $1 OR collected_battery_id = $1',
+      [battery.id]
+    );
+
+    const { rows } = await client.query(`
+      SELECT
+        d.id AS "sessionId",
+        CASE
+          WHEN d.session_type = 'deposit' THEN 'deposited'
+          WHEN d.collected_battery_id = $1 THEN 'collected'
+          ELSE 'billed'
+        END AS event,
+        d.session_type AS "sessionType",
+        d.status,
+        d.user_id AS "userId",
+        u.name AS "userName",
+        b.booth_uid AS "boothUid",
+        s.slot_identifier AS "slotIdentifier",
+        billed.battery_uid AS "billedBatteryUid",
+        collected.battery_uid AS "collectedBatteryUid",
+        d.battery_mismatch AS "batteryMismatch",
+        d.started_at AS "startedAt",
+        d.completed_at AS "completedAt"
+      FROM deposits d
+      LEFT JOIN users u ON u.user_id = d.user_id
+      JOIN booths b ON b.id = d.booth_id
+      JOIN booth_slots s ON s.id = d.slot_id
+      LEFT JOIN batteries billed ON billed.id = d.battery_id
+      LEFT JOIN batteries collected ON collected.id = d.collected_battery_id
+      WHERE d.battery_id = $1 OR d.collected_battery_id = $1
+      ORDER BY COALESCE(d.completed_at, d.started_at) DESC, d.id DESC
+      LIMIT $2 OFFSET $3
+    `, [battery.id, limit, offset]);
+
+    res.status(200).json({
+      battery,
+      location: slotIdentifier ? { boothUid, slotIdentifier, slotStatus } : null,
+      custody: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch custody history for battery ${batteryUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve battery custody history.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/batteries/:batteryUid/health
+ * @summary Get a battery's health and trend
+ * @description Returns the battery's state-of-health score, equivalent full charge cycles, peak temperature, estimated
+ * capacity fade and charge-rate curve (smoothed % per minute for each 10% SOC band), plus one trend point per day.
+ * Health is built from slot telemetry; see `battery_health_rules` for the thresholds that mark a battery
+ * `degraded` or `faulty`.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: batteryUid
+ *     required: true
+ *     schema:
+ *       type: string
+ *     description: The battery serial (battery_uid).
+ *   - in: query
+ *     name: days
+ *     type: integer
+ *     description: Days of trend to return (default 90, max 365).
+ * @responses
+ *   200:
+ *     description: The battery's health and trend.
+ *   404:
+ *     description: Battery not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/batteries/:batteryUid/health', [verifyFirebaseToken, requirePermission('batteries:read')], async (req, res) => {
+  const { batteryUid } = req.params;
+  const days = Math.min(parseInt(req.query.days, 10) || 90, 365);
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const healthRes = await client.query(
+      `SELECT
+         bat.id,
+         bat.battery_uid AS "batteryUid",
+         bat.health_status AS "healthStatus",
+         h.state_of_health AS "stateOfHealth",
+         h.cycle_count AS "cycleCount",
+         h.max_temperature_c AS "maxTemperatureC",
+         h.capacity_fade_percent AS "capacityFadePercent",
+         h.baseline_charge_rate AS "baselineChargeRate",
+         h.charge_rate_curve AS "chargeRateCurve",
+         h.last_sample_at AS "lastSampleAt"
+       FROM batteries bat
+       LEFT JOIN battery_health h ON h.battery_id = bat.id
+       WHERE bat.battery_uid = $1`,
+      [batteryUid]
+    );
+    if (healthRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Battery not found.' });
+    }
+
+    const { id, healthStatus, chargeRateCurve, ...health } = healthRes.rows[0];
+    const toNumber = (value) => (value === null ? null : parseFloat(value));
+
+    const { rows: trend } = await client.query(
+      `SELECT
+         snapshot_date AS "date",
+         state_of_health AS "stateOfHealth",
+         cycle_count AS "cycleCount",
+         max_temperature_c AS "maxTemperatureC",
+         capacity_fade_percent AS "capacityFadePercent",
+         bulk_charge_rate AS "bulkChargeRate",
+         health_status AS "healthStatus"
+       FROM battery_health_snapshots
+       WHERE battery_id = $1 AND snapshot_date >= CURRENT_DATE - $2::int
+       ORDER BY snapshot_date ASC`,
+      [id, days]
+    );
+
+    const curve = chargeRateCurve || {};
+    res.status(200).json({
+      batteryUid,
+      healthStatus,
+      stateOfHealth: toNumber(health.stateOfHealth),
+      cycleCount: toNumber(health.cycleCount),
+      maxTemperatureC: toNumber(health.maxTemperatureC),
+      capacityFadePercent: toNumber(health.capacityFadePercent),
+      bulkChargeRate: getBulkChargeRate(curve).rate,
+      baselineChargeRate: toNumber(health.baselineChargeRate),
+      chargeRateCurve: Object.entries(curve)
+        .map(([band, entry]) => ({ socBand: Number(band), rate: entry.rate, samples: entry.samples }))
+        .sort((a, b) => a.socBand - b.socBand),
+      lastSampleAt: health.lastSampleAt,
+      trend: trend.map((point) => ({
+        ...point,
+        stateOfHealth: toNumber(point.stateOfHealth),
+        cycleCount: toNumber(point.cycleCount),
+        maxTemperatureC: toNumber(point.maxTemperatureC),
+        capacityFadePercent: toNumber(point.capacityFadePercent),
+        bulkChargeRate: toNumber(point.bulkChargeRate),
+      })),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch health for battery ${batteryUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve battery health.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/batteries/:batteryUid/transfer
+ * @summary Move a battery to the workshop or a booth
+ * @description Records a fleet movement. `workshop` takes the battery out of service; `booth` puts it back in service
+ * and shows it as in transit to that booth until it is docked there. A battery that is docked in a slot must be
+ * taken out first.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: batteryUid
+ *     required: true
+ *     schema:
+ *       type: string
+ *     description: The battery serial (battery_uid).
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [destination]
+ *         properties:
+ *           destination:
+ *             type: string
+ *             enum: [workshop, booth]
+ *           boothUid:
+ *             type: string
+ *             description: Required when the destination is `booth`.
+ *           notes:
+ *             type: string
+ * @responses
+ *   200:
+ *     description: Transfer recorded.
+ *   400:
+ *     description: Invalid input.
+ *   404:
+ *     description: Battery or booth not found.
+ *   409:
+ *     description: The battery is retired or docked in a slot.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/batteries/:batteryUid/transfer', [verifyFirebaseToken, requirePermission('batteries:write')], async (req, res) => {
+  const { batteryUid } = req.params;
+  const { destination, boothUid, notes } = req.body;
+
+  if (!TRANSFER_DESTINATIONS.includes(destination)) {
+    return res.status(400).json({ error: `destination must be one of: ${TRANSFER_DESTINATIONS.join(', ')}.` });
+  }
+  if (destination === 'booth' && !boothUid) {
+    return res.status(400).json({ error: 'boothUid is required when the destination is a booth.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const batteryRes = await client.query(
+      `SELECT bat.id, bat.fleet_status, s.slot_identifier
+       FROM batteries bat
+       LEFT JOIN booth_slots s ON s.current_battery_id = bat.id
+       WHERE bat.battery_uid = $1
+       FOR UPDATE OF bat`,
+      [batteryUid]
+    );
+    if (batteryRes.rowCount === 0) {
+      throw new Error('BATTERY_NOT_FOUND');
+    }
+    const battery = batteryRes.rows[0];
+    if (battery.fleet_status === 'retired') {
+      throw new Error('BATTERY_RETIRED');
+    }
+    if (battery.slot_identifier) {
+      throw new Error('BATTERY_DOCKED');
+    }
+
+    let boothId = null;
+    if (destination === 'booth') {
+      const boothRes = await client.query('SELECT id FROM booths WHERE booth_uid = $1', [boothUid]);
+      if (boothRes.rowCount === 0) {
+        throw new Error('BOOTH_NOT_FOUND');
+      }
+      boothId = boothRes.rows[0].id;
+    }
+
+    await client.query(
+      'UPDATE batteries SET fleet_status = $1 WHERE id = $2',
+      [destination === 'workshop' ? 'workshop' : 'in_service', battery.id]
+    );
+    await client.query(
+      `INSERT INTO battery_transfers (battery_id, from_location, to_location, to_booth_id, notes, performed_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [battery.id, battery.fleet_status, destination, boothId, notes || null, req.user.uid]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info(`Admin (UID: ${req.user.uid}) moved battery '${batteryUid}' to ${destination === 'booth' ? `booth '${boothUid}'` : 'the workshop'}.`);
+    res.status(200).json({ message: 'Transfer recorded.', batteryUid, destination, boothUid: destination === 'booth' ? boothUid : null });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.message === 'BATTERY_NOT_FOUND') {
+      return res.status(404).json({ error: 'Battery not found.' });
+    }
+    if (error.message === 'BOOTH_NOT_FOUND') {
+      return res.status(404).json({ error: 'Booth not found.' });
+    }
+    if (error.message === 'BATTERY_RETIRED') {
+      return res.status(409).json({ error: 'Battery is retired and cannot be moved.' });
+    }
+    if (error.message === 'BATTERY_DOCKED') {
+      return res.status(409).json({ error: 'Battery is docked in a slot. Take it out of the booth first.' });
+    }
+    logger.error(`Failed to transfer battery ${batteryUid}:`, error);
+    res.status(500).json({ error: 'Failed to record the transfer.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/batteries/:batteryUid/retire
+ * @summary Retire a battery
+ * @description Permanently takes a battery out of the fleet. Retired batteries stay listed (filter with
+ * `status=retired`) with their custody and health history. A battery that is docked in a slot must be taken out first.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: batteryUid
+ *     required: true
+ *     schema:
+ *       type: string
+ *     description: The battery serial (battery_uid).
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [reason]
+ *         properties:
+ *           reason:
+ *             type: string
+ * @responses
+ *   200:
+ *     description: Battery retired.
+ *   400:
+ *     description: Missing reason.
+ *   404:
+ *     description: Battery not found.
+ *   409:
+ *     description: The battery is already retired or docked in a slot.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/batteries/:batteryUid/retire', [verifyFirebaseToken, requirePermission('batteries:write')], async (req, res) => {
+  const { batteryUid } = req.params;
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required to retire a battery.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const batteryRes = await client.query(
+      `SELECT bat.id, bat.fleet_status, s.slot_identifier
+       FROM batteries bat
+       LEFT JOIN booth_slots s ON s.current_battery_id = bat.id
+       WHERE bat.battery_uid = $1
+       FOR UPDATE OF bat`,
+      [batteryUid]
+    );
+    if (batteryRes.rowCount === 0) {
+      throw new Error('BATTERY_NOT_FOUND');
+    }
+    const battery = batteryRes.rows[0];
+    if (battery.fleet_status === 'retired') {
+      throw new Error('BATTERY_RETIRED');
+    }
+    if (battery.slot_identifier) {
+      throw new Error('BATTERY_DOCKED');
+    }
+
+    await client.query(
+      "UPDATE batteries SET fleet_status = 'retired', retired_at = NOW(), retired_reason = $1 WHERE id = $2",
+      [reason, battery.id]
+    );
+    await client.query(
+      `INSERT INTO battery_transfers (battery_id, from_location, to_location, notes, performed_by)
+       VALUES ($1, $2, 'retired', $3, $4)`,
+      [battery.id, battery.fleet_status, reason, req.user.uid]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info(`Admin (UID: ${req.user.uid}) retired battery '${batteryUid}': ${reason}`);
+    res.status(200).json({ message: 'Battery retired.', batteryUid });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.message === 'BATTERY_NOT_FOUND') {
+      return res.status(404).json({ error: 'Battery not found.' });
+    }
+    if (error.message === 'BATTERY_RETIRED') {
+      return res.status(409).json({ error: 'Battery is already retired.' });
+    }
+    if (error.message === 'BATTERY_DOCKED') {
+      return res.status(409).json({ error: 'Battery is docked in a slot. Take it out of the booth first.' });
+    }
+    logger.error(`Failed to retire battery ${batteryUid}:`, error);
+    res.status(500).json({ error: 'Failed to retire battery.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,27 @@ const { getDatabase } = require('firebase-admin/database');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
-const { finalizeWithdrawalSession } = require('../../utils/sessionUtils');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { RESOLUTIONS, getTelemetrySettings, pickResolution, getTelemetrySeries } = require('../../utils/telemetryStore');
+const { recordBoothStatusChange } = require('../../utils/boothHeartbeat');
+const { setAuditContext } = require('../../middleware/auditLog');
+const { boothScopeCondition } = require('../../utils/permissions');
+const {
+  BOOTH_COMMAND_ERRORS,
+  initializeFirebaseSlots,
+  forceUnlockSlot,
+  sendSlotCommands,
+  resetBoothSlots,
+  manualWithdrawBattery,
+} = require('../../utils/boothCommands');
+const { requestCommandApproval, formatCommandApproval } = require('../../utils/commandApprovals');
 
 const router = Router();
 
 /**
  * GET /api/admin/booths
  * @summary Get a list of all booths
- * @description Retrieves a paginated list of all registered booths in the system. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves a paginated list of all registered booths in the system. Requires the `booths:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -45,9 +57,13 @@ const router = Router();
  *   500:
  *     description: Internal server error.
  */
-router.get('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/booths', [verifyFirebaseToken, requirePermission('booths:read', { scopedList: true })], async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 25;
   const offset = parseInt(req.query.offset, 10) || 0;
+  // Staff scoped to booths or regions only see those booths.
+  const scopeParams = [];
+  const scopeCondition = boothScopeCondition(req.permissionScope, scopeParams, 'booths');
+  const scopeClause = scopeCondition ? `WHERE ${scopeCondition}` : '';
 
   const pool = await poolPromise;
   const client = await pool.connect();
@@ -56,13 +72,13 @@ router.get('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
     // It uses a window function to get the total count of booths efficiently.
     const listQuery = `
       SELECT
-        b.booth_uid, b.name, b.location_address, b.status, b.created_at, b.updated_at, b.latitude, b.longitude,
+        b.booth_uid, b.name, b.location_address, b.region, b.status, b.created_at, b.updated_at, b.latitude, b.longitude,
         s.slot_identifier, s.status as slot_status, s.door_status, s.charge_level_percent as slot_charge_level,
         bat.battery_uid,
         u.name AS user_name,
         COUNT(*) OVER() as total_booths
       FROM (
-        SELECT * FROM booths ORDER BY created_at DESC LIMIT $1 OFFSET $2
+        SELECT * FROM booths ${scopeClause} ORDER BY created_at DESC LIMIT $${scopeParams.length + 1} OFFSET $${scopeParams.length + 2}
       ) b
       LEFT JOIN booth_slots s ON b.id = s.booth_id
       LEFT JOIN batteries bat ON s.current_battery_id = bat.id
@@ -78,11 +94,11 @@ router.get('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
       ORDER BY b.created_at DESC, s.slot_identifier;
     `;
 
-    const countQuery = 'SELECT COUNT(*) FROM booths;';
+    const countQuery = `SELECT COUNT(*) FROM booths ${scopeClause};`;
 
     const [boothsResult, totalCountResult] = await Promise.all([
-      client.query(listQuery, [limit, offset]),
-      client.query(countQuery)
+      client.query(listQuery, [...scopeParams, limit, offset]),
+      client.query(countQuery, scopeParams)
     ]);
 
     // Process the flat list of rows into a structured, nested object.
@@ -93,6 +109,7 @@ router.get('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
           booth_uid: row.booth_uid,
           name: row.name,
           location_address: row.location_address,
+          region: row.region,
           status: row.status,
           created_at: row.created_at,
           latitude: row.latitude,
@@ -133,7 +150,7 @@ router.get('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
 /**
  * GET /api/admin/booths/status
  * @summary Get status of all booths and slots
- * @description Retrieves a comprehensive, nested status of all booths, their slots, and any batteries currently within those slots. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves a comprehensive, nested status of all booths, their slots, and any batteries currently within those slots. Requires the `booths:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -143,7 +160,11 @@ router.get('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
  *   500:
  *     description: Internal server error.
  */
-router.get('/booths/status', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/booths/status', [verifyFirebaseToken, requirePermission('booths:read', { scopedList: true })], async (req, res) => {
+  // Staff scoped to booths or regions only see those booths.
+  const scopeParams = [];
+  const scopeCondition = boothScopeCondition(req.permissionScope, scopeParams);
+
   const pool = await poolPromise;
   const pgClient = await pool.connect();
   try {
@@ -151,7 +172,7 @@ router.get('/booths/status', [verifyFirebaseToken, isAdmin], async (req, res) =>
     // Also fetch slot, battery, and user details to get the user's name for each occupied slot.
     const boothsResult = await pgClient.query(`
       SELECT
-        b.booth_uid, b.name, b.location_address, b.status, b.updated_at,
+        b.booth_uid, b.name, b.location_address, b.region, b.status, b.updated_at, b.last_heartbeat_at,
         s.slot_identifier,
         u.name AS user_name
       FROM booths b
@@ -165,8 +186,9 @@ router.get('/booths/status', [verifyFirebaseToken, isAdmin], async (req, res) =>
         LIMIT 1
       ) last_deposit ON true
       LEFT JOIN users u ON last_deposit.user_id = u.user_id
+      ${scopeCondition ? `WHERE ${scopeCondition}` : ''}
       ORDER BY b.name, s.slot_identifier;
-    `);
+    `, scopeParams);
     const boothsFromDb = boothsResult.rows;
 
     const db = getDatabase();
@@ -181,8 +203,10 @@ router.get('/booths/status', [verifyFirebaseToken, isAdmin], async (req, res) =>
             booth_uid: row.booth_uid,
             name: row.name,
             location_address: row.location_address,
+            region: row.region,
             status: row.status,
-            updated_at: row.updated_at
+            updated_at: row.updated_at,
+            last_heartbeat_at: row.last_heartbeat_at
           },
           slotUserMap: {}
         };
@@ -202,11 +226,12 @@ router.get('/booths/status', [verifyFirebaseToken, isAdmin], async (req, res) =>
         boothUid: booth.booth_uid,
         name: booth.name,
         location: booth.location_address,
+        region: booth.region,
         // Use the live status from Firebase if available, otherwise fallback to DB status.
         status: snapshot.exists() && snapshot.val().status
           ? snapshot.val().status
           : booth.status,
-        lastHeartbeatAt: booth.updated_at,
+        lastHeartbeatAt: booth.last_heartbeat_at,
         slots: [],
       };
 
@@ -255,67 +280,10 @@ router.get('/booths/status', [verifyFirebaseToken, isAdmin], async (req, res) =>
   }
 });
 
-/**
- * Generates the initial data structure for 15 slots in a new booth.
- * @returns {object} An object containing 15 slots with default values.
- */
-function initializeFirebaseSlots() {
-  const slots = {};
-  const defaultSlotData = {
-    battery: false,
-    command: {
-      ack: "",
-      forceLock: false,
-      forceUnlock: false,
-      lastScannedSerial: "",
-      openDoorId: "",
-      openForCollection: false,
-      openForDeposit: false,
-      startCharging: false,
-      stopCharging: false
-    },
-    devicePresent: false,
-    events: {},
-    final_soc: 22,
-    final_voltage: 0,
-    initial_soc: 0,
-    initial_voltage: 0,
-    pendingCmd: false,
-    rejection: {},
-    relay: "OFF",
-    relayOn: false,
-    safetyReason: "",
-    shouldCharge: true,
-    soc: 0,
-    status: "booting", // Or 'available'
-    telemetry: {
-      batteryInserted: false,
-      doorClosed: true,
-      doorLocked: true,
-      plugConnected: false,
-      qr: "",
-      relayOn: false,
-      restVoltage: 0,
-      soc: 0,
-      status: "booting",
-      temperature: 0,
-      temperatureC: 0,
-      timestamp: 0,
-      voltage: 0
-    }
-  };
-
-  for (let i = 1; i <= 15; i++) {
-    const slotIdentifier = `slot${String(i).padStart(3, '0')}`; // e.g., slot001
-    slots[slotIdentifier] = { ...defaultSlotData };
-  }
-  return slots;
-}
-
 /**
  * POST /api/admin/booths
  * @summary Create a new booth
- * @description Creates a new booth in both PostgreSQL and Firebase Realtime Database. This is a protected route only accessible by users with the 'admin' role.
+ * @description Creates a new booth in both PostgreSQL and Firebase Realtime Database. Requires the `booths:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -333,6 +301,9 @@ function initializeFirebaseSlots() {
  *           locationAddress:
  *             type: string
  *             description: The physical address or location of the booth.
+ *           region:
+ *             type: string
+ *             description: Optional region, used to scope staff permissions (e.g. "Nairobi West").
  * @responses
  *   201:
  *     description: Booth created successfully. Returns the new booth's UID.
@@ -341,8 +312,8 @@ function initializeFirebaseSlots() {
  *   500:
  *     description: Internal server error.
  */
-router.post('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
-  const { name, locationAddress, latitude, longitude } = req.body;
+router.post('/booths', [verifyFirebaseToken, requirePermission('booths:write')], async (req, res) => {
+  const { name, locationAddress, latitude, longitude, region } = req.body;
 
   if (!name || !locationAddress) {
     return res.status(400).json({ error: 'Booth name and locationAddress are required.' });
@@ -367,8 +338,8 @@ router.post('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
 
     // 2. Insert the new booth into PostgreSQL with the generated UID.
     const boothInsertResult = await client.query(
-      "INSERT INTO booths (booth_uid, name, location_address, latitude, longitude, status) VALUES ($1, $2, $3, $4, $5,'online') RETURNING id",
-      [boothUid, name, locationAddress, latitude, longitude]
+      "INSERT INTO booths (booth_uid, name, location_address, latitude, longitude, region, status) VALUES ($1, $2, $3, $4, $5, $6, 'online') RETURNING id",
+      [boothUid, name, locationAddress, latitude, longitude, typeof region === 'string' && region.trim() !== '' ? region.trim() : null]
     );
     const newBoothId = boothInsertResult.rows[0].id;
 
@@ -406,7 +377,7 @@ router.post('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
 /**
  * DELETE /api/admin/booths/:boothUid
  * @summary Delete a booth
- * @description Deletes a booth from both PostgreSQL and Firebase Realtime Database. This is a protected route only accessible by users with the 'admin' role.
+ * @description Deletes a booth from both PostgreSQL and Firebase Realtime Database. Requires the `booths:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -425,7 +396,7 @@ router.post('/booths', [verifyFirebaseToken, isAdmin], async (req, res) => {
  *   500:
  *     description: Internal server error.
  */
-router.delete('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.delete('/booths/:boothUid', [verifyFirebaseToken, requirePermission('booths:write')], async (req, res) => {
   const { boothUid } = req.params;
 
   const pool = await poolPromise;
@@ -489,7 +460,7 @@ router.delete('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, r
  *   500:
  *     description: Internal server error.
  */
-router.delete('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.delete('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, requirePermission('booths:write')], async (req, res) => {
   const { boothUid, slotIdentifier } = req.params;
 
   const pool = await poolPromise;
@@ -534,7 +505,7 @@ router.delete('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, i
 /**
  * PATCH /api/admin/booths/:boothUid
  * @summary Update a booth's details
- * @description Updates a booth's name and/or location details. This is a protected route only accessible by users with the 'admin' role.
+ * @description Updates a booth's name and/or location details. Requires the `booths:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -558,6 +529,10 @@ router.delete('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, i
  *           locationAddress:
  *             type: string
  *             description: The new physical address or location of the booth.
+ *           region:
+ *             type: string
+ *             nullable: true
+ *             description: The booth's region, used to scope staff permissions. Send null to clear.
  *           latitude:
  *             type: number
  *             nullable: true
@@ -576,17 +551,21 @@ router.delete('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, i
  *   500:
  *     description: Internal server error.
  */
-router.patch('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.patch('/booths/:boothUid', [verifyFirebaseToken, requirePermission('booths:write')], async (req, res) => {
   const { boothUid } = req.params;
-  const { name, locationAddress, latitude, longitude } = req.body;
+  const { name, locationAddress, latitude, longitude, region } = req.body;
 
   const hasName = typeof name === 'string' && name.trim() !== '';
   const hasLocationAddress = typeof locationAddress === 'string' && locationAddress.trim() !== '';
   const hasLatitude = typeof latitude !== 'undefined';
   const hasLongitude = typeof longitude !== 'undefined';
+  const hasRegion = typeof region !== 'undefined';
 
-  if (!hasName && !hasLocationAddress && !hasLatitude && !hasLongitude) {
-    return res.status(400).json({ error: 'Provide at least one field to update: name, locationAddress, latitude, or longitude.' });
+  if (!hasName && !hasLocationAddress && !hasLatitude && !hasLongitude && !hasRegion) {
+    return res.status(400).json({ error: 'Provide at least one field to update: name, locationAddress, latitude, longitude, or region.' });
+  }
+  if (hasRegion && region !== null && typeof region !== 'string') {
+    return res.status(400).json({ error: 'Region must be a string or null.' });
   }
 
   let parsedLatitude = null;
@@ -641,6 +620,10 @@ router.patch('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, re
       setClauses.push(`longitude = $${paramIndex++}`);
       queryParams.push(longitude === null || longitude === '' ? null : parsedLongitude);
     }
+    if (hasRegion) {
+      setClauses.push(`region = $${paramIndex++}`);
+      queryParams.push(region === null || region.trim() === '' ? null : region.trim());
+    }
 
     const updateQuery = `UPDATE booths SET ${setClauses.join(', ')}, updated_at = NOW() WHERE booth_uid = $${paramIndex} RETURNING *`;
     queryParams.push(boothUid);
@@ -668,7 +651,7 @@ router.patch('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, re
 /**
  * POST /api/admin/booths/:boothUid/status
  * @summary Update a booth's status
- * @description Updates the operational status of a specific booth (e.g., to take it offline for maintenance). This is a protected route only accessible by users with the 'admin' role.
+ * @description Updates the operational status of a specific booth (e.g., to take it offline for maintenance). Requires the `booths:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -701,7 +684,7 @@ router.patch('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, re
  *   500:
  *     description: Internal server error.
  */
-router.post('/booths/:boothUid/status', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/booths/:boothUid/status', [verifyFirebaseToken, requirePermission('booths:write')], async (req, res) => {
   const { boothUid } = req.params;
   const { status } = req.body;
   const validStatuses = ['online', 'maintenance', 'offline'];
@@ -713,13 +696,26 @@ router.post('/booths/:boothUid/status', [verifyFirebaseToken, isAdmin], async (r
   const pool = await poolPromise;
   const client = await pool.connect();
   try {
-    const updateQuery = `UPDATE booths SET status = $1, updated_at = NOW() WHERE booth_uid = $2 RETURNING *`;
-    const result = await client.query(updateQuery, [status, boothUid]);
-
-    if (result.rowCount === 0) {
+    const previousRes = await client.query('SELECT id, status FROM booths WHERE booth_uid = $1', [boothUid]);
+    if (previousRes.rowCount === 0) {
       return res.status(404).json({ error: `Booth with UID ${boothUid} not found.` });
     }
 
+    // An admin's choice overrides the heartbeat check: the booth is no longer brought back online automatically.
+    const updateQuery = `UPDATE booths SET status = $1, auto_offline_at = NULL, updated_at = NOW() WHERE id = $2 RETURNING *`;
+    const result = await client.query(updateQuery, [status, previousRes.rows[0].id]);
+
+    if (previousRes.rows[0].status !== status) {
+      await recordBoothStatusChange(client, {
+        boothId: previousRes.rows[0].id,
+        fromStatus: previousRes.rows[0].status,
+        toStatus: status,
+        reason: 'admin',
+        lastHeartbeatAt: result.rows[0].last_heartbeat_at,
+        changedBy: req.user.uid,
+      });
+    }
+
     // If the booth is being taken offline or put into maintenance, update Firebase slots.
     if (status === 'maintenance' || status === 'offline') {
       const db = getDatabase();
@@ -743,6 +739,13 @@ router.post('/booths/:boothUid/status', [verifyFirebaseToken, isAdmin], async (r
     // The hardware's own telemetry should be the source of truth for individual slot availability.
     // The firebaseSync listener will handle updating the DB from that telemetry.
 
+    setAuditContext(res, {
+      action: 'booth.set_status',
+      targetType: 'booth',
+      targetId: boothUid,
+      before: { status: previousRes.rows[0].status },
+      after: { status },
+    });
     logger.info(`Admin (UID: ${req.user.uid}) updated status for booth '${boothUid}' to '${status}'.`);
     res.status(200).json({ message: 'Booth status updated successfully.', booth: result.rows[0] });
   } catch (error) {
@@ -753,10 +756,90 @@ router.post('/booths/:boothUid/status', [verifyFirebaseToken, isAdmin], async (r
   }
 });
 
+/**
+ * GET /api/admin/booths/:boothUid/status-history
+ * @summary Get a booth's status history
+ * @description Lists a booth's status changes, newest first: booths taken offline or brought back by the heartbeat check, and changes made by admins.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: boothUid
+ *     required: true
+ *     schema:
+ *       type: string
+ *     description: The UID of the booth.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: The booth's status history.
+ *   404:
+ *     description: Booth not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/booths/:boothUid/status-history', [verifyFirebaseToken, requirePermission('booths:read')], async (req, res) => {
+  const { boothUid } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const boothRes = await client.query(
+      'SELECT id, status, last_heartbeat_at FROM booths WHERE booth_uid = $1',
+      [boothUid]
+    );
+    if (boothRes.rowCount === 0) {
+      return res.status(404).json({ error: `Booth with UID ${boothUid} not found.` });
+    }
+    const booth = boothRes.rows[0];
+
+    const countRes = await client.query('SELECT COUNT(*) FROM booth_status_history WHERE booth_id = $1', [booth.id]);
+    const { rows } = await client.query(`
+      SELECT
+        h.id,
+        h.from_status AS "fromStatus",
+        h.to_status AS "toStatus",
+        h.reason,
+        h.last_heartbeat_at AS "lastHeartbeatAt",
+        h.changed_by AS "changedBy",
+        u.name AS "changedByName",
+        h.created_at AS "createdAt"
+      FROM booth_status_history h
+      LEFT JOIN users u ON u.user_id = h.changed_by
+      WHERE h.booth_id = $1
+      ORDER BY h.created_at DESC, h.id DESC
+      LIMIT $2 OFFSET $3
+    `, [booth.id, limit, offset]);
+
+    res.status(200).json({
+      boothUid,
+      status: booth.status,
+      lastHeartbeatAt: booth.last_heartbeat_at,
+      history: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch status history for booth ${boothUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve booth status history.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * POST /api/admin/booths/:boothUid/slots/:slotIdentifier/status
  * @summary Update a specific slot's status (e.g., enable/disable)
- * @description Updates the operational status of a specific slot. 'disabled' will prevent it from being used. 'available' will re-enable it (if it's empty). This is a protected route only accessible by users with the 'admin' role.
+ * @description Updates the operational status of a specific slot. 'disabled' will prevent it from being used. 'available' will re-enable it (if it's empty). Requires the `booths:write` permission. A slot with an open maintenance work order stays in maintenance until the order is closed (see /api/admin/work-orders).
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -792,10 +875,12 @@ router.post('/booths/:boothUid/status', [verifyFirebaseToken, isAdmin], async (r
  *     description: Bad request (e.g., invalid status).
  *   404:
  *     description: Booth or slot not found.
+ *   409:
+ *     description: The slot has an open work order.
  *   500:
  *     description: Internal server error.
  */
-router.post('/booths/:boothUid/slots/:slotIdentifier/status', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/booths/:boothUid/slots/:slotIdentifier/status', [verifyFirebaseToken, requirePermission('booths:write')], async (req, res) => {
   const { boothUid, slotIdentifier } = req.params;
   const { status } = req.body;
   const validStatuses = ['available', 'disabled'];
@@ -807,6 +892,19 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/status', [verifyFirebaseTok
   const pool = await poolPromise;
   const client = await pool.connect();
   try {
+    const previousRes = await client.query(
+      `SELECT s.status,
+              EXISTS (
+                SELECT 1 FROM work_orders w
+                WHERE w.slot_id = s.id AND w.status IN ('open', 'assigned', 'in_progress')
+              ) AS "hasOpenWorkOrder"
+       FROM booth_slots s JOIN booths b ON b.id = s.booth_id
+       WHERE b.booth_uid = $1 AND s.slot_identifier = $2`,
+      [boothUid, slotIdentifier]
+    );
+    if (previousRes.rows[0]?.hasOpenWorkOrder) {
+      return res.status(409).json({ error: 'Invalid status', message: 'The slot has an open work order; close it to put the slot back into service.' });
+    }
     const updateQuery = `UPDATE booth_slots SET status = $1, updated_at = NOW() WHERE slot_identifier = $2 AND booth_id = (SELECT id FROM booths WHERE booth_uid = $3) RETURNING *`;
     const result = await client.query(updateQuery, [status, slotIdentifier, boothUid]);
 
@@ -814,6 +912,14 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/status', [verifyFirebaseTok
       return res.status(404).json({ error: `Slot '${slotIdentifier}' in booth '${boothUid}' not found.` });
     }
 
+    setAuditContext(res, {
+      action: 'slot.set_status',
+      targetType: 'slot',
+      targetId: `${boothUid}/${slotIdentifier}`,
+      before: { status: previousRes.rows[0]?.status ?? null },
+      after: { status },
+    });
+
     logger.info(`Admin (UID: ${req.user.uid}) updated status for slot '${slotIdentifier}' in booth '${boothUid}' to '${status}'.`);
     res.status(200).json({ message: 'Slot status updated successfully.', slot: result.rows[0] });
   } catch (error) {
@@ -827,7 +933,7 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/status', [verifyFirebaseTok
 /**
  * POST /api/admin/booths/:boothUid/slots/:slotIdentifier/command
  * @summary Send a command to a specific booth slot
- * @description Sends a command to a specific slot (e.g., force unlock, start charging) by updating its command object in Firebase. This is a protected route only accessible by users with the 'admin' role.
+ * @description Sends a command to a specific slot (e.g., force unlock, start charging) by updating its command object in Firebase. Requires the `booths:command` permission. If `force_unlock` is listed in the `command_approvals` setting, a force unlock is not sent: it is held as a pending request until a second admin approves it (see /api/admin/command-approvals). Commands that open the door (`openForCollection`, `openForDeposit`, `openDoorId`) are held the same way when `open_door` is listed.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -856,12 +962,16 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/status', [verifyFirebaseTok
  * @responses
  *   200:
  *     description: Command sent successfully.
+ *   202:
+ *     description: Force unlock or door opening held for approval by a second admin.
  *   400:
  *     description: Bad request (e.g., invalid command key).
+ *   409:
+ *     description: The same command on this slot is already waiting for approval.
  *   500:
  *     description: Internal server error.
  */
-router.post('/booths/:boothUid/slots/:slotIdentifier/command', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/booths/:boothUid/slots/:slotIdentifier/command', [verifyFirebaseToken, requirePermission('booths:command')], async (req, res) => {
   const { boothUid, slotIdentifier } = req.params;
   const commandsToUpdate = req.body;
 
@@ -923,84 +1033,6 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/command', [verifyFirebaseTo
   }
   if (updates.forceUnlock === true) {
     updates.forceLock = false;
-
-    // --- Auto-complete stuck withdrawal sessions on Force Unlock ---
-    // If an admin is force-unlocking, it often implies a manual intervention for a withdrawal.
-    // We resolve the last 'in_progress' withdrawal session for this slot to keep the DB in sync.
-    const pool = await poolPromise;
-    const pgClient = await pool.connect();
-    try {
-      await pgClient.query('BEGIN');
-
-      const updateResult = await pgClient.query(`
-        UPDATE deposits
-        SET
-          status = 'completed',
-          completed_at = NOW(),
-          notes = COALESCE(notes, '') || '\n[' || NOW() || '] Session force-completed by admin via manual unlock command.'
-        WHERE id = (
-          SELECT d.id
-          FROM deposits d
-          JOIN booth_slots s ON d.slot_id = s.id
-          JOIN booths b ON s.booth_id = b.id
-          WHERE b.booth_uid = $1
-            AND s.slot_identifier = $2
-            AND d.session_type = 'withdrawal'
-            AND d.status = 'in_progress'
-          ORDER BY d.created_at DESC
-          LIMIT 1
-        )
-        RETURNING id, consumed_deposit_id;
-      `, [boothUid, slotIdentifier]);
-
-      // If we force-completed a withdrawal, we must also mark the associated 'deposit credit'
-      // as 'redeemed' to prevent the user from withdrawing again with the same credit.
-      if (updateResult.rowCount > 0 && updateResult.rows[0].consumed_deposit_id) {
-        await pgClient.query(
-          "UPDATE deposits SET status = 'redeemed', updated_at = NOW() WHERE id = $1",
-          [updateResult.rows[0].consumed_deposit_id]
-        );
-      }
-
-      // If no in_progress withdrawal was found, mark any orphaned completed deposit on this slot
-      // as 'failed' so it doesn't appear as an active session to the user.
-      if (updateResult.rowCount === 0) {
-        await pgClient.query(`
-          UPDATE deposits
-          SET status = 'failed',
-              notes = COALESCE(notes, '') || '\n[' || NOW() || '] Slot force-unlocked with no active withdrawal.'
-          WHERE slot_id = (
-            SELECT s.id FROM booth_slots s
-            JOIN booths b ON s.booth_id = b.id
-            WHERE b.booth_uid = $1 AND s.slot_identifier = $2
-          )
-            AND session_type = 'deposit' AND status = 'completed'
-        `, [boothUid, slotIdentifier]);
-      }
-
-      // Also reset the slot status to 'available' and remove the battery link.
-      // This ensures the slot is immediately ready for the next user.
-      await pgClient.query(`
-        UPDATE booth_slots
-        SET 
-          status = 'available',
-          current_battery_id = NULL,
-          updated_at = NOW()
-        WHERE slot_identifier = $2 
-          AND booth_id = (SELECT id FROM booths WHERE booth_uid = $1)
-      `, [boothUid, slotIdentifier]);
-
-      await pgClient.query('COMMIT');
-
-      if (updateResult.rowCount > 0) {
-        logger.info(`Admin (UID: ${req.user.uid}) force-unlocked slot ${slotIdentifier}. Withdrawal session ${updateResult.rows[0].id} was auto-completed and slot reset to available.`);
-      }
-    } catch (dbError) {
-      await pgClient.query('ROLLBACK');
-      logger.error(`Failed to auto-complete session during forceUnlock for ${slotIdentifier}:`, dbError);
-    } finally {
-      pgClient.release();
-    }
   }
 
   // Ensure that start and stop charging commands are not simultaneously true.
@@ -1016,11 +1048,65 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/command', [verifyFirebaseTo
     return res.status(400).json({ error: 'No valid commands provided to execute.' });
   }
 
-  try {
-    const db = getDatabase();
-    const commandRef = db.ref(`booths/${boothUid}/slots/${slotIdentifier}/command`);
-    await commandRef.update(updates);
+  // A force unlock, or any command that opens the door, may need a second admin's approval before anything is sent.
+  const opensDoor = updates.openForCollection === true || updates.openForDeposit === true || Boolean(updates.openDoorId);
+  const approvalAction = updates.forceUnlock === true ? 'force_unlock' : (opensDoor ? 'open_door' : null);
+  const actionLabel = approvalAction === 'force_unlock' ? 'Force unlock' : 'Opening the door';
+  if (approvalAction) {
+    const pool = await poolPromise;
+    const pgClient = await pool.connect();
+    try {
+      const approval = await requestCommandApproval(pgClient, {
+        action: approvalAction,
+        boothUid,
+        slotIdentifier,
+        payload: { commands: updates },
+        requestedBy: req.user.uid,
+      });
+      if (approval) {
+        setAuditContext(res, {
+          action: 'command_approval.request',
+          targetType: 'slot',
+          targetId: `${boothUid}/${slotIdentifier}`,
+          after: { approvalId: approval.id, action: approvalAction, commands: updates },
+        });
+        return res.status(202).json({ message: `${actionLabel} is waiting for approval by a second admin.`, approval: formatCommandApproval(approval) });
+      }
+
+      const { previousCommand, forceCompletedSessionId = null } = approvalAction === 'force_unlock'
+        ? await forceUnlockSlot(pgClient, boothUid, slotIdentifier, updates, { requestedBy: req.user.uid })
+        : await sendSlotCommands(boothUid, slotIdentifier, updates);
+
+      setAuditContext(res, {
+        action: approvalAction === 'force_unlock' ? 'slot.force_unlock' : 'slot.command',
+        targetType: 'slot',
+        targetId: `${boothUid}/${slotIdentifier}`,
+        before: previousCommand,
+        after: forceCompletedSessionId ? { ...updates, forceCompletedSessionId } : updates,
+      });
+      logger.info(`Admin (UID: ${req.user.uid}) sent command(s) to ${boothUid}/${slotIdentifier}: ${JSON.stringify(updates)}`);
+      return res.status(200).json({ message: 'Command sent successfully.', commands: updates });
+    } catch (error) {
+      if (error.message === 'APPROVAL_ALREADY_PENDING') {
+        return res.status(409).json({ error: 'Approval pending', message: `${actionLabel} on this slot is already waiting for approval.` });
+      }
+      logger.error(`Failed to send command to ${boothUid}/${slotIdentifier}:`, error);
+      return res.status(500).json({ error: 'Failed to send command to slot.', details: error.message });
+    } finally {
+      pgClient.release();
+    }
+  }
 
+  try {
+    const { previousCommand } = await sendSlotCommands(boothUid, slotIdentifier, updates);
+
+    setAuditContext(res, {
+      action: 'slot.command',
+      targetType: 'slot',
+      targetId: `${boothUid}/${slotIdentifier}`,
+      before: previousCommand,
+      after: updates,
+    });
     logger.info(`Admin (UID: ${req.user.uid}) sent command(s) to ${boothUid}/${slotIdentifier}: ${JSON.stringify(updates)}`);
     res.status(200).json({ message: 'Command sent successfully.', commands: updates });
   } catch (error) {
@@ -1032,7 +1118,7 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/command', [verifyFirebaseTo
 /**
  * GET /api/admin/booths/:boothUid
  * @summary Get details of a single booth by UID
- * @description Retrieves details of a specific booth using its UID. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves details of a specific booth using its UID. Requires the `booths:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -1051,7 +1137,7 @@ router.post('/booths/:boothUid/slots/:slotIdentifier/command', [verifyFirebaseTo
  *   500:
  *     description: Internal server error.
  */
-router.get('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/booths/:boothUid', [verifyFirebaseToken, requirePermission('booths:read')], async (req, res) => {
   const { boothUid } = req.params;
 
   const pool = await poolPromise;
@@ -1154,7 +1240,7 @@ router.get('/booths/:boothUid', [verifyFirebaseToken, isAdmin], async (req, res)
  *   500:
  *     description: Internal server error.
  */
-router.get('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, requirePermission('booths:read')], async (req, res) => {
   const { boothUid, slotIdentifier } = req.params;
 
   const pool = await poolPromise;
@@ -1244,10 +1330,106 @@ router.get('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, isAd
   }
 });
 
+// Longest range one telemetry query may cover.
+const MAX_TELEMETRY_RANGE_DAYS = 31;
+
+/**
+ * GET /api/admin/booths/:boothUid/slots/:slotIdentifier/telemetry
+ * @summary Get a slot's telemetry history
+ * @description Returns the slot's stored telemetry samples (SOC, voltage, current, temperature, relay, door and
+ * battery state) between `from` and `to`, oldest first. With a bucketed resolution, SOC, voltage and current are
+ * averaged, temperature is the peak, the relay is on if it was on at any point, and door and battery state are the
+ * last reported in the bucket. Samples are downsampled on write and kept for the period set in `telemetry_storage`.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: boothUid
+ *     required: true
+ *     schema:
+ *       type: string
+ *     description: The UID of the booth containing the slot.
+ *   - in: path
+ *     name: slotIdentifier
+ *     required: true
+ *     schema:
+ *       type: string
+ *     description: The identifier of the slot (e.g., slot001).
+ *   - in: query
+ *     name: from
+ *     type: string
+ *     format: date-time
+ *     description: Range start (default 24 hours before `to`).
+ *   - in: query
+ *     name: to
+ *     type: string
+ *     format: date-time
+ *     description: Range end (default now). The range may span at most 31 days.
+ *   - in: query
+ *     name: resolution
+ *     type: string
+ *     enum: [auto, raw, 1m, 5m, 15m, 1h, 1d]
+ *     description: Bucket size (default auto, the finest that returns at most about 1000 points).
+ * @responses
+ *   200:
+ *     description: The slot's telemetry series.
+ *   400:
+ *     description: Invalid range or resolution.
+ *   404:
+ *     description: Slot not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/booths/:boothUid/slots/:slotIdentifier/telemetry', [verifyFirebaseToken, requirePermission('booths:read')], async (req, res) => {
+  const { boothUid, slotIdentifier } = req.params;
+  const requestedResolution = req.query.resolution || 'auto';
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({ error: '`from` and `to` must be valid dates with `from` before `to`.' });
+  }
+  if (to.getTime() - from.getTime() > MAX_TELEMETRY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `The range may span at most ${MAX_TELEMETRY_RANGE_DAYS} days.` });
+  }
+  if (requestedResolution !== 'auto' && !(requestedResolution in RESOLUTIONS)) {
+    return res.status(400).json({ error: `resolution must be one of: auto, ${Object.keys(RESOLUTIONS).join(', ')}.` });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const slotRes = await client.query(
+      `SELECT s.id FROM booth_slots s
+       JOIN booths b ON s.booth_id = b.id
+       WHERE b.booth_uid = $1 AND s.slot_identifier = $2`,
+      [boothUid, slotIdentifier]
+    );
+    if (slotRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Slot not found.' });
+    }
+
+    let resolution = requestedResolution;
+    if (resolution === 'auto') {
+      const settings = await getTelemetrySettings(client);
+      resolution = pickResolution(from, to, Number(settings.sample_interval_seconds));
+    }
+    const samples = await getTelemetrySeries(client, slotRes.rows[0].id, from, to, resolution);
+
+    res.status(200).json({ boothUid, slotIdentifier, from, to, resolution, samples });
+  } catch (error) {
+    logger.error(`Failed to get telemetry history for ${boothUid}/${slotIdentifier}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve slot telemetry.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * POST /api/admin/booths/:boothUid/reset-slots
  * @summary Reset one or all slots in a booth to their default state.
- * @description Resets slot data in both PostgreSQL and Firebase to a default, 'available' state. This is a powerful maintenance tool. If `slotIdentifier` is provided in the body, only that slot is reset. Otherwise, all slots in the booth are reset.
+ * @description Resets slot data in both PostgreSQL and Firebase to a default, 'available' state. This is a powerful maintenance tool. If `slotIdentifier` is provided in the body, only that slot is reset. Otherwise, all slots in the booth are reset. If `reset_slots` is listed in the `command_approvals` setting, the reset is held as a pending request until a second admin approves it.
  * @tags [Admin, Simulation]
  * @security
  *   - bearerAuth: []
@@ -1268,87 +1450,49 @@ router.get('/booths/:boothUid/slots/:slotIdentifier', [verifyFirebaseToken, isAd
  *           slotIdentifier:
  *             type: string
  *             description: (Optional) The specific slot to reset. If omitted, all slots in the booth will be reset.
+ *           reason:
+ *             type: string
+ *             description: (Optional) Why the reset is needed, shown to the approving admin.
  * @responses
  *   200:
  *     description: Slot(s) reset successfully.
+ *   202:
+ *     description: Reset held for approval by a second admin.
+ *   400:
+ *     description: Invalid slot identifier.
  *   404:
  *     description: Booth not found.
+ *   409:
+ *     description: This reset is already waiting for approval.
  *   500:
  *     description: Internal server error.
  */
-router.post('/booths/:boothUid/reset-slots', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/booths/:boothUid/reset-slots', [verifyFirebaseToken, requirePermission('booths:write')], async (req, res) => {
   const { boothUid } = req.params;
-  const { slotIdentifier } = req.body; // Optional: to reset a single slot
+  const { slotIdentifier = null, reason = null } = req.body || {}; // Optional: to reset a single slot
 
   const pool = await poolPromise;
   const client = await pool.connect();
   try {
-    await client.query('BEGIN');
-
-    // 1. Get the internal booth ID
-    const boothRes = await client.query('SELECT id FROM booths WHERE booth_uid = $1', [boothUid]);
-    if (boothRes.rows.length === 0) {
-      return res.status(404).json({ error: `Booth with UID ${boothUid} not found.` });
-    }
-
-    const booth = boothRes.rows[0];
-    const boothId = booth.id;
-
-    // 2. Find and terminate any active user sessions in the slot(s) being reset.
-    // An active session is one that is not already in a terminal state (failed, cancelled, or a completed withdrawal).
-    const terminateSessionsQuery = `
-      UPDATE deposits
-      SET status = 'failed'
-      WHERE id IN (
-        SELECT d.id FROM deposits d
-        JOIN booth_slots s ON d.slot_id = s.id
-        WHERE s.booth_id = $1
-          ${slotIdentifier ? 'AND s.slot_identifier = $2' : ''}
-          AND d.status NOT IN ('failed', 'cancelled')
-          AND NOT (d.session_type = 'withdrawal' AND d.status = 'completed')
-      );
-    `;
-    const terminateParams = slotIdentifier ? [boothId, slotIdentifier] : [boothId];
-    await client.query(terminateSessionsQuery, terminateParams);
-
-    // 2. Reset the slot(s) in PostgreSQL
-    const pgResetQuery = `
-      UPDATE booth_slots
-      SET
-        status = 'available',
-        current_battery_id = NULL,
-        charge_level_percent = NULL,
-        door_status = 'closed',
-        is_charging = FALSE,
-        telemetry = NULL,
-        updated_at = NOW()
-      WHERE booth_id = $1
-    ` + (slotIdentifier ? 'AND slot_identifier = $2' : '');
-
-    const pgQueryParams = slotIdentifier ? [boothId, slotIdentifier] : [boothId];
-    await client.query(pgResetQuery, pgQueryParams);
-
-    // 3. Reset the slot(s) in Firebase
-    const db = getDatabase();
-    const allDefaultSlots = initializeFirebaseSlots();
-
-    if (slotIdentifier) {
-      // Reset a single slot in Firebase
-      const defaultSlotData = allDefaultSlots[slotIdentifier];
-      if (!defaultSlotData) {
-        throw new Error(`Invalid slot identifier '${slotIdentifier}' provided.`);
-      }
-      const slotRef = db.ref(`booths/${boothUid}/slots/${slotIdentifier}`);
-      await slotRef.set(defaultSlotData);
-      logger.info(`Admin ${req.user.uid} reset slot ${boothUid}/${slotIdentifier}.`);
-    } else {
-      // Reset all slots for the booth in Firebase
-      const slotsRef = db.ref(`booths/${boothUid}/slots`);
-      await slotsRef.set(allDefaultSlots);
-      logger.info(`Admin ${req.user.uid} reset all slots for booth ${boothUid}.`);
+    const approval = await requestCommandApproval(client, {
+      action: 'reset_slots',
+      boothUid,
+      slotIdentifier,
+      payload: {},
+      requestedBy: req.user.uid,
+      reason,
+    });
+    if (approval) {
+      setAuditContext(res, {
+        action: 'command_approval.request',
+        targetType: slotIdentifier ? 'slot' : 'booth',
+        targetId: slotIdentifier ? `${boothUid}/${slotIdentifier}` : boothUid,
+        after: { approvalId: approval.id, action: 'reset_slots' },
+      });
+      return res.status(202).json({ message: 'Slot reset is waiting for approval by a second admin.', approval: formatCommandApproval(approval) });
     }
 
-    await client.query('COMMIT');
+    await resetBoothSlots(client, boothUid, slotIdentifier, { requestedBy: req.user.uid });
 
     res.status(200).json({
       message: slotIdentifier
@@ -1357,7 +1501,13 @@ router.post('/booths/:boothUid/reset-slots', [verifyFirebaseToken, isAdmin], asy
     });
 
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (BOOTH_COMMAND_ERRORS[error.message]) {
+      const { status, message } = BOOTH_COMMAND_ERRORS[error.message];
+      return res.status(status).json({ error: message });
+    }
+    if (error.message === 'APPROVAL_ALREADY_PENDING') {
+      return res.status(409).json({ error: 'Approval pending', message: 'This reset is already waiting for approval.' });
+    }
     logger.error(`Failed to reset slots for booth ${boothUid}:`, error);
     res.status(500).json({ error: 'Failed to reset slots.', details: error.message });
   } finally {
@@ -1368,7 +1518,7 @@ router.post('/booths/:boothUid/reset-slots', [verifyFirebaseToken, isAdmin], asy
 /**
  * POST /api/admin/booths/:boothUid/slots/:slotIdentifier/manual-withdraw
  * @summary Manually withdraw a battery from a slot (admin-only, no M-Pesa)
- * @description Creates a completed withdrawal session for a battery left in a slot (e.g., after charging to 100% with no user collection). The admin collects payment physically. This stops charging, calculates the owed amount using the standard pricing, records the revenue, and releases the battery.
+ * @description Creates a completed withdrawal session for a battery left in a slot (e.g., after charging to 100% with no user collection). The admin collects payment physically. This stops charging, calculates the owed amount using the standard pricing, records the revenue, and releases the battery. If `manual_withdraw` is listed in the `command_approvals` setting, the withdrawal is held as a pending request until a second admin approves it.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -1385,137 +1535,80 @@ router.post('/booths/:boothUid/reset-slots', [verifyFirebaseToken, isAdmin], asy
  *     schema:
  *       type: string
  *     description: The slot identifier (e.g., slot001).
+ * @requestBody
+ *   required: false
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           reason:
+ *             type: string
+ *             description: (Optional) Why the withdrawal is needed, shown to the approving admin.
  * @responses
  *   200:
  *     description: Manual withdrawal completed successfully.
+ *   202:
+ *     description: Withdrawal held for approval by a second admin.
  *   400:
  *     description: No deposited battery found in this slot.
  *   404:
  *     description: Booth or slot not found.
  *   409:
- *     description: Active withdrawal already in progress on this slot.
+ *     description: Active withdrawal already in progress on this slot, or this withdrawal is already waiting for approval.
  *   500:
  *     description: Internal server error.
  */
-router.post('/booths/:boothUid/slots/:slotIdentifier/manual-withdraw', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/booths/:boothUid/slots/:slotIdentifier/manual-withdraw', [verifyFirebaseToken, requirePermission('booths:command')], async (req, res) => {
   const { boothUid, slotIdentifier } = req.params;
+  const { reason = null } = req.body || {};
 
   const pool = await poolPromise;
   const client = await pool.connect();
   try {
-    await client.query('BEGIN');
-
-    // 1. Resolve the slot and booth
-    const slotRes = await client.query(`
-      SELECT s.id AS "slotId", s.charge_level_percent AS "chargeLevel", s.current_battery_id,
-             b.id AS "boothId", b.booth_uid
-      FROM booth_slots s
-      JOIN booths b ON s.booth_id = b.id
-      WHERE b.booth_uid = $1 AND s.slot_identifier = $2
-      FOR UPDATE OF s
-    `, [boothUid, slotIdentifier]);
-
-    if (slotRes.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(404).json({ error: `Slot '${slotIdentifier}' in booth '${boothUid}' not found.` });
-    }
-
-    const { slotId, chargeLevel: dbChargeLevel, boothId } = slotRes.rows[0];
-
-    // 2. Find the most recent completed deposit on this slot (the battery owner)
-    const depositRes = await client.query(`
-      SELECT d.id, d.user_id, d.initial_charge_level, d.completed_at,
-             u.name AS "userName"
-      FROM deposits d
-      JOIN users u ON d.user_id = u.user_id
-      WHERE d.slot_id = $1 AND d.session_type = 'deposit' AND d.status = 'completed'
-      ORDER BY d.completed_at DESC
-      LIMIT 1
-    `, [slotId]);
-
-    if (depositRes.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(400).json({ error: 'No deposited battery found in this slot. No withdrawal session to complete.' });
-    }
-
-    const { id: depositCreditId, user_id: userId, initial_charge_level: slotInitialSoc, userName } = depositRes.rows[0];
-
-    // 3. Guard: ensure there is no active withdrawal on this slot
-    const activeWithdrawalRes = await client.query(`
-      SELECT 1 FROM deposits
-      WHERE slot_id = $1 AND session_type = 'withdrawal' AND status IN ('pending', 'in_progress')
-      LIMIT 1
-    `, [slotId]);
-
-    if (activeWithdrawalRes.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return res.status(409).json({ error: 'An active withdrawal session already exists on this slot. Resolve it first.' });
-    }
-
-    // 4. Stop charging via Firebase command
-    const db = getDatabase();
-    const commandRef = db.ref(`booths/${boothUid}/slots/${slotIdentifier}/command`);
-    await commandRef.update({ stopCharging: true });
-
-    // 5. Fetch pricing
-    const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'pricing'");
-    if (settingsRes.rows.length === 0) {
-      await client.query('ROLLBACK');
-      return res.status(500).json({ error: 'Pricing settings are not configured in the database.' });
+    const approval = await requestCommandApproval(client, {
+      action: 'manual_withdraw',
+      boothUid,
+      slotIdentifier,
+      payload: {},
+      requestedBy: req.user.uid,
+      reason,
+    });
+    if (approval) {
+      setAuditContext(res, {
+        action: 'command_approval.request',
+        targetType: 'slot',
+        targetId: `${boothUid}/${slotIdentifier}`,
+        after: { approvalId: approval.id, action: 'manual_withdraw' },
+      });
+      return res.status(202).json({ message: 'Manual withdrawal is waiting for approval by a second admin.', approval: formatCommandApproval(approval) });
     }
 
-    const pricingRules = settingsRes.rows[0].value;
-    const baseSwapFee = pricingRules.base_swap_fee;
-    const costPerChargePercent = pricingRules.cost_per_charge_percent;
-
-    // 6. Read current SOC from Firebase telemetry, fallback to DB
-    const slotRef = db.ref(`booths/${boothUid}/slots/${slotIdentifier}`);
-    const snapshot = await slotRef.get();
-    const slotData = snapshot.exists() ? snapshot.val() : null;
+    const withdrawal = await manualWithdrawBattery(client, boothUid, slotIdentifier, { requestedBy: req.user.uid });
 
-    const { extractValidSoc } = require('../booths/shared');
-    const currentChargeLevel = Number(extractValidSoc(slotData, dbChargeLevel) ?? 0);
-
-    // 7. Calculate cost
-    const chargeAddedToBattery = Math.max(
-      0,
-      currentChargeLevel - Number(slotInitialSoc || 0)
-    );
-    const chargeComponent = chargeAddedToBattery * Number(costPerChargePercent || 0);
-    const totalCost = Number(Math.max(baseSwapFee, chargeComponent).toFixed(2));
-
-    // 8. Create withdrawal session (completed) and redeem the deposit credit
-    const insertRes = await client.query(`
-      INSERT INTO deposits
-        (user_id, booth_id, slot_id, session_type, status, amount, initial_charge_level, consumed_deposit_id, completed_at, notes)
-      VALUES
-        ($1, $2, $3, 'withdrawal', 'completed', $4, $5, $6, NOW(), 'Manual admin withdraw — physical payment collected')
-      RETURNING id
-    `, [userId, boothId, slotId, totalCost, currentChargeLevel, depositCreditId]);
-
-    const newSessionId = insertRes.rows[0].id;
-
-    // 9. Finalize the slot state using the same shared logic as paid withdrawals.
-    // Pass the newSessionId so the CTE matches the just-inserted completed withdrawal
-    // and the deposit credit is properly redeemed.
-    await finalizeWithdrawalSession(client, slotId, slotIdentifier, newSessionId);
-
-    await client.query('COMMIT');
-
-    // 10. Send openForCollection to Firebase to release the battery
-    await commandRef.update({ openForCollection: true });
-
-    logger.info(`Admin (UID: ${req.user.uid}) manually withdrew battery from ${boothUid}/${slotIdentifier}. ` +
-      `Session ${newSessionId} created for user ${userId} (${userName}), amount KES ${totalCost}.`);
+    setAuditContext(res, {
+      action: 'slot.manual_withdraw',
+      targetType: 'slot',
+      targetId: `${boothUid}/${slotIdentifier}`,
+      before: { depositSessionId: withdrawal.depositSessionId, userId: withdrawal.userId },
+      after: { sessionId: withdrawal.sessionId, userId: withdrawal.userId, amount: withdrawal.amount, paymentMethod: 'cash', openForCollection: true },
+    });
 
     res.status(200).json({
       message: `Manual withdrawal completed for slot ${slotIdentifier}. Door released.`,
-      sessionId: newSessionId,
-      user: { id: userId, name: userName },
-      amount: totalCost,
+      sessionId: withdrawal.sessionId,
+      user: { id: withdrawal.userId, name: withdrawal.userName },
+      amount: withdrawal.amount,
+      breakdown: withdrawal.price.lines,
     });
   } catch (error) {
-    await client.query('ROLLBACK');
+    if (BOOTH_COMMAND_ERRORS[error.message]) {
+      const { status, message } = BOOTH_COMMAND_ERRORS[error.message];
+      return res.status(status).json({ error: message });
+    }
+    if (error.message === 'APPROVAL_ALREADY_PENDING') {
+      return res.status(409).json({ error: 'Approval pending', message: 'A manual withdrawal from this slot is already waiting for approval.' });
+    }
     logger.error(`Failed manual withdrawal for ${boothUid}/${slotIdentifier}:`, error);
     res.status(500).json({ error: 'Failed to complete manual withdrawal.', details: error.message });
   } finally {
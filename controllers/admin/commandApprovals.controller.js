@@ -0,0 +1,271 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { setAuditContext } = require('../../middleware/auditLog');
+const { boothScopeCondition, isBoothInScope } = require('../../utils/permissions');
+const { BOOTH_COMMAND_ERRORS } = require('../../utils/boothCommands');
+const {
+  COMMAND_APPROVAL_ACTIONS,
+  COMMAND_APPROVAL_STATUSES,
+  formatCommandApproval,
+  claimCommandApproval,
+  executeCommandApproval,
+  rejectCommandApproval,
+} = require('../../utils/commandApprovals');
+
+const router = Router();
+
+/**
+ * Checks that the admin's booth scope, if any, covers an approval request's booth.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} req - Express request object, after `requirePermission`.
+ * @param {string|number} approvalId - The approval request.
+ * @returns {Promise<boolean>} True if the admin may decide on the request (or it does not exist).
+ */
+async function canDecide(client, req, approvalId) {
+  if (!req.permissionScope) {
+    return true;
+  }
+  const approvalRes = await client.query('SELECT booth_uid FROM command_approvals WHERE id = $1', [approvalId]);
+  return approvalRes.rowCount === 0 || isBoothInScope(client, req.permissionScope, approvalRes.rows[0].booth_uid);
+}
+
+/**
+ * GET /api/admin/command-approvals
+ * @summary List command approval requests
+ * @description Retrieves the high-risk booth commands (force unlock, slot reset, manual withdrawal) that were held for a second admin's approval, newest first. A booth-scoped role only sees requests for its booths.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [pending, approved, executed, failed, rejected, expired]
+ *     description: Filter by status.
+ *   - in: query
+ *     name: action
+ *     type: string
+ *     enum: [force_unlock, open_door, reset_slots, manual_withdraw]
+ *     description: Filter by action.
+ *   - in: query
+ *     name: boothUid
+ *     type: string
+ *     description: Filter by booth.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of approval requests.
+ *   400:
+ *     description: Invalid status or action filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/command-approvals', [verifyFirebaseToken, requirePermission('booths:read', { scopedList: true })], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { status, action, boothUid } = req.query;
+
+  if (status && !COMMAND_APPROVAL_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${COMMAND_APPROVAL_STATUSES.join(', ')}.` });
+  }
+  if (action && !COMMAND_APPROVAL_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `Invalid action '${action}'. Must be one of: ${COMMAND_APPROVAL_ACTIONS.join(', ')}.` });
+  }
+
+  const params = [];
+  const conditions = [];
+  const scopeCondition = boothScopeCondition(req.permissionScope, params);
+  if (scopeCondition) {
+    conditions.push(scopeCondition);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`ca.status = $${params.length}`);
+  }
+  if (action) {
+    params.push(action);
+    conditions.push(`ca.action = $${params.length}`);
+  }
+  if (boothUid) {
+    params.push(boothUid);
+    conditions.push(`ca.booth_uid = $${params.length}`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(
+      `SELECT COUNT(*) FROM command_approvals ca LEFT JOIN booths b ON b.booth_uid = ca.booth_uid ${whereClause}`,
+      params
+    );
+    const { rows } = await client.query(`
+      SELECT ca.*
+      FROM command_approvals ca
+      LEFT JOIN booths b ON b.booth_uid = ca.booth_uid
+      ${whereClause}
+      ORDER BY ca.created_at DESC, ca.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      approvals: rows.map(formatCommandApproval),
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch command approvals:', error);
+    res.status(500).json({ error: 'Failed to retrieve command approvals.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/command-approvals/:approvalId/approve
+ * @summary Approve and run a held booth command
+ * @description Approves a pending request and runs the command straight away. The approver must be a different admin from the requester and must approve before the request expires (`command_approvals.window_minutes`). Both are recorded on the sessions the command changes.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: approvalId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Approved and executed.
+ *   403:
+ *     description: The requester can not approve their own request, or the booth is outside the admin's scope.
+ *   400:
+ *     description: The command can no longer be carried out (e.g. the battery has already been collected).
+ *   404:
+ *     description: Request not found.
+ *   409:
+ *     description: Request is no longer pending or has expired, or a withdrawal is in progress on the slot.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/command-approvals/:approvalId/approve', [verifyFirebaseToken, requirePermission('booths:command', { scopedList: true })], async (req, res) => {
+  const { approvalId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    if (!(await canDecide(client, req, approvalId))) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    const approval = await claimCommandApproval(client, approvalId, req.user.uid);
+    const result = await executeCommandApproval(client, approval);
+
+    setAuditContext(res, {
+      action: 'command_approval.approve',
+      targetType: approval.slot_identifier ? 'slot' : 'booth',
+      targetId: approval.slot_identifier ? `${approval.booth_uid}/${approval.slot_identifier}` : approval.booth_uid,
+      before: { approvalId: approval.id, action: approval.action, requestedBy: approval.requested_by },
+      after: result,
+    });
+    res.status(200).json({ message: 'Command approved and executed.', approval: { ...formatCommandApproval(approval), status: 'executed', result } });
+  } catch (error) {
+    if (error.message === 'APPROVAL_NOT_FOUND') {
+      return res.status(404).json({ error: 'Approval request not found.' });
+    }
+    if (error.message === 'SELF_APPROVAL') {
+      return res.status(403).json({ error: 'Forbidden', message: 'A second admin must approve this request.' });
+    }
+    if (error.message === 'APPROVAL_NOT_PENDING') {
+      return res.status(409).json({ error: 'Invalid status', message: 'Only pending requests can be approved.' });
+    }
+    if (error.message === 'APPROVAL_EXPIRED') {
+      return res.status(409).json({ error: 'Invalid status', message: 'The approval window has passed; the command must be requested again.' });
+    }
+    if (BOOTH_COMMAND_ERRORS[error.message]) {
+      const { status, message } = BOOTH_COMMAND_ERRORS[error.message];
+      return res.status(status).json({ error: message });
+    }
+    logger.error(`Failed to approve command ${approvalId}:`, error);
+    res.status(500).json({ error: 'Failed to approve command.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/command-approvals/:approvalId/reject
+ * @summary Reject a held booth command
+ * @description Rejects a pending request so the command is never run. The requester can use this to withdraw their own request.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: approvalId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: false
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           note:
+ *             type: string
+ *             description: Why the command was rejected.
+ * @responses
+ *   200:
+ *     description: Request rejected.
+ *   403:
+ *     description: The booth is outside the admin's scope.
+ *   404:
+ *     description: Request not found.
+ *   409:
+ *     description: Request is no longer pending.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/command-approvals/:approvalId/reject', [verifyFirebaseToken, requirePermission('booths:command', { scopedList: true })], async (req, res) => {
+  const { approvalId } = req.params;
+  const { note = null } = req.body || {};
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    if (!(await canDecide(client, req, approvalId))) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    const approval = await rejectCommandApproval(client, approvalId, req.user.uid, note);
+
+    setAuditContext(res, {
+      action: 'command_approval.reject',
+      targetType: approval.slot_identifier ? 'slot' : 'booth',
+      targetId: approval.slot_identifier ? `${approval.booth_uid}/${approval.slot_identifier}` : approval.booth_uid,
+      before: { approvalId: approval.id, action: approval.action, requestedBy: approval.requested_by },
+      after: { status: 'rejected', note },
+    });
+    logger.info(`Admin (UID: ${req.user.uid}) rejected ${approval.action} ${approvalId} on ${approval.booth_uid} requested by ${approval.requested_by}.`);
+    res.status(200).json({ message: 'Command rejected.', approval: formatCommandApproval(approval) });
+  } catch (error) {
+    if (error.message === 'APPROVAL_NOT_FOUND') {
+      return res.status(404).json({ error: 'Approval request not found.' });
+    }
+    if (error.message === 'APPROVAL_NOT_PENDING') {
+      return res.status(409).json({ error: 'Invalid status', message: 'Only pending requests can be rejected.' });
+    }
+    logger.error(`Failed to reject command ${approvalId}:`, error);
+    res.status(500).json({ error: 'Failed to reject command.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { ACCOUNTS, postJournalEntry } = require('../../utils/ledger');
+const { creditWallet, debitWallet } = require('../../utils/wallet');
+
+const router = Router();
+
+// Assets and expenses grow with debits; liabilities and revenue grow with credits.
+const NATURAL_BALANCE_SQL = `
+  CASE WHEN a.account_type IN ('asset', 'expense')
+       THEN SUM(l.debit) - SUM(l.credit)
+       ELSE SUM(l.credit) - SUM(l.debit)
+  END`;
+
+const GROUP_BY_COLUMNS = {
+  account: { select: '', groupBy: '' },
+  user: { select: 'l.user_id AS "userId", u.name AS "userName",', groupBy: 'l.user_id, u.name,' },
+  booth: { select: 'b.booth_uid AS "boothUid", b.name AS "boothName",', groupBy: 'b.booth_uid, b.name,' },
+};
+
+/**
+ * GET /api/admin/ledger/balances
+ * @summary Get ledger account balances
+ * @description Sums journal lines per account, optionally broken down per rider or per booth. Balances use each account's natural sign (assets/expenses debit-positive, liabilities/revenue credit-positive).
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: groupBy
+ *     type: string
+ *     enum: [account, user, booth]
+ *     default: account
+ *     description: Dimension to break balances down by.
+ *   - in: query
+ *     name: userId
+ *     type: string
+ *     description: Only include lines for this rider.
+ *   - in: query
+ *     name: boothUid
+ *     type: string
+ *     description: Only include lines for this booth.
+ *   - in: query
+ *     name: startDate
+ *     type: string
+ *     description: Only include entries on or after this date (ISO).
+ *   - in: query
+ *     name: endDate
+ *     type: string
+ *     description: Only include entries on or before this date (ISO).
+ * @responses
+ *   200:
+ *     description: Account balances.
+ *   400:
+ *     description: Invalid groupBy value.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/ledger/balances', [verifyFirebaseToken, requirePermission('payments:read')], async (req, res) => {
+  const { groupBy = 'account', userId, boothUid, startDate, endDate } = req.query;
+  const grouping = GROUP_BY_COLUMNS[groupBy];
+
+  if (!grouping) {
+    return res.status(400).json({ error: `Invalid groupBy '${groupBy}'. Must be one of: ${Object.keys(GROUP_BY_COLUMNS).join(', ')}.` });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (userId) {
+    params.push(userId);
+    conditions.push(`l.user_id = $${params.length}`);
+  }
+  if (boothUid) {
+    params.push(boothUid);
+    conditions.push(`b.booth_uid = $${params.length}`);
+  }
+  if (startDate) {
+    params.push(startDate);
+    conditions.push(`e.created_at >= $${params.length}`);
+  }
+  if (endDate) {
+    params.push(endDate);
+    conditions.push(`e.created_at <= $${params.length}`);
+  }
+  if (groupBy === 'user') {
+    conditions.push('l.user_id IS NOT NULL');
+  }
+  if (groupBy === 'booth') {
+    conditions.push('l.booth_id IS NOT NULL');
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`
+      SELECT
+        ${grouping.select}
+        a.code AS "accountCode",
+        a.name AS "accountName",
+        a.account_type AS "accountType",
+        SUM(l.debit) AS "totalDebit",
+        SUM(l.credit) AS "totalCredit",
+        ${NATURAL_BALANCE_SQL} AS balance
+      FROM journal_lines l
+      JOIN journal_entries e ON e.id = l.entry_id
+      JOIN ledger_accounts a ON a.code = l.account_code
+      LEFT JOIN users u ON u.user_id = l.user_id
+      LEFT JOIN booths b ON b.id = l.booth_id
+      ${whereClause}
+      GROUP BY ${grouping.groupBy} a.code, a.name, a.account_type
+      ORDER BY ${grouping.groupBy} a.code
+    `, params);
+
+    res.status(200).json({
+      groupBy,
+      balances: rows.map((row) => ({
+        ...row,
+        totalDebit: parseFloat(row.totalDebit),
+        totalCredit: parseFloat(row.totalCredit),
+        balance: parseFloat(row.balance),
+      })),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch ledger balances:', error);
+    res.status(500).json({ error: 'Failed to retrieve ledger balances.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/ledger/entries
+ * @summary List journal entries
+ * @description Retrieves a paginated list of journal entries with their debit and credit lines.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ *   - in: query
+ *     name: entryType
+ *     type: string
+ *     enum: [stk_charge, wallet_topup, wallet_payment, cash_payment, refund, adjustment]
+ *     description: Filter by entry type.
+ *   - in: query
+ *     name: referenceType
+ *     type: string
+ *     description: Filter by reference type (e.g. session).
+ *   - in: query
+ *     name: referenceId
+ *     type: string
+ *     description: Filter by reference ID (e.g. a session ID).
+ *   - in: query
+ *     name: userId
+ *     type: string
+ *     description: Only entries with a line for this rider.
+ * @responses
+ *   200:
+ *     description: A list of journal entries.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/ledger/entries', [verifyFirebaseToken, requirePermission('payments:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { entryType, referenceType, referenceId, userId } = req.query;
+
+  const conditions = [];
+  const params = [];
+  if (entryType) {
+    params.push(entryType);
+    conditions.push(`e.entry_type = $${params.length}`);
+  }
+  if (referenceType) {
+    params.push(referenceType);
+    conditions.push(`e.reference_type = $${params.length}`);
+  }
+  if (referenceId) {
+    params.push(String(referenceId));
+    conditions.push(`e.reference_id = $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`EXISTS (SELECT 1 FROM journal_lines ul WHERE ul.entry_id = e.id AND ul.user_id = $${params.length})`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM journal_entries e ${whereClause}`, params);
+
+    const { rows } = await client.query(`
+      SELECT
+        e.id,
+        e.entry_type AS "entryType",
+        e.reference_type AS "referenceType",
+        e.reference_id AS "referenceId",
+        e.external_reference AS "externalReference",
+        e.description,
+        e.created_by AS "createdBy",
+        e.created_at AS "createdAt",
+        (
+          SELECT json_agg(json_build_object(
+            'accountCode', l.account_code,
+            'userId', l.user_id,
+            'boothId', l.booth_id,
+            'debit', l.debit,
+            'credit', l.credit
+          ) ORDER BY l.id)
+          FROM journal_lines l
+          WHERE l.entry_id = e.id
+        ) AS lines
+      FROM journal_entries e
+      ${whereClause}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      entries: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch journal entries:', error);
+    res.status(500).json({ error: 'Failed to retrieve journal entries.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/ledger/adjustments
+ * @summary Post a manual wallet adjustment
+ * @description Credits or debits a rider's wallet (e.g. goodwill credit or correcting an error) and books a balanced 'adjustment' journal entry against the adjustments account.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [userId, amount, direction, reason]
+ *         properties:
+ *           userId:
+ *             type: string
+ *           amount:
+ *             type: number
+ *           direction:
+ *             type: string
+ *             enum: [credit, debit]
+ *           reason:
+ *             type: string
+ * @responses
+ *   201:
+ *     description: Adjustment posted.
+ *   400:
+ *     description: Invalid input or insufficient wallet balance for a debit.
+ *   404:
+ *     description: User not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/ledger/adjustments', [verifyFirebaseToken, requirePermission('payments:write')], async (req, res) => {
+  const { userId, direction, reason } = req.body;
+  const amount = Number(req.body.amount);
+
+  if (!userId || !reason || !['credit', 'debit'].includes(direction) || !Number.isFinite(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'userId, a positive amount, direction (credit or debit) and reason are required.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const walletDetails = { source: 'adjustment', description: reason };
+    const { balance } = direction === 'credit'
+      ? await creditWallet(client, userId, amount, walletDetails)
+      : await debitWallet(client, userId, amount, walletDetails);
+
+    const walletLine = { account: ACCOUNTS.WALLET_LIABILITY, userId };
+    const adjustmentLine = { account: ACCOUNTS.ADJUSTMENTS, userId };
+    const entryId = await postJournalEntry(client, {
+      entryType: 'adjustment',
+      referenceType: 'user',
+      referenceId: userId,
+      description: reason,
+      createdBy: req.user.uid,
+      lines: direction === 'credit'
+        ? [{ ...adjustmentLine, debit: amount }, { ...walletLine, credit: amount }]
+        : [{ ...walletLine, debit: amount }, { ...adjustmentLine, credit: amount }],
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Admin (UID: ${req.user.uid}) posted wallet ${direction} adjustment of KES ${amount} for user ${userId} (entry ${entryId}).`);
+    res.status(201).json({ message: 'Adjustment posted.', entryId, balance });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.message === 'USER_NOT_FOUND') {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (error.message === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ error: 'Insufficient balance', message: 'The wallet balance is lower than the debit amount.' });
+    }
+
+    logger.error(`Failed to post ledger adjustment for user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to post adjustment.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { NOTIFICATION_TEMPLATE_NAMES } = require('../../utils/notifications');
+
+const router = Router();
+
+const NOTIFICATION_STATUSES = ['queued', 'sending', 'sent', 'failed', 'skipped'];
+const NOTIFICATION_CHANNELS = ['push', 'sms'];
+
+/**
+ * GET /api/admin/notifications
+ * @summary List rider notifications
+ * @description Retrieves a paginated delivery log of rider notifications, newest first. Every attempt is listed, including SMS fallbacks and those skipped because the rider opted out or has no FCM token or phone number.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: userId
+ *     type: string
+ *     description: Filter by rider UID.
+ *   - in: query
+ *     name: template
+ *     type: string
+ *     enum: [battery_ready, payment_received, session_cancelled, door_left_open, refund_issued]
+ *     description: Filter by template.
+ *   - in: query
+ *     name: channel
+ *     type: string
+ *     enum: [push, sms]
+ *     description: Filter by channel.
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [queued, sending, sent, failed, skipped]
+ *     description: Filter by delivery status.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of notifications.
+ *   400:
+ *     description: Invalid template, channel or status filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/notifications', [verifyFirebaseToken, requirePermission('notifications:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { userId, template, channel, status } = req.query;
+
+  if (template && !NOTIFICATION_TEMPLATE_NAMES.includes(template)) {
+    return res.status(400).json({ error: `Invalid template '${template}'. Must be one of: ${NOTIFICATION_TEMPLATE_NAMES.join(', ')}.` });
+  }
+  if (channel && !NOTIFICATION_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: `Invalid channel '${channel}'. Must be one of: ${NOTIFICATION_CHANNELS.join(', ')}.` });
+  }
+  if (status && !NOTIFICATION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${NOTIFICATION_STATUSES.join(', ')}.` });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (userId) {
+    params.push(userId);
+    conditions.push(`n.user_id = $${params.length}`);
+  }
+  if (template) {
+    params.push(template);
+    conditions.push(`n.template = $${params.length}`);
+  }
+  if (channel) {
+    params.push(channel);
+    conditions.push(`n.channel = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`n.status = $${params.length}`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM notifications n ${whereClause}`, params);
+
+    const { rows } = await client.query(`
+      SELECT
+        n.id,
+        n.user_id AS "userId",
+        u.name AS "userName",
+        n.template,
+        n.channel,
+        n.title,
+        n.body,
+        n.data,
+        n.status,
+        n.error,
+        n.provider_message_id AS "providerMessageId",
+        n.created_at AS "createdAt"
+      FROM notifications n
+      LEFT JOIN users u ON u.user_id = n.user_id
+      ${whereClause}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      notifications: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch notifications:', error);
+    res.status(500).json({ error: 'Failed to retrieve notifications.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
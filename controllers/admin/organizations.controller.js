@@ -0,0 +1,423 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { normalizeMemberPhone, markInvoicePaid } = require('../../utils/organizations');
+
+const router = Router();
+
+const ORGANIZATION_STATUSES = ['active', 'suspended'];
+const INVOICE_STATUSES = ['issued', 'paid', 'void'];
+
+const ORGANIZATION_COLUMNS = `
+  o.id,
+  o.name,
+  o.billing_email AS "billingEmail",
+  o.billing_phone AS "billingPhone",
+  o.payment_terms_days AS "paymentTermsDays",
+  o.status,
+  o.created_by AS "createdBy",
+  o.created_at AS "createdAt",
+  (
+    SELECT COUNT(*)::int FROM organization_members m
+    WHERE m.organization_id = o.id AND m.status = 'active'
+  ) AS "activeMembers",
+  (
+    SELECT COALESCE(SUM(i.amount), 0) FROM organization_invoices i
+    WHERE i.organization_id = o.id AND i.status = 'issued'
+  ) AS "outstandingAmount"`;
+
+/**
+ * Validates an organisation request body and maps it to column values.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for PATCH, where every field is optional.
+ * @returns {{errors: string[], fields: object}} Validation errors and the column values to write.
+ */
+function parseOrganizationInput(body, partial) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      errors.push('name is required.');
+    }
+    fields.name = typeof body.name === 'string' ? body.name.trim() : body.name;
+  }
+  if (has('billingEmail')) {
+    fields.billing_email = body.billingEmail || null;
+  }
+  if (has('billingPhone')) {
+    fields.billing_phone = body.billingPhone || null;
+  }
+  if (has('paymentTermsDays')) {
+    if (!(Number.isInteger(body.paymentTermsDays) && body.paymentTermsDays >= 0)) {
+      errors.push('paymentTermsDays must be a non-negative integer.');
+    }
+    fields.payment_terms_days = body.paymentTermsDays;
+  }
+  if (has('status')) {
+    if (!ORGANIZATION_STATUSES.includes(body.status)) {
+      errors.push(`status must be one of: ${ORGANIZATION_STATUSES.join(', ')}.`);
+    }
+    fields.status = body.status;
+  }
+
+  return { errors, fields };
+}
+
+/**
+ * Formats an organisation row for the API.
+ * @param {object} row - A row selected with ORGANIZATION_COLUMNS.
+ * @returns {object} The organisation with numeric amounts.
+ */
+function formatOrganization(row) {
+  return { ...row, outstandingAmount: parseFloat(row.outstandingAmount) };
+}
+
+/**
+ * GET /api/admin/organizations
+ * @summary List organisations
+ * @description Retrieves every fleet/corporate account with its active member count and unpaid invoice total.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: A list of organisations.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/organizations', [verifyFirebaseToken, requirePermission('organizations:read')], async (req, res) => {
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`SELECT ${ORGANIZATION_COLUMNS} FROM organizations o ORDER BY o.name ASC, o.id ASC`);
+    res.status(200).json({ organizations: rows.map(formatOrganization) });
+  } catch (error) {
+    logger.error('Failed to fetch organizations:', error);
+    res.status(500).json({ error: 'Failed to retrieve organisations.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/organizations
+ * @summary Create an organisation
+ * @description Creates a fleet/corporate account and invites its first org admin by phone. The org admin then invites riders and sets their spending limits from the app.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [name, adminPhone]
+ *         properties:
+ *           name:
+ *             type: string
+ *           billingEmail:
+ *             type: string
+ *           billingPhone:
+ *             type: string
+ *           paymentTermsDays:
+ *             type: integer
+ *             default: 14
+ *             description: Days after the end of the billing month an invoice is due.
+ *           adminPhone:
+ *             type: string
+ *             description: Phone number of the rider who will manage the organisation.
+ * @responses
+ *   201:
+ *     description: Organisation created.
+ *   400:
+ *     description: Invalid input.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/organizations', [verifyFirebaseToken, requirePermission('organizations:write')], async (req, res) => {
+  const body = req.body || {};
+  const { errors, fields } = parseOrganizationInput(body, false);
+  const adminPhone = normalizeMemberPhone(body.adminPhone);
+  if (!adminPhone) {
+    errors.push('adminPhone must be a valid phone number.');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid organisation', message: errors.join(' ') });
+  }
+
+  const columns = [...Object.keys(fields), 'created_by'];
+  const values = [...Object.values(fields), req.user.uid];
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const insertRes = await client.query(
+      `INSERT INTO organizations (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING id`,
+      values
+    );
+    const organizationId = insertRes.rows[0].id;
+
+    await client.query(
+      `INSERT INTO organization_members (organization_id, phone, role, invited_by)
+       VALUES ($1, $2, 'admin', $3)`,
+      [organizationId, adminPhone, req.user.uid]
+    );
+    await client.query('COMMIT');
+
+    const { rows } = await client.query(`SELECT ${ORGANIZATION_COLUMNS} FROM organizations o WHERE o.id = $1`, [organizationId]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) created organization '${fields.name}' and invited ${adminPhone} as its admin.`);
+    res.status(201).json(formatOrganization(rows[0]));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Failed to create organization:', error);
+    res.status(500).json({ error: 'Failed to create organisation.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PATCH /api/admin/organizations/:orgId
+ * @summary Update an organisation
+ * @description Updates billing details or payment terms. Set `status: 'suspended'` to stop members billing swaps to the organisation; they can still pay with M-Pesa or their wallet.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: orgId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           name:
+ *             type: string
+ *           billingEmail:
+ *             type: string
+ *           billingPhone:
+ *             type: string
+ *           paymentTermsDays:
+ *             type: integer
+ *           status:
+ *             type: string
+ *             enum: [active, suspended]
+ * @responses
+ *   200:
+ *     description: Organisation updated.
+ *   400:
+ *     description: Invalid input.
+ *   404:
+ *     description: Organisation not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.patch('/organizations/:orgId', [verifyFirebaseToken, requirePermission('organizations:write')], async (req, res) => {
+  const { orgId } = req.params;
+  const { errors, fields } = parseOrganizationInput(req.body || {}, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid organisation', message: errors.join(' ') });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'No fields provided to update.' });
+  }
+
+  const assignments = Object.keys(fields).map((column, i) => `${column} = $${i + 2}`);
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const updateRes = await client.query(
+      `UPDATE organizations SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`,
+      [orgId, ...Object.values(fields)]
+    );
+    if (updateRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Organisation not found.' });
+    }
+    const { rows } = await client.query(`SELECT ${ORGANIZATION_COLUMNS} FROM organizations o WHERE o.id = $1`, [orgId]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) updated organization ${orgId}: ${Object.keys(fields).join(', ')}.`);
+    res.status(200).json(formatOrganization(rows[0]));
+  } catch (error) {
+    logger.error(`Failed to update organization ${orgId}:`, error);
+    res.status(500).json({ error: 'Failed to update organisation.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/organization-invoices
+ * @summary List organisation invoices
+ * @description Retrieves monthly invoices, newest period first. Invoices are issued on the 1st of each month by the invoice cron job.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: orgId
+ *     type: integer
+ *     description: Filter by organisation.
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [issued, paid, void]
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of invoices.
+ *   400:
+ *     description: Invalid status filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/organization-invoices', [verifyFirebaseToken, requirePermission('organizations:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { orgId, status } = req.query;
+
+  if (status && !INVOICE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${INVOICE_STATUSES.join(', ')}.` });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (orgId) {
+    params.push(orgId);
+    conditions.push(`i.organization_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`i.status = $${params.length}`);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM organization_invoices i ${whereClause}`, params);
+
+    const { rows } = await client.query(`
+      SELECT
+        i.id,
+        i.organization_id AS "organizationId",
+        o.name AS "organizationName",
+        i.period_start AS "periodStart",
+        i.period_end AS "periodEnd",
+        i.session_count AS "sessionCount",
+        i.amount,
+        i.status,
+        i.due_at AS "dueAt",
+        i.paid_at AS "paidAt",
+        i.payment_method AS "paymentMethod",
+        i.payment_reference AS "paymentReference",
+        i.recorded_by AS "recordedBy",
+        i.created_at AS "issuedAt"
+      FROM organization_invoices i
+      JOIN organizations o ON o.id = i.organization_id
+      ${whereClause}
+      ORDER BY i.period_start DESC, i.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      invoices: rows.map((row) => ({ ...row, amount: parseFloat(row.amount) })),
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch organization invoices:', error);
+    res.status(500).json({ error: 'Failed to retrieve invoices.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/organization-invoices/:invoiceId/mark-paid
+ * @summary Record payment of an invoice
+ * @description Marks an issued invoice as paid and posts an `invoice_payment` journal entry that clears the receivable.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: invoiceId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [method]
+ *         properties:
+ *           method:
+ *             type: string
+ *             enum: [mpesa, bank, cash]
+ *           reference:
+ *             type: string
+ *             description: M-Pesa receipt or bank transfer reference.
+ * @responses
+ *   200:
+ *     description: Invoice marked as paid.
+ *   400:
+ *     description: Invalid payment method.
+ *   404:
+ *     description: Invoice not found.
+ *   409:
+ *     description: The invoice is already paid or void.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/organization-invoices/:invoiceId/mark-paid', [verifyFirebaseToken, requirePermission('payments:write')], async (req, res) => {
+  const { invoiceId } = req.params;
+  const { method, reference } = req.body || {};
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const invoice = await markInvoicePaid(client, invoiceId, { method, reference: reference || null, recordedBy: req.user.uid });
+    await client.query('COMMIT');
+
+    logger.info(`Admin (UID: ${req.user.uid}) marked invoice ${invoiceId} (organization ${invoice.organizationId}) as paid via ${method}.`);
+    res.status(200).json({ message: `Invoice ${invoiceId} marked as paid.`, invoice });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.message === 'INVALID_PAYMENT_METHOD') {
+      return res.status(400).json({ error: 'Invalid payment method', message: 'method must be one of: mpesa, bank, cash.' });
+    }
+    if (error.message === 'INVOICE_NOT_FOUND') {
+      return res.status(404).json({ error: 'Invoice not found.' });
+    }
+    if (error.message === 'INVOICE_NOT_PAYABLE') {
+      return res.status(409).json({ error: 'Invoice not payable', message: 'Only issued invoices can be marked as paid.' });
+    }
+    logger.error(`Failed to mark invoice ${invoiceId} as paid:`, error);
+    res.status(500).json({ error: 'Failed to record invoice payment.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
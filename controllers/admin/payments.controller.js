@@ -1,7 +1,7 @@
 const { Router } = require('express');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
 
 const router = Router();
 
@@ -84,7 +84,7 @@ const router = Router();
  *   500:
  *     description: Internal server error.
  */
-router.get('/payments', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/payments', [verifyFirebaseToken, requirePermission('payments:read')], async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 50;
   const offset = parseInt(req.query.offset, 10) || 0;
   const { searchTerm, startDate, endDate, sortBy, sortOrder, status, boothUid } = req.query;
@@ -0,0 +1,388 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { normalizePromoCode } = require('../../utils/promotions');
+
+const router = Router();
+
+const PROMOTION_COLUMNS = `
+  p.id,
+  p.code,
+  p.description,
+  p.discount_type AS "discountType",
+  p.discount_value AS "discountValue",
+  p.valid_from AS "validFrom",
+  p.valid_until AS "validUntil",
+  p.max_redemptions AS "maxRedemptions",
+  p.max_redemptions_per_user AS "maxRedemptionsPerUser",
+  p.booth_uids AS "boothUids",
+  p.is_active AS "isActive",
+  p.created_by AS "createdBy",
+  p.created_at AS "createdAt",
+  p.updated_at AS "updatedAt",
+  (
+    SELECT COUNT(*)::int FROM deposits d
+    WHERE d.promotion_id = p.id AND d.session_type = 'withdrawal' AND d.status NOT IN ('cancelled', 'failed')
+  ) AS redemptions,
+  (
+    SELECT COALESCE(SUM(d.discount_amount), 0) FROM deposits d
+    WHERE d.promotion_id = p.id AND d.session_type = 'withdrawal' AND d.status = 'completed'
+  ) AS "totalDiscount"`;
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+/**
+ * Validates a promotion request body and maps it to column values.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for PATCH, where every field is optional.
+ * @returns {{errors: string[], fields: object}} Validation errors and the column values to write.
+ */
+function parsePromotionInput(body, partial) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('code') || !partial) {
+    const code = normalizePromoCode(body.code);
+    if (!PROMO_CODE_PATTERN.test(code)) {
+      errors.push('code must be 3-50 letters, digits, dashes or underscores.');
+    }
+    fields.code = code;
+  }
+  if (has('description')) {
+    fields.description = body.description || null;
+  }
+  if (has('discountType') || !partial) {
+    if (!['percentage', 'fixed'].includes(body.discountType)) {
+      errors.push("discountType must be 'percentage' or 'fixed'.");
+    }
+    fields.discount_type = body.discountType;
+  }
+  if (has('discountValue') || !partial) {
+    const value = Number(body.discountValue);
+    if (!Number.isFinite(value) || value <= 0) {
+      errors.push('discountValue must be a positive number.');
+    } else if (body.discountType === 'percentage' && value > 100) {
+      errors.push('A percentage discount cannot exceed 100.');
+    }
+    fields.discount_value = value;
+  }
+  for (const [key, column] of [['validFrom', 'valid_from'], ['validUntil', 'valid_until']]) {
+    if (has(key)) {
+      if (body[key] !== null && Number.isNaN(new Date(body[key]).getTime())) {
+        errors.push(`${key} must be an ISO date or null.`);
+      }
+      fields[column] = body[key];
+    }
+  }
+  for (const [key, column] of [['maxRedemptions', 'max_redemptions'], ['maxRedemptionsPerUser', 'max_redemptions_per_user']]) {
+    if (has(key)) {
+      if (body[key] !== null && !(Number.isInteger(body[key]) && body[key] > 0)) {
+        errors.push(`${key} must be a positive integer or null.`);
+      }
+      fields[column] = body[key];
+    }
+  }
+  if (has('boothUids')) {
+    if (body.boothUids !== null && !(Array.isArray(body.boothUids) && body.boothUids.every((uid) => typeof uid === 'string'))) {
+      errors.push('boothUids must be an array of booth UIDs or null.');
+    }
+    fields.booth_uids = body.boothUids;
+  }
+  if (has('isActive')) {
+    if (typeof body.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean.');
+    }
+    fields.is_active = body.isActive;
+  }
+
+  return { errors, fields };
+}
+
+/**
+ * Maps PostgreSQL constraint errors from promotion writes to an HTTP response.
+ * @param {object} res - The Express response.
+ * @param {any} error - The database error.
+ * @returns {boolean} True if a response was sent.
+ */
+function handlePromotionConstraintError(res, error) {
+  if (error.code === '23505') {
+    res.status(409).json({ error: 'A promotion with this code already exists.' });
+    return true;
+  }
+  if (error.code === '23514') {
+    res.status(400).json({ error: 'Invalid promotion', message: 'Check the discount value and that validFrom is before validUntil.' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /api/admin/promotions
+ * @summary List promotions
+ * @description Retrieves promo codes with their live redemption count and the total discount given on completed withdrawals.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: active
+ *     type: boolean
+ *     description: Only active (true) or inactive (false) promotions.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of promotions.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/promotions', [verifyFirebaseToken, requirePermission('promotions:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { active } = req.query;
+
+  const params = [];
+  let whereClause = '';
+  if (active === 'true' || active === 'false') {
+    params.push(active === 'true');
+    whereClause = 'WHERE p.is_active = $1';
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM promotions p ${whereClause}`, params);
+    const { rows } = await client.query(`
+      SELECT ${PROMOTION_COLUMNS}
+      FROM promotions p
+      ${whereClause}
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      promotions: rows.map((row) => ({
+        ...row,
+        discountValue: parseFloat(row.discountValue),
+        totalDiscount: parseFloat(row.totalDiscount),
+      })),
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch promotions:', error);
+    res.status(500).json({ error: 'Failed to retrieve promotions.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/promotions
+ * @summary Create a promotion
+ * @description Creates a promo code riders can attach to `/api/booths/initiate-withdrawal`. Codes are case-insensitive and stored upper-case.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [code, discountType, discountValue]
+ *         properties:
+ *           code:
+ *             type: string
+ *           description:
+ *             type: string
+ *           discountType:
+ *             type: string
+ *             enum: [percentage, fixed]
+ *           discountValue:
+ *             type: number
+ *           validFrom:
+ *             type: string
+ *             format: date-time
+ *           validUntil:
+ *             type: string
+ *             format: date-time
+ *           maxRedemptions:
+ *             type: integer
+ *             description: Global cap across all riders. Omit for unlimited.
+ *           maxRedemptionsPerUser:
+ *             type: integer
+ *             description: Cap per rider. Omit for unlimited.
+ *           boothUids:
+ *             type: array
+ *             items:
+ *               type: string
+ *             description: Booths where the code is valid. Omit for every booth.
+ *           isActive:
+ *             type: boolean
+ * @responses
+ *   201:
+ *     description: Promotion created.
+ *   400:
+ *     description: Invalid input.
+ *   409:
+ *     description: The code already exists.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/promotions', [verifyFirebaseToken, requirePermission('promotions:write')], async (req, res) => {
+  const { errors, fields } = parsePromotionInput(req.body || {}, false);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid promotion', message: errors.join(' ') });
+  }
+
+  const columns = [...Object.keys(fields), 'created_by'];
+  const values = [...Object.values(fields), req.user.uid];
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const insertRes = await client.query(
+      `INSERT INTO promotions (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING id`,
+      values
+    );
+    const { rows } = await client.query(`SELECT ${PROMOTION_COLUMNS} FROM promotions p WHERE p.id = $1`, [insertRes.rows[0].id]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) created promotion ${fields.code}.`);
+    res.status(201).json(rows[0]);
+  } catch (error) {
+    if (handlePromotionConstraintError(res, error)) return;
+    logger.error('Failed to create promotion:', error);
+    res.status(500).json({ error: 'Failed to create promotion.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PATCH /api/admin/promotions/:promotionId
+ * @summary Update a promotion
+ * @description Updates any of the promotion fields. Set `isActive: false` to stop a code from being used while keeping its history.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: promotionId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         description: Same fields as POST /api/admin/promotions, all optional.
+ * @responses
+ *   200:
+ *     description: Promotion updated.
+ *   400:
+ *     description: Invalid input.
+ *   404:
+ *     description: Promotion not found.
+ *   409:
+ *     description: The new code already exists.
+ *   500:
+ *     description: Internal server error.
+ */
+router.patch('/promotions/:promotionId', [verifyFirebaseToken, requirePermission('promotions:write')], async (req, res) => {
+  const { promotionId } = req.params;
+  const { errors, fields } = parsePromotionInput(req.body || {}, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid promotion', message: errors.join(' ') });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'No fields provided to update.' });
+  }
+
+  const assignments = Object.keys(fields).map((column, i) => `${column} = $${i + 2}`);
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const updateRes = await client.query(
+      `UPDATE promotions SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`,
+      [promotionId, ...Object.values(fields)]
+    );
+    if (updateRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Promotion not found.' });
+    }
+    const { rows } = await client.query(`SELECT ${PROMOTION_COLUMNS} FROM promotions p WHERE p.id = $1`, [promotionId]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) updated promotion ${promotionId}: ${Object.keys(fields).join(', ')}.`);
+    res.status(200).json(rows[0]);
+  } catch (error) {
+    if (handlePromotionConstraintError(res, error)) return;
+    logger.error(`Failed to update promotion ${promotionId}:`, error);
+    res.status(500).json({ error: 'Failed to update promotion.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/admin/promotions/:promotionId
+ * @summary Delete a promotion
+ * @description Deletes a promotion that has never been used. Promotions with redemptions must be deactivated instead so withdrawal history keeps its discount source.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: promotionId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Promotion deleted.
+ *   404:
+ *     description: Promotion not found.
+ *   409:
+ *     description: The promotion has been used; deactivate it instead.
+ *   500:
+ *     description: Internal server error.
+ */
+router.delete('/promotions/:promotionId', [verifyFirebaseToken, requirePermission('promotions:write')], async (req, res) => {
+  const { promotionId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const usedRes = await client.query('SELECT 1 FROM deposits WHERE promotion_id = $1 LIMIT 1', [promotionId]);
+    if (usedRes.rowCount > 0) {
+      return res.status(409).json({
+        error: 'Promotion in use',
+        message: 'This promotion has been applied to withdrawals. Set isActive to false instead.',
+      });
+    }
+
+    const deleteRes = await client.query('DELETE FROM promotions WHERE id = $1 RETURNING code', [promotionId]);
+    if (deleteRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Promotion not found.' });
+    }
+
+    logger.info(`Admin (UID: ${req.user.uid}) deleted promotion ${deleteRes.rows[0].code}.`);
+    res.status(200).json({ message: `Promotion ${deleteRes.rows[0].code} deleted.` });
+  } catch (error) {
+    logger.error(`Failed to delete promotion ${promotionId}:`, error);
+    res.status(500).json({ error: 'Failed to delete promotion.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
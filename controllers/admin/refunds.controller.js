@@ -0,0 +1,391 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { createSessionRefund, processRefund, reconcileRefund } = require('../../utils/refunds');
+
+const router = Router();
+
+const REFUND_STATUSES = ['pending_approval', 'approved', 'processing', 'pending_confirmation', 'completed', 'failed', 'rejected'];
+
+/**
+ * GET /api/admin/refunds
+ * @summary List refunds
+ * @description Retrieves a paginated list of refunds, newest first, with the rider and booth they belong to.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [pending_approval, approved, processing, pending_confirmation, completed, failed, rejected]
+ *     description: Filter by refund status.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of refunds.
+ *   400:
+ *     description: Invalid status filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/refunds', [verifyFirebaseToken, requirePermission('payments:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { status } = req.query;
+
+  if (status && !REFUND_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${REFUND_STATUSES.join(', ')}.` });
+  }
+
+  const params = status ? [status] : [];
+  const whereClause = status ? 'WHERE r.status = $1' : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM refunds r ${whereClause}`, params);
+
+    const { rows } = await client.query(`
+      SELECT
+        r.id,
+        r.session_id AS "sessionId",
+        r.user_id AS "userId",
+        u.name AS "userName",
+        b.booth_uid AS "boothUid",
+        r.amount,
+        r.method,
+        r.phone,
+        r.reason,
+        r.status,
+        r.requested_by AS "requestedBy",
+        r.reviewed_by AS "reviewedBy",
+        r.reviewed_at AS "reviewedAt",
+        r.rejection_reason AS "rejectionReason",
+        r.mpesa_transaction_id AS "mpesaTransactionId",
+        r.result_code AS "resultCode",
+        r.result_desc AS "resultDesc",
+        r.attempts,
+        r.completed_at AS "completedAt",
+        r.created_at AS "createdAt"
+      FROM refunds r
+      LEFT JOIN users u ON u.user_id = r.user_id
+      LEFT JOIN booths b ON b.id = r.booth_id
+      ${whereClause}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      refunds: rows.map((row) => ({ ...row, amount: parseFloat(row.amount) })),
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch refunds:', error);
+    res.status(500).json({ error: 'Failed to retrieve refunds.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/refunds
+ * @summary Raise a refund for a session
+ * @description Manually raises a refund for a paid withdrawal session (e.g. after a rider complaint). Manually raised refunds always start as 'pending_approval'.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [sessionId, reason]
+ *         properties:
+ *           sessionId:
+ *             type: integer
+ *           reason:
+ *             type: string
+ * @responses
+ *   201:
+ *     description: Refund created.
+ *   400:
+ *     description: Missing fields or the session was not paid by M-Pesa or wallet.
+ *   404:
+ *     description: Session not found.
+ *   409:
+ *     description: The session already has an active refund.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/refunds', [verifyFirebaseToken, requirePermission('payments:write')], async (req, res) => {
+  const { sessionId, reason } = req.body;
+
+  if (!sessionId || !reason) {
+    return res.status(400).json({ error: 'sessionId and reason are required.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const refund = await createSessionRefund(client, sessionId, { reason, requestedBy: req.user.uid });
+    await client.query('COMMIT');
+
+    logger.info(`Admin (UID: ${req.user.uid}) raised refund ${refund.id} for session ${sessionId}.`);
+    res.status(201).json({ message: 'Refund created and awaiting approval.', refund });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.message === 'SESSION_NOT_FOUND') {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    if (error.message === 'NOT_REFUNDABLE') {
+      return res.status(400).json({ error: 'Not refundable', message: 'Only paid withdrawal sessions can be refunded, and account-billed ones only until they are invoiced.' });
+    }
+    if (error.message === 'REFUND_EXISTS') {
+      return res.status(409).json({ error: 'Refund exists', message: 'This session already has an active refund.' });
+    }
+
+    logger.error(`Failed to create refund for session ${sessionId}:`, error);
+    res.status(500).json({ error: 'Failed to create refund.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/refunds/:refundId/approve
+ * @summary Approve a refund
+ * @description Approves a refund that is pending approval, or retries a failed one, and immediately attempts the payout. Wallet refunds complete straight away; M-Pesa refunds move to 'processing' until the B2C result arrives, or to 'pending_confirmation' if M-Pesa did not answer the request.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: refundId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Refund approved; the response contains the new status.
+ *   404:
+ *     description: Refund not found.
+ *   409:
+ *     description: Refund is not pending approval or failed.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/refunds/:refundId/approve', [verifyFirebaseToken, requirePermission('payments:write')], async (req, res) => {
+  const { refundId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const refundRes = await client.query('SELECT status FROM refunds WHERE id = $1 FOR UPDATE', [refundId]);
+    if (refundRes.rowCount === 0) {
+      throw new Error('REFUND_NOT_FOUND');
+    }
+    if (!['pending_approval', 'failed'].includes(refundRes.rows[0].status)) {
+      throw new Error('INVALID_STATUS');
+    }
+
+    await client.query(
+      "UPDATE refunds SET status = 'approved', reviewed_by = $2, reviewed_at = NOW() WHERE id = $1",
+      [refundId, req.user.uid]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    client.release();
+
+    if (error.message === 'REFUND_NOT_FOUND') {
+      return res.status(404).json({ error: 'Refund not found.' });
+    }
+    if (error.message === 'INVALID_STATUS') {
+      return res.status(409).json({ error: 'Invalid status', message: 'Only refunds that are pending approval or failed can be approved.' });
+    }
+
+    logger.error(`Failed to approve refund ${refundId}:`, error);
+    return res.status(500).json({ error: 'Failed to approve refund.', details: error.message });
+  }
+
+  // The approval is committed first: processRefund() commits 'processing' before any B2C request goes out.
+  try {
+    const status = await processRefund(client, refundId, req.user.uid);
+
+    logger.info(`Admin (UID: ${req.user.uid}) approved refund ${refundId}. Status: ${status}.`);
+    res.status(200).json({ message: 'Refund approved.', refundId: Number(refundId), status });
+  } catch (error) {
+    // The approval stands; the refund cron picks the refund up again if it is still 'approved'.
+    logger.error(`Refund ${refundId} was approved but its payout failed to start:`, error);
+    res.status(500).json({ error: 'Refund approved, but the payout failed to start.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/refunds/:refundId/reconcile
+ * @summary Settle a refund whose payout outcome is unknown
+ * @description Settles a refund in 'pending_confirmation' (the B2C request or its result timed out) after checking the M-Pesa statement. A paid refund is completed and booked in the ledger; an unpaid one is marked 'failed' so it can be approved again.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: refundId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [paid]
+ *         properties:
+ *           paid:
+ *             type: boolean
+ *             description: Whether the payout reached the rider.
+ *           mpesaTransactionId:
+ *             type: string
+ *             description: The M-Pesa transaction ID of the payout; required when paid.
+ *           note:
+ *             type: string
+ * @responses
+ *   200:
+ *     description: Refund settled; the response contains the new status.
+ *   400:
+ *     description: Missing paid flag or transaction ID.
+ *   404:
+ *     description: Refund not found.
+ *   409:
+ *     description: Refund is not pending confirmation.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/refunds/:refundId/reconcile', [verifyFirebaseToken, requirePermission('payments:write')], async (req, res) => {
+  const { refundId } = req.params;
+  const { paid, mpesaTransactionId, note } = req.body;
+
+  if (typeof paid !== 'boolean') {
+    return res.status(400).json({ error: 'paid must be true or false.' });
+  }
+  if (paid && !mpesaTransactionId) {
+    return res.status(400).json({ error: 'mpesaTransactionId is required when the refund was paid.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const status = await reconcileRefund(client, refundId, {
+      paid,
+      transactionId: paid ? mpesaTransactionId : null,
+      note: note || null,
+      reconciledBy: req.user.uid,
+    });
+    await client.query('COMMIT');
+
+    res.status(200).json({ message: 'Refund reconciled.', refundId: Number(refundId), status });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.message === 'REFUND_NOT_FOUND') {
+      return res.status(404).json({ error: 'Refund not found.' });
+    }
+    if (error.message === 'INVALID_STATUS') {
+      return res.status(409).json({ error: 'Invalid status', message: 'Only refunds that are pending confirmation can be reconciled.' });
+    }
+
+    logger.error(`Failed to reconcile refund ${refundId}:`, error);
+    res.status(500).json({ error: 'Failed to reconcile refund.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/refunds/:refundId/reject
+ * @summary Reject a refund
+ * @description Rejects a refund that is pending approval or failed. No money is moved.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: refundId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [reason]
+ *         properties:
+ *           reason:
+ *             type: string
+ * @responses
+ *   200:
+ *     description: Refund rejected.
+ *   400:
+ *     description: Missing reason.
+ *   404:
+ *     description: Refund not found.
+ *   409:
+ *     description: Refund is not pending approval or failed.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/refunds/:refundId/reject', [verifyFirebaseToken, requirePermission('payments:write')], async (req, res) => {
+  const { refundId } = req.params;
+  const { reason } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A rejection reason is required.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const rejectRes = await client.query(
+      `UPDATE refunds
+       SET status = 'rejected', rejection_reason = $2, reviewed_by = $3, reviewed_at = NOW()
+       WHERE id = $1 AND status IN ('pending_approval', 'failed')
+       RETURNING id`,
+      [refundId, reason, req.user.uid]
+    );
+
+    if (rejectRes.rowCount === 0) {
+      const existsRes = await client.query('SELECT 1 FROM refunds WHERE id = $1', [refundId]);
+      if (existsRes.rowCount === 0) {
+        return res.status(404).json({ error: 'Refund not found.' });
+      }
+      return res.status(409).json({ error: 'Invalid status', message: 'Only refunds that are pending approval or failed can be rejected.' });
+    }
+
+    logger.info(`Admin (UID: ${req.user.uid}) rejected refund ${refundId}: ${reason}`);
+    res.status(200).json({ message: 'Refund rejected.', refundId: Number(refundId) });
+  } catch (error) {
+    logger.error(`Failed to reject refund ${refundId}:`, error);
+    res.status(500).json({ error: 'Failed to reject refund.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,14 @@
 const { Router } = require('express');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
 
 const router = Router();
 
 /**
  * GET /api/admin/problem-reports
  * @summary Retrieve user-submitted problem reports
- * @description Retrieves a paginated list of problem reports submitted by users. Can be filtered by status. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves a paginated list of problem reports submitted by users. Can be filtered by status. Requires the `reports:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -35,7 +35,7 @@ const router = Router();
  *   200:
  *     description: A list of problem reports.
  */
-router.get('/problem-reports', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/problem-reports', [verifyFirebaseToken, requirePermission('reports:read')], async (req, res) => {
   const status = req.query.status;
   const limit = parseInt(req.query.limit, 10) || 50;
   const offset = parseInt(req.query.offset, 10) || 0;
@@ -83,7 +83,7 @@ router.get('/problem-reports', [verifyFirebaseToken, isAdmin], async (req, res)
 /**
  * POST /api/admin/problem-reports/:reportId/status
  * @summary Update a problem report's status
- * @description Updates the status of a specific problem report. This is a protected route only accessible by users with the 'admin' role.
+ * @description Updates the status of a specific problem report. Requires the `reports:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -109,7 +109,7 @@ router.get('/problem-reports', [verifyFirebaseToken, isAdmin], async (req, res)
  *   200:
  *     description: Report status updated successfully.
  */
-router.post('/problem-reports/:reportId/status', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/problem-reports/:reportId/status', [verifyFirebaseToken, requirePermission('reports:write')], async (req, res) => {
   const { reportId } = req.params;
   const { status } = req.body;
   const validStatuses = ['open', 'investigating', 'resolved', 'wont_fix'];
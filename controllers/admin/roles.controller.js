@@ -0,0 +1,530 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { setAuditContext } = require('../../middleware/auditLog');
+const { PERMISSIONS } = require('../../utils/permissions');
+
+const router = Router();
+
+const ROLE_COLUMNS = `
+  r.id,
+  r.name,
+  r.description,
+  r.permissions,
+  r.is_system AS "isSystem",
+  r.created_at AS "createdAt",
+  r.updated_at AS "updatedAt",
+  (SELECT COUNT(*) FROM admin_role_assignments a WHERE a.role_id = r.id)::int AS "assignmentCount"`;
+
+const ASSIGNMENT_COLUMNS = `
+  a.id,
+  a.user_id AS "userId",
+  u.name AS "userName",
+  u.email AS "userEmail",
+  a.role_id AS "roleId",
+  r.name AS "roleName",
+  a.booth_uids AS "boothUids",
+  a.regions,
+  a.created_by AS "createdBy",
+  a.created_at AS "createdAt",
+  a.updated_at AS "updatedAt"`;
+
+/**
+ * Validates a role request body and maps it to column values.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for PATCH, where every field is optional.
+ * @returns {{errors: string[], fields: object}} Validation errors and the column values to write.
+ */
+function parseRoleInput(body, partial) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || !/^[a-z][a-z0-9_]{1,49}$/.test(body.name)) {
+      errors.push('name must be 2-50 lowercase letters, digits or underscores, starting with a letter.');
+    }
+    fields.name = body.name;
+  }
+  if (has('description')) {
+    fields.description = body.description || null;
+  }
+  if (has('permissions') || !partial) {
+    const { permissions } = body;
+    if (!Array.isArray(permissions) || !permissions.every((permission) => PERMISSIONS.includes(permission))) {
+      errors.push(`permissions must be a list of: ${PERMISSIONS.join(', ')}.`);
+    }
+    fields.permissions = Array.isArray(permissions) ? [...new Set(permissions)] : permissions;
+  }
+  return { errors, fields };
+}
+
+/**
+ * Validates an optional list of strings, such as booth UIDs or regions.
+ * @param {any} value - The raw value.
+ * @param {string} name - The field name, for the error message.
+ * @param {string[]} errors - Validation errors; appended to.
+ * @returns {string[]} The trimmed, de-duplicated values.
+ */
+function parseStringList(value, name, errors) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || !value.every((item) => typeof item === 'string' && item.trim() !== '')) {
+    errors.push(`${name} must be a list of non-empty strings.`);
+    return [];
+  }
+  return [...new Set(value.map((item) => item.trim()))];
+}
+
+/**
+ * GET /api/admin/roles
+ * @summary List staff roles
+ * @description Retrieves every staff role with its permissions and how many users hold it, plus the list of permissions a role can have. Firebase `admin` and `developer` users hold every permission without a role.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: The roles and the permission list.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/roles', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`SELECT ${ROLE_COLUMNS} FROM admin_roles r ORDER BY r.is_system DESC, r.name`);
+    res.status(200).json({ roles: rows, permissions: PERMISSIONS });
+  } catch (error) {
+    logger.error('Failed to fetch admin roles:', error);
+    res.status(500).json({ error: 'Failed to retrieve roles.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/roles
+ * @summary Create a staff role
+ * @description Creates a custom role from a set of permissions (see GET /api/admin/roles).
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [name, permissions]
+ *         properties:
+ *           name:
+ *             type: string
+ *             description: e.g. "night_shift_operator".
+ *           description:
+ *             type: string
+ *           permissions:
+ *             type: array
+ *             items:
+ *               type: string
+ * @responses
+ *   201:
+ *     description: Role created.
+ *   400:
+ *     description: Invalid input.
+ *   409:
+ *     description: A role with this name already exists.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/roles', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
+  const { errors, fields } = parseRoleInput(req.body || {}, false);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid role', message: errors.join(' ') });
+  }
+
+  const columns = Object.keys(fields);
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const insertRes = await client.query(
+      `INSERT INTO admin_roles (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       ON CONFLICT (name) DO NOTHING
+       RETURNING id`,
+      Object.values(fields)
+    );
+    if (insertRes.rowCount === 0) {
+      return res.status(409).json({ error: 'Duplicate role', message: `A role named '${fields.name}' already exists.` });
+    }
+    const { rows } = await client.query(`SELECT ${ROLE_COLUMNS} FROM admin_roles r WHERE r.id = $1`, [insertRes.rows[0].id]);
+
+    setAuditContext(res, { action: 'role.create', targetType: 'role', targetId: rows[0].id, after: rows[0] });
+    logger.info(`Admin (UID: ${req.user.uid}) created role '${fields.name}' with ${fields.permissions.length} permission(s).`);
+    res.status(201).json(rows[0]);
+  } catch (error) {
+    logger.error('Failed to create admin role:', error);
+    res.status(500).json({ error: 'Failed to create role.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PATCH /api/admin/roles/:roleId
+ * @summary Update a staff role
+ * @description Updates a role's description or permissions; the change applies to everyone holding it from their next request. The built-in roles (operator, support_agent, finance, technician) cannot be renamed.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: roleId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         description: Same fields as POST /api/admin/roles, all optional.
+ * @responses
+ *   200:
+ *     description: Role updated.
+ *   400:
+ *     description: Invalid input, or renaming a built-in role.
+ *   404:
+ *     description: Role not found.
+ *   409:
+ *     description: A role with this name already exists.
+ *   500:
+ *     description: Internal server error.
+ */
+router.patch('/roles/:roleId', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
+  const { roleId } = req.params;
+  const { errors, fields } = parseRoleInput(req.body || {}, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid role', message: errors.join(' ') });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'No fields provided to update.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const previousRes = await client.query(`SELECT ${ROLE_COLUMNS} FROM admin_roles r WHERE r.id = $1 FOR UPDATE`, [roleId]);
+    if (previousRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Role not found.' });
+    }
+    const previous = previousRes.rows[0];
+    if (previous.isSystem && fields.name !== undefined && fields.name !== previous.name) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid role', message: 'Built-in roles cannot be renamed.' });
+    }
+    if (fields.name !== undefined && fields.name !== previous.name) {
+      const duplicateRes = await client.query('SELECT 1 FROM admin_roles WHERE name = $1', [fields.name]);
+      if (duplicateRes.rowCount > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: 'Duplicate role', message: `A role named '${fields.name}' already exists.` });
+      }
+    }
+
+    const assignments = Object.keys(fields).map((column, i) => `${column} = $${i + 2}`);
+    await client.query(`UPDATE admin_roles SET ${assignments.join(', ')} WHERE id = $1`, [roleId, ...Object.values(fields)]);
+    const { rows } = await client.query(`SELECT ${ROLE_COLUMNS} FROM admin_roles r WHERE r.id = $1`, [roleId]);
+
+    await client.query('COMMIT');
+    setAuditContext(res, { action: 'role.update', targetType: 'role', targetId: roleId, before: previous, after: rows[0] });
+    logger.info(`Admin (UID: ${req.user.uid}) updated role '${rows[0].name}': ${Object.keys(fields).join(', ')}.`);
+    res.status(200).json(rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to update admin role ${roleId}:`, error);
+    res.status(500).json({ error: 'Failed to update role.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/admin/roles/:roleId
+ * @summary Delete a staff role
+ * @description Deletes a custom role. Built-in roles cannot be deleted, and a role still assigned to users must be unassigned first.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: roleId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Role deleted.
+ *   404:
+ *     description: Role not found.
+ *   409:
+ *     description: Built-in role, or still assigned.
+ *   500:
+ *     description: Internal server error.
+ */
+router.delete('/roles/:roleId', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
+  const { roleId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const roleRes = await client.query(`SELECT ${ROLE_COLUMNS} FROM admin_roles r WHERE r.id = $1`, [roleId]);
+    if (roleRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Role not found.' });
+    }
+    const role = roleRes.rows[0];
+    if (role.isSystem) {
+      return res.status(409).json({ error: 'Role in use', message: 'Built-in roles cannot be deleted.' });
+    }
+
+    const deleteRes = await client.query(
+      'DELETE FROM admin_roles r WHERE r.id = $1 AND NOT EXISTS (SELECT 1 FROM admin_role_assignments a WHERE a.role_id = r.id)',
+      [roleId]
+    );
+    if (deleteRes.rowCount === 0) {
+      return res.status(409).json({ error: 'Role in use', message: 'Unassign the role from every user before deleting it.' });
+    }
+
+    setAuditContext(res, { action: 'role.delete', targetType: 'role', targetId: roleId, before: role, after: null });
+    logger.info(`Admin (UID: ${req.user.uid}) deleted role '${role.name}'.`);
+    res.status(200).json({ message: `Role '${role.name}' deleted.` });
+  } catch (error) {
+    logger.error(`Failed to delete admin role ${roleId}:`, error);
+    res.status(500).json({ error: 'Failed to delete role.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/roles/assignments
+ * @summary List role assignments
+ * @description Retrieves which users hold which roles, and the booths or regions each assignment is limited to (empty lists mean every booth).
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: userId
+ *     type: string
+ *     description: Filter by user (Firebase UID).
+ *   - in: query
+ *     name: roleId
+ *     type: integer
+ *     description: Filter by role.
+ * @responses
+ *   200:
+ *     description: A list of role assignments.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/roles/assignments', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
+  const { userId, roleId } = req.query;
+
+  const conditions = [];
+  const params = [];
+  if (userId) {
+    params.push(userId);
+    conditions.push(`a.user_id = $${params.length}`);
+  }
+  if (roleId) {
+    params.push(roleId);
+    conditions.push(`a.role_id = $${params.length}`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`
+      SELECT ${ASSIGNMENT_COLUMNS}
+      FROM admin_role_assignments a
+      JOIN admin_roles r ON r.id = a.role_id
+      LEFT JOIN users u ON u.user_id = a.user_id
+      ${whereClause}
+      ORDER BY u.name, r.name
+    `, params);
+    res.status(200).json({ assignments: rows });
+  } catch (error) {
+    logger.error('Failed to fetch admin role assignments:', error);
+    res.status(500).json({ error: 'Failed to retrieve role assignments.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/roles/assignments
+ * @summary Assign a role to a user
+ * @description Gives a user a role, optionally limited to some booths and/or regions. A scoped role only covers routes about one of those booths, and the booth lists show only those booths. Assigning a role the user already holds replaces its scope.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [userId, roleId]
+ *         properties:
+ *           userId:
+ *             type: string
+ *             description: The user's Firebase UID.
+ *           roleId:
+ *             type: integer
+ *           boothUids:
+ *             type: array
+ *             items:
+ *               type: string
+ *           regions:
+ *             type: array
+ *             items:
+ *               type: string
+ * @responses
+ *   200:
+ *     description: Role assigned.
+ *   400:
+ *     description: Invalid input.
+ *   404:
+ *     description: User or role not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/roles/assignments', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
+  const { userId, roleId, boothUids, regions } = req.body || {};
+  const errors = [];
+  if (!userId || !roleId) {
+    errors.push('userId and roleId are required.');
+  }
+  const scopeBoothUids = parseStringList(boothUids, 'boothUids', errors);
+  const scopeRegions = parseStringList(regions, 'regions', errors);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid role assignment', message: errors.join(' ') });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const [userRes, roleRes] = await Promise.all([
+      client.query('SELECT 1 FROM users WHERE user_id = $1', [userId]),
+      client.query('SELECT name FROM admin_roles WHERE id = $1', [roleId]),
+    ]);
+    if (userRes.rowCount === 0) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (roleRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Role not found.' });
+    }
+    if (scopeBoothUids.length > 0) {
+      const boothsRes = await client.query('SELECT booth_uid FROM booths WHERE booth_uid = ANY($1::text[])', [scopeBoothUids]);
+      const known = boothsRes.rows.map((row) => row.booth_uid);
+      const unknown = scopeBoothUids.filter((boothUid) => !known.includes(boothUid));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: 'Invalid role assignment', message: `Unknown booth(s): ${unknown.join(', ')}.` });
+      }
+    }
+
+    const upsertRes = await client.query(
+      `INSERT INTO admin_role_assignments (user_id, role_id, booth_uids, regions, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, role_id) DO UPDATE SET booth_uids = EXCLUDED.booth_uids, regions = EXCLUDED.regions
+       RETURNING id`,
+      [userId, roleId, scopeBoothUids, scopeRegions, req.user.uid]
+    );
+    const { rows } = await client.query(`
+      SELECT ${ASSIGNMENT_COLUMNS}
+      FROM admin_role_assignments a
+      JOIN admin_roles r ON r.id = a.role_id
+      LEFT JOIN users u ON u.user_id = a.user_id
+      WHERE a.id = $1
+    `, [upsertRes.rows[0].id]);
+
+    setAuditContext(res, {
+      action: 'role.assign',
+      targetType: 'user',
+      targetId: userId,
+      after: { role: roleRes.rows[0].name, boothUids: scopeBoothUids, regions: scopeRegions },
+    });
+    const scopeText = scopeBoothUids.length || scopeRegions.length
+      ? ` (booths: ${scopeBoothUids.join(', ') || '-'}; regions: ${scopeRegions.join(', ') || '-'})`
+      : '';
+    logger.info(`Admin (UID: ${req.user.uid}) assigned role '${roleRes.rows[0].name}' to user (UID: ${userId})${scopeText}.`);
+    res.status(200).json(rows[0]);
+  } catch (error) {
+    logger.error(`Failed to assign role ${roleId} to user ${userId}:`, error);
+    res.status(500).json({ error: 'Failed to assign role.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/admin/roles/assignments/:assignmentId
+ * @summary Remove a role from a user
+ * @description Removes a role assignment. The user loses its permissions from their next request.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: assignmentId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Role assignment removed.
+ *   404:
+ *     description: Role assignment not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.delete('/roles/assignments/:assignmentId', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
+  const { assignmentId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const deleteRes = await client.query(
+      `DELETE FROM admin_role_assignments a
+       USING admin_roles r
+       WHERE a.id = $1 AND r.id = a.role_id
+       RETURNING a.user_id, r.name AS role_name, a.booth_uids, a.regions`,
+      [assignmentId]
+    );
+    if (deleteRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Role assignment not found.' });
+    }
+    const removed = deleteRes.rows[0];
+
+    setAuditContext(res, {
+      action: 'role.unassign',
+      targetType: 'user',
+      targetId: removed.user_id,
+      before: { role: removed.role_name, boothUids: removed.booth_uids, regions: removed.regions },
+      after: null,
+    });
+    logger.info(`Admin (UID: ${req.user.uid}) removed role '${removed.role_name}' from user (UID: ${removed.user_id}).`);
+    res.status(200).json({ message: 'Role assignment removed.' });
+  } catch (error) {
+    logger.error(`Failed to remove role assignment ${assignmentId}:`, error);
+    res.status(500).json({ error: 'Failed to remove role assignment.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,15 @@
 const { Router } = require('express');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { setAuditContext } = require('../../middleware/auditLog');
 
 const router = Router();
 
 /**
  * GET /api/admin/sessions
  * @summary Get all sessions from the deposits table
- * @description Retrieves a paginated list of all sessions (deposits and withdrawals) from the deposits table, including detailed information. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves a paginated list of all sessions (deposits and withdrawals) from the deposits table, including detailed information and which admins requested and approved any force unlock, slot reset or manual withdrawal that changed the session. Requires the `sessions:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -74,7 +75,7 @@ const router = Router();
  *   500:
  *     description: Internal server error.
  */
-router.get('/sessions', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/sessions', [verifyFirebaseToken, requirePermission('sessions:read')], async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 50;
   const offset = parseInt(req.query.offset, 10) || 0;
   const {
@@ -148,7 +149,9 @@ router.get('/sessions', [verifyFirebaseToken, isAdmin], async (req, res) => {
         d.mpesa_checkout_id AS "mpesaCheckoutId", d.initial_charge_level AS "initialChargeLevel",
         d.created_at AS "createdAt", d.started_at AS "startedAt", d.completed_at AS "completedAt",
         u.email AS "userEmail", u.phone AS "userPhoneNumber", b.booth_uid AS "boothUid", s.slot_identifier AS "slotIdentifier",
-        bat.battery_uid AS "batteryUid"
+        bat.battery_uid AS "batteryUid",
+        d.action_requested_by AS "actionRequestedBy", d.action_approved_by AS "actionApprovedBy",
+        d.command_approval_id AS "commandApprovalId"
       ${baseQuery}
       ORDER BY d.created_at DESC
       LIMIT $${paramIndex++} OFFSET $${paramIndex++};
@@ -199,7 +202,7 @@ router.get('/sessions', [verifyFirebaseToken, isAdmin], async (req, res) => {
  *   500:
  *     description: Internal server error.
  */
-router.delete('/sessions/:sessionId', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.delete('/sessions/:sessionId', [verifyFirebaseToken, requirePermission('sessions:write')], async (req, res) => {
   const { sessionId } = req.params;
 
   const pool = await poolPromise;
@@ -207,8 +210,8 @@ router.delete('/sessions/:sessionId', [verifyFirebaseToken, isAdmin], async (req
   try {
     await client.query('BEGIN');
 
-    // 1. Get the session details, specifically the slot_id
-    const sessionRes = await client.query('SELECT slot_id FROM deposits WHERE id = $1', [sessionId]);
+    // 1. Get the session details, specifically the slot_id (the whole row is kept for the audit log)
+    const sessionRes = await client.query('SELECT * FROM deposits WHERE id = $1', [sessionId]);
 
     if (sessionRes.rowCount === 0) {
       return res.status(404).json({ error: 'Session not found.' });
@@ -229,6 +232,13 @@ router.delete('/sessions/:sessionId', [verifyFirebaseToken, isAdmin], async (req
     // 4. Commit the transaction
     await client.query('COMMIT');
 
+    setAuditContext(res, {
+      action: 'session.delete',
+      targetType: 'session',
+      targetId: sessionId,
+      before: sessionRes.rows[0],
+      after: null,
+    });
     logger.info(`Admin (UID: ${req.user.uid}) deleted session ${sessionId} and reset associated slot (ID: ${slotId || 'N/A'}).`);
     res.status(200).json({ message: 'Session deleted and slot reset successfully.' });
   } catch (error) {
@@ -253,7 +263,7 @@ router.delete('/sessions/:sessionId', [verifyFirebaseToken, isAdmin], async (req
  *   500:
  *     description: Internal server error.
  */
-router.post('/sessions/cleanup', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/sessions/cleanup', [verifyFirebaseToken, requirePermission('sessions:write')], async (req, res) => {
   // This logic is designed to be idempotent.
   const STUCK_SESSION_TIMEOUT_MINUTES = 5;
   const pool = await poolPromise;
@@ -1,14 +1,54 @@
 const { Router } = require('express');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { setAuditContext } = require('../../middleware/auditLog');
+const {
+  SETTING_SCHEMAS,
+  SETTING_KEYS,
+  SETTING_VERSION_STATUSES,
+  validateSetting,
+  diffSettingValues,
+  recordSettingVersion,
+} = require('../../utils/appSettings');
 
 const router = Router();
 
+const VERSION_COLUMNS = `
+  v.version,
+  v.value,
+  v.status,
+  v.effective_at AS "effectiveAt",
+  v.applied_at AS "appliedAt",
+  v.rollback_of_version AS "rollbackOfVersion",
+  v.note,
+  v.error,
+  v.created_by AS "createdBy",
+  u.name AS "createdByName",
+  v.created_at AS "createdAt",
+  v.cancelled_by AS "cancelledBy",
+  v.cancelled_at AS "cancelledAt"`;
+
+/**
+ * Parses an optional `effectiveAt` from a request body.
+ * @param {any} value - The raw value.
+ * @returns {{effectiveAt: Date|null, error: string|null}} The date (null to apply now) or an error.
+ */
+function parseEffectiveAt(value) {
+  if (value === undefined || value === null || value === '') {
+    return { effectiveAt: null, error: null };
+  }
+  const effectiveAt = new Date(value);
+  if (isNaN(effectiveAt.getTime())) {
+    return { effectiveAt: null, error: '`effectiveAt` must be a valid date.' };
+  }
+  return { effectiveAt, error: null };
+}
+
 /**
  * GET /api/admin/settings
  * @summary Retrieve all application settings
- * @description Retrieves all key-value application settings from the database. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves all key-value application settings from the database. Requires the `settings:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -16,7 +56,7 @@ const router = Router();
  *   200:
  *     description: An object containing all application settings.
  */
-router.get('/settings', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/settings', [verifyFirebaseToken, requirePermission('settings:read')], async (req, res) => {
   const pool = await poolPromise;
   const client = await pool.connect();
   try {
@@ -37,10 +77,25 @@ router.get('/settings', [verifyFirebaseToken, isAdmin], async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/settings/schemas
+ * @summary Retrieve the settings schemas
+ * @description Returns the JSON schema each setting key is validated against, so the dashboard can build its forms and check values before saving.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: An object mapping each setting key to its schema.
+ */
+router.get('/settings/schemas', [verifyFirebaseToken, requirePermission('settings:read')], (req, res) => {
+  res.status(200).json(SETTING_SCHEMAS);
+});
+
 /**
  * POST /api/admin/settings
  * @summary Update application settings
- * @description Updates one or more application settings. The request body should be an object where keys are the setting keys and values are the new setting values. This is a protected route only accessible by users with the 'admin' role.
+ * @description Updates one or more application settings. The request body should be an object where keys are the setting keys and values are the new setting values, or `{ settings, effectiveAt, note }` to schedule the change or explain it. Each value replaces the key's whole value and must match the key's schema (see GET /api/admin/settings/schemas); if any value is invalid nothing is saved. Every change is kept as a new version. A future `effectiveAt` schedules the change, which the settings cron applies when it is due. Requires the `settings:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -55,33 +110,59 @@ router.get('/settings', [verifyFirebaseToken, isAdmin], async (req, res) => {
  *           pricing: { "base_swap_fee": 6.50, "cost_per_charge_percent": 12.00 }
  * @responses
  *   200:
- *     description: Settings updated successfully.
+ *     description: Settings updated (or scheduled) successfully.
+ *   400:
+ *     description: Unknown key, invalid value or invalid effectiveAt.
  */
-router.post('/settings', [verifyFirebaseToken, isAdmin], async (req, res) => {
-  const newSettings = req.body; // e.g., { "pricing": { "base_swap_fee": 6 }, "withdrawal_rules": { "min_charge_level": 90 } }
+router.post('/settings', [verifyFirebaseToken, requirePermission('settings:write')], async (req, res) => {
+  const body = req.body || {};
+  // e.g., { "withdrawal_rules": { "min_charge_level": 90 } }, or to schedule it:
+  // { "settings": { "withdrawal_rules": { "min_charge_level": 90 } }, "effectiveAt": "2026-11-01T00:00:00Z", "note": "Winter range" }
+  const isEnvelope = body.settings !== undefined && typeof body.settings === 'object' && body.settings !== null;
+  const newSettings = isEnvelope ? body.settings : body;
+  const note = isEnvelope ? body.note || null : null;
 
   if (Object.keys(newSettings).length === 0) {
     return res.status(400).json({ error: 'No settings provided to update.' });
   }
+  const { effectiveAt, error: effectiveAtError } = parseEffectiveAt(isEnvelope ? body.effectiveAt : undefined);
+  if (effectiveAtError) {
+    return res.status(400).json({ error: effectiveAtError });
+  }
+  const errors = Object.entries(newSettings).flatMap(([key, value]) => validateSetting(key, value));
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid settings', message: errors.join(' ') });
+  }
 
   const pool = await poolPromise;
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    const upsertQuery = `
-      INSERT INTO app_settings (key, value)
-      VALUES ($1, $2::jsonb)
-      ON CONFLICT (key) DO UPDATE SET value = $2::jsonb;
-    `;
-
+    const versions = {};
+    const previousValues = {};
     for (const [key, value] of Object.entries(newSettings)) {
-      await client.query(upsertQuery, [key, JSON.stringify(value)]);
+      const { previousValue, ...version } = await recordSettingVersion(client, {
+        key, value, createdBy: req.user.uid, effectiveAt, note,
+      });
+      versions[key] = version;
+      previousValues[key] = previousValue;
     }
 
     await client.query('COMMIT');
-    logger.info(`Admin (UID: ${req.user.uid}) updated application settings: ${Object.keys(newSettings).join(', ')}`);
-    res.status(200).json({ message: 'Application settings updated successfully.' });
+    const scheduled = Object.values(versions).some((version) => version.status === 'scheduled');
+    setAuditContext(res, {
+      action: scheduled ? 'settings.schedule' : 'settings.update',
+      targetType: 'settings',
+      targetId: Object.keys(newSettings).join(','),
+      before: previousValues,
+      after: newSettings,
+    });
+    logger.info(`Admin (UID: ${req.user.uid}) ${scheduled ? `scheduled for ${effectiveAt.toISOString()}` : 'updated'} application settings: ${Object.keys(newSettings).join(', ')}`);
+    res.status(200).json({
+      message: scheduled ? 'Application settings change scheduled.' : 'Application settings updated successfully.',
+      versions,
+    });
   } catch (error) {
     await client.query('ROLLBACK');
     logger.error('Failed to update app settings:', error);
@@ -91,4 +172,334 @@ router.post('/settings', [verifyFirebaseToken, isAdmin], async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/settings/:key/versions
+ * @summary List a setting's versions
+ * @description Retrieves the version history of a setting, newest first, including scheduled changes that have not taken effect yet. Each version has its full value, author and timestamps.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: key
+ *     required: true
+ *     type: string
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [scheduled, applied, cancelled, failed]
+ *     description: Filter by status.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of versions.
+ *   400:
+ *     description: Unknown setting key or invalid status filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/settings/:key/versions', [verifyFirebaseToken, requirePermission('settings:read')], async (req, res) => {
+  const { key } = req.params;
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  if (!SETTING_KEYS.includes(key)) {
+    return res.status(400).json({ error: `Invalid setting '${key}'. Must be one of: ${SETTING_KEYS.join(', ')}.` });
+  }
+  if (status && !SETTING_VERSION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${SETTING_VERSION_STATUSES.join(', ')}.` });
+  }
+
+  const params = [key];
+  let statusClause = '';
+  if (status) {
+    params.push(status);
+    statusClause = `AND v.status = $${params.length}`;
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM app_settings_versions v WHERE v.key = $1 ${statusClause}`, params);
+    const { rows } = await client.query(`
+      SELECT ${VERSION_COLUMNS}
+      FROM app_settings_versions v
+      LEFT JOIN users u ON u.user_id = v.created_by
+      WHERE v.key = $1 ${statusClause}
+      ORDER BY v.version DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      key,
+      versions: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch versions of setting '${key}':`, error);
+    res.status(500).json({ error: 'Failed to retrieve setting versions.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/settings/:key/versions/:version/diff
+ * @summary Compare a setting version
+ * @description Lists the fields that differ between a version and the previous version (the default), the current value (`against=current`) or another version (`against=<version>`). Nested objects are compared field by field; arrays are compared whole.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: key
+ *     required: true
+ *     type: string
+ *   - in: path
+ *     name: version
+ *     required: true
+ *     type: integer
+ *   - in: query
+ *     name: against
+ *     type: string
+ *     description: "'previous' (default), 'current' or a version number."
+ * @responses
+ *   200:
+ *     description: The differences, each with path, change (added, removed or changed), before and after.
+ *   400:
+ *     description: Invalid against value.
+ *   404:
+ *     description: Version not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/settings/:key/versions/:version/diff', [verifyFirebaseToken, requirePermission('settings:read')], async (req, res) => {
+  const { key } = req.params;
+  const version = parseInt(req.params.version, 10);
+  const against = req.query.against || 'previous';
+  const againstVersion = parseInt(against, 10);
+
+  if (!['previous', 'current'].includes(against) && !(againstVersion > 0)) {
+    return res.status(400).json({ error: "`against` must be 'previous', 'current' or a version number." });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const versionRes = await client.query(
+      'SELECT value FROM app_settings_versions WHERE key = $1 AND version = $2',
+      [key, version]
+    );
+    if (versionRes.rowCount === 0) {
+      return res.status(404).json({ error: `Version ${req.params.version} of setting '${key}' not found.` });
+    }
+
+    let base = null;
+    let baseLabel = against;
+    if (against === 'current') {
+      const currentRes = await client.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+      base = currentRes.rows[0]?.value ?? null;
+    } else {
+      const baseRes = await client.query(
+        against === 'previous'
+          ? 'SELECT version, value FROM app_settings_versions WHERE key = $1 AND version < $2 ORDER BY version DESC LIMIT 1'
+          : 'SELECT version, value FROM app_settings_versions WHERE key = $1 AND version = $2',
+        [key, against === 'previous' ? version : againstVersion]
+      );
+      if (baseRes.rowCount === 0 && against !== 'previous') {
+        return res.status(404).json({ error: `Version ${againstVersion} of setting '${key}' not found.` });
+      }
+      base = baseRes.rows[0]?.value ?? null;
+      baseLabel = baseRes.rows[0]?.version ?? null;
+    }
+
+    res.status(200).json({
+      key,
+      version,
+      against: baseLabel,
+      changes: diffSettingValues(base, versionRes.rows[0].value, key),
+    });
+  } catch (error) {
+    logger.error(`Failed to diff version ${version} of setting '${key}':`, error);
+    res.status(500).json({ error: 'Failed to compare setting versions.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/settings/:key/rollback/:version
+ * @summary Roll a setting back to an earlier version
+ * @description Restores the value of an earlier version by recording it as a new version, so the history is kept. The value must still pass the key's current schema. Pass `effectiveAt` to schedule the rollback instead of applying it now.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: key
+ *     required: true
+ *     type: string
+ *   - in: path
+ *     name: version
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: false
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           note:
+ *             type: string
+ *           effectiveAt:
+ *             type: string
+ *             format: date-time
+ * @responses
+ *   200:
+ *     description: Setting rolled back (or rollback scheduled).
+ *   400:
+ *     description: The old value no longer passes the schema, or invalid effectiveAt.
+ *   404:
+ *     description: Version not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/settings/:key/rollback/:version', [verifyFirebaseToken, requirePermission('settings:write')], async (req, res) => {
+  const { key } = req.params;
+  const version = parseInt(req.params.version, 10);
+  const { note } = req.body || {};
+  const { effectiveAt, error: effectiveAtError } = parseEffectiveAt((req.body || {}).effectiveAt);
+  if (effectiveAtError) {
+    return res.status(400).json({ error: effectiveAtError });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const targetRes = await client.query(
+      'SELECT value FROM app_settings_versions WHERE key = $1 AND version = $2',
+      [key, version]
+    );
+    if (targetRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: `Version ${req.params.version} of setting '${key}' not found.` });
+    }
+
+    const { value } = targetRes.rows[0];
+    const errors = validateSetting(key, value);
+    if (errors.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid settings', message: `Version ${version} no longer passes validation: ${errors.join(' ')}` });
+    }
+
+    const { previousValue, ...newVersion } = await recordSettingVersion(client, {
+      key,
+      value,
+      createdBy: req.user.uid,
+      effectiveAt,
+      note: note || `Rollback to version ${version}`,
+      rollbackOf: version,
+    });
+
+    await client.query('COMMIT');
+    setAuditContext(res, {
+      action: 'settings.rollback',
+      targetType: 'settings',
+      targetId: key,
+      before: previousValue,
+      after: { ...newVersion, rollbackOfVersion: version, value },
+    });
+    logger.info(`Admin (UID: ${req.user.uid}) rolled setting '${key}' back to version ${version} (new version ${newVersion.version}, ${newVersion.status}).`);
+    res.status(200).json({
+      message: newVersion.status === 'scheduled' ? 'Rollback scheduled.' : `Setting '${key}' rolled back to version ${version}.`,
+      key,
+      ...newVersion,
+      value,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to roll back setting '${key}' to version ${version}:`, error);
+    res.status(500).json({ error: 'Failed to roll back setting.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/settings/:key/versions/:version/cancel
+ * @summary Cancel a scheduled setting change
+ * @description Cancels a scheduled version before it takes effect. The version stays in the history as 'cancelled'.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: key
+ *     required: true
+ *     type: string
+ *   - in: path
+ *     name: version
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Scheduled change cancelled.
+ *   404:
+ *     description: Version not found.
+ *   409:
+ *     description: The version is not scheduled.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/settings/:key/versions/:version/cancel', [verifyFirebaseToken, requirePermission('settings:write')], async (req, res) => {
+  const { key } = req.params;
+  const version = parseInt(req.params.version, 10);
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const cancelRes = await client.query(
+      `UPDATE app_settings_versions
+       SET status = 'cancelled', cancelled_by = $3, cancelled_at = NOW()
+       WHERE key = $1 AND version = $2 AND status = 'scheduled'
+       RETURNING effective_at`,
+      [key, version, req.user.uid]
+    );
+
+    if (cancelRes.rowCount === 0) {
+      const existsRes = await client.query('SELECT 1 FROM app_settings_versions WHERE key = $1 AND version = $2', [key, version]);
+      if (existsRes.rowCount === 0) {
+        return res.status(404).json({ error: `Version ${req.params.version} of setting '${key}' not found.` });
+      }
+      return res.status(409).json({ error: 'Invalid status', message: 'Only scheduled versions can be cancelled.' });
+    }
+
+    setAuditContext(res, {
+      action: 'settings.cancel_scheduled',
+      targetType: 'settings',
+      targetId: key,
+      before: { version, status: 'scheduled', effectiveAt: cancelRes.rows[0].effective_at },
+      after: { version, status: 'cancelled' },
+    });
+    logger.info(`Admin (UID: ${req.user.uid}) cancelled scheduled version ${version} of setting '${key}'.`);
+    res.status(200).json({ message: 'Scheduled change cancelled.', key, version });
+  } catch (error) {
+    logger.error(`Failed to cancel version ${version} of setting '${key}':`, error);
+    res.status(500).json({ error: 'Failed to cancel scheduled change.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
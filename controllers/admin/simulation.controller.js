@@ -2,7 +2,8 @@ const { Router } = require('express');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { completePaidWithdrawal } = require('../../utils/sessionUtils');
 
 const router = Router();
 
@@ -46,7 +47,7 @@ const router = Router();
  *   500:
  *     description: Internal server error.
  */
-router.post('/simulate/confirm-deposit', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/simulate/confirm-deposit', [verifyFirebaseToken, requirePermission('sessions:write')], async (req, res) => {
   const { boothUid, slotIdentifier, chargeLevel } = req.body;
 
   if (!boothUid || !slotIdentifier || chargeLevel === undefined) {
@@ -110,7 +111,7 @@ router.post('/simulate/confirm-deposit', [verifyFirebaseToken, isAdmin], async (
 /**
  * POST /api/admin/simulate/confirm-payment
  * @summary (Dev Tool) Simulate a successful M-Pesa payment for a withdrawal.
- * @description Manually updates a withdrawal session's status to 'in_progress', mimicking a successful payment callback from M-Pesa.
+ * @description Completes a pending withdrawal through the same path as a successful M-Pesa callback, moving it to 'in_progress' and booking the payment in the ledger.
  * @tags [Admin, Simulation]
  * @security
  *   - bearerAuth: []
@@ -128,7 +129,7 @@ router.post('/simulate/confirm-deposit', [verifyFirebaseToken, isAdmin], async (
  *   200:
  *     description: Payment successfully simulated.
  */
-router.post('/simulate/confirm-payment', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/simulate/confirm-payment', [verifyFirebaseToken, requirePermission('sessions:write')], async (req, res) => {
   const { checkoutRequestId } = req.body;
 
   if (!checkoutRequestId) {
@@ -138,12 +139,11 @@ router.post('/simulate/confirm-payment', [verifyFirebaseToken, isAdmin], async (
   const pool = await poolPromise;
   const client = await pool.connect();
   try {
-    const updateResult = await client.query(
-      "UPDATE deposits SET status = 'in_progress' WHERE mpesa_checkout_id = $1 AND status = 'pending'",
-      [checkoutRequestId]
-    );
+    await client.query('BEGIN');
+    const completed = await completePaidWithdrawal(client, checkoutRequestId);
+    await client.query('COMMIT');
 
-    if (updateResult.rowCount > 0) {
+    if (completed) {
       logger.info(`(SIMULATION) Admin ${req.user.uid} confirmed payment for CheckoutRequestID: ${checkoutRequestId}.`);
       res.status(200).json({ message: 'Payment status updated to in_progress via simulation.' });
     } else {
@@ -151,6 +151,7 @@ router.post('/simulate/confirm-payment', [verifyFirebaseToken, isAdmin], async (
       res.status(404).json({ error: 'No pending withdrawal session found for that CheckoutRequestID.' });
     }
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`(SIMULATION) Failed to confirm payment for ${checkoutRequestId}:`, error);
     res.status(500).json({ error: 'Failed to simulate payment confirmation.', details: error.message });
   } finally {
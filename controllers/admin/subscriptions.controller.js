@@ -0,0 +1,393 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+
+const router = Router();
+
+// 'expired' is derived: an active subscription whose period has ended.
+const SUBSCRIPTION_STATUSES = ['pending', 'active', 'expired', 'failed', 'cancelled'];
+const EFFECTIVE_STATUS_SQL = "CASE WHEN us.status = 'active' AND us.ends_at <= NOW() THEN 'expired' ELSE us.status END";
+
+const PLAN_COLUMNS = `
+  p.id,
+  p.name,
+  p.description,
+  p.price,
+  p.period_days AS "periodDays",
+  p.swap_allowance AS "swapAllowance",
+  p.is_active AS "isActive",
+  p.created_by AS "createdBy",
+  p.created_at AS "createdAt",
+  p.updated_at AS "updatedAt",
+  (
+    SELECT COUNT(*)::int FROM user_subscriptions us
+    WHERE us.plan_id = p.id AND us.status = 'active' AND us.ends_at > NOW()
+  ) AS "activeSubscribers"`;
+
+/**
+ * Validates a subscription plan request body and maps it to column values.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for PATCH, where every field is optional.
+ * @returns {{errors: string[], fields: object}} Validation errors and the column values to write.
+ */
+function parsePlanInput(body, partial) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      errors.push('name is required.');
+    }
+    fields.name = typeof body.name === 'string' ? body.name.trim() : body.name;
+  }
+  if (has('description')) {
+    fields.description = body.description || null;
+  }
+  if (has('price') || !partial) {
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      errors.push('price must be a positive number.');
+    }
+    fields.price = price;
+  }
+  if (has('periodDays')) {
+    if (!(Number.isInteger(body.periodDays) && body.periodDays > 0)) {
+      errors.push('periodDays must be a positive integer.');
+    }
+    fields.period_days = body.periodDays;
+  }
+  if (has('swapAllowance')) {
+    if (body.swapAllowance !== null && !(Number.isInteger(body.swapAllowance) && body.swapAllowance > 0)) {
+      errors.push('swapAllowance must be a positive integer, or null for unlimited swaps.');
+    }
+    fields.swap_allowance = body.swapAllowance;
+  }
+  if (has('isActive')) {
+    if (typeof body.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean.');
+    }
+    fields.is_active = body.isActive;
+  }
+
+  return { errors, fields };
+}
+
+/**
+ * GET /api/admin/subscription-plans
+ * @summary List subscription plans
+ * @description Retrieves every plan, including inactive ones, with the number of riders currently subscribed to it.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: A list of subscription plans.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/subscription-plans', [verifyFirebaseToken, requirePermission('subscriptions:read')], async (req, res) => {
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`SELECT ${PLAN_COLUMNS} FROM subscription_plans p ORDER BY p.is_active DESC, p.price ASC, p.id ASC`);
+    res.status(200).json({ plans: rows.map((plan) => ({ ...plan, price: parseFloat(plan.price) })) });
+  } catch (error) {
+    logger.error('Failed to fetch subscription plans:', error);
+    res.status(500).json({ error: 'Failed to retrieve subscription plans.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/subscription-plans
+ * @summary Create a subscription plan
+ * @description Creates a plan riders can buy through M-Pesa. Each purchase covers `swapAllowance` swaps (or unlimited swaps when omitted) for `periodDays` days.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [name, price]
+ *         properties:
+ *           name:
+ *             type: string
+ *           description:
+ *             type: string
+ *           price:
+ *             type: number
+ *           periodDays:
+ *             type: integer
+ *             default: 30
+ *           swapAllowance:
+ *             type: integer
+ *             nullable: true
+ *             description: Swaps per period. Omit or null for unlimited.
+ *           isActive:
+ *             type: boolean
+ * @responses
+ *   201:
+ *     description: Plan created.
+ *   400:
+ *     description: Invalid input.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/subscription-plans', [verifyFirebaseToken, requirePermission('subscriptions:write')], async (req, res) => {
+  const { errors, fields } = parsePlanInput(req.body || {}, false);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid subscription plan', message: errors.join(' ') });
+  }
+
+  const columns = [...Object.keys(fields), 'created_by'];
+  const values = [...Object.values(fields), req.user.uid];
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const insertRes = await client.query(
+      `INSERT INTO subscription_plans (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING id`,
+      values
+    );
+    const { rows } = await client.query(`SELECT ${PLAN_COLUMNS} FROM subscription_plans p WHERE p.id = $1`, [insertRes.rows[0].id]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) created subscription plan '${fields.name}'.`);
+    res.status(201).json({ ...rows[0], price: parseFloat(rows[0].price) });
+  } catch (error) {
+    logger.error('Failed to create subscription plan:', error);
+    res.status(500).json({ error: 'Failed to create subscription plan.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PATCH /api/admin/subscription-plans/:planId
+ * @summary Update a subscription plan
+ * @description Updates a plan. Changes apply to new purchases only; running subscriptions keep the terms they were bought with. Set `isActive: false` to stop selling a plan.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: planId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         description: Same fields as POST /api/admin/subscription-plans, all optional.
+ * @responses
+ *   200:
+ *     description: Plan updated.
+ *   400:
+ *     description: Invalid input.
+ *   404:
+ *     description: Plan not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.patch('/subscription-plans/:planId', [verifyFirebaseToken, requirePermission('subscriptions:write')], async (req, res) => {
+  const { planId } = req.params;
+  const { errors, fields } = parsePlanInput(req.body || {}, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid subscription plan', message: errors.join(' ') });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'No fields provided to update.' });
+  }
+
+  const assignments = Object.keys(fields).map((column, i) => `${column} = $${i + 2}`);
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const updateRes = await client.query(
+      `UPDATE subscription_plans SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`,
+      [planId, ...Object.values(fields)]
+    );
+    if (updateRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Subscription plan not found.' });
+    }
+    const { rows } = await client.query(`SELECT ${PLAN_COLUMNS} FROM subscription_plans p WHERE p.id = $1`, [planId]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) updated subscription plan ${planId}: ${Object.keys(fields).join(', ')}.`);
+    res.status(200).json({ ...rows[0], price: parseFloat(rows[0].price) });
+  } catch (error) {
+    logger.error(`Failed to update subscription plan ${planId}:`, error);
+    res.status(500).json({ error: 'Failed to update subscription plan.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/subscriptions
+ * @summary List rider subscriptions
+ * @description Retrieves a paginated list of subscription purchases, newest first, with the swaps used so far.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [pending, active, expired, failed, cancelled]
+ *     description: Filter by status. 'active' only returns subscriptions still within their period.
+ *   - in: query
+ *     name: userId
+ *     type: string
+ *     description: Filter by rider Firebase UID.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of subscriptions.
+ *   400:
+ *     description: Invalid status filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/subscriptions', [verifyFirebaseToken, requirePermission('subscriptions:read')], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { status, userId } = req.query;
+
+  if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}.` });
+  }
+
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`${EFFECTIVE_STATUS_SQL} = $${params.length}`);
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`us.user_id = $${params.length}`);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(`SELECT COUNT(*) FROM user_subscriptions us ${whereClause}`, params);
+
+    const { rows } = await client.query(`
+      SELECT
+        us.id,
+        us.user_id AS "userId",
+        u.name AS "userName",
+        u.email AS "userEmail",
+        us.plan_id AS "planId",
+        p.name AS "planName",
+        ${EFFECTIVE_STATUS_SQL} AS status,
+        us.amount,
+        us.swap_allowance AS "swapsAllowed",
+        (
+          SELECT COUNT(*)::int FROM deposits d
+          WHERE d.subscription_id = us.id AND d.session_type = 'withdrawal' AND d.status NOT IN ('cancelled', 'failed')
+        ) AS "swapsUsed",
+        us.mpesa_receipt AS "mpesaReceipt",
+        us.starts_at AS "startsAt",
+        us.ends_at AS "endsAt",
+        us.cancelled_by AS "cancelledBy",
+        us.notes,
+        us.created_at AS "createdAt"
+      FROM user_subscriptions us
+      JOIN users u ON u.user_id = us.user_id
+      JOIN subscription_plans p ON p.id = us.plan_id
+      ${whereClause}
+      ORDER BY us.created_at DESC, us.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      subscriptions: rows.map((row) => ({ ...row, amount: parseFloat(row.amount) })),
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch subscriptions:', error);
+    res.status(500).json({ error: 'Failed to retrieve subscriptions.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/subscriptions/:subscriptionId/cancel
+ * @summary Cancel a rider's subscription
+ * @description Ends an active subscription immediately. Later withdrawals are priced normally. No money is returned; raise a wallet adjustment if the rider should be compensated.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: subscriptionId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           reason:
+ *             type: string
+ * @responses
+ *   200:
+ *     description: Subscription cancelled.
+ *   404:
+ *     description: No active subscription with this ID.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/subscriptions/:subscriptionId/cancel', [verifyFirebaseToken, requirePermission('subscriptions:write')], async (req, res) => {
+  const { subscriptionId } = req.params;
+  const { reason } = req.body || {};
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const cancelRes = await client.query(
+      `UPDATE user_subscriptions
+       SET status = 'cancelled',
+           cancelled_by = $2,
+           notes = COALESCE(notes, '') || '\n[' || NOW() || '] Cancelled by admin: ' || $3
+       WHERE id = $1 AND status = 'active' AND ends_at > NOW()
+       RETURNING id, user_id`,
+      [subscriptionId, req.user.uid, reason || 'No reason given']
+    );
+    if (cancelRes.rowCount === 0) {
+      return res.status(404).json({ error: 'No active subscription found with this ID.' });
+    }
+
+    logger.info(`Admin (UID: ${req.user.uid}) cancelled subscription ${subscriptionId} for user ${cancelRes.rows[0].user_id}.`);
+    res.status(200).json({ message: `Subscription ${subscriptionId} cancelled.` });
+  } catch (error) {
+    logger.error(`Failed to cancel subscription ${subscriptionId}:`, error);
+    res.status(500).json({ error: 'Failed to cancel subscription.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,14 @@
 const { Router } = require('express');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
 
 const router = Router();
 
 /**
  * GET /api/admin/transactions
  * @summary Get all transactions
- * @description Retrieves a paginated list of all transactions (deposits and withdrawals) across the entire system. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves a paginated list of all transactions (deposits and withdrawals) across the entire system. Requires the `payments:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -29,7 +29,7 @@ const router = Router();
  *   200:
  *     description: A paginated list of transactions.
  */
-router.get('/transactions', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/transactions', [verifyFirebaseToken, requirePermission('payments:read')], async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || 50;
   const offset = parseInt(req.query.offset, 10) || 0;
 
@@ -43,6 +43,9 @@ router.get('/transactions', [verifyFirebaseToken, isAdmin], async (req, res) =>
         d.status,
         d.started_at AS "date",
         d.mpesa_checkout_id AS "paymentId",
+        d.amount,
+        d.discount_amount AS "discountAmount",
+        promo.code AS "promoCode",
         u.name AS "userName",
         u.email AS "userEmail",
         b.booth_uid AS "boothUid",
@@ -53,6 +56,7 @@ router.get('/transactions', [verifyFirebaseToken, isAdmin], async (req, res) =>
       LEFT JOIN booths b ON d.booth_id = b.id
       LEFT JOIN booth_slots s ON d.slot_id = s.id
       LEFT JOIN batteries bat ON d.battery_id = bat.id
+      LEFT JOIN promotions promo ON d.promotion_id = promo.id
       ORDER BY d.started_at DESC
       LIMIT $1 OFFSET $2;
     `;
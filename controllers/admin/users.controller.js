@@ -1,7 +1,8 @@
 const { Router } = require('express');
 const { admin } = require('../../utils/firebase.js');
 const logger = require('../../utils/logger.js');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { setAuditContext } = require('../../middleware/auditLog');
 const poolPromise = require('../../db');
 
 const router = Router();
@@ -9,7 +10,7 @@ const router = Router();
 /**
  * POST /api/admin/users/set-role
  * @summary Set a custom role for a user
- * @description Sets a custom role for a specified user in Firebase Authentication custom claims. This is a protected route only accessible by users with the 'admin' role.
+ * @description Sets a custom role for a specified user in Firebase Authentication custom claims. Requires the `roles:manage` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -38,11 +39,11 @@ const router = Router();
  *   401:
  *     description: Unauthorized (token missing or invalid).
  *   403:
- *     description: Forbidden (user is not an admin).
+ *     description: Forbidden (missing the `roles:manage` permission).
  *   500:
  *     description: Internal server error.
  */
-router.post('/users/set-role', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/users/set-role', [verifyFirebaseToken, requirePermission('roles:manage')], async (req, res) => {
   const { uid, newRole } = req.body;
   const validRoles = ['admin', 'customer', 'driver', 'developer'];
 
@@ -55,9 +56,18 @@ router.post('/users/set-role', [verifyFirebaseToken, isAdmin], async (req, res)
   }
 
   try {
+    const userRecord = await admin.auth().getUser(uid);
+
     // Set the custom claim on the target user.
     await admin.auth().setCustomUserClaims(uid, { role: newRole });
 
+    setAuditContext(res, {
+      action: 'user.set_role',
+      targetType: 'user',
+      targetId: uid,
+      before: { role: userRecord.customClaims?.role || 'customer' },
+      after: { role: newRole },
+    });
     logger.info(`Admin (UID: ${req.user.uid}) changed role for user (UID: ${uid}) to '${newRole}'.`);
     res.status(200).json({ message: `Successfully set role for user ${uid} to ${newRole}.` });
   } catch (error) {
@@ -69,7 +79,7 @@ router.post('/users/set-role', [verifyFirebaseToken, isAdmin], async (req, res)
 /**
  * GET /api/admin/users
  * @summary List all users
- * @description Retrieves a paginated list of all users from Firebase Authentication. This is a protected route only accessible by users with the 'admin' role.
+ * @description Retrieves a paginated list of all users from Firebase Authentication. Requires the `users:read` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -103,7 +113,7 @@ router.post('/users/set-role', [verifyFirebaseToken, isAdmin], async (req, res)
  *             nextPageToken:
  *               type: string
  */
-router.get('/users', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/users', [verifyFirebaseToken, requirePermission('users:read')], async (req, res) => {
   const pageSize = Math.min(parseInt(req.query.pageSize, 10) || 100, 1000);
   const pageToken = req.query.pageToken || undefined;
 
@@ -135,7 +145,7 @@ router.get('/users', [verifyFirebaseToken, isAdmin], async (req, res) => {
 /**
  * POST /api/admin/users/set-status
  * @summary Activate, deactivate, or suspend a user
- * @description Activates or deactivates a user in both Firebase Authentication (enabling/disabling their login) and the local PostgreSQL database. This is a protected route only accessible by users with the 'admin' role.
+ * @description Activates or deactivates a user in both Firebase Authentication (enabling/disabling their login) and the local PostgreSQL database. Requires the `users:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -162,7 +172,7 @@ router.get('/users', [verifyFirebaseToken, isAdmin], async (req, res) => {
  *   400:
  *     description: Bad request (e.g., missing parameters, invalid status).
  */
-router.post('/users/set-status', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.post('/users/set-status', [verifyFirebaseToken, requirePermission('users:write')], async (req, res) => {
   const { uid, status } = req.body;
   const validStatuses = ['active', 'inactive', 'suspended'];
 
@@ -182,6 +192,8 @@ router.post('/users/set-status', [verifyFirebaseToken, isAdmin], async (req, res
   try {
     await pgClient.query('BEGIN');
 
+    const previousRes = await pgClient.query('SELECT status FROM users WHERE user_id = $1', [uid]);
+
     // 1. Update Firebase Auth user state
     await admin.auth().updateUser(uid, { disabled: isDisabled });
 
@@ -193,6 +205,13 @@ router.post('/users/set-status', [verifyFirebaseToken, isAdmin], async (req, res
     }
 
     await pgClient.query('COMMIT');
+    setAuditContext(res, {
+      action: 'user.set_status',
+      targetType: 'user',
+      targetId: uid,
+      before: { status: previousRes.rows[0]?.status ?? null },
+      after: { status, disabled: isDisabled },
+    });
     logger.info(`Admin (UID: ${req.user.uid}) updated status for user (UID: ${uid}) to '${status}'. Firebase disabled: ${isDisabled}.`);
     res.status(200).json({ message: `Successfully set status for user ${uid} to '${status}'.` });
   } catch (error) {
@@ -207,7 +226,7 @@ router.post('/users/set-status', [verifyFirebaseToken, isAdmin], async (req, res
 /**
  * DELETE /api/admin/users/:uid
  * @summary Delete a user
- * @description Deletes a user from both Firebase Authentication and the local PostgreSQL database. This is a protected route only accessible by users with the 'admin' role.
+ * @description Deletes a user from both Firebase Authentication and the local PostgreSQL database. Requires the `users:write` permission.
  * @tags [Admin]
  * @security
  *   - bearerAuth: []
@@ -226,7 +245,7 @@ router.post('/users/set-status', [verifyFirebaseToken, isAdmin], async (req, res
  *   500:
  *     description: Internal server error.
  */
-router.delete('/users/:uid', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.delete('/users/:uid', [verifyFirebaseToken, requirePermission('users:write')], async (req, res) => {
   const { uid } = req.params;
 
   const pool = await poolPromise;
@@ -234,6 +253,8 @@ router.delete('/users/:uid', [verifyFirebaseToken, isAdmin], async (req, res) =>
   try {
     await pgClient.query('BEGIN');
 
+    const previousRes = await pgClient.query('SELECT user_id, email, name, phone, role, status FROM users WHERE user_id = $1', [uid]);
+
     // 1. Delete the user from Firebase Authentication first.
     // If this fails, the transaction will be rolled back and nothing will happen in the local DB.
     await admin.auth().deleteUser(uid);
@@ -251,6 +272,13 @@ router.delete('/users/:uid', [verifyFirebaseToken, isAdmin], async (req, res) =>
     // 3. If both operations succeed, commit the transaction.
     await pgClient.query('COMMIT');
 
+    setAuditContext(res, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: uid,
+      before: previousRes.rows[0] || null,
+      after: null,
+    });
     logger.info(`Admin (UID: ${req.user.uid}) successfully deleted user (UID: ${uid}).`);
     res.status(200).json({ message: `User ${uid} deleted successfully.` });
   } catch (error) {
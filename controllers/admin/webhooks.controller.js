@@ -0,0 +1,377 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { WEBHOOK_EVENT_TYPES, generateWebhookSecret, replayDelivery } = require('../../utils/webhooks');
+
+const router = Router();
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// The secret is only returned when it is created or rotated.
+const SUBSCRIPTION_COLUMNS = `
+  w.id,
+  w.name,
+  w.url,
+  w.event_types AS "eventTypes",
+  w.is_active AS "isActive",
+  w.created_by AS "createdBy",
+  w.created_at AS "createdAt",
+  w.updated_at AS "updatedAt",
+  (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = w.id AND d.status = 'pending')::int AS "pendingDeliveries",
+  (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = w.id AND d.status = 'failed')::int AS "failedDeliveries"`;
+
+/**
+ * Validates a webhook subscription request body and maps it to column values.
+ * @param {object} body - The request body.
+ * @param {boolean} partial - True for PATCH, where every field is optional.
+ * @returns {{errors: string[], fields: object}} Validation errors and the column values to write.
+ */
+function parseWebhookInput(body, partial) {
+  const errors = [];
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has('name')) {
+    fields.name = body.name || null;
+  }
+  if (has('url') || !partial) {
+    let url = null;
+    try {
+      url = new URL(body.url);
+    } catch {
+      // Not a URL; reported below.
+    }
+    if (!url || !['https:', 'http:'].includes(url.protocol)) {
+      errors.push('url must be an http(s) URL.');
+    }
+    fields.url = body.url;
+  }
+  if (has('eventTypes') || !partial) {
+    const eventTypes = body.eventTypes;
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0 || !eventTypes.every((type) => WEBHOOK_EVENT_TYPES.includes(type))) {
+      errors.push(`eventTypes must be a non-empty list of: ${WEBHOOK_EVENT_TYPES.join(', ')}.`);
+    }
+    fields.event_types = Array.isArray(eventTypes) ? [...new Set(eventTypes)] : eventTypes;
+  }
+  if (has('isActive')) {
+    if (typeof body.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean.');
+    }
+    fields.is_active = body.isActive;
+  }
+  return { errors, fields };
+}
+
+/**
+ * GET /api/admin/webhooks
+ * @summary List webhook subscriptions
+ * @description Retrieves every partner webhook subscription with its count of pending and failed deliveries. Signing secrets are not included.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: A list of webhook subscriptions.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/webhooks', [verifyFirebaseToken, requirePermission('webhooks:manage')], async (req, res) => {
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions w ORDER BY w.created_at DESC, w.id DESC`);
+    res.status(200).json({ webhooks: rows, eventTypes: WEBHOOK_EVENT_TYPES });
+  } catch (error) {
+    logger.error('Failed to fetch webhook subscriptions:', error);
+    res.status(500).json({ error: 'Failed to retrieve webhook subscriptions.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * @summary Register a webhook subscription
+ * @description Registers a partner endpoint for the given event types. The response contains the signing secret, which is not shown again: every delivery carries an `X-RiderCMS-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>">` header made with it.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [url, eventTypes]
+ *         properties:
+ *           name:
+ *             type: string
+ *           url:
+ *             type: string
+ *           eventTypes:
+ *             type: array
+ *             items:
+ *               type: string
+ *               enum: [session.created, session.completed, payment.succeeded, payment.failed, slot.faulty, booth.offline]
+ *           isActive:
+ *             type: boolean
+ * @responses
+ *   201:
+ *     description: Subscription created; includes the secret.
+ *   400:
+ *     description: Invalid input.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/webhooks', [verifyFirebaseToken, requirePermission('webhooks:manage')], async (req, res) => {
+  const { errors, fields } = parseWebhookInput(req.body || {}, false);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid webhook', message: errors.join(' ') });
+  }
+
+  const secret = generateWebhookSecret();
+  const columns = [...Object.keys(fields), 'secret', 'created_by'];
+  const values = [...Object.values(fields), secret, req.user.uid];
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const insertRes = await client.query(
+      `INSERT INTO webhook_subscriptions (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING id`,
+      values
+    );
+    const { rows } = await client.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions w WHERE w.id = $1`, [insertRes.rows[0].id]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) registered webhook ${rows[0].id} for ${fields.event_types.join(', ')}.`);
+    res.status(201).json({ ...rows[0], secret });
+  } catch (error) {
+    logger.error('Failed to create webhook subscription:', error);
+    res.status(500).json({ error: 'Failed to create webhook subscription.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PATCH /api/admin/webhooks/:webhookId
+ * @summary Update a webhook subscription
+ * @description Updates the subscription's name, URL, event types or active flag. Deliveries for an inactive subscription stay queued until it is reactivated. Pass `rotateSecret: true` to issue a new signing secret, returned in the response.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: webhookId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         description: Same fields as POST /api/admin/webhooks, all optional, plus `rotateSecret`.
+ * @responses
+ *   200:
+ *     description: Subscription updated.
+ *   400:
+ *     description: Invalid input.
+ *   404:
+ *     description: Subscription not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.patch('/webhooks/:webhookId', [verifyFirebaseToken, requirePermission('webhooks:manage')], async (req, res) => {
+  const { webhookId } = req.params;
+  const body = req.body || {};
+  const { errors, fields } = parseWebhookInput(body, true);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid webhook', message: errors.join(' ') });
+  }
+  const secret = body.rotateSecret === true ? generateWebhookSecret() : null;
+  if (secret) {
+    fields.secret = secret;
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'No fields provided to update.' });
+  }
+
+  const assignments = Object.keys(fields).map((column, i) => `${column} = $${i + 2}`);
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const updateRes = await client.query(
+      `UPDATE webhook_subscriptions SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`,
+      [webhookId, ...Object.values(fields)]
+    );
+    if (updateRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Webhook subscription not found.' });
+    }
+    const { rows } = await client.query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions w WHERE w.id = $1`, [webhookId]);
+
+    logger.info(`Admin (UID: ${req.user.uid}) updated webhook ${webhookId}: ${Object.keys(fields).join(', ')}.`);
+    res.status(200).json(secret ? { ...rows[0], secret } : rows[0]);
+  } catch (error) {
+    logger.error(`Failed to update webhook subscription ${webhookId}:`, error);
+    res.status(500).json({ error: 'Failed to update webhook subscription.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/webhooks/:webhookId/deliveries
+ * @summary List webhook deliveries
+ * @description Retrieves the delivery log of a subscription, newest first: the payload sent, attempts made, the last HTTP status or error, and when the next retry is due.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: webhookId
+ *     required: true
+ *     type: integer
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [pending, delivered, failed]
+ *     description: Filter by delivery status.
+ *   - in: query
+ *     name: eventType
+ *     type: string
+ *     description: Filter by event type.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of deliveries.
+ *   400:
+ *     description: Invalid status or event type filter.
+ *   404:
+ *     description: Subscription not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/webhooks/:webhookId/deliveries', [verifyFirebaseToken, requirePermission('webhooks:manage')], async (req, res) => {
+  const { webhookId } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { status, eventType } = req.query;
+
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${DELIVERY_STATUSES.join(', ')}.` });
+  }
+  if (eventType && !WEBHOOK_EVENT_TYPES.includes(eventType)) {
+    return res.status(400).json({ error: `Invalid event type '${eventType}'. Must be one of: ${WEBHOOK_EVENT_TYPES.join(', ')}.` });
+  }
+
+  const conditions = ['d.subscription_id = $1'];
+  const params = [webhookId];
+  if (status) {
+    params.push(status);
+    conditions.push(`d.status = $${params.length}`);
+  }
+  if (eventType) {
+    params.push(eventType);
+    conditions.push(`d.event_type = $${params.length}`);
+  }
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const subscriptionRes = await client.query('SELECT 1 FROM webhook_subscriptions WHERE id = $1', [webhookId]);
+    if (subscriptionRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Webhook subscription not found.' });
+    }
+
+    const countRes = await client.query(`SELECT COUNT(*) FROM webhook_deliveries d ${whereClause}`, params);
+
+    const { rows } = await client.query(`
+      SELECT
+        d.id,
+        d.event_id AS "eventId",
+        d.event_type AS "eventType",
+        d.payload,
+        d.status,
+        d.attempts,
+        d.response_status AS "responseStatus",
+        d.last_error AS "lastError",
+        d.last_attempt_at AS "lastAttemptAt",
+        CASE WHEN d.status = 'pending' THEN d.next_attempt_at END AS "nextAttemptAt",
+        d.delivered_at AS "deliveredAt",
+        d.created_at AS "createdAt"
+      FROM webhook_deliveries d
+      ${whereClause}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      deliveries: rows,
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch deliveries for webhook ${webhookId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve webhook deliveries.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/webhooks/:webhookId/deliveries/:deliveryId/replay
+ * @summary Replay a webhook delivery
+ * @description Sends a delivery again straight away, with the original payload and event ID and a fresh signature. If the attempt fails, the delivery goes back to being retried with backoff.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: webhookId
+ *     required: true
+ *     type: integer
+ *   - in: path
+ *     name: deliveryId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: Replay attempted; the response contains its outcome.
+ *   404:
+ *     description: Delivery not found for this subscription.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/replay', [verifyFirebaseToken, requirePermission('webhooks:manage')], async (req, res) => {
+  const { webhookId, deliveryId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const outcome = await replayDelivery(client, webhookId, deliveryId);
+    if (!outcome) {
+      return res.status(404).json({ error: 'Webhook delivery not found.' });
+    }
+
+    logger.info(`Admin (UID: ${req.user.uid}) replayed webhook delivery ${deliveryId}: ${outcome.status}.`);
+    res.status(200).json({ deliveryId: Number(deliveryId), ...outcome });
+  } catch (error) {
+    logger.error(`Failed to replay webhook delivery ${deliveryId}:`, error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
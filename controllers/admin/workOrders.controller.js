@@ -0,0 +1,522 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger.js');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
+const { setAuditContext } = require('../../middleware/auditLog');
+const { boothScopeCondition, isBoothInScope } = require('../../utils/permissions');
+const {
+  WORK_ORDER_STATUSES,
+  WORK_ORDER_PRIORITIES,
+  WORK_ORDER_SOURCES,
+  WORK_ORDER_ERRORS,
+  formatWorkOrder,
+  validatePartsUsed,
+  openWorkOrder,
+  updateWorkOrder,
+  closeWorkOrder,
+} = require('../../utils/workOrders');
+
+const router = Router();
+
+const WORK_ORDER_SELECT = `
+  SELECT w.*, b.booth_uid, s.slot_identifier
+  FROM work_orders w
+  JOIN booths b ON b.id = w.booth_id
+  LEFT JOIN booth_slots s ON s.id = w.slot_id
+`;
+
+/**
+ * Loads a work order with its booth and slot identifiers.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string|number} workOrderId - The work order.
+ * @returns {Promise<object|null>} The row, or null if it does not exist.
+ */
+async function fetchWorkOrder(client, workOrderId) {
+  const { rows } = await client.query(`${WORK_ORDER_SELECT} WHERE w.id = $1`, [workOrderId]);
+  return rows[0] || null;
+}
+
+/**
+ * Checks that the admin's booth scope, if any, covers a work order's booth.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} req - Express request object, after `requirePermission`.
+ * @param {string|number} workOrderId - The work order.
+ * @returns {Promise<boolean>} True if the admin may see or change the order (or it does not exist).
+ */
+async function canAccess(client, req, workOrderId) {
+  if (!req.permissionScope) {
+    return true;
+  }
+  const orderRes = await client.query(
+    'SELECT b.booth_uid FROM work_orders w JOIN booths b ON b.id = w.booth_id WHERE w.id = $1',
+    [workOrderId]
+  );
+  return orderRes.rowCount === 0 || isBoothInScope(client, req.permissionScope, orderRes.rows[0].booth_uid);
+}
+
+/**
+ * GET /api/admin/work-orders
+ * @summary List maintenance work orders
+ * @description Retrieves work orders, newest first. A booth-scoped role only sees orders for its booths.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: status
+ *     type: string
+ *     enum: [open, assigned, in_progress, completed, cancelled]
+ *     description: Filter by status.
+ *   - in: query
+ *     name: source
+ *     type: string
+ *     enum: [problem_report, alert, manual]
+ *     description: Filter by what the order was opened from.
+ *   - in: query
+ *     name: boothUid
+ *     type: string
+ *     description: Filter by booth.
+ *   - in: query
+ *     name: assignedTo
+ *     type: string
+ *     description: Filter by the assigned technician's UID.
+ *   - in: query
+ *     name: limit
+ *     type: integer
+ *     description: Max records to return (default 50).
+ *   - in: query
+ *     name: offset
+ *     type: integer
+ *     description: Records to skip.
+ * @responses
+ *   200:
+ *     description: A list of work orders.
+ *   400:
+ *     description: Invalid status or source filter.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/work-orders', [verifyFirebaseToken, requirePermission('work_orders:read', { scopedList: true })], async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  const { status, source, boothUid, assignedTo } = req.query;
+
+  if (status && !WORK_ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Invalid status '${status}'. Must be one of: ${WORK_ORDER_STATUSES.join(', ')}.` });
+  }
+  if (source && !WORK_ORDER_SOURCES.includes(source)) {
+    return res.status(400).json({ error: `Invalid source '${source}'. Must be one of: ${WORK_ORDER_SOURCES.join(', ')}.` });
+  }
+
+  const params = [];
+  const conditions = [];
+  const scopeCondition = boothScopeCondition(req.permissionScope, params);
+  if (scopeCondition) {
+    conditions.push(scopeCondition);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`w.status = $${params.length}`);
+  }
+  if (source) {
+    params.push(source);
+    conditions.push(`w.source = $${params.length}`);
+  }
+  if (boothUid) {
+    params.push(boothUid);
+    conditions.push(`b.booth_uid = $${params.length}`);
+  }
+  if (assignedTo) {
+    params.push(assignedTo);
+    conditions.push(`w.assigned_to = $${params.length}`);
+  }
+  const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const countRes = await client.query(
+      `SELECT COUNT(*) FROM work_orders w JOIN booths b ON b.id = w.booth_id ${whereClause}`,
+      params
+    );
+    const { rows } = await client.query(`
+      ${WORK_ORDER_SELECT}
+      ${whereClause}
+      ORDER BY w.created_at DESC, w.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.status(200).json({
+      workOrders: rows.map(formatWorkOrder),
+      total: parseInt(countRes.rows[0].count, 10),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch work orders:', error);
+    res.status(500).json({ error: 'Failed to retrieve work orders.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/admin/work-orders/:workOrderId
+ * @summary Get a work order
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: workOrderId
+ *     required: true
+ *     type: integer
+ * @responses
+ *   200:
+ *     description: The work order.
+ *   403:
+ *     description: The booth is outside the admin's scope.
+ *   404:
+ *     description: Work order not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/work-orders/:workOrderId', [verifyFirebaseToken, requirePermission('work_orders:read', { scopedList: true })], async (req, res) => {
+  const { workOrderId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    if (!(await canAccess(client, req, workOrderId))) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    const workOrder = await fetchWorkOrder(client, workOrderId);
+    if (!workOrder) {
+      return res.status(404).json({ error: WORK_ORDER_ERRORS.WORK_ORDER_NOT_FOUND.message });
+    }
+    res.status(200).json({ workOrder: formatWorkOrder(workOrder) });
+  } catch (error) {
+    logger.error(`Failed to fetch work order ${workOrderId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve work order.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/work-orders
+ * @summary Open a maintenance work order
+ * @description Opens a work order for a slot, or for a whole booth when no slot is given, and takes it out of service: the slot (or booth) is set to `maintenance` until the order is closed. An order can be opened from a problem report (which moves to `investigating`) or an alert (which is acknowledged); the booth and slot are then taken from the report or alert unless given.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [title]
+ *         properties:
+ *           title:
+ *             type: string
+ *           description:
+ *             type: string
+ *           boothUid:
+ *             type: string
+ *             description: Required unless the order is opened from a problem report or alert about a booth.
+ *           slotIdentifier:
+ *             type: string
+ *             description: Omit for a whole-booth order.
+ *           problemReportId:
+ *             type: integer
+ *           alertId:
+ *             type: integer
+ *           priority:
+ *             type: string
+ *             enum: [low, normal, high, urgent]
+ *           assignedTo:
+ *             type: string
+ *             description: UID of the technician; must be an admin or hold a staff role.
+ * @responses
+ *   201:
+ *     description: Work order opened.
+ *   400:
+ *     description: Invalid input, or the assignee is not staff.
+ *   403:
+ *     description: The booth is outside the admin's scope.
+ *   404:
+ *     description: Booth, slot, problem report or alert not found.
+ *   409:
+ *     description: The slot has an active session or reservation, stores a rider's deposited battery, or already has an open work order.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/work-orders', [verifyFirebaseToken, requirePermission('work_orders:write', { scopedList: true })], async (req, res) => {
+  const { title, description = null, boothUid, slotIdentifier, problemReportId, alertId, priority = 'normal', assignedTo = null } = req.body || {};
+
+  if (!title || typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ error: 'A title is required.' });
+  }
+  if (!WORK_ORDER_PRIORITIES.includes(priority)) {
+    return res.status(400).json({ error: `Invalid priority '${priority}'. Must be one of: ${WORK_ORDER_PRIORITIES.join(', ')}.` });
+  }
+  if (problemReportId && alertId) {
+    return res.status(400).json({ error: 'Open a work order from either a problem report or an alert, not both.' });
+  }
+  if (!boothUid && !problemReportId && !alertId) {
+    return res.status(400).json({ error: 'boothUid is required for a manual work order.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const opened = await openWorkOrder(client, {
+      boothUid,
+      slotIdentifier,
+      problemReportId,
+      alertId,
+      title: title.trim(),
+      description,
+      priority,
+      assignedTo,
+      openedBy: req.user.uid,
+    });
+    const workOrder = await fetchWorkOrder(client, opened.id);
+    if (req.permissionScope && !(await isBoothInScope(client, req.permissionScope, workOrder.booth_uid))) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    await client.query('COMMIT');
+
+    setAuditContext(res, {
+      action: 'work_order.open',
+      targetType: 'work_order',
+      targetId: workOrder.id,
+      after: formatWorkOrder(workOrder),
+    });
+    res.status(201).json({ message: 'Work order opened.', workOrder: formatWorkOrder(workOrder) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (WORK_ORDER_ERRORS[error.message]) {
+      const { status, message } = WORK_ORDER_ERRORS[error.message];
+      return res.status(status).json({ error: message });
+    }
+    logger.error('Failed to open work order:', error);
+    res.status(500).json({ error: 'Failed to open work order.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PATCH /api/admin/work-orders/:workOrderId
+ * @summary Update a work order
+ * @description Updates an open work order: its details, assignee, progress (`assigned` or `in_progress`), the parts used so far and notes. Assigning an `open` order moves it to `assigned`; setting `assignedTo` to null moves it back to `open`.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: workOrderId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           title:
+ *             type: string
+ *           description:
+ *             type: string
+ *           priority:
+ *             type: string
+ *             enum: [low, normal, high, urgent]
+ *           assignedTo:
+ *             type: string
+ *             nullable: true
+ *           status:
+ *             type: string
+ *             enum: [assigned, in_progress]
+ *           partsUsed:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required: [name, quantity]
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 quantity:
+ *                   type: integer
+ *                 partNumber:
+ *                   type: string
+ *           resolutionNotes:
+ *             type: string
+ * @responses
+ *   200:
+ *     description: Work order updated.
+ *   400:
+ *     description: Invalid input, the assignee is not staff, or the order has no assignee.
+ *   403:
+ *     description: The booth is outside the admin's scope.
+ *   404:
+ *     description: Work order not found.
+ *   409:
+ *     description: The work order is already closed.
+ *   500:
+ *     description: Internal server error.
+ */
+router.patch('/work-orders/:workOrderId', [verifyFirebaseToken, requirePermission('work_orders:write', { scopedList: true })], async (req, res) => {
+  const { workOrderId } = req.params;
+  const { title, description, priority, assignedTo, status, partsUsed, resolutionNotes } = req.body || {};
+
+  if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+    return res.status(400).json({ error: 'title can not be empty.' });
+  }
+  if (priority !== undefined && !WORK_ORDER_PRIORITIES.includes(priority)) {
+    return res.status(400).json({ error: `Invalid priority '${priority}'. Must be one of: ${WORK_ORDER_PRIORITIES.join(', ')}.` });
+  }
+  if (status !== undefined && !['assigned', 'in_progress'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status. Must be one of: assigned, in_progress. Use the close endpoint to complete or cancel a work order.' });
+  }
+  if (partsUsed !== undefined) {
+    const partsError = validatePartsUsed(partsUsed);
+    if (partsError) {
+      return res.status(400).json({ error: partsError });
+    }
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    if (!(await canAccess(client, req, workOrderId))) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    const { before } = await updateWorkOrder(client, workOrderId, {
+      title: title?.trim(),
+      description,
+      priority,
+      assignedTo,
+      status,
+      partsUsed,
+      resolutionNotes,
+    });
+    const workOrder = await fetchWorkOrder(client, workOrderId);
+
+    setAuditContext(res, {
+      action: 'work_order.update',
+      targetType: 'work_order',
+      targetId: workOrderId,
+      before: formatWorkOrder({ ...before, booth_uid: workOrder.booth_uid, slot_identifier: workOrder.slot_identifier }),
+      after: formatWorkOrder(workOrder),
+    });
+    logger.info(`Admin (UID: ${req.user.uid}) updated work order ${workOrderId} (status '${workOrder.status}', assigned to ${workOrder.assigned_to || 'nobody'}).`);
+    res.status(200).json({ message: 'Work order updated.', workOrder: formatWorkOrder(workOrder) });
+  } catch (error) {
+    if (WORK_ORDER_ERRORS[error.message]) {
+      const { status: httpStatus, message } = WORK_ORDER_ERRORS[error.message];
+      return res.status(httpStatus).json({ error: message });
+    }
+    logger.error(`Failed to update work order ${workOrderId}:`, error);
+    res.status(500).json({ error: 'Failed to update work order.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/admin/work-orders/:workOrderId/close
+ * @summary Close a work order
+ * @description Completes or cancels a work order and puts its slot (or booth) back into service. Completing an order also resolves the problem report or alert it was opened from.
+ * @tags [Admin]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: workOrderId
+ *     required: true
+ *     type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [outcome]
+ *         properties:
+ *           outcome:
+ *             type: string
+ *             enum: [completed, cancelled]
+ *           resolutionNotes:
+ *             type: string
+ *             description: What was done; required when completing.
+ *           partsUsed:
+ *             type: array
+ *             description: Replaces the parts recorded on the order.
+ *             items:
+ *               type: object
+ * @responses
+ *   200:
+ *     description: Work order closed.
+ *   400:
+ *     description: Invalid outcome or parts, or missing resolution notes.
+ *   403:
+ *     description: The booth is outside the admin's scope.
+ *   404:
+ *     description: Work order not found.
+ *   409:
+ *     description: The work order is already closed.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/work-orders/:workOrderId/close', [verifyFirebaseToken, requirePermission('work_orders:write', { scopedList: true })], async (req, res) => {
+  const { workOrderId } = req.params;
+  const { outcome, resolutionNotes = null, partsUsed } = req.body || {};
+
+  if (!['completed', 'cancelled'].includes(outcome)) {
+    return res.status(400).json({ error: 'Invalid outcome. Must be one of: completed, cancelled.' });
+  }
+  if (outcome === 'completed' && (typeof resolutionNotes !== 'string' || !resolutionNotes.trim())) {
+    return res.status(400).json({ error: 'resolutionNotes are required to complete a work order.' });
+  }
+  if (partsUsed !== undefined) {
+    const partsError = validatePartsUsed(partsUsed);
+    if (partsError) {
+      return res.status(400).json({ error: partsError });
+    }
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    if (!(await canAccess(client, req, workOrderId))) {
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+    }
+    await client.query('BEGIN');
+    await closeWorkOrder(client, workOrderId, { outcome, resolutionNotes, partsUsed, closedBy: req.user.uid });
+    await client.query('COMMIT');
+    const workOrder = await fetchWorkOrder(client, workOrderId);
+
+    setAuditContext(res, {
+      action: 'work_order.close',
+      targetType: 'work_order',
+      targetId: workOrderId,
+      after: formatWorkOrder(workOrder),
+    });
+    res.status(200).json({ message: `Work order ${outcome}.`, workOrder: formatWorkOrder(workOrder) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (WORK_ORDER_ERRORS[error.message]) {
+      const { status, message } = WORK_ORDER_ERRORS[error.message];
+      return res.status(status).json({ error: message });
+    }
+    logger.error(`Failed to close work order ${workOrderId}:`, error);
+    res.status(500).json({ error: 'Failed to close work order.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
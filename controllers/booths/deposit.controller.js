@@ -5,21 +5,67 @@ const logger = require('../../utils/logger');
 const poolPromise = require('../../db');
 const { verifyFirebaseToken } = require('../../middleware/auth');
 const { extractValidSoc, isDevBooth } = require('./shared');
+const {
+  getActiveReservation,
+  fulfillReservation,
+  releaseReservation,
+  releaseSwapHold,
+  holdChargedBattery,
+} = require('../../utils/reservations');
+const { getWithdrawalRules, getChargeEta } = require('../../utils/chargeReadiness');
+const { emitWebhookEvent } = require('../../utils/webhooks');
+
+const DEPOSIT_MODES = ['charge', 'swap'];
+
+/**
+ * Predicts when a deposited battery will be ready and full. Estimation problems are logged and
+ * reported as a null ETA rather than failing the status request.
+ * @param {object} client - The PostgreSQL client.
+ * @param {{slotId: number, boothId: number, currentSoc: number}} battery - The battery being charged.
+ * @param {number} thresholdSoc - The withdrawal threshold.
+ * @param {Map<number, Promise<number|null>>} boothRates - Booth rates already looked up for this request.
+ * @returns {Promise<object|null>} The ETA payload, or null.
+ */
+async function getBatteryEta(client, battery, thresholdSoc, boothRates) {
+  try {
+    const eta = await getChargeEta(client, battery, thresholdSoc, boothRates);
+    // Whole minutes keep the payload (and so its ETag) stable between polls.
+    const toMinute = (date) => new Date(Math.floor(date.getTime() / 60000) * 60000);
+    return {
+      readyAtSoc: eta.thresholdSoc,
+      isReady: battery.currentSoc >= eta.thresholdSoc,
+      minutesToReady: eta.minutesToThreshold,
+      readyAt: toMinute(eta.thresholdAt),
+      minutesToFull: eta.minutesToFull,
+      fullAt: toMinute(eta.fullAt),
+      rateSource: eta.rateSource,
+    };
+  } catch (error) {
+    logger.error(`Failed to estimate charge ETA for slot ${battery.slotId}:`, error);
+    return null;
+  }
+}
 
 const router = Router();
 
 /**
  * POST /api/booths/initiate-deposit
  * Called by a user's app to start a deposit. Finds an available slot
- * and creates a pending session record.
+ * and creates a pending session record. A rider holding a deposit reservation
+ * at this booth gets their reserved slot.
+ * With `mode: 'swap'` a charged battery in another slot is also held for the rider,
+ * who collects it through initiate-withdrawal as soon as the deposit completes.
  */
 router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */ req, res) => {
-  const { boothUid } = req.body;
+  const { boothUid, mode = 'charge' } = req.body;
   const { uid: firebaseUid } = req.user;
 
   if (!boothUid) {
     return res.status(400).json({ error: 'boothUid is required.' });
   }
+  if (!DEPOSIT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${DEPOSIT_MODES.join(', ')}.` });
+  }
 
   const pool = await poolPromise;
   const client = await pool.connect(req.schema);
@@ -37,7 +83,7 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
     // Join with booth_slots to get the slot_identifier for the idempotency check.
     const existingSessionQuery = `
       SELECT
-        d.id, d.status, d.slot_id, d.session_type,
+        d.id, d.status, d.slot_id, d.session_type, d.swap_slot_id,
         s.slot_identifier
       FROM deposits d
       LEFT JOIN booth_slots s ON d.slot_id = s.id
@@ -58,6 +104,9 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
         if (session.slot_id) {
           await client.query("UPDATE booth_slots SET status = 'available' WHERE id = $1", [session.slot_id]);
         }
+        if (session.swap_slot_id) {
+          await releaseSwapHold(client, session.id);
+        }
         // Clean up complete. Continue to find a fresh slot.
         continue; 
       } else if (session.status === 'in_progress') {
@@ -80,6 +129,9 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
             [session.slot_id]
           );
         }
+        if (session.swap_slot_id) {
+          await releaseSwapHold(client, session.id);
+        }
         // Instead of throwing, we continue the loop to find a fresh slot for the user immediately.
         continue; 
       }
@@ -104,16 +156,18 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
 
     const boothId = boothRes.rows[0].id;
 
-    // 2. Find potential slots
+    // 2. Find potential slots, trying the rider's reserved slot first
+    const reservation = await getActiveReservation(client, firebaseUid, { boothId, type: 'deposit' });
+    const reservedSlotId = reservation ? reservation.slotId : null;
     const potentialSlotsRes = await client.query(
       `
       SELECT id, slot_identifier
       FROM booth_slots
       WHERE booth_id = $1
-        AND status = 'available'
-      ORDER BY slot_identifier ASC
+        AND (status = 'available' OR (status = 'reserved' AND id = $2))
+      ORDER BY (id = $2) IS TRUE DESC, slot_identifier ASC
       `,
-      [boothId]
+      [boothId, reservedSlotId]
     );
 
     if (potentialSlotsRes.rows.length === 0) {
@@ -142,10 +196,10 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
         UPDATE booth_slots
         SET status = 'opening'
         WHERE id = $1
-          AND status = 'available'
+          AND (status = 'available' OR (status = 'reserved' AND id = $2))
         RETURNING id, slot_identifier
         `,
-        [potentialSlot.id]
+        [potentialSlot.id, reservedSlotId]
       );
 
       if (slotReserveRes.rowCount > 0) {
@@ -182,7 +236,41 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
 
     const { id: slotId, slot_identifier: slotIdentifier } = assignedSlot;
 
-    // 4. Issue hardware command (skip for dev booths — no real hardware)
+    // 4. Create deposit session
+    const depositInsert = await client.query(
+      `INSERT INTO deposits (user_id, booth_id, slot_id, session_type, status)
+      VALUES ($1, $2, $3, 'deposit', 'opening')
+      RETURNING id`,
+      [firebaseUid, boothId, slotId]
+    );
+    const depositId = depositInsert.rows[0].id;
+
+    // The hold is used up either way; if the reserved slot failed verification, free it.
+    if (reservation) {
+      if (reservation.slotId === slotId) {
+        await fulfillReservation(client, reservation.id, depositId);
+      } else {
+        await releaseReservation(client, reservation.id, 'cancelled');
+      }
+    }
+
+    // 5. Swaps: hold the charged battery the rider will take. Done before the door opens
+    // so a booth with no charged battery fails the request without opening anything.
+    let swapHold = null;
+    if (mode === 'swap') {
+      swapHold = await holdChargedBattery(client, firebaseUid, boothId);
+      await client.query('UPDATE deposits SET swap_slot_id = $1 WHERE id = $2', [swapHold.slotId, depositId]);
+    }
+
+    await emitWebhookEvent(client, 'session.created', {
+      sessionId: depositId,
+      sessionType: 'deposit',
+      userId: firebaseUid,
+      boothUid,
+      slotIdentifier,
+    });
+
+    // 6. Issue hardware command (skip for dev booths — no real hardware)
     if (isDevBooth(boothUid)) {
       logger.info(`Dev booth: skipping Firebase hardware command for deposit at ${boothUid}/${slotIdentifier}.`);
     } else {
@@ -194,16 +282,7 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
         });
     }
 
-    // 5. Create deposit session
-    const depositInsert = await client.query(
-      `INSERT INTO deposits (user_id, booth_id, slot_id, session_type, status)
-      VALUES ($1, $2, $3, 'deposit', 'opening')
-      RETURNING id`,
-      [firebaseUid, boothId, slotId]
-    );
-    const depositId = depositInsert.rows[0].id;
-
-    // 6. For dev booths: simulate hardware response — auto-complete the deposit
+    // 7. For dev booths: simulate hardware response — auto-complete the deposit
     if (isDevBooth(boothUid)) {
       // Assign an available battery from the dev pool
       const batteryRes = await client.query(
@@ -242,10 +321,21 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
         identifier: slotIdentifier,
         status: isDevBooth(boothUid) ? 'completed' : 'opening',
       },
+      swap: swapHold
+        ? { slot: { identifier: swapHold.slotIdentifier }, heldUntil: swapHold.expiresAt }
+        : null,
     });
   } catch (error) {
     await client.query('ROLLBACK');
 
+    if (error.message === 'NO_CHARGED_BATTERY' || error.message === 'RESERVATION_EXISTS') {
+      const userMessage = error.message === 'NO_CHARGED_BATTERY'
+        ? 'There are no charged batteries at this booth right now. Please try again later.'
+        : 'You already have a reservation. Use or cancel it before starting a swap.';
+      logger.warn(`Swap initiation failed for user ${firebaseUid} at booth ${boothUid}: ${error.message}`);
+      return res.status(409).json({ error: 'Swap not available', message: userMessage });
+    }
+
     if (error.message === 'NO_AVAILABLE_SLOTS' || error.message === 'BOOTH_NOT_AVAILABLE') {
       const userMessage = error.message === 'NO_AVAILABLE_SLOTS'
         ? 'All slots at this booth are currently occupied. Please try again later.'
@@ -271,6 +361,9 @@ router.post('/initiate-deposit', verifyFirebaseToken, async (/** @type {any} */
 /**
  * GET /api/booths/my-battery-status
  * Allows a logged-in user to check the status and location of their deposited battery.
+ * Each battery includes an `eta`: minutes until it reaches the withdrawal threshold
+ * (`withdrawal_rules.min_charge_level`) and until full, predicted from the slot's recent
+ * charging samples or, without those, the booth's historical charge rate.
  */
 router.get('/my-battery-status', verifyFirebaseToken, async (/** @type {any} */ req, res) => {
   const { uid: firebaseUid } = req.user;
@@ -283,6 +376,7 @@ router.get('/my-battery-status', verifyFirebaseToken, async (/** @type {any} */
     const locationQuery = `
       SELECT
         d.id AS "sessionId",
+        bo.id AS "boothId",
         bo.booth_uid AS "boothUid",
         s.id AS "slotId",
         s.slot_identifier AS "slotIdentifier",
@@ -321,16 +415,19 @@ router.get('/my-battery-status', verifyFirebaseToken, async (/** @type {any} */
     }
 
     const db = getDatabase();
+    const { min_charge_level: thresholdSoc } = await getWithdrawalRules(client);
+    const boothRates = new Map();
 
     const statuses = await Promise.all(locationResult.rows.map(async (row) => {
-      const { sessionId, boothUid, slotId, slotIdentifier, lastKnownChargeLevel, sessionStatus } = row;
+      const { sessionId, boothId, boothUid, slotId, slotIdentifier, lastKnownChargeLevel, sessionStatus } = row;
 
       const slotRef = db.ref(`booths/${boothUid}/slots/${slotIdentifier}`);
       const snapshot = await slotRef.get();
 
       if (!snapshot.exists()) {
         logger.warn(`Data inconsistency: Battery for user ${firebaseUid} is in PG for slot ${boothUid}/${slotIdentifier}, but slot does not exist in Firebase.`);
-        return { sessionId, boothUid, slotIdentifier, chargeLevel: lastKnownChargeLevel, sessionStatus, telemetry: null };
+        const eta = await getBatteryEta(client, { slotId, boothId, currentSoc: Number(lastKnownChargeLevel) || 0 }, Number(thresholdSoc), boothRates);
+        return { sessionId, boothUid, slotIdentifier, chargeLevel: lastKnownChargeLevel, sessionStatus, telemetry: null, eta };
       }
 
       const firebaseData = snapshot.val();
@@ -344,6 +441,8 @@ router.get('/my-battery-status', verifyFirebaseToken, async (/** @type {any} */
         ).catch(err => logger.error(`Failed to background-update slot ${slotId} with Firebase data:`, err));
       }
 
+      const eta = await getBatteryEta(client, { slotId, boothId, currentSoc: realTimeCharge }, Number(thresholdSoc), boothRates);
+
       return {
         sessionId,
         boothUid,
@@ -352,6 +451,7 @@ router.get('/my-battery-status', verifyFirebaseToken, async (/** @type {any} */
         lastChargeLevel: lastKnownChargeLevel,
         sessionStatus,
         telemetry: firebaseData.telemetry || null,
+        eta,
       };
     }));
 
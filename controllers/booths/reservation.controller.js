@@ -0,0 +1,197 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken } = require('../../middleware/auth');
+const {
+  RESERVATION_TYPES,
+  getActiveReservation,
+  createReservation,
+  releaseReservation,
+} = require('../../utils/reservations');
+
+const router = Router();
+
+/**
+ * POST /api/booths/:boothUid/reservations
+ * @summary Reserve a slot at a booth
+ * @description Holds an empty slot to deposit into (`type: deposit`) or a charged battery (`type: battery`) for the rider
+ * for `reservation_rules.hold_minutes`. The slot is shown as `reserved` to everyone else until the hold is used,
+ * cancelled or expires. A rider can hold one slot at a time.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: boothUid
+ *     required: true
+ *     schema:
+ *       type: string
+ * @requestBody
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           type:
+ *             type: string
+ *             enum: [deposit, battery]
+ *             default: deposit
+ * @responses
+ *   201:
+ *     description: Slot reserved.
+ *   400:
+ *     description: Invalid reservation type.
+ *   409:
+ *     description: Booth offline, nothing to reserve, or the rider already holds a slot.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/:boothUid/reservations', verifyFirebaseToken, async (req, res) => {
+  const { boothUid } = req.params;
+  const { type = 'deposit' } = req.body || {};
+  const { uid: firebaseUid } = req.user;
+
+  if (!RESERVATION_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${RESERVATION_TYPES.join(', ')}.` });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    await client.query('BEGIN');
+
+    // Serialize per-user requests so a double tap cannot hold two slots.
+    await client.query('SELECT id FROM users WHERE user_id = $1 FOR UPDATE', [firebaseUid]);
+
+    const boothRes = await client.query(
+      "SELECT id FROM booths WHERE booth_uid = $1 AND status = 'online'",
+      [boothUid]
+    );
+    if (boothRes.rows.length === 0) {
+      throw new Error('BOOTH_NOT_AVAILABLE');
+    }
+
+    const reservation = await createReservation(client, { userId: firebaseUid, boothId: boothRes.rows[0].id, type });
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      reservationId: reservation.id,
+      type: reservation.type,
+      boothUid,
+      slot: { identifier: reservation.slotIdentifier },
+      expiresAt: reservation.expiresAt,
+      holdMinutes: reservation.holdMinutes,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    const conflictMessages = {
+      BOOTH_NOT_AVAILABLE: 'This booth is currently offline or does not exist.',
+      NO_AVAILABLE_SLOTS: 'All slots at this booth are currently occupied. Please try again later.',
+      NO_CHARGED_BATTERY: 'There are no charged batteries at this booth right now. Please try again later.',
+      RESERVATION_EXISTS: 'You already have a reservation. Use or cancel it before reserving again.',
+    };
+    if (conflictMessages[error.message]) {
+      logger.warn(`Reservation failed for user ${firebaseUid} at booth ${boothUid}: ${error.message}`);
+      return res.status(409).json({ error: 'Reservation not possible', message: conflictMessages[error.message] });
+    }
+
+    logger.error(`Failed to create reservation for user ${firebaseUid} at booth ${boothUid}:`, error);
+    res.status(500).json({ error: 'Failed to create reservation.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/booths/reservation
+ * @summary Get the rider's current reservation
+ * @description Returns the rider's live reservation with its booth, slot and expiry time, or `reservation: null`.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: The current reservation, if any.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/reservation', verifyFirebaseToken, async (req, res) => {
+  const { uid: firebaseUid } = req.user;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const reservation = await getActiveReservation(client, firebaseUid);
+    res.status(200).json({
+      reservation: reservation
+        ? {
+          id: reservation.id,
+          type: reservation.type,
+          boothUid: reservation.boothUid,
+          slot: { identifier: reservation.slotIdentifier },
+          expiresAt: reservation.expiresAt,
+        }
+        : null,
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch reservation for user ${firebaseUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve reservation.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/booths/reservations/:reservationId
+ * @summary Cancel a reservation
+ * @description Releases the held slot straight away so other riders can use it.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: reservationId
+ *     required: true
+ *     schema:
+ *       type: integer
+ * @responses
+ *   200:
+ *     description: Reservation cancelled.
+ *   404:
+ *     description: No live reservation with this ID for the rider.
+ *   500:
+ *     description: Internal server error.
+ */
+router.delete('/reservations/:reservationId', verifyFirebaseToken, async (req, res) => {
+  const { reservationId } = req.params;
+  const { uid: firebaseUid } = req.user;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    await client.query('BEGIN');
+
+    const ownerRes = await client.query(
+      // A battery hold bound to a swap withdrawal is released when that withdrawal ends.
+      "SELECT id FROM slot_reservations WHERE id = $1 AND user_id = $2 AND status = 'active' AND session_id IS NULL FOR UPDATE",
+      [reservationId, firebaseUid]
+    );
+    if (ownerRes.rowCount === 0 || !(await releaseReservation(client, ownerRes.rows[0].id, 'cancelled'))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Reservation not found.' });
+    }
+
+    await client.query('COMMIT');
+    logger.info(`User ${firebaseUid} cancelled reservation ${reservationId}.`);
+    res.status(200).json({ message: 'Reservation cancelled.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to cancel reservation ${reservationId} for user ${firebaseUid}:`, error);
+    res.status(500).json({ error: 'Failed to cancel reservation.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -74,9 +74,11 @@ const WITHDRAWAL_BATTERY_QUERY = `
     d.id as "depositCreditId",
     d.completed_at AS "depositCompletedAt",
     d.initial_charge_level AS "initialCharge",
+    d.swap_slot_id AS "swapSlotId",
     s.id AS "slotId",
     s.slot_identifier AS "slotIdentifier",
     s.charge_level_percent AS "chargeLevel",
+    s.current_battery_id AS "batteryId",
     b.id AS "boothId",
     b.booth_uid AS "boothUid"
   FROM deposits d
@@ -101,9 +103,11 @@ const WITHDRAWAL_BATTERY_BY_ID_QUERY = `
     d.id as "depositCreditId",
     d.completed_at AS "depositCompletedAt",
     d.initial_charge_level AS "initialCharge",
+    d.swap_slot_id AS "swapSlotId",
     s.id AS "slotId",
     s.slot_identifier AS "slotIdentifier",
     s.charge_level_percent AS "chargeLevel",
+    s.current_battery_id AS "batteryId",
     b.id AS "boothId",
     b.booth_uid AS "boothUid"
   FROM deposits d
@@ -150,6 +154,20 @@ async function getWithdrawalBatteryContext(client, firebaseUid, sessionId = null
   return batteryRes.rows[0];
 }
 
+/**
+ * Gets the SOC the battery in a slot had when it was deposited, used as the pricing baseline.
+ * @param {object} client - The database client.
+ * @param {number} slotId - The slot ID.
+ * @returns {Promise<number>} The initial SOC, or 0 if no completed deposit is found.
+ */
+async function getSlotInitialSoc(client, slotId) {
+  const initialChargeRes = await client.query(
+    "SELECT initial_charge_level FROM deposits WHERE slot_id = $1 AND session_type = 'deposit' AND status = 'completed' ORDER BY completed_at DESC LIMIT 1",
+    [slotId]
+  );
+  return initialChargeRes.rows.length > 0 ? initialChargeRes.rows[0].initial_charge_level : 0;
+}
+
 /**
  * Checks if a booth UID is a virtual dev booth.
  * Dev booths skip Firebase hardware interactions and simulate responses.
@@ -163,5 +181,6 @@ module.exports = {
   extractValidSoc,
   isRelayOff,
   getWithdrawalBatteryContext,
+  getSlotInitialSoc,
   isDevBooth,
 };
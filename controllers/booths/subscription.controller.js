@@ -0,0 +1,255 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken } = require('../../middleware/auth');
+const { initiateSTKPush } = require('../../utils/mpesa');
+const { getActiveSubscription, completeSubscriptionPurchase } = require('../../utils/subscriptions');
+
+const router = Router();
+
+/**
+ * GET /api/booths/subscription-plans
+ * @summary List subscription plans
+ * @description Returns the plans riders can currently buy. `swapAllowance` is null for unlimited plans.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: Active subscription plans.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/subscription-plans', verifyFirebaseToken, async (req, res) => {
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `SELECT id, name, description, price, period_days AS "periodDays", swap_allowance AS "swapAllowance"
+       FROM subscription_plans
+       WHERE is_active = true
+       ORDER BY price ASC, id ASC`
+    );
+
+    res.status(200).json({
+      plans: rows.map((plan) => ({ ...plan, price: parseFloat(plan.price) })),
+    });
+  } catch (error) {
+    logger.error('Failed to fetch subscription plans:', error);
+    res.status(500).json({ error: 'Failed to retrieve subscription plans.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/booths/subscription
+ * @summary Get the rider's current subscription
+ * @description Returns the active subscription with the swaps used and remaining in the current period, or `subscription: null`.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: The current subscription, if any.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/subscription', verifyFirebaseToken, async (req, res) => {
+  const { uid: firebaseUid } = req.user;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const subscription = await getActiveSubscription(client, firebaseUid);
+    res.status(200).json({ subscription });
+  } catch (error) {
+    logger.error(`Failed to fetch subscription for user ${firebaseUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve subscription.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/booths/subscriptions
+ * @summary Buy a subscription plan via M-Pesa
+ * @description Records a pending subscription and sends an M-Pesa STK push for the plan price. The subscription starts when the M-Pesa callback confirms payment.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [planId]
+ *         properties:
+ *           planId:
+ *             type: integer
+ * @responses
+ *   200:
+ *     description: STK push sent (or auto-approved in dev mode).
+ *   400:
+ *     description: No phone number on file.
+ *   404:
+ *     description: Plan not found or no longer offered.
+ *   409:
+ *     description: The rider already has an active subscription.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/subscriptions', verifyFirebaseToken, async (req, res) => {
+  const { uid: firebaseUid, phone_number: tokenPhone } = req.user;
+  const { planId } = req.body;
+
+  if (!Number.isInteger(planId)) {
+    return res.status(400).json({ error: 'planId must be an integer.' });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    await client.query('BEGIN');
+
+    // Serialize purchases per rider so two taps cannot buy two overlapping subscriptions.
+    const userRes = await client.query('SELECT phone FROM users WHERE user_id = $1 FOR UPDATE', [firebaseUid]);
+    if (userRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const planRes = await client.query(
+      'SELECT id, name, price, period_days, swap_allowance FROM subscription_plans WHERE id = $1 AND is_active = true',
+      [planId]
+    );
+    if (planRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Subscription plan not found.' });
+    }
+    const plan = planRes.rows[0];
+
+    if (await getActiveSubscription(client, firebaseUid)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Active subscription exists',
+        message: 'You already have an active subscription. You can buy a new plan when it ends.',
+      });
+    }
+
+    const phone = tokenPhone || userRes.rows[0].phone;
+    if (!phone) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No phone number on file for M-Pesa payment.' });
+    }
+
+    const subscriptionRes = await client.query(
+      `INSERT INTO user_subscriptions (user_id, plan_id, amount, period_days, swap_allowance, phone)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [firebaseUid, plan.id, plan.price, plan.period_days, plan.swap_allowance, phone]
+    );
+    const subscriptionId = subscriptionRes.rows[0].id;
+
+    // Dev mode: skip M-Pesa and activate immediately, mirroring the dev payment flow.
+    if (req.user.role === 'developer') {
+      const devCheckoutId = `DEV_SUB_${subscriptionId}_${Date.now()}`;
+      await client.query('UPDATE user_subscriptions SET mpesa_checkout_id = $1 WHERE id = $2', [devCheckoutId, subscriptionId]);
+      await completeSubscriptionPurchase(client, devCheckoutId, null);
+      await client.query('COMMIT');
+      return res.status(200).json({
+        message: 'Subscription auto-approved (dev mode).',
+        subscriptionId,
+        paymentStatus: 'paid',
+        checkoutRequestId: devCheckoutId,
+      });
+    }
+
+    const mpesaResponse = await initiateSTKPush({
+      phone,
+      amount: Math.ceil(Number(plan.price)),
+      accountReference: `sub_${subscriptionId}`,
+      transactionDesc: `${plan.name} subscription`,
+    });
+    const checkoutRequestId = mpesaResponse.data.CheckoutRequestID;
+
+    await client.query('UPDATE user_subscriptions SET mpesa_checkout_id = $1 WHERE id = $2', [checkoutRequestId, subscriptionId]);
+    await client.query('COMMIT');
+
+    logger.info(`Subscription ${subscriptionId} (plan ${plan.id}) initiated for user ${firebaseUid}.`);
+    res.status(200).json({
+      message: 'STK push sent. Please complete the payment on your phone.',
+      subscriptionId,
+      checkoutRequestId,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.isAxiosError) {
+      const errorDetails = { request: error.config, response: error.response?.data };
+      logger.error(`Failed to initiate subscription for user ${firebaseUid} due to an M-Pesa API error:`, errorDetails);
+    } else {
+      logger.error(`Failed to initiate subscription for user ${firebaseUid}:`, error);
+    }
+    res.status(500).json({ error: 'Failed to initiate subscription.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/booths/subscriptions/:checkoutRequestId
+ * @summary Poll the status of a subscription purchase
+ * @description Returns whether the M-Pesa payment for a subscription is still pending, paid or failed.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: checkoutRequestId
+ *     required: true
+ *     schema:
+ *       type: string
+ * @responses
+ *   200:
+ *     description: Purchase status and subscription period.
+ *   404:
+ *     description: Subscription purchase not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/subscriptions/:checkoutRequestId', verifyFirebaseToken, async (req, res) => {
+  const { checkoutRequestId } = req.params;
+  const { uid: firebaseUid } = req.user;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `SELECT id, status, amount, starts_at AS "startsAt", ends_at AS "endsAt"
+       FROM user_subscriptions
+       WHERE mpesa_checkout_id = $1 AND user_id = $2`,
+      [checkoutRequestId, firebaseUid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Subscription purchase not found.' });
+    }
+
+    const { id, status, amount, startsAt, endsAt } = rows[0];
+    res.status(200).json({
+      subscriptionId: id,
+      paymentStatus: status === 'active' ? 'paid' : status,
+      amount: parseFloat(amount),
+      startsAt,
+      endsAt,
+    });
+  } catch (error) {
+    logger.error(`Failed to get subscription status for checkoutId ${checkoutRequestId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve subscription status.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { getDatabase } = require('firebase-admin/database');
 const logger = require('../../utils/logger');
 const poolPromise = require('../../db');
 const { verifyFirebaseToken } = require('../../middleware/auth');
+const { releaseSwapHold, releaseWithdrawalHold } = require('../../utils/reservations');
 
 const router = Router();
 
@@ -36,6 +37,7 @@ router.post('/cancel-session', verifyFirebaseToken, async (req, res) => {
         d.session_type,
         d.status,
         d.slot_id,
+        d.swap_slot_id,
         s.slot_identifier,
         b.booth_uid
       FROM deposits d
@@ -50,7 +52,7 @@ router.post('/cancel-session', verifyFirebaseToken, async (req, res) => {
       return res.status(200).json({ message: 'No active session to cancel. You are all clear.' });
     }
 
-    const { id: sessionId, session_type: sessionType, status: sessionStatus, slot_id: slotId, slot_identifier: slotIdentifier, booth_uid: boothUid } = sessionRes.rows[0];
+    const { id: sessionId, session_type: sessionType, status: sessionStatus, slot_id: slotId, swap_slot_id: swapSlotId, slot_identifier: slotIdentifier, booth_uid: boothUid } = sessionRes.rows[0];
 
     // 2. Add specific logic to prevent cancelling a paid withdrawal.
     if (sessionType === 'withdrawal' && sessionStatus === 'in_progress') {
@@ -65,8 +67,16 @@ router.post('/cancel-session', verifyFirebaseToken, async (req, res) => {
     await client.query("UPDATE deposits SET status = 'cancelled' WHERE id = $1", [sessionId]);
 
     // 3. The slot was reserved for the session. We need to free it and reset its state.
-    // This applies to both deposits and withdrawals that have reserved a slot.
-    await client.query("UPDATE booth_slots SET status = 'available' WHERE id = $1", [slotId]);
+    // A swap withdrawal's slot holds the charged battery: releasing its hold marks it 'occupied' again.
+    const heldSlotReleased = sessionType === 'withdrawal' && await releaseWithdrawalHold(client, sessionId);
+    if (!heldSlotReleased) {
+      await client.query("UPDATE booth_slots SET status = 'available' WHERE id = $1", [slotId]);
+    }
+
+    // A swap deposit also holds the charged battery the rider was going to take.
+    if (swapSlotId) {
+      await releaseSwapHold(client, sessionId);
+    }
 
     // 4. Send a command to Firebase to ensure any door opening commands are cancelled.
     // This resets the command state for the slot.
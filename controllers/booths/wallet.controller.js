@@ -0,0 +1,233 @@
+const { Router } = require('express');
+const logger = require('../../utils/logger');
+const poolPromise = require('../../db');
+const { verifyFirebaseToken } = require('../../middleware/auth');
+const { initiateSTKPush } = require('../../utils/mpesa');
+const { completeWalletTopUp } = require('../../utils/wallet');
+const { getEnvInt } = require('./shared');
+
+const router = Router();
+
+/**
+ * GET /api/booths/wallet
+ * @summary Get the rider's wallet balance and recent movements
+ * @description Returns the current prepaid balance together with the most recent credits and debits.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: query
+ *     name: limit
+ *     schema:
+ *       type: integer
+ *       default: 20
+ *     description: Number of ledger entries to return (max 100).
+ * @responses
+ *   200:
+ *     description: Wallet balance and ledger entries.
+ *   404:
+ *     description: User not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/wallet', verifyFirebaseToken, async (req, res) => {
+  const { uid: firebaseUid } = req.user;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const userRes = await client.query('SELECT balance FROM users WHERE user_id = $1', [firebaseUid]);
+    if (userRes.rowCount === 0) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const { rows: transactions } = await client.query(
+      `SELECT id, type, amount, balance_after AS "balanceAfter", source, reference_id AS "referenceId",
+              description, created_at AS "createdAt"
+       FROM wallet_transactions
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [firebaseUid, limit]
+    );
+
+    res.status(200).json({
+      balance: parseFloat(userRes.rows[0].balance),
+      transactions: transactions.map((tx) => ({
+        ...tx,
+        amount: parseFloat(tx.amount),
+        balanceAfter: parseFloat(tx.balanceAfter),
+      })),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch wallet for user ${firebaseUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve wallet.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/booths/wallet/top-up
+ * @summary Top up the rider's wallet via M-Pesa
+ * @description Records a pending top-up and sends an M-Pesa STK push for the amount. The balance is credited when the M-Pesa callback confirms payment.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [amount]
+ *         properties:
+ *           amount:
+ *             type: integer
+ *             description: Whole-shilling amount to add to the wallet.
+ * @responses
+ *   200:
+ *     description: STK push sent (or auto-approved in dev mode).
+ *   400:
+ *     description: Invalid amount or no phone number on file.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/wallet/top-up', verifyFirebaseToken, async (req, res) => {
+  const { uid: firebaseUid, phone_number: tokenPhone } = req.user;
+  const amount = Number(req.body.amount);
+  const minAmount = getEnvInt('WALLET_TOPUP_MIN', 10);
+  const maxAmount = getEnvInt('WALLET_TOPUP_MAX', 20000);
+
+  if (!Number.isInteger(amount) || amount < minAmount || amount > maxAmount) {
+    return res.status(400).json({
+      error: 'Invalid amount',
+      message: `Top-up amount must be a whole number between ${minAmount} and ${maxAmount}.`,
+    });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    await client.query('BEGIN');
+
+    const userRes = await client.query('SELECT phone FROM users WHERE user_id = $1', [firebaseUid]);
+    if (userRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const phone = tokenPhone || userRes.rows[0].phone;
+    if (!phone) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'No phone number on file for M-Pesa payment.' });
+    }
+
+    const topUpRes = await client.query(
+      'INSERT INTO wallet_topups (user_id, amount, phone) VALUES ($1, $2, $3) RETURNING id',
+      [firebaseUid, amount, phone]
+    );
+    const topUpId = topUpRes.rows[0].id;
+
+    // Dev mode: skip M-Pesa and credit immediately, mirroring the dev payment flow.
+    if (req.user.role === 'developer') {
+      const devCheckoutId = `DEV_TOPUP_${topUpId}_${Date.now()}`;
+      await client.query('UPDATE wallet_topups SET mpesa_checkout_id = $1 WHERE id = $2', [devCheckoutId, topUpId]);
+      await completeWalletTopUp(client, devCheckoutId, null);
+      await client.query('COMMIT');
+      return res.status(200).json({
+        message: 'Top-up auto-approved (dev mode).',
+        topUpId,
+        paymentStatus: 'paid',
+        checkoutRequestId: devCheckoutId,
+      });
+    }
+
+    const mpesaResponse = await initiateSTKPush({
+      phone,
+      amount,
+      accountReference: `wallet_${topUpId}`,
+      transactionDesc: 'Wallet top-up',
+    });
+    const checkoutRequestId = mpesaResponse.data.CheckoutRequestID;
+
+    await client.query('UPDATE wallet_topups SET mpesa_checkout_id = $1 WHERE id = $2', [checkoutRequestId, topUpId]);
+    await client.query('COMMIT');
+
+    logger.info(`Wallet top-up ${topUpId} of KES ${amount} initiated for user ${firebaseUid}.`);
+    res.status(200).json({
+      message: 'STK push sent. Please complete the payment on your phone.',
+      topUpId,
+      checkoutRequestId,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.isAxiosError) {
+      const errorDetails = { request: error.config, response: error.response?.data };
+      logger.error(`Failed to initiate wallet top-up for user ${firebaseUid} due to an M-Pesa API error:`, errorDetails);
+    } else {
+      logger.error(`Failed to initiate wallet top-up for user ${firebaseUid}:`, error);
+    }
+    res.status(500).json({ error: 'Failed to initiate top-up.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/booths/wallet/top-ups/:checkoutRequestId
+ * @summary Poll the status of a wallet top-up
+ * @description Returns whether the M-Pesa payment for a top-up is still pending, completed or failed.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: checkoutRequestId
+ *     required: true
+ *     schema:
+ *       type: string
+ * @responses
+ *   200:
+ *     description: Top-up status and current wallet balance.
+ *   404:
+ *     description: Top-up not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/wallet/top-ups/:checkoutRequestId', verifyFirebaseToken, async (req, res) => {
+  const { checkoutRequestId } = req.params;
+  const { uid: firebaseUid } = req.user;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `SELECT t.id, t.status, t.amount, u.balance
+       FROM wallet_topups t
+       JOIN users u ON u.user_id = t.user_id
+       WHERE t.mpesa_checkout_id = $1 AND t.user_id = $2`,
+      [checkoutRequestId, firebaseUid]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Top-up not found.' });
+    }
+
+    const { id, status, amount, balance } = rows[0];
+    res.status(200).json({
+      topUpId: id,
+      paymentStatus: status === 'completed' ? 'paid' : status,
+      amount: parseFloat(amount),
+      balance: parseFloat(balance),
+    });
+  } catch (error) {
+    logger.error(`Failed to get top-up status for checkoutId ${checkoutRequestId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve top-up status.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -5,16 +5,85 @@ const poolPromise = require('../../db');
 const { verifyFirebaseToken } = require('../../middleware/auth');
 const { initiateSTKPush, querySTKStatus } = require('../../utils/mpesa');
 const { completePaidWithdrawal, finalizeWithdrawalSession } = require('../../utils/sessionUtils');
+const { debitWallet } = require('../../utils/wallet');
+const { calculateSwapPrice, getPricingRules } = require('../../utils/pricingEngine');
+const { estimateChargeRate, estimateMinutesToSoc } = require('../../utils/chargeEstimator');
+const { applyPromotion, PROMO_ERROR_MESSAGES } = require('../../utils/promotions');
+const { claimSubscriptionSwap } = require('../../utils/subscriptions');
+const { getActiveMembership, authorizeAccountBilling } = require('../../utils/organizations');
+const { holdChargedBattery, bindReservationToSession } = require('../../utils/reservations');
+const { emitWebhookEvent } = require('../../utils/webhooks');
 const {
   getEnvInt,
   extractValidSoc,
   isRelayOff,
   getWithdrawalBatteryContext,
+  getSlotInitialSoc,
   isDevBooth,
 } = require('./shared');
 
+const QUOTE_PROJECTION_SOC_LEVELS = [80, 90, 100];
+
+// M-Pesa drops an unanswered STK prompt after about 60s; until twice that has passed the rider
+// may still pay it, so the session keeps its checkout ID and no other payment is taken.
+const STK_PROMPT_OPEN_SECONDS = 120;
+
+const SWAP_ERROR_MESSAGES = {
+  NO_CHARGED_BATTERY: 'There are no charged batteries left at this booth. Please try again later.',
+  RESERVATION_EXISTS: 'You have a reservation elsewhere. Cancel it before completing your swap.',
+};
+
 const router = Router();
 
+/**
+ * Resolves the slot a swap rider collects from: their charged-battery hold at the booth,
+ * held again if it lapsed while the deposit was completing.
+ * @param {object} client - The database client, assumed to be within an active transaction.
+ * @param {string} firebaseUid - The Firebase UID of the user.
+ * @param {object} batteryContext - The deposit credit from getWithdrawalBatteryContext().
+ * @returns {Promise<{reservationId: number, slotId: number, slotIdentifier: string, chargeLevel: number|null, batteryId: number|null}|null>}
+ * The swap slot, or null if the credit is a plain charging deposit.
+ */
+async function resolveSwapSlot(client, firebaseUid, batteryContext) {
+  if (!batteryContext.swapSlotId) {
+    return null;
+  }
+
+  const hold = await holdChargedBattery(client, firebaseUid, batteryContext.boothId);
+  const slotRes = await client.query('SELECT charge_level_percent, current_battery_id FROM booth_slots WHERE id = $1', [hold.slotId]);
+  return {
+    reservationId: hold.id,
+    slotId: hold.slotId,
+    slotIdentifier: hold.slotIdentifier,
+    chargeLevel: slotRes.rows[0]?.charge_level_percent ?? null,
+    batteryId: slotRes.rows[0]?.current_battery_id ?? null,
+  };
+}
+
+/**
+ * Claims a payable withdrawal session for a payment attempt. Must run before any money moves,
+ * so that a second attempt on the same session cannot charge the rider again.
+ * @param {object} client - The database client, assumed to be within an active transaction that holds the session row lock.
+ * @param {number|string} sessionId - The withdrawal session ID.
+ * @param {string} checkoutId - The payment's checkout ID, used by completePaidWithdrawal().
+ * @param {string} paymentMethod - How the session is paid.
+ * @param {number|null} [organizationId] - The organisation billed, for account payments.
+ * @returns {Promise<void>}
+ * @throws {Error} 'SESSION_NOT_PAYABLE' if the session is no longer pending or failed.
+ */
+async function claimWithdrawalPayment(client, sessionId, checkoutId, paymentMethod, organizationId = null) {
+  const claimRes = await client.query(
+    `UPDATE deposits
+     SET mpesa_checkout_id = $1, payment_method = $2, organization_id = COALESCE($4, organization_id),
+         status = 'pending', started_at = NOW()
+     WHERE id = $3 AND status IN ('pending', 'failed')`,
+    [checkoutId, paymentMethod, sessionId, organizationId]
+  );
+  if (claimRes.rowCount === 0) {
+    throw new Error('SESSION_NOT_PAYABLE');
+  }
+}
+
 /**
  * POST /api/booths/stop-charging
  * Allows the app to stop charging first, then wait before creating a withdrawal session.
@@ -52,11 +121,11 @@ router.post('/stop-charging', verifyFirebaseToken, async (req, res) => {
     }
 
     const batteryContext = await getWithdrawalBatteryContext(client, firebaseUid, sessionId);
-    const {
-      chargeLevel: dbChargeLevel,
-      slotIdentifier,
-      boothUid,
-    } = batteryContext;
+    const { boothUid } = batteryContext;
+    // Swaps stop the charged battery the rider takes, not the one they brought.
+    const swap = await resolveSwapSlot(client, firebaseUid, batteryContext);
+    const slotIdentifier = swap ? swap.slotIdentifier : batteryContext.slotIdentifier;
+    const dbChargeLevel = swap ? swap.chargeLevel : batteryContext.chargeLevel;
 
     let socAtStopRequest = dbChargeLevel;
     let relayAlreadyOff = true;
@@ -108,6 +177,10 @@ router.post('/stop-charging', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    if (SWAP_ERROR_MESSAGES[error.message]) {
+      return res.status(409).json({ error: 'Swap not available', message: SWAP_ERROR_MESSAGES[error.message] });
+    }
+
     logger.error(
       `Failed to stop charging for user ${firebaseUid}:`,
       error
@@ -124,9 +197,14 @@ router.post('/stop-charging', verifyFirebaseToken, async (req, res) => {
 /**
  * POST /api/booths/initiate-withdrawal
  * Called by a user's app to start the collection of their charged battery.
+ * Optional body `promoCode` applies a promotion; the discount is stored on the withdrawal session.
+ * Riders with subscription allowance left are charged nothing and the session goes straight to
+ * `in_progress`, as if it had been paid.
+ * For a swap deposit the session collects the held charged battery instead, priced on the SOC
+ * difference between the battery the rider brought and the one they take.
  */
 router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
-  const { sessionId } = req.body;
+  const { sessionId, promoCode } = req.body;
   const { uid: firebaseUid } = req.user;
   const pool = await poolPromise;
   const client = await pool.connect(req.schema);
@@ -160,20 +238,24 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
      * ----------------------------------------------------- */
     const batteryContext = await getWithdrawalBatteryContext(client, firebaseUid, sessionId);
     const {
-      chargeLevel: dbChargeLevel,
       depositCreditId,
       depositCompletedAt,
-      slotId,
-      slotIdentifier,
       boothId,
       boothUid,
       initialCharge: userOriginalSoc, // This is the user's original drop-off SOC
     } = batteryContext;
 
+    // Swaps collect the held charged battery from another slot instead of the deposited one.
+    const swap = await resolveSwapSlot(client, firebaseUid, batteryContext);
+    const slotId = swap ? swap.slotId : batteryContext.slotId;
+    const slotIdentifier = swap ? swap.slotIdentifier : batteryContext.slotIdentifier;
+    const dbChargeLevel = swap ? swap.chargeLevel : batteryContext.chargeLevel;
+    // The battery the rider is billed for; checked against the one collected (see recordCollectedBattery).
+    const batteryId = swap ? swap.batteryId : batteryContext.batteryId;
+
     // For pricing, we need the initial charge of the battery the user is about to take, not the one they deposited.
-    // We'll fetch this from the slot they are withdrawing from.
-    const initialChargeRes = await client.query('SELECT initial_charge_level FROM deposits WHERE slot_id = $1 AND session_type = \'deposit\' AND status = \'completed\' ORDER BY completed_at DESC LIMIT 1', [slotId]);
-    const slotInitialSoc = initialChargeRes.rows.length > 0 ? initialChargeRes.rows[0].initial_charge_level : 0;
+    // We'll fetch this from the slot they are withdrawing from. A swap is priced from the SOC the rider brought in.
+    const slotInitialSoc = swap ? Number(userOriginalSoc) || 0 : await getSlotInitialSoc(client, slotId);
 
     /* -------------------------------------------------------
      * 2. Capture final SOC after stop-charging phase
@@ -192,27 +274,28 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
     /* -------------------------------------------------------
      * 3. Pricing
      * ----------------------------------------------------- */
-    const settingsRes = await client.query(
-      "SELECT value FROM app_settings WHERE key = 'pricing'"
-    );
+    const pricingRules = await getPricingRules(client);
+    const price = calculateSwapPrice(pricingRules, {
+      boothUid,
+      initialSoc: slotInitialSoc,
+      finalSoc: chargeLevel,
+      depositCompletedAt,
+    });
 
-    if (settingsRes.rows.length === 0) {
-      throw new Error('Pricing settings are not configured in the database.');
+    // A subscription swap covers the whole price, so a promo code is not redeemed alongside it.
+    const subscription = await claimSubscriptionSwap(client, firebaseUid);
+    const promotion = promoCode && !subscription
+      ? await applyPromotion(client, { code: promoCode, userId: firebaseUid, boothUid, amount: price.total })
+      : null;
+    const discountAmount = promotion ? promotion.discountAmount : 0;
+    const totalCost = subscription ? 0 : parseFloat((price.total - discountAmount).toFixed(2));
+    const breakdown = [...price.lines];
+    if (promotion) {
+      breakdown.push(promotion.line);
+    }
+    if (subscription) {
+      breakdown.push({ code: 'subscription', label: `Covered by ${subscription.planName} subscription`, amount: -price.total });
     }
-
-    const pricingRules = settingsRes.rows[0].value;
-    const baseSwapFee = pricingRules.base_swap_fee;
-    const costPerChargePercent = pricingRules.cost_per_charge_percent;
-
-    const chargeAddedToBattery = Math.max(
-      0,
-      parseFloat(chargeLevel) - parseFloat(slotInitialSoc)
-    );
-
-    const chargeComponent = chargeAddedToBattery * parseFloat(costPerChargePercent || 0);
-    const totalCost = parseFloat(
-      Math.max(baseSwapFee, chargeComponent).toFixed(2)
-    );
 
     /* -------------------------------------------------------
      * 4. Create withdrawal session
@@ -220,16 +303,48 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
     const sessionRes = await client.query(
       `
       INSERT INTO deposits
-        (user_id, booth_id, slot_id, session_type, status, amount, initial_charge_level, consumed_deposit_id)
+        (user_id, booth_id, slot_id, session_type, status, amount, initial_charge_level, consumed_deposit_id, price_breakdown, promotion_id, discount_amount, subscription_id, battery_id)
       VALUES
-        ($1, $2, $3, 'withdrawal', 'pending', $4, $5, $6)
+        ($1, $2, $3, 'withdrawal', 'pending', $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING id
       `,
-      [firebaseUid, boothId, slotId, totalCost, chargeLevel, depositCreditId]
+      [
+        firebaseUid, boothId, slotId, totalCost, chargeLevel, depositCreditId,
+        JSON.stringify({ ...price, total: totalCost, lines: breakdown }),
+        promotion ? promotion.promotionId : null,
+        discountAmount,
+        subscription ? subscription.id : null,
+        batteryId,
+      ]
     );
 
     const withdrawalSessionId = sessionRes.rows[0].id;
 
+    // Keep the swap battery held until the rider collects it (see finalizeWithdrawalSession).
+    if (swap) {
+      await bindReservationToSession(client, swap.reservationId, withdrawalSessionId);
+    }
+
+    await emitWebhookEvent(client, 'session.created', {
+      sessionId: withdrawalSessionId,
+      sessionType: 'withdrawal',
+      userId: firebaseUid,
+      boothUid,
+      slotIdentifier,
+      amount: Number(totalCost).toFixed(2),
+    });
+
+    /* -------------------------------------------------------
+     * 5. Subscription swap: settle through the paid-session path
+     * ----------------------------------------------------- */
+    if (subscription) {
+      const subscriptionCheckoutId = `SUB_${withdrawalSessionId}_${Date.now()}`;
+      await client.query(
+        "UPDATE deposits SET mpesa_checkout_id = $1, payment_method = 'subscription' WHERE id = $2",
+        [subscriptionCheckoutId, withdrawalSessionId]);
+      await completePaidWithdrawal(client, subscriptionCheckoutId);
+    }
+
     await client.query('COMMIT');
 
       
@@ -238,14 +353,29 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
 
 
     return res.status(200).json({
-      message: 'Withdrawal session created. Please confirm cost before payment.',
+      message: subscription
+        ? 'Withdrawal covered by your subscription. Scan the booth QR code to collect your battery.'
+        : 'Withdrawal session created. Please confirm cost before payment.',
       sessionId: withdrawalSessionId,
       amount: totalCost,
-      soc: parseFloat(chargeAddedToBattery.toFixed(1)),
+      discountAmount,
+      promoCode: promotion ? promotion.code : null,
+      paymentStatus: subscription ? 'paid' : 'pending',
+      subscription: subscription
+        ? {
+          id: subscription.id,
+          planName: subscription.planName,
+          swapsRemaining: subscription.swapsRemaining === null ? null : subscription.swapsRemaining - 1,
+          endsAt: subscription.endsAt,
+        }
+        : null,
+      breakdown,
+      soc: price.chargeAdded,
       socAtWithdrawal: parseFloat(chargeLevel.toFixed(1)),
       initialCharge: parseFloat(userOriginalSoc),
       depositCompletedAt,
       durationMinutes: chargeDurationMinutes,
+      swap: swap ? { slot: { identifier: slotIdentifier } } : null,
     });
   } catch (error) {
     await client.query('ROLLBACK');
@@ -265,6 +395,10 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    if (SWAP_ERROR_MESSAGES[error.message]) {
+      return res.status(409).json({ error: 'Swap not available', message: SWAP_ERROR_MESSAGES[error.message] });
+    }
+
     if (error.message === 'CHARGING_STILL_ACTIVE') {
       return res.status(409).json({
         error: 'Charging still active',
@@ -272,6 +406,13 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    if (PROMO_ERROR_MESSAGES[error.message]) {
+      return res.status(400).json({
+        error: 'Invalid promo code',
+        message: PROMO_ERROR_MESSAGES[error.message],
+      });
+    }
+
     logger.error(
       `Failed to initiate withdrawal for user ${firebaseUid}:`,
       error
@@ -287,10 +428,144 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
 });
 
 
+/**
+ * GET /api/booths/sessions/:depositId/quote
+ * @summary Get a live price quote for a charging battery
+ * @description Prices the battery at its current Firebase SOC using the same pricing engine as `/initiate-withdrawal`,
+ * without stopping charging. Also projects the price and estimated time to reach 80%, 90% and 100% SOC so the rider
+ * can decide when to stop. Projections are priced at their estimated time, so overtime and peak windows are included.
+ * A swap is quoted for the held charged battery, holding one again if the hold lapsed, as `/initiate-withdrawal` does.
+ * @tags [Booths]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: depositId
+ *     required: true
+ *     schema:
+ *       type: integer
+ *     description: The ID of the rider's completed deposit session.
+ * @responses
+ *   200:
+ *     description: Live quote and projections.
+ *   404:
+ *     description: No deposited battery found for this deposit.
+ *   409:
+ *     description: Swap not available (no charged battery left, or a hold at another booth).
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/sessions/:depositId/quote', verifyFirebaseToken, async (req, res) => {
+  const { depositId } = req.params;
+  const { uid: firebaseUid } = req.user;
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+
+  try {
+    await client.query('BEGIN');
+
+    // Serialize with initiate-withdrawal, which may be holding a swap battery for this rider.
+    await client.query('SELECT id FROM users WHERE user_id = $1 FOR UPDATE', [firebaseUid]);
+
+    const batteryContext = await getWithdrawalBatteryContext(client, firebaseUid, depositId);
+    const { depositCompletedAt, boothUid, initialCharge: userOriginalSoc } = batteryContext;
+
+    // Swaps are priced for the held charged battery, exactly as initiate-withdrawal bills them.
+    const swap = await resolveSwapSlot(client, firebaseUid, batteryContext);
+    const slotId = swap ? swap.slotId : batteryContext.slotId;
+    const slotIdentifier = swap ? swap.slotIdentifier : batteryContext.slotIdentifier;
+    const dbChargeLevel = swap ? swap.chargeLevel : batteryContext.chargeLevel;
+    const slotInitialSoc = swap ? Number(userOriginalSoc) || 0 : await getSlotInitialSoc(client, slotId);
+    const pricingRules = await getPricingRules(client);
+
+    await client.query('COMMIT');
+
+    let slotData = null;
+    if (!isDevBooth(boothUid)) {
+      const snapshot = await getDatabase().ref(`booths/${boothUid}/slots/${slotIdentifier}`).get();
+      slotData = snapshot.exists() && snapshot.val() ? snapshot.val() : null;
+    }
+
+    const currentSoc = extractValidSoc(slotData, dbChargeLevel) ?? 0;
+    const now = new Date();
+
+    const priceAt = (finalSoc, at) => calculateSwapPrice(pricingRules, {
+      boothUid,
+      initialSoc: slotInitialSoc,
+      finalSoc,
+      depositCompletedAt,
+      at,
+    });
+
+    const livePrice = priceAt(currentSoc, now);
+    const { ratePercentPerMinute, observed } = estimateChargeRate({
+      initialSoc: slotInitialSoc,
+      currentSoc,
+      chargingSince: depositCompletedAt,
+      now,
+    });
+
+    const projections = QUOTE_PROJECTION_SOC_LEVELS.map((targetSoc) => {
+      const reached = currentSoc >= targetSoc;
+      const etaMinutes = reached ? 0 : estimateMinutesToSoc(currentSoc, targetSoc, ratePercentPerMinute);
+      const estimatedAt = new Date(now.getTime() + etaMinutes * 60000);
+      const projectedPrice = reached ? livePrice : priceAt(targetSoc, estimatedAt);
+
+      return {
+        targetSoc,
+        reached,
+        etaMinutes,
+        estimatedAt,
+        amount: projectedPrice.total,
+        breakdown: projectedPrice.lines,
+      };
+    });
+
+    return res.status(200).json({
+      depositId: Number(depositId),
+      boothUid,
+      slotIdentifier,
+      currentSoc: parseFloat(Number(currentSoc).toFixed(1)),
+      initialSoc: parseFloat(slotInitialSoc),
+      isCharging: slotData ? !isRelayOff(slotData) : null,
+      chargeRatePercentPerMinute: parseFloat(ratePercentPerMinute.toFixed(3)),
+      chargeRateObserved: observed,
+      quote: {
+        amount: livePrice.total,
+        currency: livePrice.currency,
+        breakdown: livePrice.lines,
+        quotedAt: now,
+      },
+      projections,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+
+    if (error.message === 'NO_DEPOSITED_BATTERY') {
+      return res.status(404).json({
+        error: 'No deposited battery',
+        message: 'No charging battery was found for this deposit.',
+      });
+    }
+
+    if (SWAP_ERROR_MESSAGES[error.message]) {
+      return res.status(409).json({ error: 'Swap not available', message: SWAP_ERROR_MESSAGES[error.message] });
+    }
+
+    logger.error(`Failed to quote deposit ${depositId} for user ${firebaseUid}:`, error);
+    return res.status(500).json({ error: 'Failed to calculate quote.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * POST /api/booths/sessions/:sessionId/pay
  * @summary Trigger payment for a withdrawal session
- * @description Finds a pending withdrawal session and initiates an M-Pesa STK push for the pre-calculated amount.
+ * @description Finds a pending withdrawal session and either initiates an M-Pesa STK push for the pre-calculated amount
+ * or, with `paymentMethod: wallet`, settles it immediately from the rider's prepaid balance.
+ * Members of an organisation are billed to the organisation account (`paymentMethod: account`) by default,
+ * within their monthly spending limit; the organisation pays on its monthly invoice.
  * @tags [Booths]
  * @security
  *   - bearerAuth: []
@@ -301,41 +576,123 @@ router.post('/initiate-withdrawal', verifyFirebaseToken, async (req, res) => {
  *     schema:
  *       type: integer
  *     description: The ID of the pending withdrawal session.
+ * @requestBody
+ *   required: false
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           paymentMethod:
+ *             type: string
+ *             enum: [mpesa, wallet, account]
+ *             description: Defaults to `account` for organisation members and `mpesa` otherwise.
  * @responses
  *   200:
- *     description: STK push initiated successfully.
+ *     description: STK push initiated successfully, or session paid from the wallet or billed to the organisation.
+ *   400:
+ *     description: Unsupported payment method.
+ *   402:
+ *     description: Wallet balance or organisation spending limit is too low to cover the session.
+ *   403:
+ *     description: Account billing requested by a rider without an active organisation membership.
  *   404:
  *     description: Pending session not found.
+ *   409:
+ *     description: The session was paid by another request in the meantime, or an M-Pesa prompt for it is still open.
  *   500:
  *     description: Internal server error.
  */
 router.post('/sessions/:sessionId/pay', verifyFirebaseToken, async (req, res) => {
   const { sessionId } = req.params;
   const { uid: firebaseUid, phone_number: userPhone } = req.user;
+  const { paymentMethod: requestedMethod } = req.body || {};
+
+  if (requestedMethod !== undefined && !['mpesa', 'wallet', 'account'].includes(requestedMethod)) {
+    return res.status(400).json({ error: `Unsupported payment method '${requestedMethod}'.` });
+  }
 
   const pool = await poolPromise;
   const client = await pool.connect(req.schema);
   try {
     await client.query('BEGIN');
 
-    // 1. Find the pending withdrawal session for this user.
+    // 1. Find and lock the pending withdrawal session for this user, so concurrent pay requests run one at a time.
     // Allow retrying payment if the previous attempt failed.
     const sessionRes = await client.query(
-      "SELECT amount FROM deposits WHERE id = $1 AND user_id = $2 AND session_type = 'withdrawal' AND status IN ('pending', 'failed')",
-      [sessionId, firebaseUid]
+      `SELECT amount,
+              (status = 'pending' AND payment_method = 'mpesa' AND mpesa_checkout_id IS NOT NULL
+               AND started_at > NOW() - make_interval(secs => $3)) AS stk_prompt_open
+       FROM deposits WHERE id = $1 AND user_id = $2 AND session_type = 'withdrawal' AND status IN ('pending', 'failed') FOR UPDATE`,
+      [sessionId, firebaseUid, STK_PROMPT_OPEN_SECONDS]
     );
 
     if (sessionRes.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'No active withdrawal session found to pay for.' });
     }
+    // Replacing the checkout ID of an open STK prompt would leave its callback with no session to
+    // complete, and a rider who then enters their PIN would be charged for nothing.
+    if (sessionRes.rows[0].stk_prompt_open) {
+      throw new Error('PAYMENT_IN_PROGRESS');
+    }
     const amount = sessionRes.rows[0].amount;
+    const paymentMethod = requestedMethod || ((await getActiveMembership(client, firebaseUid)) ? 'account' : 'mpesa');
+
+    // 2. Nothing to pay (e.g. a 100% promo code): complete the session without a payment provider.
+    if (Number(amount) <= 0) {
+      const freeCheckoutId = `FREE_${sessionId}_${Date.now()}`;
+      await claimWithdrawalPayment(client, sessionId, freeCheckoutId, 'free');
+      await completePaidWithdrawal(client, freeCheckoutId);
+      await client.query('COMMIT');
+      return res.status(200).json({
+        message: 'Nothing to pay for this session.',
+        paymentStatus: 'paid',
+        checkoutRequestId: freeCheckoutId,
+      });
+    }
+
+    // 3. Wallet: settle from the prepaid balance, no STK push needed.
+    // The synthetic checkout ID lets the session go through the same completion path as M-Pesa.
+    if (paymentMethod === 'wallet') {
+      const walletCheckoutId = `WALLET_${sessionId}_${Date.now()}`;
+      await claimWithdrawalPayment(client, sessionId, walletCheckoutId, 'wallet');
+      const { balance } = await debitWallet(client, firebaseUid, amount, {
+        source: 'withdrawal_payment',
+        referenceId: Number(sessionId),
+        description: `Payment for session ${sessionId}`,
+      });
+      await completePaidWithdrawal(client, walletCheckoutId);
+      await client.query('COMMIT');
+      logger.info(`Session ${sessionId} paid from wallet by user ${firebaseUid}. Remaining balance: ${balance.toFixed(2)}.`);
+      return res.status(200).json({
+        message: 'Payment completed from wallet balance.',
+        paymentStatus: 'paid',
+        checkoutRequestId: walletCheckoutId,
+        balance,
+      });
+    }
+
+    // 4. Organisation account: bill the swap to the rider's organisation for its monthly invoice.
+    if (paymentMethod === 'account') {
+      const { organizationId, organizationName, remaining } = await authorizeAccountBilling(client, firebaseUid, amount);
+      const accountCheckoutId = `ACCOUNT_${sessionId}_${Date.now()}`;
+      await claimWithdrawalPayment(client, sessionId, accountCheckoutId, 'account', organizationId);
+      await completePaidWithdrawal(client, accountCheckoutId);
+      await client.query('COMMIT');
+      logger.info(`Session ${sessionId} billed to organization ${organizationId} by user ${firebaseUid}.`);
+      return res.status(200).json({
+        message: `Billed to ${organizationName}.`,
+        paymentStatus: 'paid',
+        checkoutRequestId: accountCheckoutId,
+        remainingMonthlyLimit: remaining,
+      });
+    }
 
-    // 2. Dev mode: skip M-Pesa, auto-approve payment.
+    // 5. Dev mode: skip M-Pesa, auto-approve payment.
     if (req.user.role === 'developer') {
       const devCheckoutId = `DEV_${sessionId}_${Date.now()}`;
-      await client.query(
-        "UPDATE deposits SET mpesa_checkout_id = $1, status = 'pending', started_at = NOW() WHERE id = $2",
-        [devCheckoutId, sessionId]);
+      await claimWithdrawalPayment(client, sessionId, devCheckoutId, 'dev');
       await completePaidWithdrawal(client, devCheckoutId);
       await client.query('COMMIT');
       return res.status(200).json({
@@ -345,7 +702,7 @@ router.post('/sessions/:sessionId/pay', verifyFirebaseToken, async (req, res) =>
       });
     }
 
-    // 2. Initiate the M-Pesa STK Push.
+    // 6. Initiate the M-Pesa STK Push.
     const mpesaResponse = await initiateSTKPush({
       phone: userPhone,
       amount: amount,
@@ -355,9 +712,9 @@ router.post('/sessions/:sessionId/pay', verifyFirebaseToken, async (req, res) =>
 
     const checkoutRequestId = mpesaResponse.data.CheckoutRequestID;
 
-    // 3. Update the session record with the new CheckoutRequestID from M-Pesa.
+    // 7. Update the session record with the new CheckoutRequestID from M-Pesa.
     await client.query(
-      "UPDATE deposits SET mpesa_checkout_id = $1, status = 'pending', started_at = NOW() WHERE id = $2",
+      "UPDATE deposits SET mpesa_checkout_id = $1, payment_method = 'mpesa', status = 'pending', started_at = NOW() WHERE id = $2",
       [checkoutRequestId, sessionId]);
 
     await client.query('COMMIT');
@@ -368,11 +725,46 @@ router.post('/sessions/:sessionId/pay', verifyFirebaseToken, async (req, res) =>
     });
   } catch (error) {
     await client.query('ROLLBACK');
+
+    if (error.message === 'SESSION_NOT_PAYABLE') {
+      return res.status(409).json({ error: 'This session has already been paid for.' });
+    }
+
+    if (error.message === 'PAYMENT_IN_PROGRESS') {
+      return res.status(409).json({
+        error: 'Payment in progress',
+        message: 'An M-Pesa prompt for this session is still open. Complete or cancel it on your phone, then try again.',
+      });
+    }
+
+    if (error.message === 'INSUFFICIENT_BALANCE') {
+      return res.status(402).json({
+        error: 'Insufficient balance',
+        message: 'Your wallet balance is too low for this session. Top up or pay with M-Pesa.',
+      });
+    }
+
+    if (error.message === 'NOT_ORG_MEMBER' || error.message === 'ORG_SUSPENDED') {
+      return res.status(403).json({
+        error: 'Account billing unavailable',
+        message: error.message === 'NOT_ORG_MEMBER'
+          ? 'You are not an active member of an organisation account.'
+          : 'Your organisation account is suspended. Pay with M-Pesa or your wallet.',
+      });
+    }
+
+    if (error.message === 'SPENDING_LIMIT_EXCEEDED') {
+      return res.status(402).json({
+        error: 'Spending limit reached',
+        message: 'This swap would exceed your monthly organisation spending limit. Pay with M-Pesa or your wallet.',
+      });
+    }
+
     // Improved error logging for external API calls
     if (error.isAxiosError) {
-      // Log more detailed info if it's an Axios error (from M-Pesa call)
-      const errorDetails = { request: error.config, response: error.response?.data };
-      console.log('M-Pesa API error details:', errorDetails);
+      // Log more detailed info if it's an Axios error (from M-Pesa call). The request config is
+      // left out: its headers carry the Daraja access token.
+      const errorDetails = { url: error.config?.url, status: error.response?.status, response: error.response?.data };
       logger.error(`Failed to trigger payment for session ${sessionId} due to an M-Pesa API error:`, errorDetails);
     } else {
       logger.error(`Failed to trigger payment for session ${sessionId}:`, error);
@@ -1,5 +1,6 @@
 const poolPromise = require('./index.js');
 const logger = require('../utils/logger');
+const { DEFAULT_ADMIN_ROLES } = require('../utils/permissions');
 
 //postgres
 const initializeDatabase = async () => {
@@ -12,6 +13,19 @@ const initializeDatabase = async () => {
     // and check for existence to prevent errors on subsequent runs.
     await client.query('BEGIN');
 
+    // Values accepted by CHECK constraints that grow over time. Existing databases are
+    // migrated by syncCheckConstraint() below.
+    const JOURNAL_ENTRY_TYPES = [
+      'stk_charge', 'wallet_topup', 'wallet_payment', 'cash_payment', 'refund', 'adjustment',
+      'subscription_payment', 'account_charge', 'invoice_payment',
+    ];
+    const REFUND_METHODS = ['mpesa', 'wallet', 'dev', 'account'];
+    const REFUND_STATUSES = ['pending_approval', 'approved', 'processing', 'pending_confirmation', 'completed', 'failed', 'rejected'];
+    const SLOT_STATUSES = ['available', 'occupied', 'opening', 'reserved', 'maintenance', 'faulty', 'offline', 'disabled'];
+    const COMMAND_APPROVAL_ACTIONS = ['force_unlock', 'open_door', 'reset_slots', 'manual_withdraw'];
+    const NOTIFICATION_STATUSES = ['queued', 'sending', 'sent', 'failed', 'skipped'];
+    const checkIn = (column, values) => `CHECK (${column} IN (${values.map((value) => `'${value}'`).join(', ')}))`;
+
 
     const createUsersTableQuery = `
       CREATE TABLE IF NOT EXISTS users (
@@ -81,7 +95,7 @@ const initializeDatabase = async () => {
         id SERIAL PRIMARY KEY,
         booth_id INT NOT NULL REFERENCES booths(id) ON DELETE CASCADE,
         slot_identifier VARCHAR(50) NOT NULL, -- e.g., 'A01', 'B05'
-        status VARCHAR(50) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'occupied', 'opening', 'maintenance', 'faulty', 'offline', 'disabled')),
+        status VARCHAR(50) NOT NULL DEFAULT 'available' ${checkIn('status', SLOT_STATUSES)},
         current_battery_id INT REFERENCES batteries(id) ON DELETE SET NULL,
         charge_level_percent INT CHECK (charge_level_percent BETWEEN 0 AND 100), -- Mirrored from Firebase for quick lookups
         door_status VARCHAR(20) DEFAULT 'closed' CHECK (door_status IN ('open', 'closed', 'locked')), -- Mirrored from Firebase
@@ -133,6 +147,521 @@ const initializeDatabase = async () => {
       );
     `;
 
+    // Every movement of users.balance is recorded here so the balance can always be
+    // explained. balance_after is the wallet balance immediately after the movement.
+    const createWalletTransactionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS wallet_transactions (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        type VARCHAR(10) NOT NULL CHECK (type IN ('credit', 'debit')),
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        balance_after DECIMAL(10, 2) NOT NULL,
+        source VARCHAR(30) NOT NULL CHECK (source IN ('mpesa_topup', 'withdrawal_payment', 'refund', 'adjustment')),
+        reference_id INT, -- wallet_topups.id for top-ups, deposits.id for session payments
+        description TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    const createWalletTopupsTableQuery = `
+      CREATE TABLE IF NOT EXISTS wallet_topups (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        phone VARCHAR(20),
+        mpesa_checkout_id VARCHAR(255) UNIQUE,
+        mpesa_receipt VARCHAR(50),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+        notes TEXT,
+        completed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // --- Double-entry ledger ---
+    // Journal entries and lines are append-only (see prevent_ledger_mutation below);
+    // corrections are posted as new 'adjustment' entries. Lines carry optional user and
+    // booth dimensions without foreign keys so history survives user/booth deletion.
+    const createLedgerAccountsTableQuery = `
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        code VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('asset', 'liability', 'revenue', 'expense')),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    const createJournalEntriesTableQuery = `
+      CREATE TABLE IF NOT EXISTS journal_entries (
+        id SERIAL PRIMARY KEY,
+        entry_type VARCHAR(30) NOT NULL ${checkIn('entry_type', JOURNAL_ENTRY_TYPES)},
+        reference_type VARCHAR(30), -- e.g. 'session', 'wallet_topup'
+        reference_id VARCHAR(100),
+        external_reference VARCHAR(255), -- M-Pesa receipt or checkout ID
+        description TEXT,
+        created_by VARCHAR(255), -- Firebase UID of the admin for manual entries, NULL for system entries
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    const createJournalLinesTableQuery = `
+      CREATE TABLE IF NOT EXISTS journal_lines (
+        id SERIAL PRIMARY KEY,
+        entry_id INT NOT NULL REFERENCES journal_entries(id),
+        account_code VARCHAR(50) NOT NULL REFERENCES ledger_accounts(code),
+        user_id VARCHAR(255),
+        booth_id INT,
+        debit DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+        credit DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+        CHECK ((debit = 0) <> (credit = 0))
+      );
+    `;
+
+
+    // Refunds for paid withdrawals that could not be released. M-Pesa refunds are paid out via B2C
+    // and matched back through the originator conversation ID; wallet refunds are credited directly.
+    const createRefundsTableQuery = `
+      CREATE TABLE IF NOT EXISTS refunds (
+        id SERIAL PRIMARY KEY,
+        session_id INT REFERENCES deposits(id) ON DELETE SET NULL,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        booth_id INT,
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        method VARCHAR(20) NOT NULL ${checkIn('method', REFUND_METHODS)},
+        phone VARCHAR(20),
+        reason TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending_approval' ${checkIn('status', REFUND_STATUSES)},
+        requested_by VARCHAR(255), -- Admin UID, NULL when raised automatically by the hardware sync
+        reviewed_by VARCHAR(255),
+        reviewed_at TIMESTAMPTZ,
+        rejection_reason TEXT,
+        mpesa_conversation_id VARCHAR(255),
+        mpesa_originator_conversation_id VARCHAR(255) UNIQUE,
+        mpesa_transaction_id VARCHAR(50),
+        result_code VARCHAR(20),
+        result_desc TEXT,
+        attempts INT NOT NULL DEFAULT 0,
+        completed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Promo codes riders can attach to a withdrawal. Redemptions are the withdrawal sessions
+    // themselves (deposits.promotion_id), so cancelled or failed sessions free up the code again.
+    const createPromotionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS promotions (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) UNIQUE NOT NULL, -- Stored upper-case
+        description TEXT,
+        discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+        discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+        valid_from TIMESTAMPTZ,
+        valid_until TIMESTAMPTZ,
+        max_redemptions INT CHECK (max_redemptions > 0), -- NULL = unlimited
+        max_redemptions_per_user INT CHECK (max_redemptions_per_user > 0), -- NULL = unlimited
+        booth_uids TEXT[], -- Allow-list; NULL or empty = every booth
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        CHECK (discount_type <> 'percentage' OR discount_value <= 100),
+        CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_from < valid_until)
+      );
+    `;
+
+    // Subscription plans: a flat fee buys N swaps (or unlimited when swap_allowance is NULL) per period.
+    const createSubscriptionPlansTableQuery = `
+      CREATE TABLE IF NOT EXISTS subscription_plans (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        price DECIMAL(10, 2) NOT NULL CHECK (price > 0),
+        period_days INT NOT NULL DEFAULT 30 CHECK (period_days > 0),
+        swap_allowance INT CHECK (swap_allowance > 0), -- NULL = unlimited swaps
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // A rider's purchase of a plan. The plan terms are copied at purchase so later plan edits do not
+    // change running subscriptions. An 'active' row past ends_at is expired. Swaps used are the
+    // withdrawal sessions linked through deposits.subscription_id.
+    const createUserSubscriptionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS user_subscriptions (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        plan_id INT NOT NULL REFERENCES subscription_plans(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'failed', 'cancelled')),
+        amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+        period_days INT NOT NULL CHECK (period_days > 0),
+        swap_allowance INT, -- NULL = unlimited swaps
+        phone VARCHAR(20),
+        mpesa_checkout_id VARCHAR(255) UNIQUE,
+        mpesa_receipt VARCHAR(50),
+        starts_at TIMESTAMPTZ,
+        ends_at TIMESTAMPTZ,
+        cancelled_by VARCHAR(255), -- Admin UID
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Fleet/corporate accounts. Member riders bill their swaps to the organisation
+    // (deposits.payment_method = 'account') and the organisation pays a monthly invoice.
+    const createOrganizationsTableQuery = `
+      CREATE TABLE IF NOT EXISTS organizations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        billing_email VARCHAR(255),
+        billing_phone VARCHAR(20),
+        payment_terms_days INT NOT NULL DEFAULT 14 CHECK (payment_terms_days >= 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended')),
+        created_by VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Riders are invited by phone; user_id is set when the rider accepts.
+    const createOrganizationMembersTableQuery = `
+      CREATE TABLE IF NOT EXISTS organization_members (
+        id SERIAL PRIMARY KEY,
+        organization_id INT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+        phone VARCHAR(20) NOT NULL, -- Normalized to +254XXXXXXXXX
+        user_id VARCHAR(255) REFERENCES users(user_id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL DEFAULT 'rider' CHECK (role IN ('admin', 'rider')),
+        status VARCHAR(20) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'active', 'declined', 'removed')),
+        monthly_spend_limit DECIMAL(10, 2) CHECK (monthly_spend_limit >= 0), -- NULL = no limit
+        invited_by VARCHAR(255),
+        joined_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    const createOrganizationInvoicesTableQuery = `
+      CREATE TABLE IF NOT EXISTS organization_invoices (
+        id SERIAL PRIMARY KEY,
+        organization_id INT NOT NULL REFERENCES organizations(id),
+        period_start DATE NOT NULL,
+        period_end DATE NOT NULL, -- Exclusive
+        session_count INT NOT NULL DEFAULT 0,
+        amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'paid', 'void')),
+        due_at DATE,
+        paid_at TIMESTAMPTZ,
+        payment_method VARCHAR(20), -- 'mpesa', 'bank' or 'cash'
+        payment_reference VARCHAR(255),
+        recorded_by VARCHAR(255), -- Admin UID that recorded the payment
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (organization_id, period_start)
+      );
+    `;
+
+    // A rider's hold on a slot: an empty slot to deposit into, or a charged battery to collect.
+    // The slot sits in 'reserved' until the hold is used, cancelled or expires.
+    const createSlotReservationsTableQuery = `
+      CREATE TABLE IF NOT EXISTS slot_reservations (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        booth_id INT NOT NULL REFERENCES booths(id) ON DELETE CASCADE,
+        slot_id INT NOT NULL REFERENCES booth_slots(id) ON DELETE CASCADE,
+        reservation_type VARCHAR(20) NOT NULL CHECK (reservation_type IN ('deposit', 'battery')),
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'fulfilled', 'cancelled', 'expired')),
+        expires_at TIMESTAMPTZ NOT NULL,
+        session_id INT REFERENCES deposits(id) ON DELETE SET NULL, -- Session that used the hold
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Running health state per battery, built from slot telemetry by utils/batteryHealth.js.
+    // charge_rate_curve maps 10% SOC bands to the smoothed charge rate (% per minute) in that band.
+    const createBatteryHealthTableQuery = `
+      CREATE TABLE IF NOT EXISTS battery_health (
+        battery_id INT PRIMARY KEY REFERENCES batteries(id) ON DELETE CASCADE,
+        cycle_count DECIMAL(10, 2) NOT NULL DEFAULT 0, -- Equivalent full cycles (total SOC gained / 100)
+        max_temperature_c DECIMAL(5, 1),
+        state_of_health DECIMAL(5, 2) NOT NULL DEFAULT 100,
+        capacity_fade_percent DECIMAL(5, 2),
+        charge_rate_curve JSONB NOT NULL DEFAULT '{}'::jsonb,
+        baseline_charge_rate DECIMAL(8, 4), -- Bulk charge rate when the pack was first measured
+        last_soc DECIMAL(5, 2),
+        last_sample_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Fleet movements made by ops: sending a battery to the workshop, stocking a booth, retiring it.
+    // Rider custody is recorded on deposits (battery_id / collected_battery_id).
+    const createBatteryTransfersTableQuery = `
+      CREATE TABLE IF NOT EXISTS battery_transfers (
+        id SERIAL PRIMARY KEY,
+        battery_id INT NOT NULL REFERENCES batteries(id) ON DELETE CASCADE,
+        from_location VARCHAR(20),
+        to_location VARCHAR(20) NOT NULL CHECK (to_location IN ('workshop', 'booth', 'retired')),
+        to_booth_id INT REFERENCES booths(id) ON DELETE SET NULL,
+        notes TEXT,
+        performed_by VARCHAR(255), -- Firebase UID of the admin
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // One row per battery per day, for the health trend.
+    const createBatteryHealthSnapshotsTableQuery = `
+      CREATE TABLE IF NOT EXISTS battery_health_snapshots (
+        id SERIAL PRIMARY KEY,
+        battery_id INT NOT NULL REFERENCES batteries(id) ON DELETE CASCADE,
+        snapshot_date DATE NOT NULL,
+        state_of_health DECIMAL(5, 2) NOT NULL,
+        cycle_count DECIMAL(10, 2) NOT NULL,
+        max_temperature_c DECIMAL(5, 1),
+        capacity_fade_percent DECIMAL(5, 2),
+        bulk_charge_rate DECIMAL(8, 4),
+        health_status VARCHAR(50) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (battery_id, snapshot_date)
+      );
+    `;
+
+    // Downsampled slot telemetry history (utils/telemetryStore.js). Append-only and partitioned by
+    // day; the daily partitions are created and dropped by the telemetry maintenance job.
+    const createSlotTelemetrySamplesTableQuery = `
+      CREATE TABLE IF NOT EXISTS slot_telemetry_samples (
+        slot_id INT NOT NULL REFERENCES booth_slots(id) ON DELETE CASCADE,
+        sampled_at TIMESTAMPTZ NOT NULL,
+        soc DECIMAL(5, 2),
+        voltage DECIMAL(6, 2),
+        current DECIMAL(6, 2),
+        temperature_c DECIMAL(5, 1),
+        relay_on BOOLEAN NOT NULL DEFAULT FALSE,
+        door_closed BOOLEAN NOT NULL DEFAULT FALSE,
+        door_locked BOOLEAN NOT NULL DEFAULT FALSE,
+        battery_inserted BOOLEAN NOT NULL DEFAULT FALSE,
+        PRIMARY KEY (slot_id, sampled_at)
+      ) PARTITION BY RANGE (sampled_at);
+    `;
+
+    // Every push and SMS notification attempt and its outcome (utils/notifications.js).
+    const createNotificationsTableQuery = `
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        template VARCHAR(50) NOT NULL,
+        channel VARCHAR(20) NOT NULL DEFAULT 'push', -- 'push' or 'sms'
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        data JSONB,
+        status VARCHAR(20) NOT NULL ${checkIn('status', NOTIFICATION_STATUSES)}, -- 'queued' and 'sending' until the delivery cron sends it
+        error TEXT, -- Provider error, or why the send was skipped ('opted_out', 'no_token', 'no_phone')
+        provider_message_id VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Every booth status change, automatic (heartbeat) or by an admin.
+    const createBoothStatusHistoryTableQuery = `
+      CREATE TABLE IF NOT EXISTS booth_status_history (
+        id SERIAL PRIMARY KEY,
+        booth_id INT NOT NULL REFERENCES booths(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        reason VARCHAR(30) NOT NULL CHECK (reason IN ('heartbeat_lost', 'heartbeat_restored', 'admin')),
+        last_heartbeat_at TIMESTAMPTZ, -- The booth's last heartbeat when the change was made
+        changed_by VARCHAR(255), -- Firebase UID of the admin, NULL for automatic changes
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Operational alerts raised by the alert rules (utils/alerts.js). Repeats of an unresolved
+    // alert with the same dedup_key bump its occurrences instead of creating a new row.
+    const createAlertsTableQuery = `
+      CREATE TABLE IF NOT EXISTS alerts (
+        id SERIAL PRIMARY KEY,
+        rule_type VARCHAR(50) NOT NULL,
+        dedup_key VARCHAR(255) NOT NULL,
+        severity VARCHAR(20) NOT NULL DEFAULT 'warning' CHECK (severity IN ('info', 'warning', 'critical')),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'resolved')),
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        booth_id INT REFERENCES booths(id) ON DELETE SET NULL,
+        slot_id INT REFERENCES booth_slots(id) ON DELETE SET NULL,
+        session_id INT REFERENCES deposits(id) ON DELETE SET NULL,
+        data JSONB,
+        occurrences INT NOT NULL DEFAULT 1,
+        last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        deliveries JSONB, -- Per-channel delivery result: { "fcm": { "status": "sent", ... }, ... }
+        acknowledged_by VARCHAR(255),
+        acknowledged_at TIMESTAMPTZ,
+        resolved_by VARCHAR(255), -- Firebase UID of the admin, NULL when the condition cleared by itself
+        resolved_at TIMESTAMPTZ,
+        resolution_note TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    const createWebhookSubscriptionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        url TEXT NOT NULL,
+        secret VARCHAR(255) NOT NULL, -- HMAC-SHA256 signing key, shown to the admin once
+        event_types TEXT[] NOT NULL, -- e.g. {session.completed,payment.succeeded}
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by VARCHAR(255), -- Firebase UID of the admin
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    const createWebhookDeliveriesTableQuery = `
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        subscription_id INT NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id UUID NOT NULL, -- Shared by every subscription's delivery of the same event
+        event_type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_attempt_at TIMESTAMPTZ,
+        response_status INT, -- HTTP status of the last attempt, NULL if no response
+        last_error TEXT,
+        delivered_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Append-only like the ledger: rows are never updated or deleted (see applyImmutableTrigger).
+    const createAdminAuditLogTableQuery = `
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        actor_uid VARCHAR(255) NOT NULL, -- Firebase UID of the admin
+        actor_email VARCHAR(255),
+        action VARCHAR(100) NOT NULL, -- e.g. 'slot.force_unlock', or 'POST /promotions' for routes without a named action
+        target_type VARCHAR(50), -- e.g. 'slot', 'user', 'session', 'settings'
+        target_id VARCHAR(255),
+        before JSONB,
+        after JSONB,
+        method VARCHAR(10) NOT NULL,
+        path TEXT NOT NULL,
+        status_code INT,
+        ip_address VARCHAR(64),
+        user_agent TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `;
+
+    // Every change to an app setting, including scheduled ones that have not taken effect yet.
+    const createAppSettingsVersionsTableQuery = `
+      CREATE TABLE IF NOT EXISTS app_settings_versions (
+        id SERIAL PRIMARY KEY,
+        key VARCHAR(100) NOT NULL,
+        version INT NOT NULL,
+        value JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'applied' CHECK (status IN ('scheduled', 'applied', 'cancelled', 'failed')),
+        effective_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        applied_at TIMESTAMPTZ,
+        rollback_of_version INT, -- Set when this version restores an earlier one
+        note TEXT,
+        error TEXT, -- Why a scheduled version could not be applied
+        created_by VARCHAR(255) NOT NULL, -- Firebase UID of the admin, or 'system'
+        cancelled_by VARCHAR(255),
+        cancelled_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (key, version)
+      );
+    `;
+
+    // Staff roles for the admin API; permission names are listed in utils/permissions.js.
+    const createAdminRolesTableQuery = `
+      CREATE TABLE IF NOT EXISTS admin_roles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description TEXT,
+        permissions TEXT[] NOT NULL DEFAULT '{}',
+        is_system BOOLEAN NOT NULL DEFAULT false, -- Seeded roles, which cannot be deleted
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Empty booth_uids and regions mean the role applies to every booth.
+    const createAdminRoleAssignmentsTableQuery = `
+      CREATE TABLE IF NOT EXISTS admin_role_assignments (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        role_id INT NOT NULL REFERENCES admin_roles(id),
+        booth_uids TEXT[] NOT NULL DEFAULT '{}',
+        regions TEXT[] NOT NULL DEFAULT '{}',
+        created_by VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (user_id, role_id)
+      );
+    `;
+
+    // High-risk booth commands held until a second admin approves them (utils/commandApprovals.js).
+    const createCommandApprovalsTableQuery = `
+      CREATE TABLE IF NOT EXISTS command_approvals (
+        id SERIAL PRIMARY KEY,
+        action VARCHAR(30) NOT NULL ${checkIn('action', COMMAND_APPROVAL_ACTIONS)},
+        booth_uid VARCHAR(255) NOT NULL,
+        slot_identifier VARCHAR(50),
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        reason TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'executed', 'failed', 'rejected', 'expired')),
+        requested_by VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        decided_by VARCHAR(255),
+        decided_at TIMESTAMPTZ,
+        decision_note TEXT,
+        executed_at TIMESTAMPTZ,
+        result JSONB,
+        error TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
+
+    // Technician maintenance jobs on a slot, or on a whole booth when slot_id is NULL (utils/workOrders.js).
+    const createWorkOrdersTableQuery = `
+      CREATE TABLE IF NOT EXISTS work_orders (
+        id SERIAL PRIMARY KEY,
+        booth_id INT NOT NULL REFERENCES booths(id) ON DELETE CASCADE,
+        slot_id INT REFERENCES booth_slots(id) ON DELETE CASCADE,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('problem_report', 'alert', 'manual')),
+        problem_report_id INT REFERENCES problem_reports(id) ON DELETE SET NULL,
+        alert_id INT REFERENCES alerts(id) ON DELETE SET NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'assigned', 'in_progress', 'completed', 'cancelled')),
+        assigned_to VARCHAR(255) REFERENCES users(user_id) ON DELETE SET NULL,
+        assigned_at TIMESTAMPTZ,
+        parts_used JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ "name": "Door latch", "quantity": 1, "partNumber": "DL-2" }]
+        resolution_notes TEXT,
+        opened_by VARCHAR(255) NOT NULL,
+        closed_by VARCHAR(255),
+        closed_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `;
 
     const applyTrigger = async (tableName) => {
       const triggerName = `trigger_update_${tableName}_updated_at`;
@@ -159,6 +688,34 @@ const initializeDatabase = async () => {
     await client.query(createBoothSlotsTableQuery);
     await client.query(createDepositsTableQuery);
     await client.query(createProblemReportsTableQuery);
+    await client.query(createWalletTransactionsTableQuery);
+    await client.query(createWalletTopupsTableQuery);
+    await client.query(createLedgerAccountsTableQuery);
+    await client.query(createJournalEntriesTableQuery);
+    await client.query(createJournalLinesTableQuery);
+    await client.query(createRefundsTableQuery);
+    await client.query(createPromotionsTableQuery);
+    await client.query(createSubscriptionPlansTableQuery);
+    await client.query(createUserSubscriptionsTableQuery);
+    await client.query(createOrganizationsTableQuery);
+    await client.query(createOrganizationMembersTableQuery);
+    await client.query(createOrganizationInvoicesTableQuery);
+    await client.query(createSlotReservationsTableQuery);
+    await client.query(createBatteryHealthTableQuery);
+    await client.query(createBatteryHealthSnapshotsTableQuery);
+    await client.query(createBatteryTransfersTableQuery);
+    await client.query(createSlotTelemetrySamplesTableQuery);
+    await client.query(createNotificationsTableQuery);
+    await client.query(createBoothStatusHistoryTableQuery);
+    await client.query(createAlertsTableQuery);
+    await client.query(createWebhookSubscriptionsTableQuery);
+    await client.query(createWebhookDeliveriesTableQuery);
+    await client.query(createAdminAuditLogTableQuery);
+    await client.query(createAppSettingsVersionsTableQuery);
+    await client.query(createAdminRolesTableQuery);
+    await client.query(createAdminRoleAssignmentsTableQuery);
+    await client.query(createCommandApprovalsTableQuery);
+    await client.query(createWorkOrdersTableQuery);
 
     // --- Schema Alterations for existing databases (Idempotent) ---
     const runAlteration = async (tableName, columnName, alterationSql, description) => {
@@ -192,6 +749,168 @@ const initializeDatabase = async () => {
       "Added 'consumed_deposit_id' column to 'deposits' table."
     );
 
+    // Add 'payment_method' column to 'deposits' ('mpesa', 'wallet', 'dev', 'cash', 'free', 'subscription' or 'account')
+    await runAlteration(
+      'deposits',
+      'payment_method',
+      'ALTER TABLE deposits ADD COLUMN payment_method VARCHAR(20);',
+      "Added 'payment_method' column to 'deposits' table."
+    );
+
+    // Add 'door_opened_at' column to 'deposits' (set when the hardware pulses the door for collection)
+    await runAlteration(
+      'deposits',
+      'door_opened_at',
+      'ALTER TABLE deposits ADD COLUMN door_opened_at TIMESTAMPTZ;',
+      "Added 'door_opened_at' column to 'deposits' table."
+    );
+
+    // Add 'price_breakdown' column to 'deposits' (itemised pricing engine output for withdrawals)
+    await runAlteration(
+      'deposits',
+      'price_breakdown',
+      'ALTER TABLE deposits ADD COLUMN price_breakdown JSONB;',
+      "Added 'price_breakdown' column to 'deposits' table."
+    );
+
+    // Add 'promotion_id' and 'discount_amount' columns to 'deposits' (promo code applied to a withdrawal)
+    await runAlteration(
+      'deposits',
+      'promotion_id',
+      'ALTER TABLE deposits ADD COLUMN promotion_id INT REFERENCES promotions(id) ON DELETE SET NULL;',
+      "Added 'promotion_id' column to 'deposits' table."
+    );
+    await runAlteration(
+      'deposits',
+      'discount_amount',
+      'ALTER TABLE deposits ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;',
+      "Added 'discount_amount' column to 'deposits' table."
+    );
+
+    // Add 'subscription_id' column to 'deposits' (withdrawals covered by a subscription allowance)
+    await runAlteration(
+      'deposits',
+      'subscription_id',
+      'ALTER TABLE deposits ADD COLUMN subscription_id INT REFERENCES user_subscriptions(id) ON DELETE SET NULL;',
+      "Added 'subscription_id' column to 'deposits' table."
+    );
+
+    // Add 'organization_id' and 'invoice_id' columns to 'deposits' (withdrawals billed to an organisation)
+    await runAlteration(
+      'deposits',
+      'organization_id',
+      'ALTER TABLE deposits ADD COLUMN organization_id INT REFERENCES organizations(id) ON DELETE SET NULL;',
+      "Added 'organization_id' column to 'deposits' table."
+    );
+    await runAlteration(
+      'deposits',
+      'invoice_id',
+      'ALTER TABLE deposits ADD COLUMN invoice_id INT REFERENCES organization_invoices(id) ON DELETE SET NULL;',
+      "Added 'invoice_id' column to 'deposits' table."
+    );
+
+    // Add 'swap_slot_id' column to 'deposits' (swap deposits: the slot of the charged battery the rider takes)
+    await runAlteration(
+      'deposits',
+      'swap_slot_id',
+      'ALTER TABLE deposits ADD COLUMN swap_slot_id INT REFERENCES booth_slots(id) ON DELETE SET NULL;',
+      "Added 'swap_slot_id' column to 'deposits' table."
+    );
+
+    // Fleet management fields on 'batteries'
+    await runAlteration(
+      'batteries',
+      'fleet_status',
+      "ALTER TABLE batteries ADD COLUMN fleet_status VARCHAR(20) NOT NULL DEFAULT 'in_service' CHECK (fleet_status IN ('in_service', 'workshop', 'retired'));",
+      "Added 'fleet_status' column to 'batteries' table."
+    );
+    await runAlteration('batteries', 'model', 'ALTER TABLE batteries ADD COLUMN model VARCHAR(100);', "Added 'model' column to 'batteries' table.");
+    await runAlteration('batteries', 'notes', 'ALTER TABLE batteries ADD COLUMN notes TEXT;', "Added 'notes' column to 'batteries' table.");
+    await runAlteration('batteries', 'retired_at', 'ALTER TABLE batteries ADD COLUMN retired_at TIMESTAMPTZ;', "Added 'retired_at' column to 'batteries' table.");
+    await runAlteration('batteries', 'retired_reason', 'ALTER TABLE batteries ADD COLUMN retired_reason TEXT;', "Added 'retired_reason' column to 'batteries' table.");
+
+    // Battery custody: the battery a withdrawal actually released, and whether it differs from the one billed (battery_id)
+    await runAlteration(
+      'deposits',
+      'collected_battery_id',
+      'ALTER TABLE deposits ADD COLUMN collected_battery_id INT REFERENCES batteries(id) ON DELETE SET NULL;',
+      "Added 'collected_battery_id' column to 'deposits' table."
+    );
+    await runAlteration(
+      'deposits',
+      'battery_mismatch',
+      'ALTER TABLE deposits ADD COLUMN battery_mismatch BOOLEAN NOT NULL DEFAULT FALSE;',
+      "Added 'battery_mismatch' column to 'deposits' table."
+    );
+
+    // Set when the rider has been told their deposited battery reached the withdrawal threshold.
+    await runAlteration(
+      'deposits',
+      'ready_notified_at',
+      'ALTER TABLE deposits ADD COLUMN ready_notified_at TIMESTAMPTZ;',
+      "Added 'ready_notified_at' column to 'deposits' table."
+    );
+
+    // Per-template opt-outs: { "<template>": false }. Templates not listed are sent.
+    await runAlteration(
+      'users',
+      'notification_preferences',
+      "ALTER TABLE users ADD COLUMN notification_preferences JSONB NOT NULL DEFAULT '{}'::jsonb;",
+      "Added 'notification_preferences' column to 'users' table."
+    );
+
+    // Last telemetry change seen from the booth, used to detect booths that went offline
+    await runAlteration(
+      'booths',
+      'last_heartbeat_at',
+      'ALTER TABLE booths ADD COLUMN last_heartbeat_at TIMESTAMPTZ;',
+      "Added 'last_heartbeat_at' column to 'booths' table."
+    );
+
+    // Set when the heartbeat check takes a booth offline; only those booths are brought back automatically
+    await runAlteration(
+      'booths',
+      'auto_offline_at',
+      'ALTER TABLE booths ADD COLUMN auto_offline_at TIMESTAMPTZ;',
+      "Added 'auto_offline_at' column to 'booths' table."
+    );
+
+    // When the slot door was last seen opening; NULL while it is closed. Drives the door-open alert
+    await runAlteration(
+      'booth_slots',
+      'door_open_since',
+      'ALTER TABLE booth_slots ADD COLUMN door_open_since TIMESTAMPTZ;',
+      "Added 'door_open_since' column to 'booth_slots' table."
+    );
+
+    // Groups booths for staff permissions scoped to a region
+    await runAlteration(
+      'booths',
+      'region',
+      'ALTER TABLE booths ADD COLUMN region VARCHAR(100);',
+      "Added 'region' column to 'booths' table."
+    );
+
+    // Who asked for (and who approved) an admin force unlock, slot reset or manual withdrawal that changed the session
+    await runAlteration(
+      'deposits',
+      'action_requested_by',
+      'ALTER TABLE deposits ADD COLUMN action_requested_by VARCHAR(255);',
+      "Added 'action_requested_by' column to 'deposits' table."
+    );
+    await runAlteration(
+      'deposits',
+      'action_approved_by',
+      'ALTER TABLE deposits ADD COLUMN action_approved_by VARCHAR(255);',
+      "Added 'action_approved_by' column to 'deposits' table."
+    );
+    await runAlteration(
+      'deposits',
+      'command_approval_id',
+      'ALTER TABLE deposits ADD COLUMN command_approval_id INT REFERENCES command_approvals(id);',
+      "Added 'command_approval_id' column to 'deposits' table."
+    );
+
     // Add 'redeemed' to the status check constraint on 'deposits'
     const checkConstraintRes = await client.query("SELECT 1 FROM pg_constraint WHERE conname = 'deposits_status_check' AND conrelid = 'deposits'::regclass AND pg_get_constraintdef(oid) LIKE '%redeemed%';");
     if (checkConstraintRes.rowCount === 0) {
@@ -236,7 +955,65 @@ const initializeDatabase = async () => {
 
     
     await client.query(createUpdateTimestampFunction);
-    await Promise.all([ 'users', 'mpesa_callbacks', 'app_settings', 'booths', 'batteries', 'booth_slots', 'deposits', 'problem_reports'].map(applyTrigger));
+    await Promise.all([ 'users', 'mpesa_callbacks', 'app_settings', 'booths', 'batteries', 'booth_slots', 'deposits', 'problem_reports', 'wallet_topups', 'refunds', 'promotions', 'subscription_plans', 'user_subscriptions', 'organizations', 'organization_members', 'organization_invoices', 'slot_reservations', 'battery_health', 'battery_health_snapshots', 'battery_transfers', 'notifications', 'booth_status_history', 'alerts', 'webhook_subscriptions', 'webhook_deliveries', 'app_settings_versions', 'admin_roles', 'admin_role_assignments', 'command_approvals', 'work_orders'].map(applyTrigger));
+
+    // Ledger and audit log rows can never be changed or removed once written.
+    const createLedgerImmutabilityFunction = `
+      CREATE OR REPLACE FUNCTION prevent_ledger_mutation()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'Table % is append-only', TG_TABLE_NAME;
+      END;
+      $$ language 'plpgsql';
+    `;
+    await client.query(createLedgerImmutabilityFunction);
+
+    // Resolves the table through the current search_path, so it is reused for the dev mirror.
+    const applyImmutableTrigger = async (tableName) => {
+      const triggerName = `trigger_${tableName}_append_only`;
+      const checkTrigger = await client.query(
+        "SELECT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = $1 AND tgrelid = $2::regclass)",
+        [triggerName, tableName]
+      );
+      if (!checkTrigger.rows[0].exists) {
+        await client.query(`
+          CREATE TRIGGER ${triggerName}
+          BEFORE UPDATE OR DELETE ON ${tableName}
+          FOR EACH ROW
+          EXECUTE PROCEDURE public.prevent_ledger_mutation();
+        `);
+      }
+    };
+    for (const tableName of ['journal_entries', 'journal_lines', 'admin_audit_log']) {
+      await applyImmutableTrigger(tableName);
+    }
+
+    // Widens an IN-list CHECK on tables created before a value was added.
+    // Resolves the table through the current search_path, so it is reused for the dev mirror.
+    const syncCheckConstraint = async (tableName, column, values) => {
+      const constraintName = `${tableName}_${column}_check`;
+      const { rows } = await client.query(
+        'SELECT pg_get_constraintdef(oid) AS definition FROM pg_constraint WHERE conname = $1 AND conrelid = $2::regclass',
+        [constraintName, tableName]
+      );
+      if (rows.length > 0 && values.every((value) => rows[0].definition.includes(`'${value}'`))) {
+        return;
+      }
+      if (rows.length > 0) {
+        await client.query(`ALTER TABLE ${tableName} DROP CONSTRAINT ${constraintName};`);
+      }
+      await client.query(`ALTER TABLE ${tableName} ADD CONSTRAINT ${constraintName} ${checkIn(column, values)};`);
+      logger.info(`Updated '${tableName}.${column}' CHECK constraint.`);
+    };
+    const syncCheckConstraints = async () => {
+      await syncCheckConstraint('journal_entries', 'entry_type', JOURNAL_ENTRY_TYPES);
+      await syncCheckConstraint('refunds', 'method', REFUND_METHODS);
+      await syncCheckConstraint('refunds', 'status', REFUND_STATUSES);
+      await syncCheckConstraint('booth_slots', 'status', SLOT_STATUSES);
+      await syncCheckConstraint('command_approvals', 'action', COMMAND_APPROVAL_ACTIONS);
+      await syncCheckConstraint('notifications', 'status', NOTIFICATION_STATUSES);
+    };
+    await syncCheckConstraints();
 
     // --- Performance Indexes ---
     // Speeds up the weekly cleanup of old cancelled sessions.
@@ -258,6 +1035,63 @@ const initializeDatabase = async () => {
     // Speeds up transaction history sorting
     await client.query("CREATE INDEX IF NOT EXISTS idx_deposits_started_at ON deposits (started_at DESC);");
 
+    // Speeds up the wallet statement for a single user
+    await client.query("CREATE INDEX IF NOT EXISTS idx_wallet_transactions_user_created ON wallet_transactions (user_id, created_at DESC);");
+
+    // Speeds up per-user and per-booth ledger balances
+    await client.query("CREATE INDEX IF NOT EXISTS idx_journal_lines_user ON journal_lines (user_id, account_code);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_journal_lines_booth ON journal_lines (booth_id, account_code);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries (reference_type, reference_id);");
+
+    // At most one live refund per session; rejected refunds do not block a new request.
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_session_active ON refunds (session_id) WHERE status <> 'rejected';");
+
+    // Speeds up promo redemption counts
+    await client.query("CREATE INDEX IF NOT EXISTS idx_deposits_promotion_user ON deposits (promotion_id, user_id) WHERE promotion_id IS NOT NULL;");
+
+    // Speeds up the rider's current subscription lookup and allowance counts
+    await client.query("CREATE INDEX IF NOT EXISTS idx_user_subscriptions_user_status ON user_subscriptions (user_id, status, ends_at);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_deposits_subscription ON deposits (subscription_id) WHERE subscription_id IS NOT NULL;");
+
+    // One open invitation or membership per phone and organisation, and one organisation per rider
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_members_open_phone ON organization_members (organization_id, phone) WHERE status IN ('invited', 'active');");
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_members_active_user ON organization_members (user_id) WHERE status = 'active';");
+
+    // Speeds up spending-limit checks and the monthly invoice run
+    await client.query("CREATE INDEX IF NOT EXISTS idx_deposits_organization_invoice ON deposits (organization_id, invoice_id, started_at) WHERE organization_id IS NOT NULL;");
+
+    // One live hold per rider and per slot, and fast lookups for the expiry cron
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_reservations_active_user ON slot_reservations (user_id) WHERE status = 'active';");
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_reservations_active_slot ON slot_reservations (slot_id) WHERE status = 'active';");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_slot_reservations_expiry ON slot_reservations (expires_at) WHERE status = 'active';");
+
+    // Speeds up a battery's custody history
+    await client.query("CREATE INDEX IF NOT EXISTS idx_deposits_battery ON deposits (battery_id) WHERE battery_id IS NOT NULL;");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_deposits_collected_battery ON deposits (collected_battery_id) WHERE collected_battery_id IS NOT NULL;");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_battery_transfers_battery ON battery_transfers (battery_id, created_at DESC);");
+
+    // Speeds up a rider's notification history in the admin log
+    await client.query("CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_notifications_queued ON notifications (id) WHERE status = 'queued';");
+
+    // Speeds up a booth's status history
+    await client.query("CREATE INDEX IF NOT EXISTS idx_booth_status_history_booth ON booth_status_history (booth_id, created_at DESC);");
+
+    // One unresolved alert per dedup key, and the admin alert list
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_active_dedup ON alerts (dedup_key) WHERE status <> 'resolved';");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts (status, last_seen_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log (created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log (actor_uid, created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log (target_type, target_id, created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_app_settings_versions_due ON app_settings_versions (effective_at) WHERE status = 'scheduled';");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_command_approvals_pending ON command_approvals (expires_at) WHERE status = 'pending';");
+    // One active work order per slot, and one per booth for whole-booth orders.
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_work_orders_active_target ON work_orders (booth_id, COALESCE(slot_id, 0)) WHERE status IN ('open', 'assigned', 'in_progress');");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_work_orders_status ON work_orders (status, created_at DESC);");
+    await client.query("CREATE INDEX IF NOT EXISTS idx_work_orders_assigned_to ON work_orders (assigned_to) WHERE assigned_to IS NOT NULL;");
+
     // --- Populate default settings if they don't exist ---
     const defaultSettings = [
       {
@@ -265,7 +1099,9 @@ const initializeDatabase = async () => {
         value: JSON.stringify({
           base_swap_fee: 5.00,
           cost_per_charge_percent: 10.00,
-          overtime_penalty_per_minute: 0.10
+          overtime_penalty_per_minute: 0.10,
+          grace_period_minutes: 240,
+          timezone: 'Africa/Nairobi'
         }),
         description: 'Pricing rules for battery swaps.'
       },
@@ -275,6 +1111,74 @@ const initializeDatabase = async () => {
           min_charge_level: 95
         }),
         description: 'Rules governing when a user can withdraw a battery.'
+      },
+      {
+        key: 'refund_rules',
+        value: JSON.stringify({
+          auto_approve_max_amount: 100
+        }),
+        description: 'Refunds up to this amount are paid out without admin approval.'
+      },
+      {
+        key: 'reservation_rules',
+        value: JSON.stringify({
+          hold_minutes: 10,
+          min_charge_level: 90
+        }),
+        description: 'How long a slot reservation is held, and the SOC a battery needs before it can be reserved.'
+      },
+      {
+        key: 'battery_health_rules',
+        value: JSON.stringify({
+          rated_cycles: 1500,
+          degraded_below_soh: 80,
+          faulty_below_soh: 60,
+          faulty_temperature_c: 65
+        }),
+        description: 'Battery state-of-health model: rated cycle life and the thresholds that mark a battery degraded or faulty.'
+      },
+      {
+        key: 'telemetry_storage',
+        value: JSON.stringify({
+          sample_interval_seconds: 60,
+          retention_days: 30
+        }),
+        description: 'Slot telemetry history: minimum seconds between stored samples per slot (state changes are always stored) and days of history kept.'
+      },
+      {
+        key: 'booth_heartbeat',
+        value: JSON.stringify({
+          offline_after_seconds: 300
+        }),
+        description: 'An online booth with no telemetry for this many seconds is marked offline, and back online when telemetry resumes.'
+      },
+      {
+        key: 'alert_rules',
+        value: JSON.stringify({
+          slot_faulty: { enabled: true, severity: 'critical', channels: ['fcm', 'email', 'webhook'] },
+          rejected_no_session: { enabled: true, severity: 'warning', channels: ['fcm', 'email', 'webhook'] },
+          booth_offline: { enabled: true, severity: 'critical', channels: ['fcm', 'email', 'webhook'] },
+          payment_stuck: { enabled: true, severity: 'warning', minutes: 10, channels: ['fcm', 'email', 'webhook'] },
+          door_open: { enabled: true, severity: 'warning', minutes: 5, channels: ['fcm', 'email', 'webhook'] },
+          over_temperature: { enabled: true, severity: 'critical', max_temperature_c: 60, channels: ['fcm', 'email', 'webhook'] }
+        }),
+        description: 'Admin alert rules: whether each rule is on, its severity, its threshold and the channels it is delivered to.'
+      },
+      {
+        key: 'alert_delivery',
+        value: JSON.stringify({
+          email_recipients: [],
+          webhook_url: null
+        }),
+        description: 'Where admin alerts are delivered: email addresses and a webhook URL. FCM goes to every admin with a token.'
+      },
+      {
+        key: 'command_approvals',
+        value: JSON.stringify({
+          actions: COMMAND_APPROVAL_ACTIONS,
+          window_minutes: 30
+        }),
+        description: 'Booth commands that a second admin must approve before they run, and how many minutes the request stays open.'
       }
     ];
 
@@ -289,6 +1193,62 @@ const initializeDatabase = async () => {
     }
     logger.info('Default application settings verified.');
 
+    // Settings that predate versioning (or were just seeded) start their history at version 1.
+    const baselineSettingVersionsQuery = `
+      INSERT INTO app_settings_versions (key, version, value, status, applied_at, created_by, note)
+      SELECT s.key, 1, s.value, 'applied', NOW(), 'system', 'Initial value'
+      FROM app_settings s
+      WHERE NOT EXISTS (SELECT 1 FROM app_settings_versions v WHERE v.key = s.key);
+    `;
+    await client.query(baselineSettingVersionsQuery);
+
+    // Door-opening commands release a battery just like a force unlock, so deployments that hold
+    // force unlocks for approval hold them too. Runs once: open_door then appears in the history.
+    const requireOpenDoorApprovalQuery = `
+      WITH migrated AS (
+        UPDATE app_settings
+        SET value = jsonb_set(value, '{actions}', (value->'actions') || '"open_door"'::jsonb)
+        WHERE key = 'command_approvals'
+          AND value->'actions' ? 'force_unlock'
+          AND NOT EXISTS (SELECT 1 FROM app_settings_versions v WHERE v.key = 'command_approvals' AND v.value->'actions' ? 'open_door')
+        RETURNING key, value
+      )
+      INSERT INTO app_settings_versions (key, version, value, status, applied_at, created_by, note)
+      SELECT m.key, (SELECT MAX(v.version) + 1 FROM app_settings_versions v WHERE v.key = m.key), m.value, 'applied', NOW(), 'system', 'Door-opening commands need approval like force unlock'
+      FROM migrated m;
+    `;
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('command_approvals'))");
+    await client.query(requireOpenDoorApprovalQuery);
+
+    // --- Default staff roles (see utils/permissions.js) ---
+    const insertAdminRoleQuery = `
+      INSERT INTO admin_roles (name, description, permissions, is_system)
+      VALUES ($1, $2, $3, true)
+      ON CONFLICT (name) DO NOTHING;
+    `;
+    const seedAdminRoles = async () => {
+      for (const role of DEFAULT_ADMIN_ROLES) {
+        await client.query(insertAdminRoleQuery, [role.name, role.description, role.permissions]);
+      }
+    };
+    await seedAdminRoles();
+    logger.info('Default admin roles verified.');
+
+    // --- Chart of accounts used by utils/ledger.js ---
+    const ledgerAccountsQuery = `
+      INSERT INTO ledger_accounts (code, name, account_type) VALUES
+        ('mpesa_clearing', 'M-Pesa till clearing', 'asset'),
+        ('cash_on_hand', 'Cash collected by staff', 'asset'),
+        ('bank', 'Bank account', 'asset'),
+        ('accounts_receivable', 'Organisation invoices receivable', 'asset'),
+        ('wallet_liability', 'Rider wallet balances', 'liability'),
+        ('swap_revenue', 'Swap and charging revenue', 'revenue'),
+        ('subscription_revenue', 'Subscription plan revenue', 'revenue'),
+        ('adjustments', 'Manual adjustments', 'expense')
+      ON CONFLICT (code) DO NOTHING;
+    `;
+    await client.query(ledgerAccountsQuery);
+
     // --- Dev Schema (mirror of public for developer isolation) ---
     await client.query('CREATE SCHEMA IF NOT EXISTS dev');
     const devQueries = [
@@ -300,11 +1260,86 @@ const initializeDatabase = async () => {
       createBoothSlotsTableQuery,
       createDepositsTableQuery,
       createProblemReportsTableQuery,
+      createWalletTransactionsTableQuery,
+      createWalletTopupsTableQuery,
+      createLedgerAccountsTableQuery,
+      createJournalEntriesTableQuery,
+      createJournalLinesTableQuery,
+      createRefundsTableQuery,
+      createPromotionsTableQuery,
+      createSubscriptionPlansTableQuery,
+      createUserSubscriptionsTableQuery,
+      createOrganizationsTableQuery,
+      createOrganizationMembersTableQuery,
+      createOrganizationInvoicesTableQuery,
+      createSlotReservationsTableQuery,
+      createBatteryHealthTableQuery,
+      createBatteryHealthSnapshotsTableQuery,
+      createBatteryTransfersTableQuery,
+      createSlotTelemetrySamplesTableQuery,
+      createNotificationsTableQuery,
+      createBoothStatusHistoryTableQuery,
+      createAlertsTableQuery,
+      createWebhookSubscriptionsTableQuery,
+      createWebhookDeliveriesTableQuery,
+      createAdminAuditLogTableQuery,
+      createAppSettingsVersionsTableQuery,
+      createAdminRolesTableQuery,
+      createAdminRoleAssignmentsTableQuery,
+      createCommandApprovalsTableQuery,
+      createWorkOrdersTableQuery,
+    ];
+    // Columns added to existing tables after the dev mirror was first created.
+    const devColumnAlterations = [
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS payment_method VARCHAR(20);',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS door_opened_at TIMESTAMPTZ;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS price_breakdown JSONB;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS promotion_id INT REFERENCES promotions(id) ON DELETE SET NULL;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS subscription_id INT REFERENCES user_subscriptions(id) ON DELETE SET NULL;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS organization_id INT REFERENCES organizations(id) ON DELETE SET NULL;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS invoice_id INT REFERENCES organization_invoices(id) ON DELETE SET NULL;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS swap_slot_id INT REFERENCES booth_slots(id) ON DELETE SET NULL;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS collected_battery_id INT REFERENCES batteries(id) ON DELETE SET NULL;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS battery_mismatch BOOLEAN NOT NULL DEFAULT FALSE;',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS ready_notified_at TIMESTAMPTZ;',
+      "ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_preferences JSONB NOT NULL DEFAULT '{}'::jsonb;",
+      "ALTER TABLE batteries ADD COLUMN IF NOT EXISTS fleet_status VARCHAR(20) NOT NULL DEFAULT 'in_service' CHECK (fleet_status IN ('in_service', 'workshop', 'retired'));",
+      'ALTER TABLE batteries ADD COLUMN IF NOT EXISTS model VARCHAR(100);',
+      'ALTER TABLE batteries ADD COLUMN IF NOT EXISTS notes TEXT;',
+      'ALTER TABLE batteries ADD COLUMN IF NOT EXISTS retired_at TIMESTAMPTZ;',
+      'ALTER TABLE batteries ADD COLUMN IF NOT EXISTS retired_reason TEXT;',
+      'ALTER TABLE booths ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMPTZ;',
+      'ALTER TABLE booths ADD COLUMN IF NOT EXISTS auto_offline_at TIMESTAMPTZ;',
+      'ALTER TABLE booth_slots ADD COLUMN IF NOT EXISTS door_open_since TIMESTAMPTZ;',
+      'ALTER TABLE booths ADD COLUMN IF NOT EXISTS region VARCHAR(100);',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS action_requested_by VARCHAR(255);',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS action_approved_by VARCHAR(255);',
+      'ALTER TABLE deposits ADD COLUMN IF NOT EXISTS command_approval_id INT REFERENCES command_approvals(id);',
     ];
     await client.query('SET search_path TO dev');
     for (const q of devQueries) {
       await client.query(q);
     }
+    for (const q of devColumnAlterations) {
+      await client.query(q);
+    }
+    // raiseAlert() deduplicates with ON CONFLICT on this index, so the mirror needs it too
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_active_dedup ON alerts (dedup_key) WHERE status <> 'resolved';");
+    // One live refund per session, as in public
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_session_active ON refunds (session_id) WHERE status <> 'rejected';");
+    // One live hold per rider and per slot
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_reservations_active_user ON slot_reservations (user_id) WHERE status = 'active';");
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_reservations_active_slot ON slot_reservations (slot_id) WHERE status = 'active';");
+    // One active work order per slot, and per booth for whole-booth orders
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_work_orders_active_target ON work_orders (booth_id, COALESCE(slot_id, 0)) WHERE status IN ('open', 'assigned', 'in_progress');");
+    await client.query(ledgerAccountsQuery);
+    await client.query(baselineSettingVersionsQuery);
+    await seedAdminRoles();
+    for (const tableName of ['journal_entries', 'journal_lines', 'admin_audit_log']) {
+      await applyImmutableTrigger(tableName);
+    }
+    await syncCheckConstraints();
     await client.query('SET search_path TO public');
 
     logger.info('Dev schema initialized with mirrored tables.');
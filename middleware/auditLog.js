@@ -0,0 +1,117 @@
+const poolPromise = require('../db');
+const logger = require('../utils/logger');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Request body fields never copied into the audit log.
+const REDACTED_FIELD_PATTERN = /secret|token|password|api_?key/i;
+
+/**
+ * Copies a request body for the audit log, masking credential-like fields.
+ * @param {any} body - The request body.
+ * @returns {object|null} The copy, or null if there is no JSON body.
+ */
+function redactBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+    return null;
+  }
+  return Object.fromEntries(
+    Object.entries(body).map(([key, value]) => [key, REDACTED_FIELD_PATTERN.test(key) ? '[redacted]' : value])
+  );
+}
+
+/**
+ * Describes the admin action in more detail than the request alone shows: a named action, its
+ * target, and the state before and after. Call it before sending the response; fields not set
+ * fall back to the route, its path parameters and the request body.
+ * @param {import('express').Response} res - The Express response.
+ * @param {object} context - The details.
+ * @param {string} [context.action] - e.g. 'slot.force_unlock'.
+ * @param {string} [context.targetType] - e.g. 'slot'.
+ * @param {string|number} [context.targetId] - e.g. 'booth-001/slot004'.
+ * @param {any} [context.before] - The state before the change.
+ * @param {any} [context.after] - The state after the change.
+ * @returns {void}
+ */
+function setAuditContext(res, context) {
+  res.locals.audit = { ...(res.locals.audit || {}), ...context };
+}
+
+/**
+ * Builds the audit log row for a finished admin request.
+ * @param {import('express').Request} req - The Express request.
+ * @param {import('express').Response} res - The Express response.
+ * @returns {object} The row values.
+ */
+function buildAuditEntry(req, res) {
+  const context = res.locals.audit || {};
+  const routePath = req.route?.path || req.path;
+  const paramValues = Object.values(req.params || {});
+
+  return {
+    actorUid: req.user.uid,
+    actorEmail: req.user.email || null,
+    action: context.action || `${req.method} ${routePath}`,
+    targetType: context.targetType || null,
+    targetId: context.targetId !== undefined ? String(context.targetId) : (paramValues.join('/') || null),
+    before: context.before ?? null,
+    after: context.after !== undefined ? context.after : redactBody(req.body),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+  };
+}
+
+/**
+ * Writes an audit log row. Never throws: the action has already happened, so a failure here is
+ * logged with the details instead.
+ * @param {object} entry - The result of buildAuditEntry().
+ * @param {string} [schema] - The schema the request worked on.
+ * @returns {Promise<void>}
+ */
+async function writeAuditEntry(entry, schema) {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect(schema);
+    await client.query(
+      `INSERT INTO admin_audit_log
+         (actor_uid, actor_email, action, target_type, target_id, before, after, method, path, status_code, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        entry.actorUid, entry.actorEmail, entry.action, entry.targetType, entry.targetId,
+        entry.before === null ? null : JSON.stringify(entry.before),
+        entry.after === null ? null : JSON.stringify(entry.after),
+        entry.method, entry.path, entry.statusCode, entry.ipAddress, entry.userAgent,
+      ]
+    );
+  } catch (error) {
+    logger.error(`[AuditLog] Failed to record '${entry.action}' by ${entry.actorUid} on ${entry.targetId || entry.path}:`, error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Records every POST, PUT, PATCH and DELETE under the router it is mounted on, once the response
+ * has been sent, with its final status code. Rejected and failed requests are recorded too, as a
+ * refused (403) or half-finished (5xx) action matters as much as a successful one. Requests
+ * without a verified admin (401) have no actor and are skipped.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ * @returns {void}
+ */
+function auditAdminActions(req, res, next) {
+  if (MUTATING_METHODS.includes(req.method)) {
+    res.on('finish', () => {
+      if (!req.user) return;
+      writeAuditEntry(buildAuditEntry(req, res), req.schema);
+    });
+  }
+  next();
+}
+
+module.exports = { auditAdminActions, setAuditContext, buildAuditEntry };
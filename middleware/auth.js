@@ -1,6 +1,14 @@
 const { admin } = require('../utils/firebase');
 const logger = require('../utils/logger');
 const schemaStorage = require('../utils/schemaStorage');
+const poolPromise = require('../db');
+const {
+  PERMISSIONS,
+  FULL_ACCESS_ROLES,
+  getPermissionGrants,
+  resolvePermissionScope,
+  isBoothInScope,
+} = require('../utils/permissions');
 
 /**
  * Middleware to verify a Firebase ID token from the Authorization header.
@@ -45,27 +53,78 @@ const verifyFirebaseToken = async (req, res, next) => {
 };
 
 /**
- * Middleware to verify if the authenticated user has the 'admin' role.
- * This should be used AFTER `verifyFirebaseToken`.
- * @param {import('express').Request} req - Express request object.
- * @param {import('express').Response} res - Express response object.
- * @param {import('express').NextFunction} next - Express next middleware function.
- * @returns {void|import('express').Response} Returns nothing on success, or an error response.
+ * Builds a middleware that lets the request through only if the user holds a permission.
+ * Firebase `admin` and `developer` users hold every permission; other users get them from their
+ * role assignments (see utils/permissions.js). This should be used AFTER `verifyFirebaseToken`.
+ *
+ * A grant scoped to booths or regions only covers routes with the booth in the path, unless the
+ * route sets `scopedList` and filters its results by `req.permissionScope` itself.
+ * @param {string} permission - e.g. 'booths:command'.
+ * @param {object} [options] - Options.
+ * @param {string} [options.boothParam] - The path parameter holding the booth UID.
+ * @param {boolean} [options.scopedList] - Accept scoped grants and leave the filtering to the route.
+ * @returns {import('express').RequestHandler} The middleware.
  */
-const isAdmin = (req, res, next) => {
-  // `verifyFirebaseToken` should have already run and attached the user object.
-  const { role } = req.user;
-
-  if (role === 'admin' || role === 'developer') {
-    return next();
+const requirePermission = (permission, { boothParam = 'boothUid', scopedList = false } = {}) => {
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission '${permission}'.`);
   }
 
-  // User is authenticated but does not have the required role.
-  logger.warn(`Forbidden: User (UID: ${req.user.uid}) with role '${role}' tried to access an admin-only route.`);
-  return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+  /**
+   * @param {import('express').Request} req - Express request object.
+   * @param {import('express').Response} res - Express response object.
+   * @param {import('express').NextFunction} next - Express next middleware function.
+   * @returns {Promise<void|import('express').Response>} Returns nothing on success, or an error response.
+   */
+  const permissionGuard = async (req, res, next) => {
+    // `verifyFirebaseToken` should have already run and attached the user object.
+    const { uid, role } = req.user;
+
+    if (FULL_ACCESS_ROLES.includes(role)) {
+      req.permissionScope = null;
+      return next();
+    }
+
+    const forbidden = (reason) => {
+      logger.warn(`Forbidden: User (UID: ${uid}) with role '${role}' lacks '${permission}'${reason} for ${req.method} ${req.originalUrl}.`);
+      return res.status(403).json({ error: 'Forbidden: You do not have permission to perform this action.' });
+    };
+
+    let client;
+    try {
+      const pool = await poolPromise;
+      client = await pool.connect(req.schema);
+      const scope = resolvePermissionScope(await getPermissionGrants(client, uid), permission);
+
+      if (scope === false) {
+        return forbidden('');
+      }
+      if (scope !== null) {
+        const boothUid = req.params?.[boothParam];
+        if (boothUid) {
+          if (!(await isBoothInScope(client, scope, boothUid))) {
+            return forbidden(` for booth '${boothUid}'`);
+          }
+        } else if (!scopedList) {
+          return forbidden(' outside its booth scope');
+        }
+      }
+
+      req.permissionScope = scope;
+      return next();
+    } catch (error) {
+      logger.error(`Failed to check permission '${permission}' for user (UID: ${uid}):`, error);
+      return res.status(500).json({ error: 'Failed to check permissions.', details: error.message });
+    } finally {
+      if (client) client.release();
+    }
+  };
+  permissionGuard.permission = permission;
+
+  return permissionGuard;
 };
 
 module.exports = {
   verifyFirebaseToken,
-  isAdmin,
-};
\ No newline at end of file
+  requirePermission,
+};
@@ -1,7 +1,7 @@
 const { Router } = require('express');
 const logger = require('../../utils/logger.js');
 const poolPromise = require('../../db');
-const { verifyFirebaseToken, isAdmin } = require('../../middleware/auth');
+const { verifyFirebaseToken, requirePermission } = require('../../middleware/auth');
 
 const router = Router();
 
@@ -49,7 +49,7 @@ const router = Router();
  *   500:
  *     description: Internal server error.
  */
-router.get('/dashboard-summary', [verifyFirebaseToken, isAdmin], async (req, res) => {
+router.get('/dashboard-summary', [verifyFirebaseToken, requirePermission('dashboard:read')], async (req, res) => {
   const pool = await poolPromise;
   const client = await pool.connect();
 
@@ -1,4 +1,5 @@
 const { Router } = require('express');
+const { auditAdminActions } = require('../../middleware/auditLog');
 
 const usersRoutes = require('./users');
 const boothsRoutes = require('./booths');
@@ -9,9 +10,25 @@ const simulationRoutes = require('./simulation');
 const dashboardRoutes = require('./dashboard');
 const sessionsRoutes = require('./sessions');
 const paymentsRoutes = require('./payments');
+const ledgerRoutes = require('./ledger');
+const refundsRoutes = require('./refunds');
+const promotionsRoutes = require('./promotions');
+const subscriptionsRoutes = require('./subscriptions');
+const organizationsRoutes = require('./organizations');
+const batteriesRoutes = require('./batteries');
+const notificationsRoutes = require('./notifications');
+const alertsRoutes = require('./alerts');
+const webhooksRoutes = require('./webhooks');
+const auditLogRoutes = require('./auditLog');
+const rolesRoutes = require('./roles');
+const commandApprovalsRoutes = require('./commandApprovals');
+const workOrdersRoutes = require('./workOrders');
 
 const router = Router();
 
+// Every successful change made through the admin API is written to admin_audit_log.
+router.use(auditAdminActions);
+
 router.use(usersRoutes);
 router.use(boothsRoutes);
 router.use(reportsRoutes);
@@ -21,5 +38,18 @@ router.use(simulationRoutes);
 router.use(dashboardRoutes);
 router.use(sessionsRoutes);
 router.use(paymentsRoutes);
+router.use(ledgerRoutes);
+router.use(refundsRoutes);
+router.use(promotionsRoutes);
+router.use(subscriptionsRoutes);
+router.use(organizationsRoutes);
+router.use(batteriesRoutes);
+router.use(notificationsRoutes);
+router.use(alertsRoutes);
+router.use(webhooksRoutes);
+router.use(auditLogRoutes);
+router.use(rolesRoutes);
+router.use(commandApprovalsRoutes);
+router.use(workOrdersRoutes);
 
 module.exports = router;
@@ -0,0 +1 @@
+module.exports = require('../../controllers/admin/ledger.controller');
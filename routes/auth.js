@@ -3,6 +3,8 @@ const { admin } = require('../utils/firebase'); // Use the initialized admin ins
 const logger = require('../utils/logger');
 const poolPromise = require('../db'); // Import the PostgreSQL connection pool
 const { verifyFirebaseToken } = require('../middleware/auth'); // We will create this new middleware
+const { getActiveSubscription } = require('../utils/subscriptions');
+const { NOTIFICATION_PREFERENCE_KEYS, resolvePreferences } = require('../utils/notifications');
 const uploadToGcsMiddleware = require('../middleware/upload');
 const axios = require('axios'); // For making HTTP requests to Google's reCAPTCHA service
 const router = Router();
@@ -473,7 +475,7 @@ router.post('/google/complete-profile', verifyFirebaseToken, async (req, res) =>
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: The user's profile data.
+ *         description: The user's profile data, including `subscription` (plan, swaps used and remaining, period end) or null.
  *       401:
  *         description: Unauthorized, token is missing or invalid.
  *       404:
@@ -530,6 +532,7 @@ router.get('/profile', verifyFirebaseToken, async (req, res) => {
           if (batteryRes.rows.length > 0) {
             userProfile.activeBatterySession = batteryRes.rows[0];
           }
+          userProfile.subscription = await getActiveSubscription(fallbackClient, uid);
 
           return res.status(200).json(userProfile);
         }
@@ -570,6 +573,9 @@ router.get('/profile', verifyFirebaseToken, async (req, res) => {
       userProfile.activeBatterySession = batteryRes.rows[0];
     }
 
+    // Current subscription with the swaps remaining this period (null when not subscribed)
+    userProfile.subscription = await getActiveSubscription(pgClient, uid);
+
     // Return the user profile
     res.status(200).json(userProfile);
   } catch (error) {
@@ -622,6 +628,85 @@ router.post('/fcm-token', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/notification-preferences
+ * Returns which notification templates the current user receives, and whether SMS fallback is on.
+ */
+router.get('/notification-preferences', verifyFirebaseToken, async (req, res) => {
+  const { uid } = req.user;
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      'SELECT notification_preferences FROM users WHERE user_id = $1',
+      [uid]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'User profile not found.' });
+    }
+
+    return res.status(200).json({ preferences: resolvePreferences(result.rows[0].notification_preferences) });
+  } catch (error) {
+    logger.error(`Failed to fetch notification preferences for user ${uid}:`, error);
+    return res.status(500).json({
+      error: 'Failed to fetch notification preferences.',
+      details: error.message,
+    });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /api/auth/notification-preferences
+ * Turns notification templates, or the SMS fallback (`sms`), on or off for the current user.
+ * Expects a body like `{ "battery_ready": false }`; keys not listed keep their setting.
+ */
+router.put('/notification-preferences', verifyFirebaseToken, async (req, res) => {
+  const { uid } = req.user;
+  const updates = req.body;
+
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one preference to update.' });
+  }
+  for (const [name, enabled] of Object.entries(updates)) {
+    if (!NOTIFICATION_PREFERENCE_KEYS.includes(name)) {
+      return res.status(400).json({ error: `Unknown notification preference '${name}'.`, preferences: NOTIFICATION_PREFERENCE_KEYS });
+    }
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: `${name} must be true or false.` });
+    }
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `UPDATE users
+       SET notification_preferences = notification_preferences || $1::jsonb, updated_at = NOW()
+       WHERE user_id = $2
+       RETURNING notification_preferences`,
+      [JSON.stringify(updates), uid]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'User profile not found.' });
+    }
+
+    logger.info(`Notification preferences updated for user ${uid}.`);
+    return res.status(200).json({ preferences: resolvePreferences(result.rows[0].notification_preferences) });
+  } catch (error) {
+    logger.error(`Failed to update notification preferences for user ${uid}:`, error);
+    return res.status(500).json({
+      error: 'Failed to update notification preferences.',
+      details: error.message,
+    });
+  } finally {
+    client.release();
+  }
+});
+
 /**
  * POST /api/auth/profile/picture
  * Updates the current user's profile picture.
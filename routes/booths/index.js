@@ -4,6 +4,9 @@ const discoveryRoutes = require('./discovery');
 const depositRoutes = require('./deposit');
 const withdrawalRoutes = require('./withdrawal');
 const supportRoutes = require('./support');
+const walletRoutes = require('./wallet');
+const subscriptionRoutes = require('./subscription');
+const reservationRoutes = require('./reservation');
 
 const router = Router();
 
@@ -11,5 +14,8 @@ router.use(discoveryRoutes);
 router.use(depositRoutes);
 router.use(withdrawalRoutes);
 router.use(supportRoutes);
+router.use(walletRoutes);
+router.use(subscriptionRoutes);
+router.use(reservationRoutes);
 
 module.exports = router;
@@ -0,0 +1 @@
+module.exports = require('../../controllers/booths/reservation.controller');
@@ -4,7 +4,17 @@ const {
   checkChargingConditions,
   resolveStuckWithdrawals,
   resolvePendingPayments,
+  processApprovedRefunds,
   runWeeklyMaintenance,
+  generateMonthlyInvoices,
+  releaseExpiredReservations,
+  maintainTelemetryStorage,
+  checkBoothHeartbeatStatus,
+  evaluateAlertRules,
+  deliverWebhooks,
+  deliverNotifications,
+  applyDueSettings,
+  expireStaleCommandApprovals,
 } = require('../utils/cron-functions/hardware-cron');
 const { runMpesaReconciliation } = require('../utils/reconciliationWorker');
 
@@ -77,6 +87,21 @@ router.post('/resolve-pending-payments', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cron/process-refunds
+ * Pays out approved refunds (wallet credit or M-Pesa B2C).
+ */
+router.post('/process-refunds', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: processApprovedRefunds');
+    await processApprovedRefunds();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] processApprovedRefunds failed:', error);
+    res.status(500).json({ error: 'processApprovedRefunds failed' });
+  }
+});
+
 /**
  * POST /api/cron/weekly-maintenance
  * Purges cancelled sessions older than 30 days.
@@ -92,6 +117,141 @@ router.post('/weekly-maintenance', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/cron/expire-reservations
+ * Releases slot reservations past their hold time.
+ */
+router.post('/expire-reservations', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: releaseExpiredReservations');
+    await releaseExpiredReservations();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] releaseExpiredReservations failed:', error);
+    res.status(500).json({ error: 'releaseExpiredReservations failed' });
+  }
+});
+
+/**
+ * POST /api/cron/telemetry-partitions
+ * Creates upcoming daily telemetry partitions and drops expired ones.
+ */
+router.post('/telemetry-partitions', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: maintainTelemetryStorage');
+    await maintainTelemetryStorage();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] maintainTelemetryStorage failed:', error);
+    res.status(500).json({ error: 'maintainTelemetryStorage failed' });
+  }
+});
+
+/**
+ * POST /api/cron/booth-heartbeats
+ * Marks booths with no recent telemetry offline, and back online when it resumes.
+ */
+router.post('/booth-heartbeats', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: checkBoothHeartbeatStatus');
+    await checkBoothHeartbeatStatus();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] checkBoothHeartbeatStatus failed:', error);
+    res.status(500).json({ error: 'checkBoothHeartbeatStatus failed' });
+  }
+});
+
+/**
+ * POST /api/cron/alert-rules
+ * Raises admin alerts for slot doors left open and payments stuck pending.
+ */
+router.post('/alert-rules', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: evaluateAlertRules');
+    await evaluateAlertRules();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] evaluateAlertRules failed:', error);
+    res.status(500).json({ error: 'evaluateAlertRules failed' });
+  }
+});
+
+/**
+ * POST /api/cron/webhook-deliveries
+ * Posts queued partner webhooks and due retries.
+ */
+router.post('/webhook-deliveries', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: deliverWebhooks');
+    await deliverWebhooks();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] deliverWebhooks failed:', error);
+    res.status(500).json({ error: 'deliverWebhooks failed' });
+  }
+});
+
+/**
+ * POST /api/cron/notifications
+ * Sends rider notifications queued by payment and refund transactions.
+ */
+router.post('/notifications', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: deliverNotifications');
+    await deliverNotifications();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] deliverNotifications failed:', error);
+    res.status(500).json({ error: 'deliverNotifications failed' });
+  }
+});
+
+/**
+ * POST /api/cron/scheduled-settings
+ * Applies scheduled app settings changes that are due.
+ */
+router.post('/scheduled-settings', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: applyDueSettings');
+    await applyDueSettings();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] applyDueSettings failed:', error);
+    res.status(500).json({ error: 'applyDueSettings failed' });
+  }
+});
+
+/**
+ * POST /api/cron/command-approvals
+ * Expires booth command approval requests that were not approved in time.
+ */
+router.post('/command-approvals', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: expireStaleCommandApprovals');
+    await expireStaleCommandApprovals();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] expireStaleCommandApprovals failed:', error);
+    res.status(500).json({ error: 'expireStaleCommandApprovals failed' });
+  }
+});
+
+/**
+ * POST /api/cron/generate-invoices
+ * Monthly organisation invoice run (1st of the month).
+ */
+router.post('/generate-invoices', async (req, res) => {
+  try {
+    logger.info('[Cron] Cloud Scheduler triggered: generateMonthlyInvoices');
+    await generateMonthlyInvoices();
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    logger.error('[Cron] generateMonthlyInvoices failed:', error);
+    res.status(500).json({ error: 'generateMonthlyInvoices failed' });
+  }
+});
+
 /**
  * POST /api/cron/reconcile-mpesa
  * Daily M-Pesa data reconciliation.
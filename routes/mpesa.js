@@ -4,6 +4,10 @@ const poolPromise = require('../db');
 const logger = require('../utils/logger');
 const { getMpesaIpWhitelist, parseMetadata } = require('../utils/mpesa');
 const { completePaidWithdrawal } = require('../utils/sessionUtils');
+const { completeWalletTopUp, failWalletTopUp } = require('../utils/wallet');
+const { completeSubscriptionPurchase, failSubscriptionPurchase } = require('../utils/subscriptions');
+const { applyB2CResult, applyB2CTimeout } = require('../utils/refunds');
+const { emitWebhookEvent } = require('../utils/webhooks');
 
 const router = Router();
 
@@ -34,12 +38,14 @@ const getCallbackRequesterIp = (req) => {
 };
 
 /**
- * POST /api/mpesa/callback
- * @summary (Webhook) Handle M-Pesa STK Push results
- * @description Receives asynchronous payment confirmations or failures from Safaricom.
- * @tags [M-Pesa]
+ * Middleware that rejects M-Pesa webhooks from IPs outside the configured whitelist.
+ * Shared by the STK callback and the B2C result/timeout callbacks.
+ * @param {import('express').Request} req - The Express request.
+ * @param {import('express').Response} res - The Express response.
+ * @param {import('express').NextFunction} next - The next middleware.
+ * @returns {void}
  */
-router.post('/callback', async (req, res) => {
+const verifyMpesaCallbackIp = (req, res, next) => {
   const requesterIp = getCallbackRequesterIp(req);
   const whitelist = getMpesaIpWhitelist().map(normalizeIp).filter(Boolean);
 
@@ -58,6 +64,16 @@ router.post('/callback', async (req, res) => {
     return res.status(403).json({ ResultCode: 'C2B00017', ResultDesc: 'Forbidden' });
   }
 
+  next();
+};
+
+/**
+ * POST /api/mpesa/callback
+ * @summary (Webhook) Handle M-Pesa STK Push results
+ * @description Receives asynchronous payment confirmations or failures from Safaricom.
+ * @tags [M-Pesa]
+ */
+router.post('/callback', verifyMpesaCallbackIp, async (req, res) => {
   /** @type {import('../utils/mpesa').MpesaCallbackPayload} */
   const mpesaResponse = req.body;
 
@@ -94,10 +110,19 @@ router.post('/callback', async (req, res) => {
     // 3. Update Session State
     if (Number(ResultCode) === 0) {
       // Success: move the withdrawal session to 'in_progress' and notify the user via FCM.
-      const processed = await completePaidWithdrawal(client, CheckoutRequestID);
-      
+      // If the checkout belongs to a wallet top-up instead, credit the rider's balance;
+      // if it belongs to a subscription purchase, activate the subscription.
+      const mpesaReceipt = metadata.MpesaReceiptNumber ? String(metadata.MpesaReceiptNumber) : null;
+      const processed = await completePaidWithdrawal(client, CheckoutRequestID, { receiptNumber: mpesaReceipt });
+      const toppedUp = !processed && await completeWalletTopUp(client, CheckoutRequestID, mpesaReceipt);
+      const subscribed = !processed && !toppedUp && await completeSubscriptionPurchase(client, CheckoutRequestID, mpesaReceipt);
+
       if (processed) {
         logger.info(`[MpesaCallback] Successfully confirmed payment ${receiptNumber} for ${CheckoutRequestID}. Amount: ${transactionAmount}`);
+      } else if (toppedUp) {
+        logger.info(`[MpesaCallback] Wallet top-up ${receiptNumber} confirmed for ${CheckoutRequestID}. Amount: ${transactionAmount}`);
+      } else if (subscribed) {
+        logger.info(`[MpesaCallback] Subscription payment ${receiptNumber} confirmed for ${CheckoutRequestID}. Amount: ${transactionAmount}`);
       } else {
         logger.warn(`[MpesaCallback] Success ACK received for ${CheckoutRequestID} but session was already handled or not found.`);
       }
@@ -108,12 +133,27 @@ router.post('/callback', async (req, res) => {
          SET status = 'failed', 
              notes = COALESCE(notes, '') || '\n[' || NOW() || '] M-Pesa Error: ' || $1 
          WHERE mpesa_checkout_id = $2 AND status = 'pending' 
-         RETURNING id`,
+         RETURNING id, user_id, amount`,
         [`${ResultCode} - ${ResultDesc}`, CheckoutRequestID]
       );
 
       if (failUpdate.rowCount > 0) {
         logger.warn(`[MpesaCallback] Payment failed for CheckoutID: ${CheckoutRequestID}. Session ${failUpdate.rows[0].id} marked as 'failed'.`);
+        await emitWebhookEvent(client, 'payment.failed', {
+          sessionId: failUpdate.rows[0].id,
+          userId: failUpdate.rows[0].user_id,
+          amount: Number(failUpdate.rows[0].amount || 0).toFixed(2),
+          reason: `${ResultCode} - ${ResultDesc}`,
+        });
+      } else {
+        const failedTopUpId = await failWalletTopUp(client, CheckoutRequestID, `${ResultCode} - ${ResultDesc}`);
+        const failedSubscriptionId = !failedTopUpId
+          && await failSubscriptionPurchase(client, CheckoutRequestID, `${ResultCode} - ${ResultDesc}`);
+        if (failedTopUpId) {
+          logger.warn(`[MpesaCallback] Wallet top-up ${failedTopUpId} failed for CheckoutID: ${CheckoutRequestID}.`);
+        } else if (failedSubscriptionId) {
+          logger.warn(`[MpesaCallback] Subscription ${failedSubscriptionId} payment failed for CheckoutID: ${CheckoutRequestID}.`);
+        }
       }
     }
 
@@ -134,4 +174,94 @@ router.post('/callback', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/mpesa/b2c/result
+ * @summary (Webhook) Handle M-Pesa B2C payout results
+ * @description Receives the final result of a B2C refund payout, also for refunds whose request timed out. A successful result completes the refund and books it in the ledger; any other result marks the refund 'failed' so an admin can retry it.
+ * @tags [M-Pesa]
+ */
+router.post('/b2c/result', verifyMpesaCallbackIp, async (req, res) => {
+  /** @type {import('../utils/mpesa').MpesaB2CCallbackPayload} */
+  const mpesaResponse = req.body;
+  const result = mpesaResponse?.Result;
+
+  if (!result?.OriginatorConversationID) {
+    logger.error('Received malformed M-Pesa B2C result:', JSON.stringify(mpesaResponse));
+    return res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  }
+
+  logger.info(`[MpesaB2C] Processing result for OriginatorConversationID: ${result.OriginatorConversationID} | Code: ${result.ResultCode} (${result.ResultDesc})`);
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `INSERT INTO mpesa_callbacks (callback_type, payload, processing_notes) 
+       VALUES ($1, $2, $3)`,
+      ['b2c_result', JSON.stringify(mpesaResponse), `Result: ${result.ResultCode} - ${result.ResultDesc}. Transaction: ${result.TransactionID || 'N/A'}`]
+    );
+
+    const refund = await applyB2CResult(client, result);
+    if (!refund) {
+      logger.warn(`[MpesaB2C] Result for ${result.OriginatorConversationID} did not match a refund waiting for its result.`);
+    }
+
+    await client.query('COMMIT');
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`[MpesaB2C] Error processing B2C result for ${result.OriginatorConversationID}:`, error);
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/mpesa/b2c/timeout
+ * @summary (Webhook) Handle M-Pesa B2C queue timeouts
+ * @description Called by Safaricom when a B2C payout request expired in its queue. M-Pesa may still have paid, so the matching refund is moved to 'pending_confirmation' until its result arrives or an admin reconciles it.
+ * @tags [M-Pesa]
+ */
+router.post('/b2c/timeout', verifyMpesaCallbackIp, async (req, res) => {
+  /** @type {import('../utils/mpesa').MpesaB2CCallbackPayload} */
+  const mpesaResponse = req.body;
+  const result = mpesaResponse?.Result;
+
+  if (!result?.OriginatorConversationID) {
+    logger.error('Received malformed M-Pesa B2C timeout:', JSON.stringify(mpesaResponse));
+    return res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `INSERT INTO mpesa_callbacks (callback_type, payload, processing_notes) 
+       VALUES ($1, $2, $3)`,
+      ['b2c_timeout', JSON.stringify(mpesaResponse), `Timeout: ${result.ResultDesc || 'N/A'}`]
+    );
+
+    const refundId = await applyB2CTimeout(client, result);
+    if (refundId) {
+      logger.warn(`[MpesaB2C] Refund ${refundId} timed out in the M-Pesa queue and is now 'pending_confirmation'.`);
+    }
+
+    await client.query('COMMIT');
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`[MpesaB2C] Error processing B2C timeout for ${result.OriginatorConversationID}:`, error);
+    res.status(200).json({ ResultCode: 0, ResultDesc: "Accepted" });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,651 @@
+const { Router } = require('express');
+const logger = require('../utils/logger');
+const poolPromise = require('../db');
+const { verifyFirebaseToken } = require('../middleware/auth');
+const {
+  BILLING_TIMEZONE,
+  normalizeMemberPhone,
+  getActiveMembership,
+  getMonthToDateSpend,
+} = require('../utils/organizations');
+
+const router = Router();
+
+const MEMBER_ROLES = ['admin', 'rider'];
+
+/**
+ * Validates an optional monthly spending limit from a request body.
+ * @param {any} value - The raw value; null clears the limit.
+ * @returns {boolean} True if the value is null or a non-negative number.
+ */
+function isValidSpendLimit(value) {
+  return value === null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+/**
+ * Middleware that only lets active admins of the organisation in `req.params.orgId` through.
+ * @param {import('express').Request} req - The Express request.
+ * @param {import('express').Response} res - The Express response.
+ * @param {import('express').NextFunction} next - The next middleware.
+ * @returns {Promise<void>}
+ */
+async function requireOrgAdmin(req, res, next) {
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      "SELECT 1 FROM organization_members WHERE organization_id = $1 AND user_id = $2 AND status = 'active' AND role = 'admin'",
+      [req.params.orgId, req.user.uid]
+    );
+    if (rows.length === 0) {
+      res.status(403).json({ error: 'Organisation admin access required.' });
+      return;
+    }
+    next();
+  } catch (error) {
+    logger.error(`Failed to verify organization admin for user ${req.user.uid}:`, error);
+    res.status(500).json({ error: 'Failed to verify organisation access.', details: error.message });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * GET /api/organizations/mine
+ * @summary Get the rider's organisation
+ * @description Returns the organisation the rider belongs to, their role, monthly spending limit and month-to-date spend, or `organization: null`.
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: The rider's organisation membership, if any.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/mine', verifyFirebaseToken, async (req, res) => {
+  const { uid: firebaseUid } = req.user;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const membership = await getActiveMembership(client, firebaseUid);
+    if (!membership) {
+      return res.status(200).json({ organization: null });
+    }
+
+    const monthToDateSpend = await getMonthToDateSpend(client, membership.organizationId, firebaseUid);
+    res.status(200).json({
+      organization: {
+        id: membership.organizationId,
+        name: membership.organizationName,
+        status: membership.organizationStatus,
+      },
+      memberId: membership.memberId,
+      role: membership.role,
+      monthlySpendLimit: membership.monthlySpendLimit,
+      monthToDateSpend,
+      remainingMonthlyLimit: membership.monthlySpendLimit === null
+        ? null
+        : Math.max(0, Math.round((membership.monthlySpendLimit - monthToDateSpend) * 100) / 100),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch organization for user ${firebaseUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve organisation.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/organizations/invitations
+ * @summary List the rider's pending invitations
+ * @description Returns open invitations sent to the rider's phone number.
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @responses
+ *   200:
+ *     description: Pending invitations.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/invitations', verifyFirebaseToken, async (req, res) => {
+  const { uid: firebaseUid } = req.user;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `SELECT m.id AS "memberId", o.id AS "organizationId", o.name AS "organizationName", m.role,
+              m.monthly_spend_limit AS "monthlySpendLimit", m.created_at AS "invitedAt"
+       FROM organization_members m
+       JOIN organizations o ON o.id = m.organization_id
+       JOIN users u ON u.user_id = $1
+       WHERE m.status = 'invited' AND o.status = 'active'
+         AND u.phone IS NOT NULL AND RIGHT(m.phone, 9) = RIGHT(u.phone, 9)
+       ORDER BY m.created_at DESC`,
+      [firebaseUid]
+    );
+
+    res.status(200).json({
+      invitations: rows.map((row) => ({
+        ...row,
+        monthlySpendLimit: row.monthlySpendLimit === null ? null : parseFloat(row.monthlySpendLimit),
+      })),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch organization invitations for user ${firebaseUid}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve invitations.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/organizations/invitations/:memberId/:action
+ * @summary Accept or decline an invitation
+ * @description Accepting links the rider to the organisation; their swaps are then billed to it. A rider can only belong to one organisation at a time.
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: memberId
+ *     required: true
+ *     schema:
+ *       type: integer
+ *   - in: path
+ *     name: action
+ *     required: true
+ *     schema:
+ *       type: string
+ *       enum: [accept, decline]
+ * @responses
+ *   200:
+ *     description: Invitation accepted or declined.
+ *   404:
+ *     description: No open invitation for this rider's phone number.
+ *   409:
+ *     description: The rider already belongs to an organisation.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/invitations/:memberId/:action', verifyFirebaseToken, async (req, res) => {
+  const { memberId, action } = req.params;
+  const { uid: firebaseUid } = req.user;
+
+  if (!['accept', 'decline'].includes(action)) {
+    return res.status(404).json({ error: `Unknown invitation action '${action}'.` });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    await client.query('BEGIN');
+
+    const inviteRes = await client.query(
+      `SELECT m.id, m.organization_id
+       FROM organization_members m
+       JOIN organizations o ON o.id = m.organization_id
+       JOIN users u ON u.user_id = $2
+       WHERE m.id = $1 AND m.status = 'invited' AND o.status = 'active'
+         AND u.phone IS NOT NULL AND RIGHT(m.phone, 9) = RIGHT(u.phone, 9)
+       FOR UPDATE OF m`,
+      [memberId, firebaseUid]
+    );
+    if (inviteRes.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Invitation not found.' });
+    }
+
+    if (action === 'decline') {
+      await client.query("UPDATE organization_members SET status = 'declined' WHERE id = $1", [memberId]);
+      await client.query('COMMIT');
+      return res.status(200).json({ message: 'Invitation declined.' });
+    }
+
+    if (await getActiveMembership(client, firebaseUid)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Already a member',
+        message: 'You already belong to an organisation. Ask its admin to remove you first.',
+      });
+    }
+
+    await client.query(
+      "UPDATE organization_members SET status = 'active', user_id = $2, joined_at = NOW() WHERE id = $1",
+      [memberId, firebaseUid]
+    );
+    await client.query('COMMIT');
+
+    logger.info(`User ${firebaseUid} joined organization ${inviteRes.rows[0].organization_id}.`);
+    res.status(200).json({ message: 'Invitation accepted.', organizationId: inviteRes.rows[0].organization_id });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to ${action} invitation ${memberId} for user ${firebaseUid}:`, error);
+    res.status(500).json({ error: `Failed to ${action} invitation.`, details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/members
+ * @summary List organisation members (org admin)
+ * @description Returns invited and active members with their spending limit and month-to-date spend.
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: orgId
+ *     required: true
+ *     schema:
+ *       type: integer
+ * @responses
+ *   200:
+ *     description: Organisation members.
+ *   403:
+ *     description: Not an admin of this organisation.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/:orgId/members', [verifyFirebaseToken, requireOrgAdmin], async (req, res) => {
+  const { orgId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `SELECT
+         m.id,
+         m.phone,
+         m.user_id AS "userId",
+         u.name AS "userName",
+         m.role,
+         m.status,
+         m.monthly_spend_limit AS "monthlySpendLimit",
+         (
+           SELECT COALESCE(SUM(d.amount), 0) FROM deposits d
+           WHERE d.organization_id = m.organization_id AND d.user_id = m.user_id
+             AND d.session_type = 'withdrawal' AND d.payment_method = 'account'
+             AND d.status NOT IN ('cancelled', 'failed')
+             AND d.started_at >= date_trunc('month', NOW() AT TIME ZONE $2) AT TIME ZONE $2
+         ) AS "monthToDateSpend",
+         m.joined_at AS "joinedAt",
+         m.created_at AS "invitedAt"
+       FROM organization_members m
+       LEFT JOIN users u ON u.user_id = m.user_id
+       WHERE m.organization_id = $1 AND m.status IN ('invited', 'active')
+       ORDER BY m.status ASC, m.created_at ASC`,
+      [orgId, BILLING_TIMEZONE]
+    );
+
+    res.status(200).json({
+      members: rows.map((row) => ({
+        ...row,
+        monthlySpendLimit: row.monthlySpendLimit === null ? null : parseFloat(row.monthlySpendLimit),
+        monthToDateSpend: parseFloat(row.monthToDateSpend),
+      })),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch members of organization ${orgId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve members.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/members
+ * @summary Invite a rider by phone (org admin)
+ * @description Creates an invitation the rider accepts from their app. Phone numbers are matched on their last 9 digits.
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: orgId
+ *     required: true
+ *     schema:
+ *       type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         required: [phone]
+ *         properties:
+ *           phone:
+ *             type: string
+ *           monthlySpendLimit:
+ *             type: number
+ *             nullable: true
+ *             description: KES the rider may bill per calendar month. Omit or null for no limit.
+ *           role:
+ *             type: string
+ *             enum: [admin, rider]
+ *             default: rider
+ * @responses
+ *   201:
+ *     description: Invitation created.
+ *   400:
+ *     description: Invalid input.
+ *   403:
+ *     description: Not an admin of this organisation.
+ *   409:
+ *     description: The phone number already has an open invitation or membership.
+ *   500:
+ *     description: Internal server error.
+ */
+router.post('/:orgId/members', [verifyFirebaseToken, requireOrgAdmin], async (req, res) => {
+  const { orgId } = req.params;
+  const { phone, monthlySpendLimit = null, role = 'rider' } = req.body || {};
+
+  const normalizedPhone = normalizeMemberPhone(phone);
+  if (!normalizedPhone) {
+    return res.status(400).json({ error: 'A valid phone number is required.' });
+  }
+  if (!isValidSpendLimit(monthlySpendLimit)) {
+    return res.status(400).json({ error: 'monthlySpendLimit must be a non-negative number or null.' });
+  }
+  if (!MEMBER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${MEMBER_ROLES.join(', ')}.` });
+  }
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `INSERT INTO organization_members (organization_id, phone, role, monthly_spend_limit, invited_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, phone, role, status, monthly_spend_limit AS "monthlySpendLimit"`,
+      [orgId, normalizedPhone, role, monthlySpendLimit, req.user.uid]
+    );
+
+    logger.info(`User ${req.user.uid} invited ${normalizedPhone} to organization ${orgId} as ${role}.`);
+    res.status(201).json({
+      ...rows[0],
+      monthlySpendLimit: rows[0].monthlySpendLimit === null ? null : parseFloat(rows[0].monthlySpendLimit),
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'This phone number already has an open invitation or membership.' });
+    }
+    logger.error(`Failed to invite member to organization ${orgId}:`, error);
+    res.status(500).json({ error: 'Failed to invite member.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId/members/:memberId
+ * @summary Update a member's spending limit or role (org admin)
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: orgId
+ *     required: true
+ *     schema:
+ *       type: integer
+ *   - in: path
+ *     name: memberId
+ *     required: true
+ *     schema:
+ *       type: integer
+ * @requestBody
+ *   required: true
+ *   content:
+ *     application/json:
+ *       schema:
+ *         type: object
+ *         properties:
+ *           monthlySpendLimit:
+ *             type: number
+ *             nullable: true
+ *           role:
+ *             type: string
+ *             enum: [admin, rider]
+ * @responses
+ *   200:
+ *     description: Member updated.
+ *   400:
+ *     description: Invalid input.
+ *   403:
+ *     description: Not an admin of this organisation.
+ *   404:
+ *     description: Member not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.patch('/:orgId/members/:memberId', [verifyFirebaseToken, requireOrgAdmin], async (req, res) => {
+  const { orgId, memberId } = req.params;
+  const { monthlySpendLimit, role } = req.body || {};
+
+  const fields = {};
+  if (monthlySpendLimit !== undefined) {
+    if (!isValidSpendLimit(monthlySpendLimit)) {
+      return res.status(400).json({ error: 'monthlySpendLimit must be a non-negative number or null.' });
+    }
+    fields.monthly_spend_limit = monthlySpendLimit;
+  }
+  if (role !== undefined) {
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${MEMBER_ROLES.join(', ')}.` });
+    }
+    fields.role = role;
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'No fields provided to update.' });
+  }
+
+  const assignments = Object.keys(fields).map((column, i) => `${column} = $${i + 3}`);
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `UPDATE organization_members SET ${assignments.join(', ')}
+       WHERE id = $1 AND organization_id = $2 AND status IN ('invited', 'active')
+       RETURNING id, phone, role, status, monthly_spend_limit AS "monthlySpendLimit"`,
+      [memberId, orgId, ...Object.values(fields)]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found.' });
+    }
+
+    logger.info(`User ${req.user.uid} updated member ${memberId} of organization ${orgId}: ${Object.keys(fields).join(', ')}.`);
+    res.status(200).json({
+      ...rows[0],
+      monthlySpendLimit: rows[0].monthlySpendLimit === null ? null : parseFloat(rows[0].monthlySpendLimit),
+    });
+  } catch (error) {
+    logger.error(`Failed to update member ${memberId} of organization ${orgId}:`, error);
+    res.status(500).json({ error: 'Failed to update member.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/members/:memberId
+ * @summary Remove a member or withdraw an invitation (org admin)
+ * @description The rider's later swaps are no longer billed to the organisation. Swaps already billed stay on the invoice.
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: orgId
+ *     required: true
+ *     schema:
+ *       type: integer
+ *   - in: path
+ *     name: memberId
+ *     required: true
+ *     schema:
+ *       type: integer
+ * @responses
+ *   200:
+ *     description: Member removed.
+ *   400:
+ *     description: Admins cannot remove themselves.
+ *   403:
+ *     description: Not an admin of this organisation.
+ *   404:
+ *     description: Member not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.delete('/:orgId/members/:memberId', [verifyFirebaseToken, requireOrgAdmin], async (req, res) => {
+  const { orgId, memberId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `UPDATE organization_members SET status = 'removed'
+       WHERE id = $1 AND organization_id = $2 AND status IN ('invited', 'active')
+         AND user_id IS DISTINCT FROM $3
+       RETURNING id`,
+      [memberId, orgId, req.user.uid]
+    );
+    if (rows.length === 0) {
+      const selfRes = await client.query(
+        'SELECT 1 FROM organization_members WHERE id = $1 AND organization_id = $2 AND user_id = $3',
+        [memberId, orgId, req.user.uid]
+      );
+      if (selfRes.rowCount > 0) {
+        return res.status(400).json({ error: 'You cannot remove yourself from the organisation.' });
+      }
+      return res.status(404).json({ error: 'Member not found.' });
+    }
+
+    logger.info(`User ${req.user.uid} removed member ${memberId} from organization ${orgId}.`);
+    res.status(200).json({ message: 'Member removed.' });
+  } catch (error) {
+    logger.error(`Failed to remove member ${memberId} from organization ${orgId}:`, error);
+    res.status(500).json({ error: 'Failed to remove member.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/invoices
+ * @summary List the organisation's invoices (org admin)
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: orgId
+ *     required: true
+ *     schema:
+ *       type: integer
+ * @responses
+ *   200:
+ *     description: Invoices, newest period first.
+ *   403:
+ *     description: Not an admin of this organisation.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/:orgId/invoices', [verifyFirebaseToken, requireOrgAdmin], async (req, res) => {
+  const { orgId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const { rows } = await client.query(
+      `SELECT id, period_start AS "periodStart", period_end AS "periodEnd", session_count AS "sessionCount",
+              amount, status, due_at AS "dueAt", paid_at AS "paidAt", created_at AS "issuedAt"
+       FROM organization_invoices
+       WHERE organization_id = $1
+       ORDER BY period_start DESC`,
+      [orgId]
+    );
+
+    res.status(200).json({ invoices: rows.map((row) => ({ ...row, amount: parseFloat(row.amount) })) });
+  } catch (error) {
+    logger.error(`Failed to fetch invoices of organization ${orgId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve invoices.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/invoices/:invoiceId
+ * @summary Get an invoice with its swaps (org admin)
+ * @tags [Organizations]
+ * @security
+ *   - bearerAuth: []
+ * @parameters
+ *   - in: path
+ *     name: orgId
+ *     required: true
+ *     schema:
+ *       type: integer
+ *   - in: path
+ *     name: invoiceId
+ *     required: true
+ *     schema:
+ *       type: integer
+ * @responses
+ *   200:
+ *     description: The invoice and one line per swap.
+ *   403:
+ *     description: Not an admin of this organisation.
+ *   404:
+ *     description: Invoice not found.
+ *   500:
+ *     description: Internal server error.
+ */
+router.get('/:orgId/invoices/:invoiceId', [verifyFirebaseToken, requireOrgAdmin], async (req, res) => {
+  const { orgId, invoiceId } = req.params;
+
+  const pool = await poolPromise;
+  const client = await pool.connect(req.schema);
+  try {
+    const invoiceRes = await client.query(
+      `SELECT id, period_start AS "periodStart", period_end AS "periodEnd", session_count AS "sessionCount",
+              amount, status, due_at AS "dueAt", paid_at AS "paidAt", created_at AS "issuedAt"
+       FROM organization_invoices
+       WHERE id = $1 AND organization_id = $2`,
+      [invoiceId, orgId]
+    );
+    if (invoiceRes.rowCount === 0) {
+      return res.status(404).json({ error: 'Invoice not found.' });
+    }
+
+    const { rows: lines } = await client.query(
+      `SELECT d.id AS "sessionId", d.started_at AS "date", u.name AS "riderName", u.phone AS "riderPhone",
+              b.booth_uid AS "boothUid", d.amount
+       FROM deposits d
+       JOIN users u ON u.user_id = d.user_id
+       LEFT JOIN booths b ON b.id = d.booth_id
+       WHERE d.invoice_id = $1
+       ORDER BY d.started_at ASC`,
+      [invoiceId]
+    );
+
+    res.status(200).json({
+      ...invoiceRes.rows[0],
+      amount: parseFloat(invoiceRes.rows[0].amount),
+      lines: lines.map((line) => ({ ...line, amount: parseFloat(line.amount) })),
+    });
+  } catch (error) {
+    logger.error(`Failed to fetch invoice ${invoiceId} of organization ${orgId}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve invoice.', details: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,7 @@
 // This script tests the cost calculation logic locally, without making any API calls.
-// It's useful for quickly verifying that the pricing math is correct for various scenarios.
+// It runs the same pricing engine as the API, so the numbers match what riders are charged.
+
+const { calculateSwapPrice } = require('../utils/pricingEngine');
 
 // --- Configuration ---
 // Hardcoded pricing rules for local simulation.
@@ -8,9 +10,28 @@ const pricingRules = {
   base_swap_fee: 50,
   cost_per_charge_percent: 10,
   overtime_penalty_per_minute: 20,
-  grace_period_minutes: 60, // Example grace period of 2 hours
+  grace_period_minutes: 60, // Example grace period of 1 hour
+  battery_capacity_kwh: 1.5,
+  time_of_day: [
+    { name: 'peak', start: '17:00', end: '21:00', multiplier: 1.2 },
+    { name: 'off_peak', start: '22:00', end: '06:00', multiplier: 0.8 },
+  ],
+  timezone: 'Africa/Nairobi',
+  booth_overrides: {
+    'booth-tiered': {
+      kwh_tiers: [
+        { up_to_kwh: 0.5, rate_per_kwh: 400 },
+        { rate_per_kwh: 300 },
+      ],
+    },
+  },
 };
 
+// Nairobi is UTC+3, so these are 12:00, 18:00 and 23:00 local time.
+const MIDDAY = new Date('2025-01-15T09:00:00Z');
+const EVENING_PEAK = new Date('2025-01-15T15:00:00Z');
+const NIGHT = new Date('2025-01-15T20:00:00Z');
+
 // --- Test Scenarios ---
 // Define different scenarios you want to test.
 const scenarios = [
@@ -18,70 +39,87 @@ const scenarios = [
     description: "Standard charge, no overtime",
     initialCharge: 20,
     finalCharge: 85,
-    durationMinutes: 90,
+    durationMinutes: 45,
+    at: MIDDAY,
   },
   {
     description: "Standard charge, with overtime",
     initialCharge: 10,
     finalCharge: 95,
     durationMinutes: 150,
+    at: MIDDAY,
   },
   {
     description: "Small charge, no overtime",
     initialCharge: 80,
     finalCharge: 90,
     durationMinutes: 15,
+    at: MIDDAY,
   },
   {
     description: "No charge added, but kept for a long time (overtime)",
     initialCharge: 50,
     finalCharge: 50,
     durationMinutes: 200,
+    at: MIDDAY,
   },
   {
     description: "Very small charge (testing rounding)",
     initialCharge: 45.1,
     finalCharge: 45.8,
     durationMinutes: 5,
-  }
+    at: MIDDAY,
+  },
+  {
+    description: "Evening peak rate",
+    initialCharge: 20,
+    finalCharge: 85,
+    durationMinutes: 45,
+    at: EVENING_PEAK,
+  },
+  {
+    description: "Night off-peak rate",
+    initialCharge: 20,
+    finalCharge: 85,
+    durationMinutes: 45,
+    at: NIGHT,
+  },
+  {
+    description: "Booth with kWh-tiered rates",
+    boothUid: 'booth-tiered',
+    initialCharge: 20,
+    finalCharge: 85,
+    durationMinutes: 45,
+    at: MIDDAY,
+  },
 ];
 
 /**
  * Simulates the cost calculation for a withdrawal session locally.
- * This logic should be kept in sync with the backend endpoint.
- * @param {number} initialCharge - The battery's charge percentage at the start.
- * @param {number} finalCharge - The battery's charge percentage at the end.
+ * @param {object} scenario - The scenario to price.
  * @returns {object} A detailed breakdown of the calculated cost.
  */
-function calculateCost(initialCharge, finalCharge) {
-  const {
-    base_swap_fee: baseSwapFee,
-    cost_per_charge_percent: costPerChargePercent,
-  } = pricingRules;
-
-  // Perform the same calculation as in the backend
-  const chargeAdded = Math.max(0, parseFloat(finalCharge) - parseFloat(initialCharge));
-  const chargingCost = chargeAdded * parseFloat(costPerChargePercent);
-
-  // New calculation: The cost is the greater of the base fee or the calculated charging cost.
-  const totalCost = parseFloat(Math.max(baseSwapFee, chargingCost).toFixed(2));
+function calculateCost(scenario) {
+  const depositCompletedAt = new Date(scenario.at.getTime() - scenario.durationMinutes * 60000);
 
-  return {
-    chargeAdded: parseFloat(chargeAdded.toFixed(2)),
-    chargingCost: parseFloat(chargingCost.toFixed(2)),
-    totalCost,
-  };
+  return calculateSwapPrice(pricingRules, {
+    boothUid: scenario.boothUid || null,
+    initialSoc: scenario.initialCharge,
+    finalSoc: scenario.finalCharge,
+    depositCompletedAt,
+    at: scenario.at,
+  });
 }
 
 /**
- *
+ * Prints the price breakdown for every scenario.
  */
 function runSimulations() {
   console.log('Running cost calculation simulations...\n');
 
   for (const scenario of scenarios) {
     console.log(`--- Testing: ${scenario.description} ---`);
-    const calculation = calculateCost(scenario.initialCharge, scenario.finalCharge);
+    const calculation = calculateCost(scenario);
     console.log(JSON.stringify(calculation, null, 2));
     console.log('\n');
   }
@@ -26,6 +26,7 @@ const boothRoutes = require('./routes/booths');
 const mpesaRoutes = require('./routes/mpesa');
 const statsRoutes = require('./routes/stats');
 const cronRoutes = require('./routes/cron');
+const organizationRoutes = require('./routes/organizations');
 
 
 const app = express();
@@ -152,6 +153,7 @@ app.use('/api/booths', boothLimiter, boothRoutes);
 app.use('/api/mpesa', mpesaLimiter, mpesaRoutes);
 app.use('/api/cron', cronRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/organizations', boothLimiter, organizationRoutes);
 
 
 // Health check
@@ -32,7 +32,7 @@ const adminRouter = require('../routes/admin');
 /**
  * Collects all routes from an Express router.
  * @param {import('express').Router} router - The Express router to inspect.
- * @returns {any[]} An array of route objects with method, path, and middlewareNames.
+ * @returns {any[]} An array of route objects with method, path, middlewareNames and permissions.
  */
 function collectRoutes(router) {
   const routes = [];
@@ -51,9 +51,12 @@ function collectRoutes(router) {
         const middlewareNames = layer.route.stack.map(
           (routeLayer) => routeLayer.handle?.name || 'anonymous'
         );
+        const permissions = layer.route.stack
+          .map((routeLayer) => routeLayer.handle?.permission)
+          .filter(Boolean);
 
         for (const method of methods) {
-          routes.push({ method, path, middlewareNames });
+          routes.push({ method, path, middlewareNames, permissions });
         }
         continue;
       }
@@ -89,6 +92,8 @@ describe('Admin Routes Smoke Test', () => {
     { method: 'POST', path: '/booths/:boothUid/slots/:slotIdentifier/command' },
     { method: 'GET', path: '/booths/:boothUid' },
     { method: 'GET', path: '/booths/:boothUid/slots/:slotIdentifier' },
+    { method: 'GET', path: '/booths/:boothUid/slots/:slotIdentifier/telemetry' },
+    { method: 'GET', path: '/booths/:boothUid/status-history' },
     { method: 'POST', path: '/booths/:boothUid/reset-slots' },
     { method: 'POST', path: '/booths/:boothUid/slots/:slotIdentifier/manual-withdraw' },
 
@@ -98,6 +103,11 @@ describe('Admin Routes Smoke Test', () => {
     { method: 'GET', path: '/transactions' },
     { method: 'GET', path: '/settings' },
     { method: 'POST', path: '/settings' },
+    { method: 'GET', path: '/settings/schemas' },
+    { method: 'GET', path: '/settings/:key/versions' },
+    { method: 'GET', path: '/settings/:key/versions/:version/diff' },
+    { method: 'POST', path: '/settings/:key/rollback/:version' },
+    { method: 'POST', path: '/settings/:key/versions/:version/cancel' },
     { method: 'POST', path: '/simulate/confirm-deposit' },
     { method: 'POST', path: '/simulate/confirm-payment' },
     { method: 'GET', path: '/dashboard-summary' },
@@ -105,6 +115,67 @@ describe('Admin Routes Smoke Test', () => {
     { method: 'DELETE', path: '/sessions/:sessionId' },
     { method: 'POST', path: '/sessions/cleanup' },
     { method: 'GET', path: '/payments' },
+
+    { method: 'GET', path: '/ledger/balances' },
+    { method: 'GET', path: '/ledger/entries' },
+    { method: 'POST', path: '/ledger/adjustments' },
+
+    { method: 'GET', path: '/refunds' },
+    { method: 'POST', path: '/refunds' },
+    { method: 'POST', path: '/refunds/:refundId/approve' },
+    { method: 'POST', path: '/refunds/:refundId/reject' },
+    { method: 'POST', path: '/refunds/:refundId/reconcile' },
+
+    { method: 'GET', path: '/promotions' },
+    { method: 'POST', path: '/promotions' },
+    { method: 'PATCH', path: '/promotions/:promotionId' },
+    { method: 'DELETE', path: '/promotions/:promotionId' },
+
+    { method: 'GET', path: '/subscription-plans' },
+    { method: 'POST', path: '/subscription-plans' },
+    { method: 'PATCH', path: '/subscription-plans/:planId' },
+    { method: 'GET', path: '/subscriptions' },
+    { method: 'POST', path: '/subscriptions/:subscriptionId/cancel' },
+
+    { method: 'GET', path: '/organizations' },
+    { method: 'POST', path: '/organizations' },
+    { method: 'PATCH', path: '/organizations/:orgId' },
+    { method: 'GET', path: '/organization-invoices' },
+    { method: 'POST', path: '/organization-invoices/:invoiceId/mark-paid' },
+
+    { method: 'GET', path: '/batteries' },
+    { method: 'GET', path: '/batteries/summary' },
+    { method: 'POST', path: '/batteries' },
+    { method: 'POST', path: '/batteries/import' },
+    { method: 'GET', path: '/batteries/:batteryUid/custody' },
+    { method: 'GET', path: '/batteries/:batteryUid/health' },
+    { method: 'POST', path: '/batteries/:batteryUid/transfer' },
+    { method: 'POST', path: '/batteries/:batteryUid/retire' },
+    { method: 'GET', path: '/notifications' },
+    { method: 'GET', path: '/alerts' },
+    { method: 'POST', path: '/alerts/:alertId/acknowledge' },
+    { method: 'POST', path: '/alerts/:alertId/resolve' },
+    { method: 'GET', path: '/webhooks' },
+    { method: 'POST', path: '/webhooks' },
+    { method: 'PATCH', path: '/webhooks/:webhookId' },
+    { method: 'GET', path: '/webhooks/:webhookId/deliveries' },
+    { method: 'POST', path: '/webhooks/:webhookId/deliveries/:deliveryId/replay' },
+    { method: 'GET', path: '/audit-log' },
+    { method: 'GET', path: '/roles' },
+    { method: 'POST', path: '/roles' },
+    { method: 'PATCH', path: '/roles/:roleId' },
+    { method: 'DELETE', path: '/roles/:roleId' },
+    { method: 'GET', path: '/roles/assignments' },
+    { method: 'POST', path: '/roles/assignments' },
+    { method: 'DELETE', path: '/roles/assignments/:assignmentId' },
+    { method: 'GET', path: '/command-approvals' },
+    { method: 'POST', path: '/command-approvals/:approvalId/approve' },
+    { method: 'POST', path: '/command-approvals/:approvalId/reject' },
+    { method: 'GET', path: '/work-orders' },
+    { method: 'GET', path: '/work-orders/:workOrderId' },
+    { method: 'POST', path: '/work-orders' },
+    { method: 'PATCH', path: '/work-orders/:workOrderId' },
+    { method: 'POST', path: '/work-orders/:workOrderId/close' },
   ];
 
   // @ts-ignore
@@ -120,9 +191,15 @@ describe('Admin Routes Smoke Test', () => {
     expect(actual).toEqual(expected);
   });
 
+  // @ts-ignore
+  test('records admin actions in the audit log before any route runs', () => {
+    // @ts-ignore
+    expect(adminRouter.stack[0].handle.name).toBe('auditAdminActions');
+  });
+
   // @ts-ignore
   test.each(expectedRoutes)(
-    '$method $path keeps verifyFirebaseToken and isAdmin middleware',
+    '$method $path keeps verifyFirebaseToken and a permission guard',
     ({ method, path }) => {
       const match = discoveredRoutes.find(
         (route) => route.method === method && route.path === path
@@ -133,7 +210,28 @@ describe('Admin Routes Smoke Test', () => {
       // @ts-ignore
       expect(match.middlewareNames).toContain('verifyFirebaseToken');
       // @ts-ignore
-      expect(match.middlewareNames).toContain('isAdmin');
+      expect(match.middlewareNames).toContain('permissionGuard');
+      // @ts-ignore
+      expect(match.permissions).toHaveLength(1);
     }
   );
+
+  // @ts-ignore
+  test.each([
+    ['POST', '/booths/:boothUid/slots/:slotIdentifier/command', 'booths:command'],
+    ['PATCH', '/booths/:boothUid', 'booths:write'],
+    ['DELETE', '/users/:uid', 'users:write'],
+    ['POST', '/users/set-role', 'roles:manage'],
+    ['GET', '/payments', 'payments:read'],
+    ['POST', '/refunds/:refundId/approve', 'payments:write'],
+    ['POST', '/refunds/:refundId/reconcile', 'payments:write'],
+    ['POST', '/roles/assignments', 'roles:manage'],
+  ])('%s %s requires %s', (method, path, permission) => {
+    const match = discoveredRoutes.find(
+      (route) => route.method === method && route.path === path
+    );
+
+    // @ts-ignore
+    expect(match.permissions).toEqual([permission]);
+  });
 });
@@ -0,0 +1,140 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockSend = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { messaging: () => ({ send: mockSend }) },
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { getAlertSettings, raiseAlert, checkSlotAlerts, checkTimedAlerts } = require('../utils/alerts');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 0, rows: [] });
+  return { query };
+}
+
+const noSettings = { rowCount: 0, rows: [] };
+
+describe('alerts', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...env };
+    delete process.env.SENDGRID_API_KEY;
+    delete process.env.ALERT_EMAIL_FROM;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('merges stored rules over the defaults one field at a time', async () => {
+    const client = createClient([{ rowCount: 2, rows: [
+      { key: 'alert_rules', value: { door_open: { minutes: 2 }, slot_faulty: { enabled: false } } },
+      { key: 'alert_delivery', value: { webhook_url: 'https://ops.example.com/hook' } },
+    ] }]);
+
+    const { rules, delivery } = await getAlertSettings(client);
+
+    expect(rules.door_open).toMatchObject({ enabled: true, severity: 'warning', minutes: 2 });
+    expect(rules.slot_faulty.enabled).toBe(false);
+    expect(rules.over_temperature.max_temperature_c).toBe(60);
+    expect(delivery).toEqual({ email_recipients: [], webhook_url: 'https://ops.example.com/hook' });
+  });
+
+  test('delivers a new alert to every channel and records the results', async () => {
+    process.env.SENDGRID_API_KEY = 'sg-key';
+    process.env.ALERT_EMAIL_FROM = 'alerts@ridercms.example';
+    axios.post.mockResolvedValueOnce({ status: 202 }).mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+    mockSend.mockResolvedValueOnce('m-1');
+    const client = createClient([
+      { rowCount: 1, rows: [{ key: 'alert_delivery', value: { email_recipients: ['ops@ridercms.example'], webhook_url: 'https://ops.example.com/hook' } }] },
+      { rowCount: 1, rows: [{ id: 3, created: true }] },
+      { rowCount: 1, rows: [{ user_id: 'admin-1', fcm_token: 't1' }] },
+    ]);
+
+    await expect(raiseAlert(client, { ruleType: 'door_open', dedupKey: 'door_open:12', title: 'Slot door left open', message: 'Open for 6 minutes.', slotId: 12 }))
+      .resolves.toEqual({ id: 3, created: true });
+
+    expect(axios.post.mock.calls[0][0]).toBe('https://api.sendgrid.com/v3/mail/send');
+    expect(axios.post.mock.calls[0][1]).toMatchObject({
+      personalizations: [{ to: [{ email: 'ops@ridercms.example' }] }],
+      subject: '[WARNING] Slot door left open',
+    });
+    expect(axios.post.mock.calls[1][0]).toBe('https://ops.example.com/hook');
+    expect(JSON.parse(client.query.mock.calls[3][1][1])).toEqual({
+      fcm: { status: 'sent', recipients: 1 },
+      email: { status: 'sent', recipients: 1 },
+      webhook: { status: 'failed', error: 'connect ECONNREFUSED' },
+    });
+  });
+
+  test('only counts repeats of an unresolved alert and skips disabled rules', async () => {
+    const repeat = createClient([noSettings, { rowCount: 1, rows: [{ id: 3, created: false }] }]);
+    await expect(raiseAlert(repeat, { ruleType: 'door_open', dedupKey: 'door_open:12', title: 't', message: 'm' }))
+      .resolves.toEqual({ id: 3, created: false });
+    expect(repeat.query.mock.calls[1][0]).toContain("ON CONFLICT (dedup_key) WHERE status <> 'resolved'");
+    expect(repeat.query).toHaveBeenCalledTimes(2);
+    expect(mockSend).not.toHaveBeenCalled();
+
+    const disabled = createClient([{ rowCount: 1, rows: [{ key: 'alert_rules', value: { door_open: { enabled: false } } }] }]);
+    await expect(raiseAlert(disabled, { ruleType: 'door_open', dedupKey: 'door_open:12', title: 't', message: 'm' })).resolves.toBeNull();
+    expect(disabled.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('raises slot alerts on the transition to faulty and over the temperature limit', async () => {
+    const client = createClient([noSettings, { rowCount: 1, rows: [{ id: 4, created: false }] }, { rowCount: 1, rows: [{ id: 5, created: false }] }]);
+
+    await checkSlotAlerts(client, { boothId: 1, boothUid: 'booth-001', slotId: 12, slotIdentifier: 'slot012', previousStatus: 'occupied', status: 'faulty', telemetry: { temperatureC: 72 } });
+
+    expect(client.query.mock.calls[1][1].slice(0, 2)).toEqual(['slot_faulty', 'slot_faulty:12']);
+    expect(client.query.mock.calls[2][1].slice(0, 2)).toEqual(['over_temperature', 'over_temperature:12']);
+    expect(client.query.mock.calls[2][1][4]).toBe('booth-001/slot012 is at 72°C (limit 60°C).');
+  });
+
+  test('resolves slot alerts once the slot recovers', async () => {
+    const client = createClient([noSettings]);
+
+    await checkSlotAlerts(client, { boothId: 1, boothUid: 'booth-001', slotId: 12, slotIdentifier: 'slot012', previousStatus: 'faulty', status: 'occupied', telemetry: { temperatureC: 35 } });
+
+    expect(client.query.mock.calls[1][1]).toEqual([['slot_faulty:12', 'rejected_no_session:12'], 'Slot is occupied again.']);
+    expect(client.query.mock.calls[2][1]).toEqual([['over_temperature:12'], 'Temperature back to 35°C.']);
+  });
+
+  test('raises door and payment alerts past their thresholds and clears the rest', async () => {
+    const now = new Date('2025-03-01T10:00:00Z');
+    const client = createClient([
+      noSettings,
+      { rowCount: 1, rows: [{ id: 12, slot_identifier: 'slot012', door_open_since: new Date('2025-03-01T09:52:00Z'), booth_id: 1, booth_uid: 'booth-001' }] },
+      { rowCount: 1, rows: [{ id: 3, created: false }] },
+      { rowCount: 1, rows: [{ id: 40, user_id: 'rider-1', amount: '50.00', started_at: new Date('2025-03-01T09:40:00Z'), mpesa_checkout_id: 'ws_CO_1', booth_id: 1 }] },
+      { rowCount: 1, rows: [{ id: 6, created: false }] },
+      { rowCount: 2, rows: [{ id: 1 }, { id: 2 }] },
+    ]);
+
+    await expect(checkTimedAlerts(client, now)).resolves.toEqual({ raised: 2, resolved: 2 });
+
+    expect(client.query.mock.calls[1][1]).toEqual([new Date('2025-03-01T09:55:00Z')]);
+    expect(client.query.mock.calls[2][1][4]).toBe('The door of booth-001/slot012 has been open for 8 minutes.');
+    expect(client.query.mock.calls[3][1]).toEqual([new Date('2025-03-01T09:50:00Z')]);
+    expect(client.query.mock.calls[4][1].slice(0, 2)).toEqual(['payment_stuck', 'payment_stuck:40']);
+    expect(client.query.mock.calls[5][0]).toContain("a.rule_type = 'door_open'");
+  });
+});
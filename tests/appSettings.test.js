@@ -0,0 +1,156 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const {
+  validateSetting,
+  diffSettingValues,
+  recordSettingVersion,
+  applyScheduledSettings,
+} = require('../utils/appSettings');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  return { query };
+}
+
+describe('app settings', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('accepts valid values and rejects unknown keys, wrong types and unknown fields', () => {
+    expect(validateSetting('pricing', {
+      base_swap_fee: 6.5,
+      cost_per_charge_percent: 12,
+      time_of_day: [{ name: 'peak', start: '17:00', end: '21:00', multiplier: 1.2 }],
+      booth_overrides: { 'booth-001': { base_swap_fee: 8 } },
+    })).toEqual([]);
+
+    expect(validateSetting('pricng', {})).toEqual([expect.stringContaining("Unknown setting 'pricng'")]);
+    expect(validateSetting('pricing', { base_swap_fee: '6.50', cost_per_charge_percent: 12 }))
+      .toEqual(['pricing.base_swap_fee must be number, got string.']);
+    expect(validateSetting('pricing', { base_swap_fee: 6, cost_per_charge_percent: 12, base_swap_fe: 6 }))
+      .toEqual(['pricing.base_swap_fe is not a known field.']);
+    expect(validateSetting('pricing', {
+      base_swap_fee: 6,
+      cost_per_charge_percent: 12,
+      booth_overrides: { 'booth-001': { base_swap_fee: -1 } },
+      time_of_day: [{ start: '25:00', end: '06:00', multiplier: 0.8 }],
+    })).toEqual([
+      'pricing.booth_overrides.booth-001.base_swap_fee must be at least 0.',
+      'pricing.time_of_day[0].start has an invalid format.',
+    ]);
+    expect(validateSetting('withdrawal_rules', { min_charge_level: 120 }))
+      .toEqual(['withdrawal_rules.min_charge_level must be at most 100.']);
+  });
+
+  test('diffs nested values field by field', () => {
+    const before = { base_swap_fee: 5, cost_per_charge_percent: 10, booth_overrides: { 'booth-001': { base_swap_fee: 8 } } };
+    const after = { base_swap_fee: 6, cost_per_charge_percent: 10, booth_overrides: {}, timezone: 'Africa/Nairobi' };
+
+    expect(diffSettingValues(before, after, 'pricing')).toEqual([
+      { path: 'pricing.base_swap_fee', change: 'changed', before: 5, after: 6 },
+      { path: 'pricing.booth_overrides.booth-001', change: 'removed', before: { base_swap_fee: 8 }, after: null },
+      { path: 'pricing.timezone', change: 'added', before: null, after: 'Africa/Nairobi' },
+    ]);
+  });
+
+  test('applies an immediate change as the next version', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{}] },
+      { rowCount: 1, rows: [{ value: { min_charge_level: 95 } }] },
+      { rowCount: 1, rows: [{ version: '3' }] },
+    ]);
+
+    const result = await recordSettingVersion(client, {
+      key: 'withdrawal_rules',
+      value: { min_charge_level: 90 },
+      createdBy: 'admin-1',
+    });
+
+    expect(result).toMatchObject({ version: 4, status: 'applied', previousValue: { min_charge_level: 95 } });
+    const [insertSql, insertParams] = client.query.mock.calls[3];
+    expect(insertSql).toContain('INSERT INTO app_settings_versions');
+    expect(insertParams.slice(0, 4)).toEqual(['withdrawal_rules', 4, '{"min_charge_level":90}', 'applied']);
+    expect(client.query.mock.calls[4][0]).toContain('INSERT INTO app_settings');
+    expect(client.query.mock.calls[4][1]).toEqual(['withdrawal_rules', '{"min_charge_level":90}']);
+  });
+
+  test('locks the key before numbering its version, even when it has no value yet', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{}] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ version: 0 }] },
+    ]);
+
+    const result = await recordSettingVersion(client, {
+      key: 'refund_rules',
+      value: { auto_approve_max_amount: 50 },
+      createdBy: 'admin-1',
+    });
+
+    expect(result).toMatchObject({ version: 1, status: 'applied', previousValue: null });
+    expect(client.query.mock.calls[0]).toEqual(['SELECT pg_advisory_xact_lock(hashtext($1))', ['refund_rules']]);
+    expect(client.query.mock.calls[2][0]).toContain('MAX(version)');
+  });
+
+  test('keeps the pre-versioning value as version 1 and schedules a future change without applying it', async () => {
+    const effectiveAt = new Date(Date.now() + 60 * 60 * 1000);
+    const client = createClient([
+      { rowCount: 1, rows: [{}] },
+      { rowCount: 1, rows: [{ value: { offline_after_seconds: 300 } }] },
+      { rowCount: 1, rows: [{ version: 0 }] },
+    ]);
+
+    const result = await recordSettingVersion(client, {
+      key: 'booth_heartbeat',
+      value: { offline_after_seconds: 600 },
+      createdBy: 'admin-1',
+      effectiveAt,
+    });
+
+    expect(result).toMatchObject({ version: 2, status: 'scheduled', effectiveAt });
+    expect(client.query.mock.calls[3][1]).toEqual(['booth_heartbeat', '{"offline_after_seconds":300}']);
+    expect(client.query.mock.calls[4][1].slice(0, 6)).toEqual([
+      'booth_heartbeat', 2, '{"offline_after_seconds":600}', 'scheduled', effectiveAt, null,
+    ]);
+    expect(client.query).toHaveBeenCalledTimes(5);
+  });
+
+  test('applies due scheduled versions and fails those that no longer validate', async () => {
+    const now = new Date('2025-03-01T10:00:00Z');
+    const client = createClient([
+      { rowCount: 0, rows: [] },
+      {
+        rowCount: 2,
+        rows: [
+          { id: 7, key: 'refund_rules', version: 2, value: { auto_approve_max_amount: 50 } },
+          { id: 8, key: 'refund_rules', version: 3, value: { auto_approve_max_amount: 'fifty' } },
+        ],
+      },
+    ]);
+
+    const counts = await applyScheduledSettings(client, now);
+
+    expect(counts).toEqual({ applied: 1, failed: 1 });
+    const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+    expect(statements).toEqual([
+      'BEGIN', 'SELECT id,', 'INSERT INTO', 'UPDATE app_settings_versions', 'UPDATE app_settings_versions', 'COMMIT',
+    ]);
+    expect(client.query.mock.calls[2][1]).toEqual(['refund_rules', '{"auto_approve_max_amount":50}']);
+    expect(client.query.mock.calls[4][1]).toEqual([8, 'refund_rules.auto_approve_max_amount must be number, got string.']);
+  });
+});
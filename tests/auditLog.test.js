@@ -0,0 +1,158 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockQuery = jest.fn();
+const mockRelease = jest.fn();
+const mockConnect = jest.fn();
+jest.mock('../db', () => Promise.resolve({ connect: mockConnect }));
+
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+const { auditAdminActions, setAuditContext, buildAuditEntry } = require('../middleware/auditLog');
+
+/**
+ * Creates a fake Express request for an admin route.
+ * @param {object} [overrides] - Fields to override.
+ * @returns {object} The fake request.
+ */
+function createRequest(overrides = {}) {
+  return {
+    method: 'POST',
+    originalUrl: '/api/admin/webhooks/4?dryRun=1',
+    path: '/webhooks/4',
+    route: { path: '/webhooks/:webhookId' },
+    params: { webhookId: '4' },
+    body: { url: 'https://partner.example.com/hooks', secret: 'whsec_abc' },
+    user: { uid: 'admin-1', email: 'ops@example.com' },
+    ip: '10.0.0.8',
+    schema: 'public',
+    get: (header) => (header === 'user-agent' ? 'jest' : undefined),
+    ...overrides,
+  };
+}
+
+/**
+ * Creates a fake Express response that can emit 'finish'.
+ * @param {number} [statusCode] - The response status.
+ * @returns {EventEmitter & {statusCode: number, locals: object}} The fake response.
+ */
+function createResponse(statusCode = 200) {
+  return Object.assign(new EventEmitter(), { statusCode, locals: {} });
+}
+
+/**
+ * Lets the asynchronous audit write run.
+ * @returns {Promise<void>} Resolves after pending callbacks.
+ */
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('admin audit log', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQuery.mockResolvedValue({ rowCount: 1, rows: [] });
+    mockConnect.mockResolvedValue({ query: mockQuery, release: mockRelease });
+  });
+
+  test('describes a request by its route, path parameters and redacted body by default', () => {
+    const entry = buildAuditEntry(createRequest(), createResponse(201));
+
+    expect(entry).toEqual({
+      actorUid: 'admin-1',
+      actorEmail: 'ops@example.com',
+      action: 'POST /webhooks/:webhookId',
+      targetType: null,
+      targetId: '4',
+      before: null,
+      after: { url: 'https://partner.example.com/hooks', secret: '[redacted]' },
+      method: 'POST',
+      path: '/api/admin/webhooks/4',
+      statusCode: 201,
+      ipAddress: '10.0.0.8',
+      userAgent: 'jest',
+    });
+  });
+
+  test('uses the action, target and before/after state set by the route', () => {
+    const res = createResponse();
+    setAuditContext(res, { action: 'slot.force_unlock', targetType: 'slot', targetId: 'booth-001/slot004' });
+    setAuditContext(res, { before: { action: 'lock' }, after: { forceUnlock: true } });
+
+    const entry = buildAuditEntry(createRequest(), res);
+
+    expect(entry).toMatchObject({
+      action: 'slot.force_unlock',
+      targetType: 'slot',
+      targetId: 'booth-001/slot004',
+      before: { action: 'lock' },
+      after: { forceUnlock: true },
+    });
+  });
+
+  test('records a successful change once the response is sent', async () => {
+    const next = jest.fn();
+    const res = createResponse(200);
+
+    auditAdminActions(createRequest(), res, next);
+    expect(next).toHaveBeenCalled();
+    expect(mockConnect).not.toHaveBeenCalled();
+
+    res.emit('finish');
+    await flushPromises();
+
+    expect(mockConnect).toHaveBeenCalledWith('public');
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('INSERT INTO admin_audit_log');
+    expect(params.slice(0, 5)).toEqual(['admin-1', 'ops@example.com', 'POST /webhooks/:webhookId', null, '4']);
+    expect(JSON.parse(params[6])).toEqual({ url: 'https://partner.example.com/hooks', secret: '[redacted]' });
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  test('records refused and failed requests with their status code', async () => {
+    const refusedRes = createResponse(403);
+    auditAdminActions(createRequest(), refusedRes, jest.fn());
+    refusedRes.emit('finish');
+
+    const failedRes = createResponse(500);
+    setAuditContext(failedRes, { action: 'slot.force_unlock', targetType: 'slot', targetId: 'booth-001/slot004' });
+    auditAdminActions(createRequest(), failedRes, jest.fn());
+    failedRes.emit('finish');
+
+    await flushPromises();
+    expect(mockQuery.mock.calls.map(([, params]) => [params[2], params[9]])).toEqual([
+      ['POST /webhooks/:webhookId', 403],
+      ['slot.force_unlock', 500],
+    ]);
+  });
+
+  test('skips reads and requests without a signed-in admin', async () => {
+    const getRes = createResponse(200);
+    auditAdminActions(createRequest({ method: 'GET' }), getRes, jest.fn());
+    getRes.emit('finish');
+
+    const unauthenticatedRes = createResponse(200);
+    auditAdminActions(createRequest({ user: undefined }), unauthenticatedRes, jest.fn());
+    unauthenticatedRes.emit('finish');
+
+    await flushPromises();
+    expect(mockConnect).not.toHaveBeenCalled();
+  });
+
+  test('logs instead of throwing when the entry cannot be written', async () => {
+    mockQuery.mockRejectedValueOnce(new Error('connection reset'));
+    const res = createResponse(200);
+
+    auditAdminActions(createRequest(), res, jest.fn());
+    res.emit('finish');
+    await flushPromises();
+
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining("[AuditLog] Failed to record 'POST /webhooks/:webhookId' by admin-1"),
+      expect.any(Error)
+    );
+    expect(mockRelease).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const logger = require('../utils/logger');
+const {
+  getBatterySerialFromTelemetry,
+  upsertBatteryBySerial,
+  recordCollectedBattery,
+  parseBatteryCsv,
+} = require('../utils/batteries');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+describe('batteries', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('reads the serial from the BMS ID or RFID tag, preferring an explicit serial', () => {
+    expect(getBatterySerialFromTelemetry({ batterySerial: ' BMS-001 ', rfidTag: 'RF-9' })).toBe('BMS-001');
+    expect(getBatterySerialFromTelemetry({ bmsId: 4711 })).toBe('4711');
+    expect(getBatterySerialFromTelemetry({ bmsId: '  ', rfidTag: 'RF-9' })).toBe('RF-9');
+    expect(getBatterySerialFromTelemetry({ soc: 80 })).toBeNull();
+    expect(getBatterySerialFromTelemetry(undefined)).toBeNull();
+  });
+
+  test('upserts the battery by serial with a whole-number SOC', async () => {
+    const client = createClient([{ rowCount: 1, rows: [{ id: 12 }] }]);
+
+    await expect(upsertBatteryBySerial(client, 'BMS-001', 54.6)).resolves.toBe(12);
+    expect(client.query.mock.calls[0][0]).toContain('ON CONFLICT (battery_uid) DO UPDATE');
+    expect(client.query.mock.calls[0][1]).toEqual(['BMS-001', 55]);
+  });
+
+  test('flags a withdrawal when the collected battery is not the one billed', async () => {
+    const client = createClient([{ rowCount: 1, rows: [{ id: 40, battery_id: 12, battery_mismatch: true }] }]);
+
+    const result = await recordCollectedBattery(client, 3, 15);
+
+    expect(result).toEqual({ sessionId: 40, billedBatteryId: 12, mismatch: true });
+    expect(client.query.mock.calls[0][1]).toEqual([3, 15]);
+    expect(client.query.mock.calls[0][0]).toContain("status = 'in_progress'");
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Battery mismatch on withdrawal 40'));
+  });
+
+  test('ignores removals with no withdrawal in progress', async () => {
+    const client = createClient([{ rowCount: 0, rows: [] }]);
+
+    await expect(recordCollectedBattery(client, 3, 15)).resolves.toBeNull();
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  test('parses a battery CSV with quoted fields and optional columns', () => {
+    const csv = 'Battery UID,Model,Notes\r\nBMS-001,"LFP 48V, 30Ah","said ""new"""\r\n\r\nBMS-002,,\n';
+
+    expect(parseBatteryCsv(csv)).toEqual({
+      batteries: [
+        { batteryUid: 'BMS-001', model: 'LFP 48V, 30Ah', notes: 'said "new"' },
+        { batteryUid: 'BMS-002', model: null, notes: null },
+      ],
+      errors: [],
+    });
+  });
+
+  test('reports missing serials, duplicates and a missing header column by line', () => {
+    expect(parseBatteryCsv('serial\nBMS-001\n\nBMS-001\n ').errors)
+      .toEqual([{ line: 4, error: 'battery_uid BMS-001 appears more than once.' }]);
+    expect(parseBatteryCsv('battery_uid,model\n,LFP').errors).toEqual([{ line: 2, error: 'battery_uid is required.' }]);
+    expect(parseBatteryCsv('model\nLFP').errors[0].error).toContain('battery_uid column');
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const {
+  DEFAULT_BATTERY_HEALTH_RULES,
+  scoreBatteryHealth,
+  addRateSample,
+  getBulkChargeRate,
+  recordHealthSample,
+} = require('../utils/batteryHealth');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  return { query };
+}
+
+describe('batteryHealth', () => {
+  test('scores wear from the cycle count when no fade has been measured', () => {
+    const score = scoreBatteryHealth(
+      { cycleCount: 750, maxTemperatureC: 40, bulkChargeRate: null, baselineChargeRate: null },
+      DEFAULT_BATTERY_HEALTH_RULES
+    );
+
+    expect(score).toEqual({ stateOfHealth: 90, capacityFadePercent: null, healthStatus: 'good' });
+  });
+
+  test('a pack that charges faster than it did new has lost capacity', () => {
+    const score = scoreBatteryHealth(
+      { cycleCount: 100, maxTemperatureC: null, bulkChargeRate: 0.8, baselineChargeRate: 0.6 },
+      DEFAULT_BATTERY_HEALTH_RULES
+    );
+
+    expect(score.capacityFadePercent).toBe(25);
+    expect(score.stateOfHealth).toBe(75);
+    expect(score.healthStatus).toBe('degraded');
+  });
+
+  test('overheating or a low score marks the battery faulty', () => {
+    const rules = DEFAULT_BATTERY_HEALTH_RULES;
+    expect(scoreBatteryHealth({ cycleCount: 0, maxTemperatureC: 70, bulkChargeRate: null, baselineChargeRate: null }, rules).healthStatus).toBe('faulty');
+    expect(scoreBatteryHealth({ cycleCount: 3000, maxTemperatureC: null, bulkChargeRate: 1, baselineChargeRate: 0.5 }, rules))
+      .toEqual({ stateOfHealth: 50, capacityFadePercent: 50, healthStatus: 'faulty' });
+  });
+
+  test('builds a smoothed charge-rate curve per SOC band and averages the bulk bands', () => {
+    let curve = addRateSample({}, 42, 0.5);
+    curve = addRateSample(curve, 48, 1);
+    curve = addRateSample(curve, 85, 0.2);
+
+    expect(curve['40']).toEqual({ rate: 0.6, samples: 2 });
+    expect(curve['80']).toEqual({ rate: 0.2, samples: 1 });
+    expect(getBulkChargeRate(curve)).toEqual({ rate: 0.6, samples: 2 });
+  });
+
+  test('records SOC gained as cycles and the charge rate of the band it started in', async () => {
+    const now = new Date('2025-03-01T10:10:00Z');
+    const client = createClient([
+      { rowCount: 1, rows: [{ value: { rated_cycles: 10 } }] },
+      {
+        rowCount: 1,
+        rows: [{
+          health_status: 'good',
+          cycle_count: '2.00',
+          max_temperature_c: '38.0',
+          charge_rate_curve: {},
+          baseline_charge_rate: null,
+          last_soc: '50.00',
+          last_sample_at: new Date('2025-03-01T10:00:00Z'),
+        }],
+      },
+    ]);
+
+    const result = await recordHealthSample(client, 7, 60, { temperatureC: 41 }, now);
+
+    // 2.1 cycles of 10 rated is 4.2 points of wear: still good.
+    expect(result).toEqual({ stateOfHealth: 95.8, healthStatus: 'good' });
+    const [healthSql, healthParams] = client.query.mock.calls[2];
+    expect(healthSql).toContain('INSERT INTO battery_health');
+    expect(healthParams.slice(0, 4)).toEqual([7, '2.10', 41, 95.8]);
+    expect(JSON.parse(healthParams[5])).toEqual({ 50: { rate: 1, samples: 1 } });
+    expect(client.query.mock.calls[3][1][1]).toBe('2025-03-01');
+    expect(client.query).toHaveBeenCalledTimes(4);
+  });
+
+  test('moves a battery to faulty when it overheats', async () => {
+    const client = createClient([
+      { rowCount: 0, rows: [] },
+      {
+        rowCount: 1,
+        rows: [{ health_status: 'degraded', cycle_count: '0', max_temperature_c: null, charge_rate_curve: {}, baseline_charge_rate: null, last_soc: null, last_sample_at: null }],
+      },
+    ]);
+
+    await expect(recordHealthSample(client, 7, 80, { temperatureC: 66 })).resolves.toMatchObject({ healthStatus: 'faulty' });
+    expect(client.query.mock.calls[4][0]).toContain('UPDATE batteries SET health_status');
+    expect(client.query.mock.calls[4][1]).toEqual(['faulty', 7]);
+  });
+});
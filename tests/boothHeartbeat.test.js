@@ -0,0 +1,109 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockSend = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { messaging: () => ({ send: mockSend }) },
+}));
+
+const {
+  hasTelemetryChanged,
+  isHeartbeatDue,
+  recordBoothHeartbeat,
+  checkBoothHeartbeats,
+  alertBoothTransitions,
+} = require('../utils/boothHeartbeat');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  return { query };
+}
+
+describe('boothHeartbeat', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('counts only telemetry changes as a heartbeat', () => {
+    const before = { slots: { slot001: { status: 'available', telemetry: { soc: 40 } } } };
+
+    expect(hasTelemetryChanged(before, { slots: { slot001: { status: 'available', telemetry: { soc: 41 } } } })).toBe(true);
+    expect(hasTelemetryChanged(before, { slots: { slot001: { status: 'offline', telemetry: { soc: 40 }, command: { openForDeposit: true } } } })).toBe(false);
+    expect(hasTelemetryChanged({}, { slots: { slot002: { telemetry: { soc: 10 } } } })).toBe(true);
+    expect(hasTelemetryChanged(before, null)).toBe(false);
+  });
+
+  test('writes the heartbeat at most once per interval per booth', async () => {
+    const now = new Date('2025-03-01T10:00:00Z');
+    const client = createClient([]);
+
+    expect(isHeartbeatDue('booth-hb', now)).toBe(true);
+    await recordBoothHeartbeat(client, 'booth-hb', now);
+    expect(client.query.mock.calls[0][1]).toEqual(['booth-hb', now]);
+
+    expect(isHeartbeatDue('booth-hb', new Date(now.getTime() + 10 * 1000))).toBe(false);
+    expect(isHeartbeatDue('booth-hb', new Date(now.getTime() + 30 * 1000))).toBe(true);
+    expect(isHeartbeatDue('booth-other', now)).toBe(true);
+  });
+
+  test('restores booths it took offline and marks stale online booths offline', async () => {
+    const now = new Date('2025-03-01T10:00:00Z');
+    const seen = new Date('2025-03-01T09:59:30Z');
+    const stale = new Date('2025-03-01T09:50:00Z');
+    const client = createClient([
+      { rowCount: 1, rows: [{ value: { offline_after_seconds: 120 } }] },
+      { rowCount: 1, rows: [{ id: 1, booth_uid: 'booth-001', name: 'Main St', last_heartbeat_at: seen }] },
+      { rowCount: 1, rows: [{ id: 2, booth_uid: 'booth-002', name: null, last_heartbeat_at: stale }] },
+    ]);
+
+    const result = await checkBoothHeartbeats(client, now);
+
+    expect(result).toEqual({
+      online: [{ boothId: 1, boothUid: 'booth-001', name: 'Main St', lastHeartbeatAt: seen }],
+      offline: [{ boothId: 2, boothUid: 'booth-002', name: null, lastHeartbeatAt: stale }],
+    });
+    expect(client.query.mock.calls[1][0]).toContain('auto_offline_at IS NOT NULL');
+    expect(client.query.mock.calls[1][1]).toEqual([new Date('2025-03-01T09:58:00Z')]);
+    expect(client.query.mock.calls[2][0]).toContain("WHERE status = 'online'");
+    expect(client.query.mock.calls[2][1]).toEqual([new Date('2025-03-01T09:58:00Z'), now]);
+    expect(client.query.mock.calls[3][1]).toEqual([1, 'offline', 'online', 'heartbeat_restored', seen, null]);
+    expect(client.query.mock.calls[4][1]).toEqual([2, 'online', 'offline', 'heartbeat_lost', stale, null]);
+  });
+
+  test('raises a booth_offline alert and resolves it when the booth returns', async () => {
+    mockSend.mockResolvedValueOnce('m-1').mockRejectedValueOnce(new Error('stale token'));
+    const client = createClient([
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ id: 7, created: true }] },
+      { rowCount: 2, rows: [{ user_id: 'admin-1', fcm_token: 't1' }, { user_id: 'admin-2', fcm_token: 't2' }] },
+    ]);
+
+    await alertBoothTransitions(client, {
+      offline: [{ boothId: 2, boothUid: 'booth-002', name: null, lastHeartbeatAt: null }],
+      online: [{ boothId: 1, boothUid: 'booth-001', name: 'Main St', lastHeartbeatAt: null }],
+    });
+
+    expect(client.query.mock.calls[1][1].slice(0, 5)).toEqual(['booth_offline', 'booth_offline:2', 'critical', 'Booth offline', 'booth-002 has never sent telemetry.']);
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(mockSend.mock.calls[0][0]).toMatchObject({
+      token: 't1',
+      notification: { title: 'Booth offline', body: 'booth-002 has never sent telemetry.' },
+      data: { type: 'admin_alert', event: 'booth_offline', alertId: '7', severity: 'critical' },
+    });
+    expect(JSON.parse(client.query.mock.calls[3][1][1]).fcm).toEqual({ status: 'sent', recipients: 1 });
+    expect(client.query.mock.calls[4][1]).toEqual([['booth_offline:1'], 'Heartbeat restored.']);
+  });
+});
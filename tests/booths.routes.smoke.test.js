@@ -70,11 +70,22 @@ describe('Booths Routes Smoke Test', () => {
     { method: 'POST', path: '/initiate-withdrawal' },
     { method: 'POST', path: '/sessions/:sessionId/pay' },
     { method: 'GET', path: '/sessions/pending-withdrawal' },
+    { method: 'GET', path: '/sessions/:depositId/quote' },
     { method: 'GET', path: '/withdrawal-status/:checkoutRequestId' },
     { method: 'POST', path: '/cancel-session' },
     { method: 'GET', path: '/history' },
     { method: 'POST', path: '/report-problem' },
     { method: 'POST', path: '/release-battery' },
+    { method: 'GET', path: '/wallet' },
+    { method: 'POST', path: '/wallet/top-up' },
+    { method: 'GET', path: '/wallet/top-ups/:checkoutRequestId' },
+    { method: 'GET', path: '/subscription-plans' },
+    { method: 'GET', path: '/subscription' },
+    { method: 'POST', path: '/subscriptions' },
+    { method: 'GET', path: '/subscriptions/:checkoutRequestId' },
+    { method: 'POST', path: '/:boothUid/reservations' },
+    { method: 'GET', path: '/reservation' },
+    { method: 'DELETE', path: '/reservations/:reservationId' },
   ];
 
   test('includes exactly the expected booth routes (method + path)', () => {
@@ -0,0 +1,70 @@
+const {
+  DEFAULT_RATE_PERCENT_PER_MINUTE,
+  estimateChargeRate,
+  estimateMinutesToSoc,
+  estimateRateFromSamples,
+  predictChargeEta,
+} = require('../utils/chargeEstimator');
+
+describe('chargeEstimator', () => {
+  const now = new Date('2025-01-15T12:00:00Z');
+
+  test('learns the bulk rate from charge gained since deposit', () => {
+    const { ratePercentPerMinute, observed } = estimateChargeRate({
+      initialSoc: 20,
+      currentSoc: 60,
+      chargingSince: new Date(now.getTime() - 40 * 60000),
+      now,
+    });
+
+    expect(observed).toBe(true);
+    expect(ratePercentPerMinute).toBe(1);
+  });
+
+  test('falls back to the default rate without enough history', () => {
+    const { ratePercentPerMinute, observed } = estimateChargeRate({
+      initialSoc: 20,
+      currentSoc: 21,
+      chargingSince: new Date(now.getTime() - 2 * 60000),
+      now,
+    });
+
+    expect(observed).toBe(false);
+    expect(ratePercentPerMinute).toBe(DEFAULT_RATE_PERCENT_PER_MINUTE);
+  });
+
+  test('slows down above 80% SOC', () => {
+    expect(estimateMinutesToSoc(60, 80, 1)).toBe(20);
+    // 10 points in the taper zone take twice as long.
+    expect(estimateMinutesToSoc(80, 90, 1)).toBe(20);
+    expect(estimateMinutesToSoc(70, 100, 1)).toBe(50);
+  });
+
+  test('returns zero for targets already reached', () => {
+    expect(estimateMinutesToSoc(92, 90, 1)).toBe(0);
+  });
+
+  test('learns the rate from recent slot samples, weighting the taper zone', () => {
+    const samples = [
+      { at: '2025-01-15T11:40:00Z', soc: '70.00' },
+      { at: '2025-01-15T11:50:00Z', soc: null },
+      { at: '2025-01-15T12:00:00Z', soc: '90.00' },
+    ];
+
+    // 10 bulk points plus 10 taper points (worth 20) over 20 minutes.
+    expect(estimateRateFromSamples(samples)).toBe(1.5);
+    expect(estimateRateFromSamples(samples.slice(0, 2))).toBeNull();
+    expect(estimateRateFromSamples([{ at: '2025-01-15T11:58:00Z', soc: 60 }, { at: '2025-01-15T12:00:00Z', soc: 62 }])).toBeNull();
+  });
+
+  test('predicts ready and full times from the slot rate, then the booth rate, then the default', () => {
+    const fromSlot = predictChargeEta({ currentSoc: 60, thresholdSoc: 90, slotRate: 1, boothRate: 0.4, now });
+    expect(fromSlot).toMatchObject({ rateSource: 'slot', minutesToThreshold: 40, minutesToFull: 60 });
+    expect(fromSlot.thresholdAt).toEqual(new Date('2025-01-15T12:40:00Z'));
+
+    expect(predictChargeEta({ currentSoc: 60, thresholdSoc: 90, slotRate: null, boothRate: 2, now }))
+      .toMatchObject({ rateSource: 'booth', minutesToThreshold: 20 });
+    expect(predictChargeEta({ currentSoc: 95, thresholdSoc: 90, now }))
+      .toMatchObject({ rateSource: 'default', ratePercentPerMinute: DEFAULT_RATE_PERCENT_PER_MINUTE, minutesToThreshold: 0, minutesToFull: 20 });
+  });
+});
@@ -0,0 +1,81 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockSend = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { messaging: () => ({ send: mockSend }) },
+}));
+
+const { getChargeEta, notifyBatteryReady } = require('../utils/chargeReadiness');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+const rules = { rowCount: 1, rows: [{ value: { min_charge_level: 90 } }] };
+
+describe('chargeReadiness', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('does nothing below the withdrawal threshold', async () => {
+    const client = createClient([rules]);
+
+    await expect(notifyBatteryReady(client, 3, 89.5)).resolves.toBeNull();
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('marks the deposit notified and pushes to the rider once the threshold is reached', async () => {
+    const client = createClient([
+      rules,
+      { rowCount: 1, rows: [{ id: 40, user_id: 'rider-1', slot_identifier: 'slot004' }] },
+      { rowCount: 1, rows: [{ fcm_token: 'token-1', notification_preferences: {} }] },
+      { rowCount: 1, rows: [{ id: 5 }] },
+    ]);
+
+    await expect(notifyBatteryReady(client, 3, 91.2)).resolves.toBe(40);
+    expect(client.query.mock.calls[1][0]).toContain('ready_notified_at IS NULL');
+    expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({
+      token: 'token-1',
+      data: { type: 'battery_ready', sessionId: '40', slotIdentifier: 'slot004', chargeLevel: '91' },
+    }));
+  });
+
+  test('skips deposits that were already notified', async () => {
+    const client = createClient([rules, { rowCount: 0, rows: [] }]);
+
+    await expect(notifyBatteryReady(client, 3, 100)).resolves.toBeNull();
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the booth rate and looks it up once per booth', async () => {
+    const client = createClient([
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ rate: '2.0000', pairs: 25 }] },
+      { rowCount: 0, rows: [] },
+    ]);
+    const boothRates = new Map();
+
+    const first = await getChargeEta(client, { slotId: 3, boothId: 1, currentSoc: 50 }, 90, boothRates);
+    const second = await getChargeEta(client, { slotId: 4, boothId: 1, currentSoc: 70 }, 90, boothRates);
+
+    expect(first).toMatchObject({ rateSource: 'booth', minutesToThreshold: 25 });
+    expect(second).toMatchObject({ rateSource: 'booth', minutesToThreshold: 15 });
+    expect(client.query).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../utils/boothCommands', () => ({
+  forceUnlockSlot: jest.fn(),
+  sendSlotCommands: jest.fn(),
+  resetBoothSlots: jest.fn(),
+  manualWithdrawBattery: jest.fn(),
+}));
+
+const { forceUnlockSlot, sendSlotCommands, manualWithdrawBattery } = require('../utils/boothCommands');
+const {
+  requestCommandApproval,
+  claimCommandApproval,
+  executeCommandApproval,
+} = require('../utils/commandApprovals');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  return { query };
+}
+
+const pendingApproval = {
+  id: 12,
+  action: 'force_unlock',
+  booth_uid: 'booth-001',
+  slot_identifier: 'slot004',
+  payload: { commands: { forceUnlock: true, forceLock: false } },
+  status: 'pending',
+  requested_by: 'admin-1',
+  expires_at: new Date(Date.now() + 10 * 60 * 1000),
+};
+
+describe('command approvals', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('runs actions that are not configured for approval straight away', async () => {
+    const client = createClient([{ rowCount: 1, rows: [{ value: { actions: ['manual_withdraw'] } }] }]);
+
+    const approval = await requestCommandApproval(client, {
+      action: 'reset_slots',
+      boothUid: 'booth-001',
+      slotIdentifier: null,
+      payload: {},
+      requestedBy: 'admin-1',
+    });
+
+    expect(approval).toBeNull();
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('holds a configured action for the approval window, once per slot', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ value: { actions: ['force_unlock'], window_minutes: 15 } }] },
+      { rowCount: 1, rows: [pendingApproval] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 0, rows: [] },
+    ]);
+    const request = {
+      action: 'force_unlock',
+      boothUid: 'booth-001',
+      slotIdentifier: 'slot004',
+      payload: pendingApproval.payload,
+      requestedBy: 'admin-1',
+    };
+
+    await expect(requestCommandApproval(client, request)).resolves.toBe(pendingApproval);
+    expect(client.query.mock.calls[1][1]).toEqual([
+      'force_unlock', 'booth-001', 'slot004', '{"commands":{"forceUnlock":true,"forceLock":false}}', null, 'admin-1', 15,
+    ]);
+
+    await expect(requestCommandApproval(client, request)).rejects.toThrow('APPROVAL_ALREADY_PENDING');
+  });
+
+  test('only lets a second admin approve, and only within the window', async () => {
+    const selfClient = createClient([{ rowCount: 0, rows: [] }, { rowCount: 1, rows: [pendingApproval] }]);
+    await expect(claimCommandApproval(selfClient, 12, 'admin-1')).rejects.toThrow('SELF_APPROVAL');
+    expect(selfClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+
+    const expired = { ...pendingApproval, expires_at: new Date(Date.now() - 1000) };
+    const expiredClient = createClient([{ rowCount: 0, rows: [] }, { rowCount: 1, rows: [expired] }]);
+    await expect(claimCommandApproval(expiredClient, 12, 'admin-2')).rejects.toThrow('APPROVAL_EXPIRED');
+    expect(expiredClient.query.mock.calls[2][0]).toContain("status = 'expired'");
+    expect(expiredClient.query).toHaveBeenLastCalledWith('COMMIT');
+
+    const approved = { ...pendingApproval, status: 'approved', decided_by: 'admin-2' };
+    const client = createClient([{ rowCount: 0, rows: [] }, { rowCount: 1, rows: [pendingApproval] }, { rowCount: 1, rows: [approved] }]);
+    await expect(claimCommandApproval(client, 12, 'admin-2')).resolves.toBe(approved);
+    expect(client.query.mock.calls[2][1]).toEqual([12, 'admin-2']);
+  });
+
+  test('runs an approved request with both admins recorded, and keeps the outcome', async () => {
+    const approved = { ...pendingApproval, status: 'approved', decided_by: 'admin-2' };
+    forceUnlockSlot.mockResolvedValueOnce({ previousCommand: {}, forceCompletedSessionId: 88 });
+    const client = createClient([]);
+
+    const result = await executeCommandApproval(client, approved);
+
+    expect(result).toEqual({ previousCommand: {}, forceCompletedSessionId: 88 });
+    expect(forceUnlockSlot).toHaveBeenCalledWith(
+      client, 'booth-001', 'slot004', { forceUnlock: true, forceLock: false },
+      { requestedBy: 'admin-1', approvedBy: 'admin-2', approvalId: 12 }
+    );
+    expect(client.query.mock.calls[0][0]).toContain("status = 'executed'");
+  });
+
+  test('sends the door-opening commands of an approved open_door request', async () => {
+    const approved = { ...pendingApproval, action: 'open_door', payload: { commands: { openForCollection: true } }, status: 'approved', decided_by: 'admin-2' };
+    sendSlotCommands.mockResolvedValueOnce({ previousCommand: { openForCollection: false } });
+    const client = createClient([]);
+
+    await executeCommandApproval(client, approved);
+
+    expect(sendSlotCommands).toHaveBeenCalledWith('booth-001', 'slot004', { openForCollection: true });
+    expect(forceUnlockSlot).not.toHaveBeenCalled();
+    expect(client.query.mock.calls[0][0]).toContain("status = 'executed'");
+    expect(client.query.mock.calls[0][1]).toEqual([12, '{"previousCommand":{"openForCollection":false}}']);
+  });
+
+  test('marks the request failed when the action can no longer run', async () => {
+    const approved = { ...pendingApproval, action: 'manual_withdraw', payload: {}, status: 'approved', decided_by: 'admin-2' };
+    manualWithdrawBattery.mockRejectedValueOnce(new Error('NO_DEPOSITED_BATTERY'));
+    const client = createClient([]);
+
+    await expect(executeCommandApproval(client, approved)).rejects.toThrow('NO_DEPOSITED_BATTERY');
+    expect(client.query.mock.calls[0][0]).toContain("status = 'failed'");
+    expect(client.query.mock.calls[0][1]).toEqual([12, 'NO_DEPOSITED_BATTERY']);
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../utils/logger', () => require('./helpers/logger'));
+
+const mockConnect = jest.fn();
+jest.mock('../db', () => Promise.resolve({ connect: mockConnect }));
+
+const mockVerifyIdToken = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { auth: () => ({ verifyIdToken: mockVerifyIdToken }) },
+}));
+
+jest.mock('firebase-admin/database', () => ({
+  getDatabase: () => ({
+    ref: () => ({ get: async () => ({ exists: () => false }), update: jest.fn() }),
+  }),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createClient, queryMatching } = require('./helpers/pgClient');
+const boothsRouter = require('../routes/booths');
+
+/**
+ * Creates a client for a new deposit at a dev booth by a rider who still has an unpaid swap.
+ * @param {object} staleSession - The rider's earlier deposit session.
+ * @returns {{query: jest.Mock, release: jest.Mock}} The fake client.
+ */
+function createClientWithStaleSwap(staleSession) {
+  return createClient([
+    ["d.status IN ('pending', 'opening', 'in_progress')", { rowCount: 1, rows: [staleSession] }],
+    ['JOIN deposits d ON d.swap_slot_id = r.slot_id', { rowCount: 1, rows: [{ id: 12 }] }],
+    ['UPDATE slot_reservations SET status = $2', { rowCount: 1, rows: [{ slot_id: 9 }] }],
+    ['FROM booths WHERE booth_uid', { rowCount: 1, rows: [{ id: 3 }] }],
+    ['WHERE r.user_id = $1', { rowCount: 0, rows: [] }],
+    ['SELECT id, slot_identifier', { rowCount: 1, rows: [{ id: 5, slot_identifier: 'slot005' }] }],
+    ["SET status = 'opening'", { rowCount: 1, rows: [{ id: 5, slot_identifier: 'slot005' }] }],
+    ['INSERT INTO deposits', { rowCount: 1, rows: [{ id: 31 }] }],
+    ['FROM batteries', { rowCount: 0, rows: [] }],
+  ]);
+}
+
+describe('POST /api/booths/initiate-deposit', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyIdToken.mockResolvedValue({ uid: 'rider-1' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/booths', boothsRouter);
+  });
+
+  test.each([
+    ['opening', 4],
+    ['pending', null],
+  ])("releases the battery hold of a stale '%s' swap deposit in the same transaction", async (status, slotId) => {
+    const client = createClientWithStaleSwap({ id: 30, status, session_type: 'deposit', slot_id: slotId, swap_slot_id: 9, slot_identifier: 'slot004' });
+    mockConnect.mockResolvedValue(client);
+
+    const res = await request(app)
+      .post('/api/booths/initiate-deposit')
+      .set('Authorization', 'Bearer rider-token')
+      .send({ boothUid: 'dev-booth-1', mode: 'charge' });
+
+    expect(res.status).toBe(200);
+    const sql = client.query.mock.calls.map(([text]) => text);
+    const released = sql.findIndex((text) => text.includes('UPDATE slot_reservations SET status = $2'));
+    expect(sql.indexOf('BEGIN')).toBeLessThan(released);
+    expect(sql.indexOf('COMMIT')).toBeGreaterThan(released);
+    expect(sql).not.toContain('ROLLBACK');
+    expect(queryMatching(client, 'UPDATE slot_reservations SET status = $2').params).toEqual([12, 'cancelled']);
+    expect(queryMatching(client, "UPDATE deposits SET status = 'cancelled'").params).toEqual([30]);
+  });
+});
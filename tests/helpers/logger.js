@@ -0,0 +1,10 @@
+// Stand-in for utils/logger: `jest.mock('../utils/logger', () => require('./helpers/logger'));`
+module.exports = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  stream: {
+    write: jest.fn(),
+  },
+};
@@ -0,0 +1,78 @@
+/**
+ * A fake pg client for testing code that is handed a client.
+ *
+ * Results are matched to queries by their SQL rather than by call order: each `[pattern, result]`
+ * answers the first query whose text contains `pattern` (a string, or a RegExp to test) and is
+ * then used up, so repeated patterns answer successive matching queries. A result can be a
+ * function of the query parameters, or an Error to throw. Any other query gets
+ * `{ rowCount: 1, rows: [] }`.
+ */
+
+/**
+ * Checks a query's text against a pattern.
+ * @param {string} text - The SQL.
+ * @param {string|RegExp} pattern - A substring, or a RegExp to test.
+ * @returns {boolean} True if the query matches.
+ */
+function matches(text, pattern) {
+  return pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern);
+}
+
+/**
+ * Creates the fake client.
+ * @param {Array<[string|RegExp, any]>} [results] - The results, by query pattern.
+ * @returns {{query: jest.Mock, release: jest.Mock}} The fake client.
+ */
+function createClient(results = []) {
+  const pending = results.map(([pattern, result]) => ({ pattern, result }));
+  const query = jest.fn(async (text, params) => {
+    const index = pending.findIndex(({ pattern }) => matches(text, pattern));
+    if (index === -1) {
+      return { rowCount: 1, rows: [] };
+    }
+    const [{ result }] = pending.splice(index, 1);
+    if (result instanceof Error) {
+      throw result;
+    }
+    return typeof result === 'function' ? result(params) : result;
+  });
+  return { query, release: jest.fn() };
+}
+
+/**
+ * Lists the queries a client ran whose text matches a pattern, in call order.
+ * @param {{query: jest.Mock}} client - The fake client.
+ * @param {string|RegExp} pattern - A substring, or a RegExp to test.
+ * @returns {Array<{text: string, params: any[]}>} The matching queries.
+ */
+function queriesMatching(client, pattern) {
+  return client.query.mock.calls
+    .filter(([text]) => matches(text, pattern))
+    .map(([text, params]) => ({ text, params }));
+}
+
+/**
+ * Finds the first query a client ran whose text matches a pattern.
+ * @param {{query: jest.Mock}} client - The fake client.
+ * @param {string|RegExp} pattern - A substring, or a RegExp to test.
+ * @returns {{text: string, params: any[]}} The query.
+ * @throws {Error} If no query matches.
+ */
+function queryMatching(client, pattern) {
+  const [found] = queriesMatching(client, pattern);
+  if (!found) {
+    throw new Error(`No query matching ${pattern} was run.`);
+  }
+  return found;
+}
+
+/**
+ * Lists the journal lines a client posted, as [account, userId, boothId, debit, credit].
+ * @param {{query: jest.Mock}} client - The fake client.
+ * @returns {any[][]} The lines, in posting order.
+ */
+function journalLines(client) {
+  return queriesMatching(client, 'INSERT INTO journal_lines').map(({ params }) => params.slice(1));
+}
+
+module.exports = { createClient, queriesMatching, queryMatching, journalLines };
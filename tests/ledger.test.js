@@ -0,0 +1,94 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { postJournalEntry, recordSessionPayment } = require('../utils/ledger');
+
+/**
+ * Creates a fake pg client that returns a journal entry ID for the header insert.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient() {
+  return {
+    query: jest.fn(async (text) => (
+      text.includes('INSERT INTO journal_entries')
+        ? { rowCount: 1, rows: [{ id: 99 }] }
+        : { rowCount: 1, rows: [] }
+    )),
+  };
+}
+
+describe('ledger', () => {
+  test('rejects unbalanced entries before touching the database', async () => {
+    const client = createClient();
+
+    await expect(postJournalEntry(client, {
+      entryType: 'adjustment',
+      lines: [
+        { account: 'adjustments', debit: 10 },
+        { account: 'wallet_liability', credit: 9.99 },
+      ],
+    })).rejects.toThrow('LEDGER_ENTRY_UNBALANCED');
+
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('rejects lines that carry both a debit and a credit', async () => {
+    const client = createClient();
+
+    await expect(postJournalEntry(client, {
+      entryType: 'adjustment',
+      lines: [
+        { account: 'adjustments', debit: 10, credit: 10 },
+        { account: 'wallet_liability', credit: 0 },
+      ],
+    })).rejects.toThrow('LEDGER_INVALID_LINE');
+  });
+
+  test('balances decimal amounts without float drift', async () => {
+    const client = createClient();
+
+    const entryId = await postJournalEntry(client, {
+      entryType: 'stk_charge',
+      lines: [
+        { account: 'mpesa_clearing', debit: 0.3 },
+        { account: 'swap_revenue', credit: 0.1 },
+        { account: 'swap_revenue', credit: 0.2 },
+      ],
+    });
+
+    expect(entryId).toBe(99);
+    expect(client.query).toHaveBeenCalledTimes(4);
+  });
+
+  test('books wallet-paid sessions against the wallet liability', async () => {
+    const client = createClient();
+
+    await recordSessionPayment(client, {
+      sessionId: 5,
+      userId: 'user-1',
+      boothId: 2,
+      amount: '45.00',
+      paymentMethod: 'wallet',
+    });
+
+    expect(client.query.mock.calls[0][1][0]).toBe('wallet_payment');
+    expect(client.query.mock.calls[1][1]).toEqual([99, 'wallet_liability', 'user-1', 2, 45, 0]);
+    expect(client.query.mock.calls[2][1]).toEqual([99, 'swap_revenue', 'user-1', 2, 0, 45]);
+  });
+
+  test('does not book zero-amount sessions', async () => {
+    const client = createClient();
+
+    await expect(recordSessionPayment(client, {
+      sessionId: 6,
+      userId: 'user-1',
+      boothId: 2,
+      amount: 0,
+    })).resolves.toBeNull();
+    expect(client.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockSend = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { messaging: () => ({ send: mockSend }) },
+}));
+
+const { resolvePreferences, sendNotification, queueNotification, deliverQueuedNotifications } = require('../utils/notifications');
+const { setSmsProvider } = require('../utils/sms');
+const { createMockProvider } = require('../utils/sms/mock');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+const logged = { rowCount: 1, rows: [{ id: 9 }] };
+const smsLogged = { rowCount: 1, rows: [{ id: 10 }] };
+
+describe('notifications', () => {
+  let sms;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sms = createMockProvider();
+    setSmsProvider(sms);
+  });
+
+  test('enables every template unless the rider turned it off', () => {
+    expect(resolvePreferences({ battery_ready: false, unknown: false })).toEqual({
+      battery_ready: false,
+      payment_received: true,
+      session_cancelled: true,
+      door_left_open: true,
+      refund_issued: true,
+      sms: true,
+    });
+    expect(resolvePreferences(null).refund_issued).toBe(true);
+  });
+
+  test('sends the rendered template and logs it with the provider message ID', async () => {
+    mockSend.mockResolvedValueOnce('projects/x/messages/1');
+    const client = createClient([{ rowCount: 1, rows: [{ fcm_token: 'token-1', notification_preferences: {} }] }, logged]);
+
+    const result = await sendNotification(client, 'rider-1', 'refund_issued', { sessionId: 40, amount: '50.00', method: 'wallet' });
+
+    expect(result).toEqual({ id: 9, channel: 'push', status: 'sent' });
+    expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({
+      token: 'token-1',
+      notification: { title: 'Refund issued', body: 'KES 50.00 has been refunded to your wallet.' },
+      data: { type: 'refund_issued', sessionId: '40', amount: '50.00', method: 'wallet' },
+    }));
+    expect(client.query.mock.calls[1][1].slice(6)).toEqual(['sent', null, 'projects/x/messages/1']);
+    expect(sms.sent).toHaveLength(0);
+  });
+
+  test('skips opted-out templates on every channel', async () => {
+    const client = createClient([{ rowCount: 1, rows: [{ fcm_token: null, phone: '+254712345678', notification_preferences: { door_left_open: false } }] }, logged]);
+
+    await expect(sendNotification(client, 'rider-1', 'door_left_open', { slotIdentifier: 'slot004' }))
+      .resolves.toEqual({ id: 9, channel: 'push', status: 'skipped' });
+    expect(client.query.mock.calls[1][1].slice(6, 8)).toEqual(['skipped', 'opted_out']);
+    expect(client.query).toHaveBeenCalledTimes(2);
+    expect(sms.sent).toHaveLength(0);
+  });
+
+  test('falls back to SMS when the rider has no token or the push fails', async () => {
+    const noToken = createClient([{ rowCount: 1, rows: [{ fcm_token: null, phone: '+254712345678', notification_preferences: {} }] }, logged, smsLogged]);
+    await expect(sendNotification(noToken, 'rider-1', 'door_left_open', { slotIdentifier: 'slot004' }))
+      .resolves.toEqual({ id: 10, channel: 'sms', status: 'sent' });
+    expect(noToken.query.mock.calls[1][1].slice(6, 8)).toEqual(['skipped', 'no_token']);
+    expect(noToken.query.mock.calls[2][1][2]).toBe('sms');
+    expect(noToken.query.mock.calls[2][1].slice(6)).toEqual(['sent', null, 'mock-1']);
+    expect(sms.sent[0]).toMatchObject({ to: '+254712345678', message: expect.stringMatching(/^Close the slot door: The door of slot004/) });
+
+    mockSend.mockRejectedValueOnce(new Error('Requested entity was not found.'));
+    const stale = createClient([{ rowCount: 1, rows: [{ fcm_token: 'stale', phone: null, notification_preferences: {} }] }, logged, smsLogged]);
+    await expect(sendNotification(stale, 'rider-1', 'session_cancelled', { slotIdentifier: 'slot004', reason: 'the battery was not plugged in.' }))
+      .resolves.toEqual({ id: 10, channel: 'sms', status: 'skipped' });
+    expect(stale.query.mock.calls[1][1].slice(6, 8)).toEqual(['failed', 'Requested entity was not found.']);
+    expect(stale.query.mock.calls[2][1].slice(6, 8)).toEqual(['skipped', 'no_phone']);
+  });
+
+  test('respects the SMS opt-out and a missing SMS provider', async () => {
+    const optedOut = createClient([{ rowCount: 1, rows: [{ fcm_token: null, phone: '+254712345678', notification_preferences: { sms: false } }] }, logged]);
+    await expect(sendNotification(optedOut, 'rider-1', 'payment_received', { amount: '50.00' }))
+      .resolves.toEqual({ id: 9, channel: 'push', status: 'skipped' });
+
+    setSmsProvider(null);
+    const disabled = createClient([{ rowCount: 1, rows: [{ fcm_token: null, phone: '+254712345678', notification_preferences: {} }] }, logged]);
+    await sendNotification(disabled, 'rider-1', 'payment_received', { amount: '50.00' });
+    expect(disabled.query).toHaveBeenCalledTimes(2);
+    expect(sms.sent).toHaveLength(0);
+  });
+
+  test('logs SMS provider failures and never throws', async () => {
+    sms.send = jest.fn().mockRejectedValue(new Error('SMS rejected: InvalidPhoneNumber'));
+    const client = createClient([{ rowCount: 1, rows: [{ fcm_token: null, phone: '0700', notification_preferences: {} }] }, logged, smsLogged]);
+
+    await expect(sendNotification(client, 'rider-1', 'refund_issued', { amount: '50.00', method: 'mpesa' }))
+      .resolves.toEqual({ id: 10, channel: 'sms', status: 'failed' });
+    expect(client.query.mock.calls[2][1].slice(6, 8)).toEqual(['failed', 'SMS rejected: InvalidPhoneNumber']);
+
+    const broken = { query: jest.fn().mockRejectedValue(new Error('connection lost')) };
+    await expect(sendNotification(broken, 'rider-1', 'payment_received', { amount: '50.00' })).resolves.toBeNull();
+  });
+
+  test('queues a notification under a savepoint without calling FCM', async () => {
+    const client = createClient([{}, { rowCount: 1, rows: [{ id: 11 }] }, {}]);
+
+    await expect(queueNotification(client, 'rider-1', 'payment_received', { sessionId: 40, amount: '50.00' }))
+      .resolves.toEqual({ id: 11, channel: 'push', status: 'queued' });
+    expect(client.query.mock.calls[0][0]).toBe('SAVEPOINT queue_notification');
+    expect(client.query.mock.calls[1][1]).toEqual([
+      'rider-1',
+      'payment_received',
+      'Payment successful',
+      'KES 50.00 received. Please scan the QR code on the booth to collect your battery.',
+      JSON.stringify({ type: 'payment_received', sessionId: '40', amount: '50.00' }),
+    ]);
+    expect(client.query.mock.calls[2][0]).toBe('RELEASE SAVEPOINT queue_notification');
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  test("rolls back only its savepoint when the queue insert fails, leaving the caller's transaction usable", async () => {
+    const client = createClient([{}]);
+    client.query.mockRejectedValueOnce(new Error('insert or update on table "notifications" violates foreign key constraint'));
+    client.query.mockResolvedValueOnce({});
+
+    await expect(queueNotification(client, 'rider-1', 'refund_issued', { amount: '50.00', method: 'wallet' })).resolves.toBeNull();
+    expect(client.query.mock.calls[2][0]).toBe('ROLLBACK TO SAVEPOINT queue_notification');
+  });
+
+  test('sends claimed notifications and records each outcome on its row', async () => {
+    mockSend.mockResolvedValueOnce('projects/x/messages/2');
+    const data = { type: 'payment_received', amount: '50.00' };
+    const client = createClient([
+      {
+        rowCount: 2,
+        rows: [
+          { id: 11, user_id: 'rider-1', template: 'payment_received', title: 'Payment successful', body: 'KES 50.00 received.', data, fcm_token: 'token-1', notification_preferences: {} },
+          { id: 12, user_id: 'rider-2', template: 'payment_received', title: 'Payment successful', body: 'KES 50.00 received.', data, fcm_token: 'token-2', notification_preferences: { payment_received: false } },
+        ],
+      },
+      { rowCount: 1 },
+      { rowCount: 1 },
+    ]);
+
+    await expect(deliverQueuedNotifications(client)).resolves.toEqual({ sent: 1, failed: 0, skipped: 1 });
+    expect(client.query.mock.calls[0][0]).toContain("SET status = 'sending'");
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({ token: 'token-1', data }));
+    expect(client.query.mock.calls[1][1]).toEqual([11, 'sent', null, 'projects/x/messages/2']);
+    expect(client.query.mock.calls[2][1]).toEqual([12, 'skipped', 'opted_out', null]);
+  });
+
+  test('falls back to SMS for a queued notification whose push did not go out', async () => {
+    mockSend.mockRejectedValueOnce(new Error('Requested entity was not found.'));
+    const client = createClient([
+      {
+        rowCount: 1,
+        rows: [{ id: 11, user_id: 'rider-1', template: 'refund_issued', title: 'Refund issued', body: 'KES 50.00 has been refunded to your M-Pesa.', data: { type: 'refund_issued' }, fcm_token: 'stale', phone: '+254712345678', notification_preferences: {} }],
+      },
+      { rowCount: 1 },
+      smsLogged,
+    ]);
+
+    await expect(deliverQueuedNotifications(client)).resolves.toEqual({ sent: 1, failed: 0, skipped: 0 });
+    expect(client.query.mock.calls[1][1].slice(0, 3)).toEqual([11, 'failed', 'Requested entity was not found.']);
+    expect(client.query.mock.calls[2][1][2]).toBe('sms');
+    expect(client.query.mock.calls[2][1].slice(6)).toEqual(['sent', null, 'mock-1']);
+    expect(sms.sent[0]).toMatchObject({ to: '+254712345678', message: 'Refund issued: KES 50.00 has been refunded to your M-Pesa.' });
+  });
+});
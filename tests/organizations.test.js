@@ -0,0 +1,132 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const {
+  normalizeMemberPhone,
+  getPreviousBillingPeriod,
+  authorizeAccountBilling,
+  generateInvoicesForPeriod,
+  markInvoicePaid,
+} = require('../utils/organizations');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+const membershipRow = (overrides = {}) => ({
+  id: 5,
+  organization_id: 2,
+  name: 'Acme Deliveries',
+  organization_status: 'active',
+  role: 'rider',
+  monthly_spend_limit: '1000.00',
+  ...overrides,
+});
+
+describe('organizations', () => {
+  test('normalizeMemberPhone matches numbers however they were typed', () => {
+    expect(normalizeMemberPhone('0712 345 678')).toBe('+254712345678');
+    expect(normalizeMemberPhone('254712345678')).toBe('+254712345678');
+    expect(normalizeMemberPhone('+254712345678')).toBe('+254712345678');
+    expect(normalizeMemberPhone('12345')).toBeNull();
+    expect(normalizeMemberPhone(undefined)).toBeNull();
+  });
+
+  test('getPreviousBillingPeriod uses the Nairobi calendar and wraps across the year', () => {
+    // 22:30 UTC on 31 Jan is already 1 Feb in Nairobi.
+    expect(getPreviousBillingPeriod(new Date('2025-01-31T22:30:00Z'))).toEqual({ periodStart: '2025-01-01', periodEnd: '2025-02-01' });
+    expect(getPreviousBillingPeriod(new Date('2025-01-15T12:00:00Z'))).toEqual({ periodStart: '2024-12-01', periodEnd: '2025-01-01' });
+  });
+
+  test('authorizeAccountBilling returns the limit left after the charge', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [membershipRow()] },
+      { rowCount: 1, rows: [{ spend: '700.00' }] },
+    ]);
+
+    await expect(authorizeAccountBilling(client, 'user-1', 250)).resolves.toEqual({
+      organizationId: 2,
+      organizationName: 'Acme Deliveries',
+      remaining: 50,
+    });
+    expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE OF m');
+    expect(client.query.mock.calls[1][0]).toContain("r.session_id = d.id AND r.status = 'completed'");
+  });
+
+  test('authorizeAccountBilling rejects non-members, suspended organisations and charges over the limit', async () => {
+    await expect(authorizeAccountBilling(createClient([{ rowCount: 0, rows: [] }]), 'user-1', 100))
+      .rejects.toThrow('NOT_ORG_MEMBER');
+
+    await expect(authorizeAccountBilling(createClient([{ rowCount: 1, rows: [membershipRow({ organization_status: 'suspended' })] }]), 'user-1', 100))
+      .rejects.toThrow('ORG_SUSPENDED');
+
+    const overLimit = createClient([
+      { rowCount: 1, rows: [membershipRow()] },
+      { rowCount: 1, rows: [{ spend: '950.00' }] },
+    ]);
+    await expect(authorizeAccountBilling(overLimit, 'user-1', 100)).rejects.toThrow('SPENDING_LIMIT_EXCEEDED');
+  });
+
+  test('authorizeAccountBilling skips the spend check for members without a limit', async () => {
+    const client = createClient([{ rowCount: 1, rows: [membershipRow({ monthly_spend_limit: null })] }]);
+
+    await expect(authorizeAccountBilling(client, 'user-1', 5000)).resolves.toMatchObject({ remaining: null });
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('generateInvoicesForPeriod leaves refunded sessions off the invoice', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ organization_id: 2, session_count: 3, amount: '240.00' }] },
+      { rowCount: 1, rows: [{ id: 9 }] },
+      { rowCount: 3, rows: [] },
+    ]);
+
+    await expect(generateInvoicesForPeriod(client, { periodStart: '2025-01-01', periodEnd: '2025-02-01' })).resolves.toEqual([
+      { invoiceId: 9, organizationId: 2, sessionCount: 3, amount: 240 },
+    ]);
+    expect(client.query.mock.calls[0][0]).toContain("NOT EXISTS (SELECT 1 FROM refunds r WHERE r.session_id = d.id AND r.status = 'completed')");
+    expect(client.query.mock.calls[2][0]).toContain("NOT EXISTS (SELECT 1 FROM refunds r WHERE r.session_id = d.id AND r.status = 'completed')");
+    expect(client.query.mock.calls[2][1]).toEqual(['2025-01-01', '2025-02-01', 'Africa/Nairobi', 9, 2]);
+  });
+
+  test('markInvoicePaid clears the receivable into the account the money arrived in', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 9, organization_id: 2, amount: '4200.00', status: 'issued' }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [{ id: 60 }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [] },
+    ]);
+
+    await expect(markInvoicePaid(client, 9, { method: 'bank', reference: 'TRF-881', recordedBy: 'admin-1' }))
+      .resolves.toEqual({ id: 9, organizationId: 2, amount: 4200 });
+
+    expect(client.query.mock.calls[1][1]).toEqual([9, 'bank', 'TRF-881', 'admin-1']);
+    expect(client.query.mock.calls[3][1]).toEqual([60, 'bank', null, null, 4200, 0]);
+    expect(client.query.mock.calls[4][1]).toEqual([60, 'accounts_receivable', null, null, 0, 4200]);
+  });
+
+  test('markInvoicePaid rejects unknown methods and invoices that are not issued', async () => {
+    await expect(markInvoicePaid(createClient([]), 9, { method: 'cheque', recordedBy: 'admin-1' }))
+      .rejects.toThrow('INVALID_PAYMENT_METHOD');
+
+    await expect(markInvoicePaid(createClient([{ rowCount: 0, rows: [] }]), 9, { method: 'cash', recordedBy: 'admin-1' }))
+      .rejects.toThrow('INVOICE_NOT_FOUND');
+
+    const paid = createClient([{ rowCount: 1, rows: [{ id: 9, organization_id: 2, amount: '4200.00', status: 'paid' }] }]);
+    await expect(markInvoicePaid(paid, 9, { method: 'cash', recordedBy: 'admin-1' })).rejects.toThrow('INVOICE_NOT_PAYABLE');
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const mockQuery = jest.fn();
+const mockRelease = jest.fn();
+const mockConnect = jest.fn();
+jest.mock('../db', () => Promise.resolve({ connect: mockConnect }));
+
+const { requirePermission } = require('../middleware/auth');
+const { resolvePermissionScope, boothScopeCondition } = require('../utils/permissions');
+
+/**
+ * Creates a fake Express response that records its status and body.
+ * @returns {{status: jest.Mock, json: jest.Mock}} The fake response.
+ */
+function createResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+}
+
+describe('admin permissions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConnect.mockResolvedValue({ query: mockQuery, release: mockRelease });
+  });
+
+  test('resolves a permission to no grant, everywhere, or the union of its booth scopes', () => {
+    const grants = [
+      { permissions: ['booths:read', 'booths:command'], booth_uids: ['booth-001'], regions: [] },
+      { permissions: ['booths:command'], booth_uids: [], regions: ['Westlands'] },
+      { permissions: ['booths:read', 'users:read'], booth_uids: [], regions: [] },
+    ];
+
+    expect(resolvePermissionScope(grants, 'payments:read')).toBe(false);
+    expect(resolvePermissionScope(grants, 'booths:read')).toBeNull();
+    expect(resolvePermissionScope(grants, 'booths:command')).toEqual({ boothUids: ['booth-001'], regions: ['Westlands'] });
+  });
+
+  test('builds a booth filter only for scoped grants', () => {
+    const params = [25];
+    expect(boothScopeCondition(null, params)).toBe('');
+    expect(boothScopeCondition({ boothUids: ['booth-001'], regions: ['Westlands'] }, params, 'booths'))
+      .toBe('(booths.booth_uid = ANY($2::text[]) OR booths.region = ANY($3::text[]))');
+    expect(params).toEqual([25, ['booth-001'], ['Westlands']]);
+  });
+
+  test('rejects unknown permissions when the route is defined', () => {
+    expect(() => requirePermission('booths:explode')).toThrow("Unknown permission 'booths:explode'.");
+  });
+
+  test('lets full-access roles through without a database lookup', async () => {
+    const req = { user: { uid: 'admin-1', role: 'admin' }, params: {} };
+    const next = jest.fn();
+
+    await requirePermission('payments:write')(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.permissionScope).toBeNull();
+    expect(mockConnect).not.toHaveBeenCalled();
+  });
+
+  test('forbids users whose roles lack the permission', async () => {
+    mockQuery.mockResolvedValueOnce({ rowCount: 1, rows: [{ permissions: ['payments:read'], booth_uids: [], regions: [] }] });
+    const req = { user: { uid: 'agent-1', role: 'user' }, params: {}, schema: 'public', method: 'POST', originalUrl: '/api/admin/refunds' };
+    const res = createResponse();
+    const next = jest.fn();
+
+    await requirePermission('payments:write')(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  test('allows a scoped grant only for booths in its region', async () => {
+    const grants = { rowCount: 1, rows: [{ permissions: ['booths:command'], booth_uids: [], regions: ['Westlands'] }] };
+    const guard = requirePermission('booths:command');
+    const next = jest.fn();
+
+    mockQuery.mockResolvedValueOnce(grants).mockResolvedValueOnce({ rowCount: 1, rows: [{ region: 'Westlands' }] });
+    const inScope = { user: { uid: 'tech-1', role: 'user' }, params: { boothUid: 'booth-002' }, schema: 'public' };
+    await guard(inScope, createResponse(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(inScope.permissionScope).toEqual({ boothUids: [], regions: ['Westlands'] });
+
+    mockQuery.mockResolvedValueOnce(grants).mockResolvedValueOnce({ rowCount: 1, rows: [{ region: 'Kilimani' }] });
+    const outOfScope = createResponse();
+    await guard({ user: { uid: 'tech-1', role: 'user' }, params: { boothUid: 'booth-009' }, schema: 'public' }, outOfScope, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(outOfScope.status).toHaveBeenCalledWith(403);
+
+    mockQuery.mockResolvedValueOnce(grants);
+    const noBooth = createResponse();
+    await guard({ user: { uid: 'tech-1', role: 'user' }, params: {}, schema: 'public' }, noBooth, next);
+    expect(noBooth.status).toHaveBeenCalledWith(403);
+  });
+});
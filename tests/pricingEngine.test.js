@@ -0,0 +1,99 @@
+const { calculateSwapPrice } = require('../utils/pricingEngine');
+
+// 12:00 and 18:30 in Nairobi (UTC+3).
+const MIDDAY = new Date('2025-01-15T09:00:00Z');
+const EVENING = new Date('2025-01-15T15:30:00Z');
+
+const basePricing = {
+  base_swap_fee: 50,
+  cost_per_charge_percent: 2,
+  overtime_penalty_per_minute: 0.5,
+  grace_period_minutes: 60,
+  timezone: 'Africa/Nairobi',
+};
+
+describe('pricingEngine', () => {
+  test('charges per % SOC added and itemises it', () => {
+    const price = calculateSwapPrice(basePricing, { initialSoc: 20, finalSoc: 65, at: MIDDAY });
+
+    expect(price.total).toBe(90);
+    expect(price.chargeAdded).toBe(45);
+    expect(price.lines).toEqual([
+      { code: 'energy', label: '45.0% charge added @ KES 2.00/%', amount: 90 },
+    ]);
+  });
+
+  test('tops up to the base swap fee when the energy charge is lower', () => {
+    const price = calculateSwapPrice(basePricing, { initialSoc: 80, finalSoc: 90, at: MIDDAY });
+
+    expect(price.total).toBe(50);
+    expect(price.lines.map((line) => [line.code, line.amount])).toEqual([['energy', 20], ['minimum_fee', 30]]);
+  });
+
+  test('applies the peak multiplier in the configured local window', () => {
+    const pricing = {
+      ...basePricing,
+      time_of_day: [{ name: 'peak', start: '17:00', end: '21:00', multiplier: 1.5 }],
+    };
+
+    expect(calculateSwapPrice(pricing, { initialSoc: 0, finalSoc: 50, at: MIDDAY }).total).toBe(100);
+
+    const peak = calculateSwapPrice(pricing, { initialSoc: 0, finalSoc: 50, at: EVENING });
+    expect(peak.total).toBe(150);
+    expect(peak.timeOfDayPeriod).toBe('peak');
+  });
+
+  test('handles windows that wrap past midnight', () => {
+    const pricing = {
+      ...basePricing,
+      time_of_day: [{ name: 'off_peak', start: '22:00', end: '06:00', multiplier: 0.5 }],
+    };
+    const lateNight = new Date('2025-01-15T22:30:00Z'); // 01:30 local
+
+    const price = calculateSwapPrice(pricing, { initialSoc: 0, finalSoc: 100, at: lateNight });
+    expect(price.total).toBe(100);
+    expect(price.lines[1]).toMatchObject({ code: 'time_of_day', amount: -100 });
+  });
+
+  test('uses booth overrides with progressive kWh tiers', () => {
+    const pricing = {
+      ...basePricing,
+      booth_overrides: {
+        'booth-1': {
+          battery_capacity_kwh: 2,
+          kwh_tiers: [{ up_to_kwh: 0.5, rate_per_kwh: 100 }, { rate_per_kwh: 80 }],
+        },
+      },
+    };
+
+    const price = calculateSwapPrice(pricing, { boothUid: 'booth-1', initialSoc: 10, finalSoc: 60, at: MIDDAY });
+
+    // 50% of 2 kWh = 1 kWh: 0.5 kWh @ 100 + 0.5 kWh @ 80
+    expect(price.boothOverride).toBe(true);
+    expect(price.energyKwh).toBe(1);
+    expect(price.total).toBe(90);
+
+    const otherBooth = calculateSwapPrice(pricing, { boothUid: 'booth-2', initialSoc: 10, finalSoc: 60, at: MIDDAY });
+    expect(otherBooth.boothOverride).toBe(false);
+    expect(otherBooth.total).toBe(100);
+  });
+
+  test('charges overtime only past the grace period', () => {
+    const depositCompletedAt = new Date(MIDDAY.getTime() - 90 * 60000);
+
+    const price = calculateSwapPrice(basePricing, { initialSoc: 20, finalSoc: 65, depositCompletedAt, at: MIDDAY });
+
+    expect(price.overtimeMinutes).toBe(30);
+    expect(price.lines[price.lines.length - 1]).toMatchObject({ code: 'overtime', amount: 15 });
+    expect(price.total).toBe(105);
+
+    const withinGrace = calculateSwapPrice(basePricing, {
+      initialSoc: 20,
+      finalSoc: 65,
+      depositCompletedAt: new Date(MIDDAY.getTime() - 30 * 60000),
+      at: MIDDAY,
+    });
+    expect(withinGrace.overtimeMinutes).toBe(0);
+    expect(withinGrace.total).toBe(90);
+  });
+});
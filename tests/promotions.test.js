@@ -0,0 +1,84 @@
+const { calculateDiscount, checkPromotionEligibility, applyPromotion } = require('../utils/promotions');
+
+const NOW = new Date('2025-03-01T10:00:00Z');
+
+const promotion = (overrides = {}) => ({
+  id: 4,
+  code: 'LAUNCH20',
+  discount_type: 'percentage',
+  discount_value: '20.00',
+  valid_from: null,
+  valid_until: null,
+  max_redemptions: null,
+  max_redemptions_per_user: null,
+  booth_uids: null,
+  is_active: true,
+  ...overrides,
+});
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+describe('promotions', () => {
+  test('calculates percentage and fixed discounts without exceeding the amount', () => {
+    expect(calculateDiscount(promotion(), 85.5)).toBe(17.1);
+    expect(calculateDiscount(promotion({ discount_type: 'fixed', discount_value: '30' }), 85.5)).toBe(30);
+    expect(calculateDiscount(promotion({ discount_type: 'fixed', discount_value: '100' }), 40)).toBe(40);
+  });
+
+  test('rejects codes outside their window, booth list or caps', () => {
+    const context = { boothUid: 'booth-1', now: NOW, redemptions: 0, userRedemptions: 0 };
+
+    expect(checkPromotionEligibility(promotion(), context)).toBeNull();
+    expect(checkPromotionEligibility(promotion({ is_active: false }), context)).toBe('PROMO_INACTIVE');
+    expect(checkPromotionEligibility(promotion({ valid_from: '2025-03-02T00:00:00Z' }), context)).toBe('PROMO_NOT_STARTED');
+    expect(checkPromotionEligibility(promotion({ valid_until: '2025-03-01T10:00:00Z' }), context)).toBe('PROMO_EXPIRED');
+    expect(checkPromotionEligibility(promotion({ booth_uids: ['booth-2'] }), context)).toBe('PROMO_BOOTH_NOT_ELIGIBLE');
+    expect(checkPromotionEligibility(promotion({ booth_uids: ['booth-1'] }), context)).toBeNull();
+    expect(checkPromotionEligibility(promotion({ max_redemptions: 10 }), { ...context, redemptions: 10 })).toBe('PROMO_LIMIT_REACHED');
+    expect(checkPromotionEligibility(promotion({ max_redemptions_per_user: 1 }), { ...context, userRedemptions: 1 }))
+      .toBe('PROMO_USER_LIMIT_REACHED');
+  });
+
+  test('looks up codes case-insensitively and returns a breakdown line', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [promotion()] },
+      { rowCount: 1, rows: [{ redemptions: 3, userRedemptions: 0 }] },
+    ]);
+
+    const result = await applyPromotion(client, { code: ' launch20 ', userId: 'user-1', boothUid: 'booth-1', amount: 50, now: NOW });
+
+    expect(client.query.mock.calls[0][1]).toEqual(['LAUNCH20']);
+    expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE');
+    expect(client.query.mock.calls[1][1]).toEqual([4, 'user-1']);
+    expect(result).toEqual({
+      promotionId: 4,
+      code: 'LAUNCH20',
+      discountAmount: 10,
+      line: { code: 'promotion', label: 'Promo LAUNCH20 (20% off)', amount: -10 },
+    });
+  });
+
+  test('throws the eligibility error code for unusable promotions', async () => {
+    await expect(applyPromotion(createClient([{ rowCount: 0, rows: [] }]), {
+      code: 'NOPE', userId: 'user-1', boothUid: 'booth-1', amount: 50, now: NOW,
+    })).rejects.toThrow('PROMO_NOT_FOUND');
+
+    const client = createClient([
+      { rowCount: 1, rows: [promotion({ max_redemptions_per_user: 2 })] },
+      { rowCount: 1, rows: [{ redemptions: 5, userRedemptions: 2 }] },
+    ]);
+    await expect(applyPromotion(client, { code: 'LAUNCH20', userId: 'user-1', boothUid: 'booth-1', amount: 50, now: NOW }))
+      .rejects.toThrow('PROMO_USER_LIMIT_REACHED');
+  });
+});
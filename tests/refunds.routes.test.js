@@ -0,0 +1,123 @@
+jest.mock('../utils/logger', () => require('./helpers/logger'));
+
+const mockConnect = jest.fn();
+jest.mock('../db', () => Promise.resolve({ connect: mockConnect }));
+
+const mockVerifyIdToken = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { auth: () => ({ verifyIdToken: mockVerifyIdToken }) },
+}));
+
+jest.mock('../utils/mpesa', () => ({
+  ...jest.requireActual('../utils/mpesa'),
+  initiateB2CPayout: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createClient, queriesMatching } = require('./helpers/pgClient');
+const { initiateB2CPayout } = require('../utils/mpesa');
+const refundsRouter = require('../routes/admin/refunds');
+
+const mpesaRefund = { id: 31, session_id: 7, user_id: 'rider-1', booth_id: 2, amount: '80.00', method: 'mpesa', phone: '0712345678' };
+
+/**
+ * Lists the statements a client ran, by their first words.
+ * @param {{query: jest.Mock}} client - The fake client.
+ * @returns {string[]} e.g. `['BEGIN', 'SELECT status FROM', ...]`.
+ */
+function statements(client) {
+  return client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+}
+
+describe('POST /api/admin/refunds/:refundId/approve', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyIdToken.mockResolvedValue({ uid: 'admin-1', role: 'admin' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', refundsRouter);
+  });
+
+  test('commits the approval and the processing state before the payout is sent', async () => {
+    const client = createClient([
+      ['SELECT status FROM refunds', { rowCount: 1, rows: [{ status: 'pending_approval' }] }],
+      ['SELECT * FROM refunds', { rowCount: 1, rows: [{ ...mpesaRefund, status: 'approved' }] }],
+    ]);
+    mockConnect.mockResolvedValue(client);
+    let sentAfter;
+    initiateB2CPayout.mockImplementationOnce(async () => {
+      sentAfter = statements(client);
+      return { data: { ConversationID: 'conv-1', OriginatorConversationID: 'orig-1', ResponseCode: '0' } };
+    });
+
+    const res = await request(app).post('/api/admin/refunds/31/approve').set('Authorization', 'Bearer admin-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: 'Refund approved.', refundId: 31, status: 'processing' });
+    expect(sentAfter).toEqual([
+      'BEGIN', 'SELECT status FROM', 'UPDATE refunds SET', 'COMMIT',
+      'BEGIN', 'SELECT * FROM', 'UPDATE refunds SET', 'COMMIT',
+    ]);
+    expect(queriesMatching(client, "AND status = 'processing'").map(({ params }) => params)).toEqual([
+      [31, 'processing', 'conv-1', 'orig-1', null],
+    ]);
+  });
+
+  test('does not pay out a refund whose earlier payout is still unconfirmed', async () => {
+    const client = createClient([
+      ['SELECT status FROM refunds', { rowCount: 1, rows: [{ status: 'pending_confirmation' }] }],
+    ]);
+    mockConnect.mockResolvedValue(client);
+
+    const res = await request(app).post('/api/admin/refunds/31/approve').set('Authorization', 'Bearer admin-token');
+
+    expect(res.status).toBe(409);
+    expect(initiateB2CPayout).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('POST /api/admin/refunds/:refundId/reconcile', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyIdToken.mockResolvedValue({ uid: 'admin-1', role: 'admin' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', refundsRouter);
+  });
+
+  test('completes a refund the statement shows as paid', async () => {
+    const client = createClient([
+      ['SELECT * FROM refunds', { rowCount: 1, rows: [{ ...mpesaRefund, status: 'pending_confirmation' }] }],
+      ['INSERT INTO journal_entries', { rowCount: 1, rows: [{ id: 50 }] }],
+    ]);
+    mockConnect.mockResolvedValue(client);
+
+    const res = await request(app)
+      .post('/api/admin/refunds/31/reconcile')
+      .set('Authorization', 'Bearer admin-token')
+      .send({ paid: true, mpesaTransactionId: 'RKT999' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('completed');
+    expect(statements(client).at(-1)).toBe('COMMIT');
+    expect(initiateB2CPayout).not.toHaveBeenCalled();
+  });
+
+  test('needs the transaction ID of a paid refund', async () => {
+    const res = await request(app)
+      .post('/api/admin/refunds/31/reconcile')
+      .set('Authorization', 'Bearer admin-token')
+      .send({ paid: true });
+
+    expect(res.status).toBe(400);
+    expect(mockConnect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,234 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+jest.mock('../utils/mpesa', () => ({
+  initiateB2CPayout: jest.fn(),
+}));
+
+const { initiateB2CPayout } = require('../utils/mpesa');
+const {
+  createSessionRefund,
+  processRefund,
+  applyB2CResult,
+  applyB2CTimeout,
+  reconcileRefund,
+} = require('../utils/refunds');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+const paidSession = (overrides = {}) => ({
+  id: 7,
+  user_id: 'user-1',
+  booth_id: 2,
+  amount: '80.40',
+  payment_method: 'mpesa',
+  session_type: 'withdrawal',
+  phone: '0712345678',
+  ...overrides,
+});
+
+const begin = { rowCount: 0, rows: [] };
+const approvedMpesaRefund = {
+  rowCount: 1,
+  rows: [{ id: 31, session_id: 7, user_id: 'user-1', booth_id: 2, amount: '80.00', method: 'mpesa', phone: '0712345678', status: 'approved' }],
+};
+
+describe('refunds', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('auto-approves small M-Pesa refunds for the exact session amount', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [paidSession()] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ value: { auto_approve_max_amount: 100 } }] },
+      { rowCount: 1, rows: [{ id: 31 }] },
+    ]);
+
+    const refund = await createSessionRefund(client, 7, { reason: 'Door never opened.' });
+
+    expect(refund).toEqual({ id: 31, status: 'approved', amount: 80.4, method: 'mpesa' });
+    expect(client.query.mock.calls[3][1]).toEqual([7, 'user-1', 2, 80.4, 'mpesa', '0712345678', 'Door never opened.', 'approved', null]);
+  });
+
+  test('admin-raised refunds always wait for approval', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [paidSession({ payment_method: 'wallet' })] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ id: 32 }] },
+    ]);
+
+    const refund = await createSessionRefund(client, 7, { reason: 'Complaint', requestedBy: 'admin-1' });
+
+    expect(refund.status).toBe('pending_approval');
+  });
+
+  test('refuses cash-paid sessions', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [paidSession({ payment_method: 'cash' })] },
+    ]);
+
+    await expect(createSessionRefund(client, 7, { reason: 'x' })).rejects.toThrow('NOT_REFUNDABLE');
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses account-billed sessions once they are invoiced', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [paidSession({ payment_method: 'account', invoice_id: 9 })] },
+    ]);
+
+    await expect(createSessionRefund(client, 7, { reason: 'x' })).rejects.toThrow('NOT_REFUNDABLE');
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('commits the refund as processing before the B2C request goes out', async () => {
+    let sentAfter;
+    const client = createClient([begin, approvedMpesaRefund]);
+    initiateB2CPayout.mockImplementationOnce(async () => {
+      sentAfter = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 4).join(' '));
+      return { data: { ConversationID: 'conv-1', OriginatorConversationID: 'orig-1', ResponseCode: '0' } };
+    });
+
+    await expect(processRefund(client, 31)).resolves.toBe('processing');
+
+    expect(sentAfter).toEqual(['BEGIN', 'SELECT * FROM refunds', 'UPDATE refunds SET status', 'COMMIT']);
+    expect(client.query.mock.calls[2][0]).toContain('attempts = attempts + 1');
+    expect(client.query.mock.calls[4][1]).toEqual([31, 'processing', 'conv-1', 'orig-1', null]);
+  });
+
+  test('only marks the refund failed when M-Pesa rejects the B2C request outright', async () => {
+    initiateB2CPayout.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 400'), {
+      response: { status: 400, data: { errorCode: '400.002.02', errorMessage: 'Invalid Initiator' } },
+    }));
+    const rejected = createClient([begin, approvedMpesaRefund]);
+    await expect(processRefund(rejected, 31)).resolves.toBe('failed');
+    expect(rejected.query.mock.calls[4][1]).toEqual([31, 'failed', null, null, 'Invalid Initiator']);
+
+    initiateB2CPayout.mockResolvedValueOnce({ data: { ConversationID: 'conv-2', OriginatorConversationID: 'orig-2', ResponseCode: '1', ResponseDescription: 'Rejected' } });
+    const refused = createClient([begin, approvedMpesaRefund]);
+    await expect(processRefund(refused, 31)).resolves.toBe('failed');
+    expect(refused.query.mock.calls[4][1]).toEqual([31, 'failed', null, null, 'Rejected']);
+  });
+
+  test('keeps a refund whose B2C outcome is unknown out of the retry path', async () => {
+    initiateB2CPayout.mockRejectedValueOnce(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+    const timedOut = createClient([begin, approvedMpesaRefund]);
+    await expect(processRefund(timedOut, 31)).resolves.toBe('pending_confirmation');
+    expect(timedOut.query.mock.calls[4][1]).toEqual([31, 'pending_confirmation', null, null, 'timeout of 30000ms exceeded']);
+
+    initiateB2CPayout.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: {} } }));
+    const unavailable = createClient([begin, approvedMpesaRefund]);
+    await expect(processRefund(unavailable, 31)).resolves.toBe('pending_confirmation');
+
+    const client = createClient([{ rowCount: 1, rows: [{ id: 31 }] }]);
+    await expect(applyB2CTimeout(client, { OriginatorConversationID: 'orig-1', ResultCode: 1, ResultDesc: 'Queue timeout' })).resolves.toBe(31);
+    expect(client.query.mock.calls[0][0]).toContain("SET status = 'pending_confirmation'");
+  });
+
+  test('fails an account refund whose session was invoiced while it waited for approval', async () => {
+    const client = createClient([
+      begin,
+      { rowCount: 1, rows: [{ id: 33, session_id: 7, user_id: 'user-1', booth_id: 2, amount: '80.40', method: 'account', status: 'approved' }] },
+      { rowCount: 1, rows: [{ invoice_id: 9 }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 0, rows: [] },
+    ]);
+
+    await expect(processRefund(client, 33)).resolves.toBe('failed');
+    expect(client.query.mock.calls[3][1]).toEqual([33, 'Session already billed on invoice 9.']);
+    expect(client.query.mock.calls[4][0]).toBe('COMMIT');
+    expect(client.query).toHaveBeenCalledTimes(5);
+  });
+
+  test('does not send a payout when the refund is no longer approved', async () => {
+    const client = createClient([begin, { rowCount: 0, rows: [] }]);
+
+    await expect(processRefund(client, 31)).resolves.toBeNull();
+    expect(initiateB2CPayout).not.toHaveBeenCalled();
+  });
+
+  test('a successful B2C result completes the refund and books it against M-Pesa', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 31, session_id: 7, user_id: 'user-1', booth_id: 2, amount: '80.00', method: 'mpesa', reviewed_by: null }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [{ id: 50 }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [] },
+    ]);
+
+    const result = await applyB2CResult(client, {
+      ResultType: 0,
+      ResultCode: 0,
+      ResultDesc: 'The service request is processed successfully.',
+      OriginatorConversationID: 'orig-1',
+      ConversationID: 'conv-1',
+      TransactionID: 'RKT123',
+    });
+
+    expect(result).toEqual({ id: 31, status: 'completed' });
+    expect(client.query.mock.calls[0][0]).toContain("status IN ('processing', 'pending_confirmation')");
+    expect(client.query.mock.calls[1][1]).toEqual([31, '0', 'The service request is processed successfully.', 'RKT123']);
+    expect(client.query.mock.calls[2][1]).toEqual(['refund', 'refund', '31', 'RKT123', 'Refund 31 for withdrawal session 7', null]);
+    expect(client.query.mock.calls[3][1]).toEqual([50, 'swap_revenue', 'user-1', 2, 80, 0]);
+    expect(client.query.mock.calls[4][1]).toEqual([50, 'mpesa_clearing', 'user-1', 2, 0, 80]);
+  });
+
+  test('pays fractional M-Pesa refunds rounded up and books the extra cents to adjustments', async () => {
+    initiateB2CPayout.mockResolvedValueOnce({ data: { ConversationID: 'conv-1', OriginatorConversationID: 'orig-1', ResponseCode: '0' } });
+    const fractional = { rowCount: 1, rows: [{ ...approvedMpesaRefund.rows[0], amount: '80.40' }] };
+    await expect(processRefund(createClient([begin, fractional]), 31)).resolves.toBe('processing');
+    expect(initiateB2CPayout).toHaveBeenCalledWith('0712345678', 81, 'Refund for session 7', 'Refund');
+
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 31, session_id: 7, user_id: 'user-1', booth_id: 2, amount: '80.40', method: 'mpesa', reviewed_by: null }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [{ id: 50 }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [] },
+    ]);
+    await applyB2CResult(client, { ResultType: 0, ResultCode: 0, ResultDesc: 'OK', OriginatorConversationID: 'orig-1', ConversationID: 'conv-1', TransactionID: 'RKT124' });
+
+    expect(client.query.mock.calls[3][1]).toEqual([50, 'swap_revenue', 'user-1', 2, 80.4, 0]);
+    expect(client.query.mock.calls[4][1]).toEqual([50, 'adjustments', 'user-1', 2, 0.6, 0]);
+    expect(client.query.mock.calls[5][1]).toEqual([50, 'mpesa_clearing', 'user-1', 2, 0, 81]);
+  });
+
+  test('an admin settles an unconfirmed refund from the M-Pesa statement', async () => {
+    const unconfirmed = { id: 31, session_id: 7, user_id: 'user-1', booth_id: 2, amount: '80.00', method: 'mpesa', status: 'pending_confirmation' };
+    const paid = createClient([
+      { rowCount: 1, rows: [unconfirmed] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [{ id: 51 }] },
+    ]);
+
+    await expect(reconcileRefund(paid, 31, { paid: true, transactionId: 'RKT999', reconciledBy: 'admin-1' })).resolves.toBe('completed');
+    expect(paid.query.mock.calls[1][1]).toEqual([31, null, 'Confirmed paid on the M-Pesa statement.', 'RKT999']);
+    expect(paid.query.mock.calls[3][1]).toEqual([51, 'swap_revenue', 'user-1', 2, 80, 0]);
+    expect(paid.query.mock.calls[4][1]).toEqual([51, 'mpesa_clearing', 'user-1', 2, 0, 80]);
+
+    const unpaid = createClient([{ rowCount: 1, rows: [unconfirmed] }, { rowCount: 1, rows: [] }]);
+    await expect(reconcileRefund(unpaid, 31, { paid: false, reconciledBy: 'admin-1' })).resolves.toBe('failed');
+    expect(unpaid.query).toHaveBeenCalledTimes(2);
+    expect(unpaid.query.mock.calls[1][0]).toContain("SET status = 'failed'");
+
+    const processing = createClient([{ rowCount: 1, rows: [{ ...unconfirmed, status: 'processing' }] }]);
+    await expect(reconcileRefund(processing, 31, { paid: true, transactionId: 'RKT999', reconciledBy: 'admin-1' })).rejects.toThrow('INVALID_STATUS');
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const {
+  createReservation,
+  holdChargedBattery,
+  bindReservationToSession,
+  releaseReservation,
+  releaseSwapHold,
+  releaseWithdrawalHold,
+  expireReservations,
+} = require('../utils/reservations');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+const expiresAt = new Date('2025-03-01T10:15:00Z');
+
+describe('reservations', () => {
+  test('holds the first slot it can claim for the configured hold time', async () => {
+    const client = createClient([
+      { rowCount: 0, rows: [] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ value: { hold_minutes: 15 } }] },
+      { rowCount: 2, rows: [{ id: 1, slot_identifier: 'A01', status: 'available' }, { id: 2, slot_identifier: 'A02', status: 'available' }] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ id: 2 }] },
+      { rowCount: 1, rows: [{ id: 7, reservation_type: 'deposit', booth_id: 3, slot_id: 2, expires_at: expiresAt }] },
+    ]);
+
+    const reservation = await createReservation(client, { userId: 'user-1', boothId: 3, type: 'deposit' });
+
+    expect(reservation).toMatchObject({ id: 7, type: 'deposit', slotId: 2, slotIdentifier: 'A02', expiresAt, holdMinutes: 15 });
+    expect(client.query.mock.calls[0][1]).toEqual(['user-1']);
+    expect(client.query.mock.calls[4][1]).toEqual([1, 'available']);
+    expect(client.query.mock.calls[5][0]).toContain("SET status = 'reserved'");
+    expect(client.query.mock.calls[6][1]).toEqual(['user-1', 3, 2, 'deposit', 15]);
+  });
+
+  test('battery holds only consider charged batteries and fail when there are none', async () => {
+    const client = createClient([
+      { rowCount: 0, rows: [] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 0, rows: [] },
+      { rowCount: 0, rows: [] },
+    ]);
+
+    await expect(createReservation(client, { userId: 'user-1', boothId: 3, type: 'battery' })).rejects.toThrow('NO_CHARGED_BATTERY');
+    expect(client.query.mock.calls[3][0]).toContain('charge_level_percent >= $2');
+    expect(client.query.mock.calls[3][1]).toEqual([3, 90]);
+  });
+
+  test('a rider can only hold one slot at a time', async () => {
+    const client = createClient([
+      { rowCount: 0, rows: [] },
+      { rowCount: 1, rows: [{ id: 5, reservation_type: 'deposit', booth_id: 3, booth_uid: 'booth-003', slot_id: 2, slot_identifier: 'A02', expires_at: expiresAt }] },
+    ]);
+
+    await expect(createReservation(client, { userId: 'user-1', boothId: 4, type: 'deposit' })).rejects.toThrow('RESERVATION_EXISTS');
+    await expect(createReservation(createClient([]), { userId: 'user-1', boothId: 4, type: 'charger' })).rejects.toThrow('INVALID_RESERVATION_TYPE');
+  });
+
+  test('releasing a hold hands the slot back only while it is still reserved', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ slot_id: 2 }] },
+      { rowCount: 1, rows: [] },
+    ]);
+
+    await expect(releaseReservation(client, 7, 'cancelled')).resolves.toBe(true);
+    expect(client.query.mock.calls[0][1]).toEqual([7, 'cancelled']);
+    expect(client.query.mock.calls[1][0]).toContain("WHERE id = $1 AND status = 'reserved'");
+
+    await expect(releaseReservation(createClient([{ rowCount: 0, rows: [] }]), 7, 'cancelled')).resolves.toBe(false);
+  });
+
+  test("cancelling a swap deposit releases the rider's battery hold", async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 12 }] },
+      { rowCount: 1, rows: [{ slot_id: 9 }] },
+      { rowCount: 1, rows: [] },
+    ]);
+
+    await expect(releaseSwapHold(client, 30)).resolves.toBe(true);
+    expect(client.query.mock.calls[0][0]).toContain('JOIN deposits d ON d.swap_slot_id = r.slot_id');
+    expect(client.query.mock.calls[0][1]).toEqual([30]);
+    expect(client.query.mock.calls[1][1]).toEqual([12, 'cancelled']);
+    expect(client.query.mock.calls[2][1]).toEqual([9]);
+
+    const noHold = createClient([{ rowCount: 0, rows: [] }]);
+    await expect(releaseSwapHold(noHold, 30)).resolves.toBe(false);
+    expect(noHold.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('releaseWithdrawalHold hands the held battery slot of a cancelled swap withdrawal back as occupied', async () => {
+    const client = createClient([{ rowCount: 1, rows: [{ id: 12 }] }, { rowCount: 1, rows: [{ slot_id: 9 }] }, {}]);
+
+    await expect(releaseWithdrawalHold(client, 41)).resolves.toBe(true);
+    expect(client.query.mock.calls[0][1]).toEqual([41]);
+    expect(client.query.mock.calls[1][1]).toEqual([12, 'cancelled']);
+    expect(client.query.mock.calls[2][0]).toContain("WHEN current_battery_id IS NOT NULL THEN 'occupied'");
+    expect(client.query.mock.calls[2][1]).toEqual([9]);
+
+    const noHold = createClient([{ rowCount: 0, rows: [] }]);
+    await expect(releaseWithdrawalHold(noHold, 41)).resolves.toBe(false);
+    expect(noHold.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('expireReservations releases every overdue hold', async () => {
+    const client = createClient([
+      { rowCount: 2, rows: [{ id: 7 }, { id: 8 }] },
+      { rowCount: 1, rows: [{ slot_id: 2 }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 0, rows: [] },
+    ]);
+
+    await expect(expireReservations(client)).resolves.toBe(1);
+    expect(client.query.mock.calls[0][0]).toContain('AND NOT EXISTS');
+    expect(client.query.mock.calls[0][1]).toEqual([null]);
+    expect(client.query.mock.calls[1][1]).toEqual([7, 'expired']);
+    expect(client.query.mock.calls[3][1]).toEqual([8, 'expired']);
+  });
+
+  test('a swap reuses the rider\'s battery hold at the booth and binds it to the withdrawal', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 9, reservation_type: 'battery', booth_id: 3, booth_uid: 'booth-003', slot_id: 4, slot_identifier: 'A04', expires_at: expiresAt }] },
+      { rowCount: 1, rows: [] },
+    ]);
+
+    const hold = await holdChargedBattery(client, 'user-1', 3);
+    await bindReservationToSession(client, hold.id, 42);
+
+    expect(hold).toMatchObject({ id: 9, type: 'battery', slotId: 4, slotIdentifier: 'A04' });
+    expect(client.query.mock.calls[0][1]).toEqual(['user-1', 3, 'battery']);
+    expect(client.query.mock.calls[1][0]).toContain('SET session_id = $2');
+    expect(client.query.mock.calls[1][1]).toEqual([9, 42]);
+  });
+});
@@ -0,0 +1,44 @@
+const { withSavepoint } = require('../utils/savepoint');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+describe('withSavepoint', () => {
+  test('releases the savepoint after the work succeeds', async () => {
+    const client = createClient([{}, { rowCount: 1 }, {}]);
+
+    await expect(withSavepoint(client, 'log_write', () => client.query('INSERT INTO notifications ...'))).resolves.toEqual({ rowCount: 1 });
+    expect(client.query.mock.calls.map(([text]) => text)).toEqual([
+      'SAVEPOINT log_write',
+      'INSERT INTO notifications ...',
+      'RELEASE SAVEPOINT log_write',
+    ]);
+  });
+
+  test('rolls back to the savepoint and rethrows when the work fails', async () => {
+    const client = createClient([{}]);
+    client.query.mockRejectedValueOnce(new Error('check constraint violated'));
+    client.query.mockResolvedValueOnce({});
+
+    await expect(withSavepoint(client, 'log_write', () => client.query('INSERT INTO notifications ...'))).rejects.toThrow('check constraint violated');
+    expect(client.query.mock.calls[2][0]).toBe('ROLLBACK TO SAVEPOINT log_write');
+  });
+
+  test('runs the work on its own outside a transaction block', async () => {
+    const noTransaction = Object.assign(new Error('SAVEPOINT can only be used in transaction blocks'), { code: '25P01' });
+    const client = { query: jest.fn().mockRejectedValueOnce(noTransaction).mockResolvedValueOnce({ rowCount: 1 }) };
+
+    await expect(withSavepoint(client, 'log_write', () => client.query('INSERT INTO notifications ...'))).resolves.toEqual({ rowCount: 1 });
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../utils/logger', () => require('./helpers/logger'));
+
+const mockConnect = jest.fn();
+jest.mock('../db', () => Promise.resolve({ connect: mockConnect }));
+
+const mockVerifyIdToken = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { auth: () => ({ verifyIdToken: mockVerifyIdToken }) },
+}));
+
+jest.mock('../utils/boothCommands', () => ({
+  ...jest.requireActual('../utils/boothCommands'),
+  forceUnlockSlot: jest.fn(),
+  sendSlotCommands: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createClient, queryMatching, queriesMatching } = require('./helpers/pgClient');
+const { forceUnlockSlot, sendSlotCommands } = require('../utils/boothCommands');
+const boothsRouter = require('../routes/admin/booths');
+
+const settings = "key = 'command_approvals'";
+const heldApproval = {
+  id: 14,
+  action: 'open_door',
+  booth_uid: 'booth-001',
+  slot_identifier: 'slot004',
+  payload: { commands: { openForCollection: true } },
+  status: 'pending',
+  requested_by: 'admin-1',
+  created_at: new Date('2026-10-01T08:00:00Z'),
+  expires_at: new Date('2026-10-01T08:30:00Z'),
+};
+
+/**
+ * Sends slot commands as an admin.
+ * @param {import('express').Express} app - The app.
+ * @param {object} commands - The command flags.
+ * @returns {import('supertest').Test} The request.
+ */
+function sendCommand(app, commands) {
+  return request(app)
+    .post('/api/admin/booths/booth-001/slots/slot004/command')
+    .set('Authorization', 'Bearer admin-token')
+    .send(commands);
+}
+
+describe('POST /api/admin/booths/:boothUid/slots/:slotIdentifier/command', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyIdToken.mockResolvedValue({ uid: 'admin-1', role: 'admin' });
+    sendSlotCommands.mockResolvedValue({ previousCommand: {} });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', boothsRouter);
+  });
+
+  test.each([
+    [{ openForCollection: true }],
+    [{ openForDeposit: true }],
+    [{ openDoorId: 'door-7' }],
+  ])('holds %j for a second admin when open_door needs approval', async (commands) => {
+    const client = createClient([
+      [settings, { rowCount: 1, rows: [{ value: { actions: ['force_unlock', 'open_door'], window_minutes: 30 } }] }],
+      ['INSERT INTO command_approvals', { rowCount: 1, rows: [{ ...heldApproval, payload: { commands } }] }],
+    ]);
+    mockConnect.mockResolvedValue(client);
+
+    const res = await sendCommand(app, commands);
+
+    expect(res.status).toBe(202);
+    expect(res.body.approval).toMatchObject({ id: 14, action: 'open_door', status: 'pending' });
+    expect(queryMatching(client, 'INSERT INTO command_approvals').params.slice(0, 4)).toEqual([
+      'open_door', 'booth-001', 'slot004', JSON.stringify({ commands }),
+    ]);
+    expect(sendSlotCommands).not.toHaveBeenCalled();
+    expect(forceUnlockSlot).not.toHaveBeenCalled();
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a second door opening while one is waiting for approval', async () => {
+    const client = createClient([['INSERT INTO command_approvals', { rowCount: 0, rows: [] }]]);
+    mockConnect.mockResolvedValue(client);
+
+    const res = await sendCommand(app, { openForCollection: true });
+
+    expect(res.status).toBe(409);
+    expect(sendSlotCommands).not.toHaveBeenCalled();
+  });
+
+  test('opens the door straight away when open_door is not configured for approval', async () => {
+    const client = createClient([[settings, { rowCount: 1, rows: [{ value: { actions: ['force_unlock'] } }] }]]);
+    mockConnect.mockResolvedValue(client);
+
+    const res = await sendCommand(app, { openForCollection: true });
+
+    expect(res.status).toBe(200);
+    expect(sendSlotCommands).toHaveBeenCalledWith('booth-001', 'slot004', { openForCollection: true });
+    expect(queriesMatching(client, 'INSERT INTO command_approvals')).toHaveLength(0);
+  });
+
+  test('sends commands that do not open the door without asking for approval', async () => {
+    const res = await sendCommand(app, { forceLock: true });
+
+    expect(res.status).toBe(200);
+    expect(sendSlotCommands).toHaveBeenCalledWith('booth-001', 'slot004', { forceLock: true, forceUnlock: false });
+    expect(mockConnect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { createAfricasTalkingProvider } = require('../utils/sms/africasTalking');
+const { createMockProvider } = require('../utils/sms/mock');
+const { getSmsProvider, setSmsProvider } = require('../utils/sms');
+
+/**
+ * Builds an Africa's Talking messaging response for one recipient.
+ * @param {object} recipient - The recipient entry.
+ * @returns {{data: object}} The axios response.
+ */
+function messagingResponse(recipient) {
+  return { data: { SMSMessageData: { Message: 'Sent to 1/1', Recipients: [recipient] } } };
+}
+
+describe('sms', () => {
+  const env = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...env };
+    setSmsProvider(undefined);
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test("posts the message to Africa's Talking and returns its message ID", async () => {
+    axios.post.mockResolvedValueOnce(messagingResponse({ statusCode: 101, status: 'Success', number: '+254712345678', messageId: 'ATXid_1' }));
+    const provider = createAfricasTalkingProvider({ username: 'ridercms', apiKey: 'key', senderId: 'RIDERCMS' });
+
+    await expect(provider.send('+254712345678', 'Battery ready: ...')).resolves.toEqual({ messageId: 'ATXid_1' });
+
+    const [url, form, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://api.africastalking.com/version1/messaging');
+    expect(Object.fromEntries(new URLSearchParams(form))).toEqual({
+      username: 'ridercms',
+      to: '+254712345678',
+      message: 'Battery ready: ...',
+      from: 'RIDERCMS',
+    });
+    expect(options.headers.apiKey).toBe('key');
+  });
+
+  test('uses the sandbox API for the sandbox user and throws when the recipient is rejected', async () => {
+    axios.post.mockResolvedValueOnce(messagingResponse({ statusCode: 403, status: 'InvalidPhoneNumber', number: '0700' }));
+    const provider = createAfricasTalkingProvider({ username: 'sandbox', apiKey: 'key' });
+
+    await expect(provider.send('0700', 'hello')).rejects.toThrow('SMS rejected: InvalidPhoneNumber');
+    expect(axios.post.mock.calls[0][0]).toBe('https://api.sandbox.africastalking.com/version1/messaging');
+    expect(new URLSearchParams(axios.post.mock.calls[0][1]).has('from')).toBe(false);
+    expect(() => createAfricasTalkingProvider({ username: 'ridercms' })).toThrow('username and API key');
+  });
+
+  test('records messages in the mock provider', async () => {
+    const provider = createMockProvider();
+
+    await expect(provider.send('+254712345678', 'one')).resolves.toEqual({ messageId: 'mock-1' });
+    await provider.send('+254700000000', 'two');
+
+    expect(provider.sent.map(({ to, message }) => [to, message])).toEqual([['+254712345678', 'one'], ['+254700000000', 'two']]);
+  });
+
+  test('picks the provider from the environment', () => {
+    delete process.env.SMS_PROVIDER;
+    process.env.NODE_ENV = 'test';
+    expect(getSmsProvider().name).toBe('mock');
+
+    setSmsProvider(undefined);
+    process.env.NODE_ENV = 'production';
+    expect(getSmsProvider()).toBeNull();
+
+    setSmsProvider(undefined);
+    process.env.SMS_PROVIDER = 'africastalking';
+    process.env.AFRICASTALKING_USERNAME = 'ridercms';
+    process.env.AFRICASTALKING_API_KEY = 'key';
+    expect(getSmsProvider().name).toBe('africastalking');
+
+    setSmsProvider(undefined);
+    process.env.SMS_PROVIDER = 'carrier-pigeon';
+    expect(() => getSmsProvider()).toThrow("Unknown SMS_PROVIDER 'carrier-pigeon'");
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const { getActiveSubscription, claimSubscriptionSwap, completeSubscriptionPurchase } = require('../utils/subscriptions');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  return { query };
+}
+
+const subscriptionRow = (overrides = {}) => ({
+  id: 12,
+  plan_id: 3,
+  plan_name: 'Fleet 20',
+  swap_allowance: 20,
+  starts_at: new Date('2025-03-01T00:00:00Z'),
+  ends_at: new Date('2025-03-31T00:00:00Z'),
+  ...overrides,
+});
+
+describe('subscriptions', () => {
+  test('reports swaps used and remaining for the current period', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [subscriptionRow()] },
+      { rowCount: 1, rows: [{ used: 7 }] },
+    ]);
+
+    const subscription = await getActiveSubscription(client, 'user-1');
+
+    expect(subscription).toMatchObject({ id: 12, planName: 'Fleet 20', swapsAllowed: 20, swapsUsed: 7, swapsRemaining: 13 });
+    expect(client.query.mock.calls[0][0]).not.toContain('FOR UPDATE');
+  });
+
+  test('unlimited plans always have a swap to claim', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [subscriptionRow({ swap_allowance: null })] },
+      { rowCount: 1, rows: [{ used: 250 }] },
+    ]);
+
+    const subscription = await claimSubscriptionSwap(client, 'user-1');
+
+    expect(subscription).toMatchObject({ swapsAllowed: null, swapsUsed: 250, swapsRemaining: null });
+    expect(client.query.mock.calls[0][0]).toContain('FOR UPDATE OF us');
+  });
+
+  test('no swap is claimed once the allowance is used up or without a subscription', async () => {
+    const exhausted = createClient([
+      { rowCount: 1, rows: [subscriptionRow()] },
+      { rowCount: 1, rows: [{ used: 20 }] },
+    ]);
+    expect(await claimSubscriptionSwap(exhausted, 'user-1')).toBeNull();
+
+    expect(await claimSubscriptionSwap(createClient([{ rowCount: 0, rows: [] }]), 'user-1')).toBeNull();
+  });
+
+  test('completeSubscriptionPurchase activates a pending purchase and books subscription revenue', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 12, user_id: 'user-1', amount: '1500.00', status: 'pending' }] },
+      { rowCount: 1, rows: [{ ends_at: new Date('2025-03-31T00:00:00Z') }] },
+      { rowCount: 1, rows: [{ id: 40 }] },
+      { rowCount: 1, rows: [] },
+      { rowCount: 1, rows: [] },
+    ]);
+
+    await expect(completeSubscriptionPurchase(client, 'ws_CO_1', 'RCP123')).resolves.toBe(true);
+
+    expect(client.query.mock.calls[1][0]).toContain("status = 'active'");
+    expect(client.query.mock.calls[2][1]).toEqual(['subscription_payment', 'subscription', '12', 'RCP123', 'Subscription 12', null]);
+    expect(client.query.mock.calls[3][1]).toEqual([40, 'mpesa_clearing', 'user-1', null, 1500, 0]);
+    expect(client.query.mock.calls[4][1]).toEqual([40, 'subscription_revenue', 'user-1', null, 0, 1500]);
+  });
+
+  test('completeSubscriptionPurchase is idempotent for purchases that are no longer pending', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 12, user_id: 'user-1', amount: '1500.00', status: 'active' }] },
+    ]);
+
+    await expect(completeSubscriptionPurchase(client, 'ws_CO_1', 'RCP123')).resolves.toBe(false);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
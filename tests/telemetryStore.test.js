@@ -0,0 +1,96 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+const {
+  recordTelemetrySample,
+  maintainTelemetryPartitions,
+  pickResolution,
+  getTelemetrySeries,
+} = require('../utils/telemetryStore');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  return { query };
+}
+
+const noSettings = { rowCount: 0, rows: [] };
+
+describe('telemetryStore', () => {
+  test('stores the first sample, then at most one per interval unless the state changes', async () => {
+    const telemetry = { soc: 40, voltage: '52.1', current: 8, temperatureC: 31, relayOn: true, doorClosed: true, doorLocked: true, batteryInserted: true };
+    const start = new Date('2025-03-01T10:00:00Z');
+    const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+    const first = createClient([noSettings]);
+    await expect(recordTelemetrySample(first, 11, telemetry, 40, start)).resolves.toBe(true);
+    expect(first.query.mock.calls[1][0]).toContain('INSERT INTO slot_telemetry_samples');
+    expect(first.query.mock.calls[1][1]).toEqual([11, start, 40, 52.1, 8, 31, true, true, true, true]);
+
+    const tooSoon = createClient([noSettings]);
+    await expect(recordTelemetrySample(tooSoon, 11, { ...telemetry, soc: 41 }, 41, at(30))).resolves.toBe(false);
+    expect(tooSoon.query).toHaveBeenCalledTimes(1);
+
+    const relayOff = createClient([noSettings]);
+    await expect(recordTelemetrySample(relayOff, 11, { ...telemetry, relayOn: false }, 41, at(40))).resolves.toBe(true);
+
+    const custom = createClient([{ rowCount: 1, rows: [{ value: { sample_interval_seconds: 10 } }] }]);
+    await expect(recordTelemetrySample(custom, 11, { ...telemetry, relayOn: false }, 42, at(50))).resolves.toBe(true);
+  });
+
+  test('creates the partitions for the next days and drops those past retention', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ value: { retention_days: 7 } }] },
+      {
+        rowCount: 3,
+        rows: [
+          { name: 'slot_telemetry_samples_20250221' },
+          { name: 'slot_telemetry_samples_20250222' },
+          { name: 'slot_telemetry_samples_20250301' },
+        ],
+      },
+    ]);
+
+    const result = await maintainTelemetryPartitions(client, new Date('2025-03-01T18:00:00Z'));
+
+    expect(result).toEqual({
+      created: ['slot_telemetry_samples_20250302', 'slot_telemetry_samples_20250303'],
+      dropped: ['slot_telemetry_samples_20250221'],
+    });
+    expect(client.query.mock.calls[2][0]).toContain("FOR VALUES FROM ('2025-03-02T00:00:00.000Z') TO ('2025-03-03T00:00:00.000Z')");
+    expect(client.query.mock.calls[4][0]).toBe('DROP TABLE IF EXISTS slot_telemetry_samples_20250221');
+  });
+
+  test('picks raw samples for short ranges and the finest bucket that fits longer ones', () => {
+    const from = new Date('2025-03-01T00:00:00Z');
+    expect(pickResolution(from, new Date('2025-03-01T12:00:00Z'), 60)).toBe('raw');
+    expect(pickResolution(from, new Date('2025-03-03T00:00:00Z'), 60)).toBe('5m');
+    expect(pickResolution(from, new Date('2025-03-31T00:00:00Z'), 60)).toBe('1h');
+  });
+
+  test('buckets samples by the resolution and converts the averages to numbers', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ at: new Date('2025-03-01T10:00:00Z'), soc: '41.5000', voltage: '52.1250', current: null, temperatureC: '31.0', relayOn: true, samples: 4 }] },
+    ]);
+    const from = new Date('2025-03-01T00:00:00Z');
+    const to = new Date('2025-03-02T00:00:00Z');
+
+    const series = await getTelemetrySeries(client, 11, from, to, '5m');
+
+    expect(series[0]).toMatchObject({ soc: 41.5, voltage: 52.13, current: null, temperatureC: 31, relayOn: true, samples: 4 });
+    expect(client.query.mock.calls[0][0]).toContain('GROUP BY 1');
+    expect(client.query.mock.calls[0][1]).toEqual([11, from, to, 300]);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../utils/logger', () => require('./helpers/logger'));
+
+const { createClient, queryMatching, journalLines } = require('./helpers/pgClient');
+const { debitWallet, completeWalletTopUp } = require('../utils/wallet');
+
+describe('wallet', () => {
+  test('debitWallet refuses to take the balance below zero', async () => {
+    const client = createClient([['UPDATE users SET balance', { rowCount: 0, rows: [] }]]);
+
+    await expect(
+      debitWallet(client, 'user-1', 50, { source: 'withdrawal_payment', referenceId: 7 })
+    ).rejects.toThrow('INSUFFICIENT_BALANCE');
+
+    const { text, params } = queryMatching(client, 'UPDATE users SET balance');
+    expect(text).toContain('balance >= $2');
+    expect(params).toEqual(['user-1', 50]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('debitWallet records a debit row with the new balance', async () => {
+    const client = createClient([
+      ['UPDATE users SET balance', { rowCount: 1, rows: [{ balance: '30.00' }] }],
+      ['INSERT INTO wallet_transactions', { rowCount: 1, rows: [{ id: 11 }] }],
+    ]);
+
+    const result = await debitWallet(client, 'user-1', 20, { source: 'withdrawal_payment', referenceId: 7 });
+
+    expect(result).toEqual({ transactionId: 11, balance: 30 });
+    const { text, params } = queryMatching(client, 'INSERT INTO wallet_transactions');
+    expect(text).toContain("'debit'");
+    expect(params).toEqual(['user-1', 20, 30, 'withdrawal_payment', 7, null]);
+  });
+
+  test('completeWalletTopUp is idempotent for already completed top-ups', async () => {
+    const client = createClient([
+      ['FROM wallet_topups', { rowCount: 1, rows: [{ id: 3, user_id: 'user-1', amount: '100.00', status: 'completed' }] }],
+    ]);
+
+    await expect(completeWalletTopUp(client, 'ws_CO_1', 'QAB123')).resolves.toBe(false);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('completeWalletTopUp credits the wallet for a pending top-up', async () => {
+    const client = createClient([
+      ['FROM wallet_topups', { rowCount: 1, rows: [{ id: 3, user_id: 'user-1', amount: '100.00', status: 'pending' }] }],
+      ['UPDATE users SET balance', { rowCount: 1, rows: [{ balance: '150.00' }] }],
+      ['INSERT INTO wallet_transactions', { rowCount: 1, rows: [{ id: 12 }] }],
+      ['INSERT INTO journal_entries', { rowCount: 1, rows: [{ id: 40 }] }],
+    ]);
+
+    await expect(completeWalletTopUp(client, 'ws_CO_1', 'QAB123')).resolves.toBe(true);
+    expect(queryMatching(client, "SET status = 'completed'").params).toEqual([3, 'QAB123']);
+    expect(queryMatching(client, 'UPDATE users SET balance').params).toEqual(['user-1', 100]);
+    expect(queryMatching(client, 'INSERT INTO wallet_transactions').params).toEqual(['user-1', 100, 150, 'mpesa_topup', 3, 'M-Pesa top-up QAB123']);
+    expect(queryMatching(client, 'INSERT INTO journal_entries').params[0]).toBe('wallet_topup');
+    expect(journalLines(client)).toEqual([
+      ['mpesa_clearing', 'user-1', null, 100, 0],
+      ['wallet_liability', 'user-1', null, 0, 100],
+    ]);
+  });
+});
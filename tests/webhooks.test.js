@@ -0,0 +1,117 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+  signWebhookPayload,
+  getRetryDelaySeconds,
+  emitWebhookEvent,
+  deliverPendingWebhooks,
+  replayDelivery,
+} = require('../utils/webhooks');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  return { query };
+}
+
+const delivery = (overrides = {}) => ({
+  id: 21,
+  event_type: 'payment.succeeded',
+  payload: { id: 'evt-1', type: 'payment.succeeded', data: { sessionId: 40 } },
+  attempts: 0,
+  url: 'https://partner.example.com/hooks',
+  secret: 'whsec_test',
+  ...overrides,
+});
+
+describe('webhooks', () => {
+  const now = new Date('2025-03-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('signs the timestamp and body with the subscription secret', () => {
+    const body = '{"id":"evt-1"}';
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1740823200.${body}`).digest('hex');
+
+    expect(signWebhookPayload('whsec_test', body, 1740823200)).toBe(`t=1740823200,v1=${expected}`);
+  });
+
+  test('backs off exponentially up to six hours', () => {
+    expect([1, 2, 3, 4].map(getRetryDelaySeconds)).toEqual([30, 60, 120, 240]);
+    expect(getRetryDelaySeconds(20)).toBe(6 * 60 * 60);
+  });
+
+  test('queues one delivery per active subscription and never throws', async () => {
+    const client = createClient([{}, { rowCount: 2, rows: [] }]);
+
+    await expect(emitWebhookEvent(client, 'slot.faulty', { boothUid: 'booth-001', slotIdentifier: 'slot004' })).resolves.toBe(2);
+    expect(client.query.mock.calls[0][0]).toBe('SAVEPOINT emit_webhook_event');
+    const [eventId, eventType, payload] = client.query.mock.calls[1][1];
+    expect(eventType).toBe('slot.faulty');
+    expect(JSON.parse(payload)).toMatchObject({ id: eventId, type: 'slot.faulty', data: { boothUid: 'booth-001', slotIdentifier: 'slot004' } });
+
+    const broken = { query: jest.fn().mockRejectedValue(new Error('connection lost')) };
+    await expect(emitWebhookEvent(broken, 'slot.faulty', {})).resolves.toBe(0);
+  });
+
+  test("rolls back only its savepoint when queueing fails, so the caller's transaction can still commit", async () => {
+    const client = createClient([{}]);
+    client.query.mockRejectedValueOnce(new Error('relation "webhook_deliveries" does not exist'));
+
+    await expect(emitWebhookEvent(client, 'payment.succeeded', { sessionId: 40 })).resolves.toBe(0);
+    expect(client.query.mock.calls[2][0]).toBe('ROLLBACK TO SAVEPOINT emit_webhook_event');
+  });
+
+  test('records deliveries, schedules retries and gives up after the last attempt', async () => {
+    axios.post
+      .mockResolvedValueOnce({ status: 200 })
+      .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } }))
+      .mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+    const client = createClient([{ rowCount: 3, rows: [delivery(), delivery({ id: 22, attempts: 2 }), delivery({ id: 23, attempts: 7 })] }]);
+
+    await expect(deliverPendingWebhooks(client, now)).resolves.toEqual({ delivered: 1, retrying: 1, failed: 1 });
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    expect(url).toBe('https://partner.example.com/hooks');
+    expect(JSON.parse(body)).toEqual(delivery().payload);
+    expect(options.headers).toMatchObject({
+      'X-RiderCMS-Event': 'payment.succeeded',
+      'X-RiderCMS-Delivery': '21',
+      'X-RiderCMS-Signature': signWebhookPayload('whsec_test', body, 1740823200),
+    });
+    expect(client.query.mock.calls[1][1]).toEqual([21, 'delivered', 1, now, 200, null, now]);
+    expect(client.query.mock.calls[2][1]).toEqual([22, 'pending', 3, now, 500, 'Request failed with status code 500', new Date('2025-03-01T10:02:00Z')]);
+    expect(client.query.mock.calls[3][1]).toEqual([23, 'failed', 8, now, null, 'timeout of 10000ms exceeded', now]);
+  });
+
+  test('replays a delivery of the given subscription only', async () => {
+    axios.post.mockResolvedValueOnce({ status: 204 });
+    const client = createClient([{ rowCount: 1, rows: [delivery({ attempts: 0 })] }]);
+
+    await expect(replayDelivery(client, 5, 21)).resolves.toEqual({ status: 'delivered', responseStatus: 204, error: null });
+    expect(client.query.mock.calls[0][1]).toEqual([5, 21]);
+
+    const missing = createClient([{ rowCount: 0, rows: [] }]);
+    await expect(replayDelivery(missing, 5, 99)).resolves.toBeNull();
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,179 @@
+jest.mock('../utils/logger', () => require('./helpers/logger'));
+
+const mockConnect = jest.fn();
+jest.mock('../db', () => Promise.resolve({ connect: mockConnect }));
+
+const mockVerifyIdToken = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { auth: () => ({ verifyIdToken: mockVerifyIdToken }) },
+}));
+
+jest.mock('../utils/wallet', () => ({
+  ...jest.requireActual('../utils/wallet'),
+  debitWallet: jest.fn(),
+}));
+
+jest.mock('../utils/organizations', () => ({
+  ...jest.requireActual('../utils/organizations'),
+  authorizeAccountBilling: jest.fn(),
+}));
+
+jest.mock('../utils/sessionUtils', () => ({
+  ...jest.requireActual('../utils/sessionUtils'),
+  completePaidWithdrawal: jest.fn(),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { debitWallet } = require('../utils/wallet');
+const { authorizeAccountBilling } = require('../utils/organizations');
+const { completePaidWithdrawal } = require('../utils/sessionUtils');
+const boothsRouter = require('../routes/booths');
+
+const PAYABLE_STATUSES = ['pending', 'failed'];
+
+/**
+ * Lets other requests run before the calling one carries on, like a round trip to the database.
+ * @returns {Promise<void>}
+ */
+function yieldToOtherRequests() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Creates an in-memory withdrawal session shared by every connection. `SELECT ... FOR UPDATE`
+ * takes the session's row lock, and other connections asking for it wait until the holder's
+ * transaction ends, as in PostgreSQL.
+ * @param {object} session - The session row.
+ * @returns {{session: object, connect: Function}} The session and a `pool.connect()` stand-in.
+ */
+function createSessionStore(session) {
+  let lockedBy = null;
+  const waiting = [];
+
+  const lock = async (client) => {
+    while (lockedBy && lockedBy !== client) {
+      await new Promise((resolve) => waiting.push(resolve));
+    }
+    lockedBy = client;
+  };
+  const unlock = (client) => {
+    if (lockedBy === client) {
+      lockedBy = null;
+      waiting.splice(0).forEach((resolve) => resolve());
+    }
+  };
+
+  const connect = async () => {
+    const client = { release: jest.fn() };
+    client.query = jest.fn(async (text, params = []) => {
+      await yieldToOtherRequests();
+      if (text === 'COMMIT' || text === 'ROLLBACK') {
+        unlock(client);
+      } else if (text.includes('FROM deposits WHERE id = $1 AND user_id = $2')) {
+        if (text.includes('FOR UPDATE')) {
+          await lock(client);
+        }
+        const payable = PAYABLE_STATUSES.includes(session.status);
+        return { rowCount: payable ? 1 : 0, rows: payable ? [{ amount: session.amount, stk_prompt_open: Boolean(session.stkPromptOpen) }] : [] };
+      } else if (text.includes('UPDATE deposits')) {
+        if (text.includes("status IN ('pending', 'failed')") && !PAYABLE_STATUSES.includes(session.status)) {
+          return { rowCount: 0, rows: [] };
+        }
+        Object.assign(session, { checkoutId: params[0], paymentMethod: params[1], organizationId: params[3] ?? null, status: 'pending' });
+        return { rowCount: 1, rows: [] };
+      }
+      return { rowCount: 0, rows: [] };
+    });
+    return client;
+  };
+
+  return { session, connect };
+}
+
+/**
+ * Sends a pay request for the session as the rider.
+ * @param {import('express').Express} app - The app.
+ * @param {object} body - The request body.
+ * @returns {import('supertest').Test} The request.
+ */
+function pay(app, body) {
+  return request(app)
+    .post('/api/booths/sessions/40/pay')
+    .set('Authorization', 'Bearer rider-token')
+    .send(body);
+}
+
+describe('POST /api/booths/sessions/:sessionId/pay', () => {
+  let app;
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = createSessionStore({ id: 40, userId: 'rider-1', amount: '50.00', status: 'failed' });
+    mockConnect.mockImplementation(store.connect);
+    mockVerifyIdToken.mockResolvedValue({ uid: 'rider-1', phone_number: '+254712345678' });
+    debitWallet.mockImplementation(async () => {
+      await yieldToOtherRequests();
+      return { balance: 150 };
+    });
+    authorizeAccountBilling.mockResolvedValue({ organizationId: 7, organizationName: 'Acme Riders', remaining: 950 });
+    completePaidWithdrawal.mockImplementation(async () => {
+      store.session.status = 'in_progress';
+      return true;
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/booths', boothsRouter);
+  });
+
+  test('charges the wallet once when the same session is paid twice at the same time', async () => {
+    const responses = await Promise.all([pay(app, { paymentMethod: 'wallet' }), pay(app, { paymentMethod: 'wallet' })]);
+
+    expect(responses.map(({ status }) => status).sort()).toEqual([200, 404]);
+    expect(debitWallet).toHaveBeenCalledTimes(1);
+    expect(debitWallet).toHaveBeenCalledWith(expect.anything(), 'rider-1', '50.00', expect.objectContaining({ referenceId: 40 }));
+    expect(store.session).toMatchObject({ status: 'in_progress', paymentMethod: 'wallet' });
+  });
+
+  test('does not charge the wallet for a session that is already paid', async () => {
+    await pay(app, { paymentMethod: 'wallet' }).expect(200);
+
+    const again = await pay(app, { paymentMethod: 'wallet' });
+
+    expect(again.status).toBe(404);
+    expect(debitWallet).toHaveBeenCalledTimes(1);
+  });
+
+  test('bills the organisation once when the same session is paid twice at the same time', async () => {
+    const responses = await Promise.all([pay(app, { paymentMethod: 'account' }), pay(app, { paymentMethod: 'account' })]);
+
+    expect(responses.map(({ status }) => status).sort()).toEqual([200, 404]);
+    expect(completePaidWithdrawal).toHaveBeenCalledTimes(1);
+    expect(completePaidWithdrawal).toHaveBeenCalledWith(expect.anything(), expect.stringMatching(/^ACCOUNT_40_/));
+    expect(store.session).toMatchObject({ status: 'in_progress', paymentMethod: 'account', organizationId: 7 });
+  });
+
+  test('completes a free session once when it is paid twice at the same time', async () => {
+    store.session.amount = '0.00';
+
+    const responses = await Promise.all([pay(app, {}), pay(app, {})]);
+
+    expect(responses.map(({ status }) => status).sort()).toEqual([200, 404]);
+    expect(completePaidWithdrawal).toHaveBeenCalledTimes(1);
+    expect(store.session).toMatchObject({ status: 'in_progress', paymentMethod: 'free' });
+  });
+
+  test.each(['wallet', 'account', 'mpesa'])('refuses a %s payment while the M-Pesa prompt for the session is still open', async (paymentMethod) => {
+    Object.assign(store.session, { status: 'pending', paymentMethod: 'mpesa', checkoutId: 'ws_CO_1', stkPromptOpen: true });
+
+    const res = await pay(app, { paymentMethod });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Payment in progress');
+    expect(debitWallet).not.toHaveBeenCalled();
+    expect(completePaidWithdrawal).not.toHaveBeenCalled();
+    expect(store.session).toMatchObject({ status: 'pending', paymentMethod: 'mpesa', checkoutId: 'ws_CO_1' });
+  });
+});
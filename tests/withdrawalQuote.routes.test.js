@@ -0,0 +1,89 @@
+jest.mock('../utils/logger', () => require('./helpers/logger'));
+
+const mockConnect = jest.fn();
+jest.mock('../db', () => Promise.resolve({ connect: mockConnect }));
+
+const mockVerifyIdToken = jest.fn();
+jest.mock('../utils/firebase', () => ({
+  admin: { auth: () => ({ verifyIdToken: mockVerifyIdToken }) },
+}));
+
+jest.mock('firebase-admin/database', () => ({
+  getDatabase: () => ({
+    ref: () => ({ get: async () => ({ exists: () => false }) }),
+  }),
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { createClient, queriesMatching } = require('./helpers/pgClient');
+const { DEFAULT_PRICING_RULES } = require('../utils/pricingEngine');
+const boothsRouter = require('../routes/booths');
+
+const swapCredit = {
+  depositCreditId: 30,
+  depositCompletedAt: new Date(Date.now() - 5 * 60000),
+  initialCharge: 20,
+  swapSlotId: 9,
+  slotId: 4,
+  slotIdentifier: 'slot004',
+  chargeLevel: 25,
+  batteryId: 70,
+  boothId: 3,
+  boothUid: 'dev-booth-1',
+};
+
+describe('GET /api/booths/sessions/:depositId/quote', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockVerifyIdToken.mockResolvedValue({ uid: 'rider-1' });
+
+    app = express();
+    app.use('/api/booths', boothsRouter);
+  });
+
+  test("quotes a swap for the held charged battery, not the rider's deposited one", async () => {
+    const client = createClient([
+      ['d.swap_slot_id AS "swapSlotId"', { rowCount: 1, rows: [swapCredit] }],
+      ['FROM slot_reservations r', {
+        rowCount: 1,
+        rows: [{ id: 12, reservation_type: 'battery', booth_id: 3, booth_uid: 'dev-booth-1', slot_id: 9, slot_identifier: 'slot009', expires_at: new Date() }],
+      }],
+      ['SELECT charge_level_percent, current_battery_id FROM booth_slots', { rowCount: 1, rows: [{ charge_level_percent: 95, current_battery_id: 81 }] }],
+      ["key = 'pricing'", { rowCount: 1, rows: [{ value: DEFAULT_PRICING_RULES }] }],
+    ]);
+    mockConnect.mockResolvedValue(client);
+
+    const res = await request(app)
+      .get('/api/booths/sessions/30/quote')
+      .set('Authorization', 'Bearer rider-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ slotIdentifier: 'slot009', currentSoc: 95, initialSoc: 20 });
+    expect(queriesMatching(client, 'SELECT initial_charge_level FROM deposits')).toHaveLength(0);
+    const sql = client.query.mock.calls.map(([text]) => text);
+    expect(sql[0]).toBe('BEGIN');
+    expect(sql).toContain('COMMIT');
+  });
+
+  test('refuses the quote when no charged battery is left to hold for the swap', async () => {
+    const client = createClient([
+      ['d.swap_slot_id AS "swapSlotId"', { rowCount: 1, rows: [swapCredit] }],
+      ['FROM slot_reservations r', { rowCount: 0, rows: [] }],
+      ['FROM slot_reservations r', { rowCount: 0, rows: [] }],
+      ['FROM booth_slots s', { rowCount: 0, rows: [] }],
+    ]);
+    mockConnect.mockResolvedValue(client);
+
+    const res = await request(app)
+      .get('/api/booths/sessions/30/quote')
+      .set('Authorization', 'Bearer rider-token');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Swap not available');
+    expect(client.query.mock.calls.map(([text]) => text)).toContain('ROLLBACK');
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+}));
+
+jest.mock('../utils/boothHeartbeat', () => ({
+  recordBoothStatusChange: jest.fn(),
+}));
+
+const { recordBoothStatusChange } = require('../utils/boothHeartbeat');
+const { validatePartsUsed, openWorkOrder, updateWorkOrder, closeWorkOrder } = require('../utils/workOrders');
+
+/**
+ * Creates a fake pg client that answers queries in order.
+ * @param {any[]} responses - Query results returned in call order.
+ * @returns {{query: jest.Mock}} The fake client.
+ */
+function createClient(responses) {
+  const query = jest.fn();
+  for (const response of responses) {
+    query.mockResolvedValueOnce(response);
+  }
+  query.mockResolvedValue({ rowCount: 1, rows: [] });
+  return { query };
+}
+
+describe('work orders', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('opens an order from a problem report and takes its slot out of service', async () => {
+    const client = createClient([
+      { rowCount: 1, rows: [{ booth_id: 3, slot_id: 9 }] },
+      { rowCount: 1, rows: [{ hasActiveSession: false }] },
+      { rowCount: 1, rows: [{ id: 5, status: 'open' }] },
+    ]);
+
+    const workOrder = await openWorkOrder(client, { problemReportId: 21, title: 'Door does not latch', openedBy: 'admin-1' });
+
+    expect(workOrder).toEqual({ id: 5, status: 'open' });
+    expect(client.query.mock.calls[2][1]).toEqual([3, 9, 'problem_report', 21, null, 'Door does not latch', null, 'normal', 'open', null, 'admin-1']);
+    expect(client.query.mock.calls[3]).toEqual([expect.stringContaining("status = 'maintenance'"), [9]]);
+    expect(client.query.mock.calls[4][0]).toContain("status = 'investigating'");
+  });
+
+  test('refuses a slot with an active session or an open order', async () => {
+    const busy = createClient([
+      { rowCount: 1, rows: [{ id: 3 }] },
+      { rowCount: 1, rows: [{ id: 9 }] },
+      { rowCount: 1, rows: [{ hasActiveSession: true }] },
+    ]);
+    const order = { boothUid: 'booth-001', slotIdentifier: 'slot004', title: 'Replace fan', openedBy: 'admin-1' };
+    await expect(openWorkOrder(busy, order)).rejects.toThrow('SLOT_IN_USE');
+
+    const duplicate = createClient([
+      { rowCount: 1, rows: [{ id: 3 }] },
+      { rowCount: 1, rows: [{ id: 9 }] },
+      { rowCount: 1, rows: [{ hasActiveSession: false }] },
+      { rowCount: 0, rows: [] },
+    ]);
+    await expect(openWorkOrder(duplicate, order)).rejects.toThrow('WORK_ORDER_ALREADY_OPEN');
+    expect(duplicate.query).toHaveBeenCalledTimes(4);
+  });
+
+  test("refuses a slot that is held for a rider or still stores a rider's deposited battery", async () => {
+    const order = { boothUid: 'booth-001', slotIdentifier: 'slot004', title: 'Replace fan', openedBy: 'admin-1' };
+    const reserved = createClient([
+      { rowCount: 1, rows: [{ id: 3 }] },
+      { rowCount: 1, rows: [{ id: 9 }] },
+      { rowCount: 1, rows: [{ hasActiveSession: false, hasActiveReservation: true, hasStoredDeposit: false }] },
+    ]);
+    await expect(openWorkOrder(reserved, order)).rejects.toThrow('SLOT_RESERVED');
+    expect(reserved.query.mock.calls[2][0]).toContain("r.slot_id = s.id AND r.status = 'active'");
+    expect(reserved.query).toHaveBeenCalledTimes(3);
+
+    const stored = createClient([
+      { rowCount: 1, rows: [{ id: 3 }] },
+      { rowCount: 1, rows: [{ id: 9 }] },
+      { rowCount: 1, rows: [{ hasActiveSession: false, hasActiveReservation: false, hasStoredDeposit: true }] },
+    ]);
+    await expect(openWorkOrder(stored, order)).rejects.toThrow('SLOT_HOLDS_RIDER_BATTERY');
+    expect(stored.query).toHaveBeenCalledTimes(3);
+  });
+
+  test('assigns an open order and puts it back in the queue when unassigned', async () => {
+    const assignClient = createClient([
+      { rowCount: 1, rows: [{ id: 5, status: 'open', assigned_to: null }] },
+      { rowCount: 1, rows: [{ '?column?': 1 }] },
+      { rowCount: 1, rows: [{ id: 5, status: 'assigned', assigned_to: 'tech-1' }] },
+    ]);
+    await updateWorkOrder(assignClient, 5, { assignedTo: 'tech-1' });
+    expect(assignClient.query.mock.calls[2][1].slice(5, 7)).toEqual(['assigned', 'tech-1']);
+
+    const unassignClient = createClient([
+      { rowCount: 1, rows: [{ id: 5, status: 'in_progress', assigned_to: 'tech-1' }] },
+      { rowCount: 1, rows: [{ id: 5, status: 'open', assigned_to: null }] },
+    ]);
+    await updateWorkOrder(unassignClient, 5, { assignedTo: null });
+    expect(unassignClient.query.mock.calls[1][1].slice(5, 7)).toEqual(['open', null]);
+
+    const notAssigned = createClient([{ rowCount: 1, rows: [{ id: 5, status: 'open', assigned_to: null }] }]);
+    await expect(updateWorkOrder(notAssigned, 5, { status: 'in_progress' })).rejects.toThrow('NOT_ASSIGNED');
+  });
+
+  test('completing a booth order brings the booth back online and resolves its alert', async () => {
+    const heartbeat = new Date('2026-10-01T08:00:00Z');
+    const client = createClient([
+      { rowCount: 1, rows: [{ id: 5, status: 'in_progress' }] },
+      { rowCount: 1, rows: [{ id: 5, booth_id: 3, slot_id: null, alert_id: 11, problem_report_id: null }] },
+      { rowCount: 1, rows: [{ last_heartbeat_at: heartbeat }] },
+    ]);
+
+    await closeWorkOrder(client, 5, { outcome: 'completed', resolutionNotes: 'Replaced the modem', partsUsed: [{ name: 'Modem', quantity: 1 }], closedBy: 'tech-1' });
+
+    expect(client.query.mock.calls[1][1]).toEqual([5, 'completed', 'Replaced the modem', '[{"name":"Modem","quantity":1}]', 'tech-1']);
+    expect(recordBoothStatusChange).toHaveBeenCalledWith(client, expect.objectContaining({
+      boothId: 3, fromStatus: 'maintenance', toStatus: 'online', lastHeartbeatAt: heartbeat, changedBy: 'tech-1',
+    }));
+    expect(client.query.mock.calls[3][1]).toEqual([11, 'tech-1', 'Work order 5: Replaced the modem']);
+
+    const closed = createClient([{ rowCount: 1, rows: [{ id: 5, status: 'completed' }] }]);
+    await expect(closeWorkOrder(closed, 5, { outcome: 'cancelled', closedBy: 'tech-1' })).rejects.toThrow('WORK_ORDER_CLOSED');
+  });
+
+  test('validates the parts used', () => {
+    expect(validatePartsUsed([{ name: 'Door latch', quantity: 2, partNumber: 'DL-2' }])).toBeNull();
+    expect(validatePartsUsed({ name: 'Door latch' })).toBe('partsUsed must be an array.');
+    expect(validatePartsUsed([{ quantity: 1 }])).toBe('Each part must have a name.');
+    expect(validatePartsUsed([{ name: 'Fuse', quantity: 0 }])).toBe("Part 'Fuse' must have a whole-number quantity of at least 1.");
+  });
+});
@@ -0,0 +1,49 @@
+const { admin } = require('./firebase');
+const logger = require('./logger');
+
+/**
+ * Pushes an operational alert to every admin with an FCM token. Like rider notifications,
+ * this never throws: a failed alert is logged and must not break the job that raised it.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} alert - The alert.
+ * @param {string} alert.title - A short title.
+ * @param {string} alert.body - What happened.
+ * @param {object} [alert.data] - Extra values for the data payload (e.g. boothUid).
+ * @returns {Promise<number>} How many admins the push reached.
+ */
+async function sendAdminAlert(client, { title, body, data = {} }) {
+  logger.warn(`[AdminAlert] ${title}: ${body}`);
+  try {
+    const adminsRes = await client.query(
+      "SELECT user_id, fcm_token FROM users WHERE role = 'admin' AND fcm_token IS NOT NULL"
+    );
+    const payload = Object.fromEntries(
+      Object.entries({ type: 'admin_alert', ...data })
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => [key, String(value)])
+    );
+
+    let delivered = 0;
+    for (const { user_id: userId, fcm_token: token } of adminsRes.rows) {
+      try {
+        await admin.messaging().send({
+          token,
+          notification: { title, body },
+          data: payload,
+          android: {
+            priority: 'high',
+          },
+        });
+        delivered += 1;
+      } catch (sendError) {
+        logger.warn(`[AdminAlert] Push to admin ${userId} failed: ${sendError?.message || sendError}`);
+      }
+    }
+    return delivered;
+  } catch (error) {
+    logger.error(`[AdminAlert] Failed to send alert '${title}':`, error);
+    return 0;
+  }
+}
+
+module.exports = { sendAdminAlert };
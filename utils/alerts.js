@@ -0,0 +1,335 @@
+const axios = require('axios');
+const logger = require('./logger');
+const { sendAdminAlert } = require('./adminAlerts');
+const { getTemperatureFromTelemetry } = require('./batteryHealth');
+
+/**
+ * Admin alerts.
+ *
+ * Each rule in the `alert_rules` app setting can be turned off, and sets the alert severity,
+ * its threshold and the channels it is delivered to. An alert is identified by a dedup key
+ * (e.g. `door_open:12` for slot 12): while it is unresolved, repeats only bump its
+ * occurrences and are not delivered again. Alerts whose condition clears (the door closes, the
+ * booth comes back) are resolved automatically, so the next occurrence raises a new alert.
+ */
+
+const ALERT_CHANNELS = ['fcm', 'email', 'webhook'];
+
+const DEFAULT_ALERT_RULES = {
+  slot_faulty: { enabled: true, severity: 'critical', channels: ALERT_CHANNELS },
+  rejected_no_session: { enabled: true, severity: 'warning', channels: ALERT_CHANNELS },
+  booth_offline: { enabled: true, severity: 'critical', channels: ALERT_CHANNELS },
+  payment_stuck: { enabled: true, severity: 'warning', minutes: 10, channels: ALERT_CHANNELS },
+  door_open: { enabled: true, severity: 'warning', minutes: 5, channels: ALERT_CHANNELS },
+  over_temperature: { enabled: true, severity: 'critical', max_temperature_c: 60, channels: ALERT_CHANNELS },
+};
+
+const ALERT_RULE_TYPES = Object.keys(DEFAULT_ALERT_RULES);
+
+const DEFAULT_ALERT_DELIVERY = { email_recipients: [], webhook_url: null };
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Loads the alert rules and delivery targets from app_settings, falling back to the defaults.
+ * Each stored rule is merged over its default, so a rule can be changed one field at a time.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<{rules: typeof DEFAULT_ALERT_RULES, delivery: typeof DEFAULT_ALERT_DELIVERY}>} The settings.
+ */
+async function getAlertSettings(client) {
+  const settingsRes = await client.query(
+    "SELECT key, value FROM app_settings WHERE key IN ('alert_rules', 'alert_delivery')"
+  );
+  const stored = Object.fromEntries(settingsRes.rows.map((row) => [row.key, row.value || {}]));
+
+  const rules = Object.fromEntries(
+    ALERT_RULE_TYPES.map((type) => [type, { ...DEFAULT_ALERT_RULES[type], ...(stored.alert_rules?.[type] || {}) }])
+  );
+  return { rules, delivery: { ...DEFAULT_ALERT_DELIVERY, ...(stored.alert_delivery || {}) } };
+}
+
+/**
+ * Pushes the alert to every admin with an FCM token.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} alert - The alert being delivered.
+ * @returns {Promise<object>} The delivery result.
+ */
+async function deliverByFcm(client, alert) {
+  const recipients = await sendAdminAlert(client, {
+    title: alert.title,
+    body: alert.message,
+    data: { event: alert.ruleType, alertId: alert.id, severity: alert.severity },
+  });
+  return recipients > 0 ? { status: 'sent', recipients } : { status: 'skipped', error: 'no_admin_tokens' };
+}
+
+/**
+ * Emails the alert through the SendGrid API.
+ * @param {object} client - The PostgreSQL client (unused).
+ * @param {object} alert - The alert being delivered.
+ * @param {typeof DEFAULT_ALERT_DELIVERY} delivery - The delivery targets.
+ * @returns {Promise<object>} The delivery result.
+ */
+async function deliverByEmail(client, alert, delivery) {
+  const recipients = (delivery.email_recipients || []).filter(Boolean);
+  if (recipients.length === 0) {
+    return { status: 'skipped', error: 'no_recipients' };
+  }
+  if (!process.env.SENDGRID_API_KEY || !process.env.ALERT_EMAIL_FROM) {
+    return { status: 'skipped', error: 'not_configured' };
+  }
+
+  await axios.post('https://api.sendgrid.com/v3/mail/send', {
+    personalizations: [{ to: recipients.map((email) => ({ email })) }],
+    from: { email: process.env.ALERT_EMAIL_FROM },
+    subject: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+    content: [{ type: 'text/plain', value: `${alert.message}\n\nAlert #${alert.id} (${alert.ruleType})` }],
+  }, {
+    headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+    timeout: DELIVERY_TIMEOUT_MS,
+  });
+  return { status: 'sent', recipients: recipients.length };
+}
+
+/**
+ * Posts the alert as JSON to the configured webhook.
+ * @param {object} client - The PostgreSQL client (unused).
+ * @param {object} alert - The alert being delivered.
+ * @param {typeof DEFAULT_ALERT_DELIVERY} delivery - The delivery targets.
+ * @returns {Promise<object>} The delivery result.
+ */
+async function deliverByWebhook(client, alert, delivery) {
+  if (!delivery.webhook_url) {
+    return { status: 'skipped', error: 'no_webhook_url' };
+  }
+  const response = await axios.post(delivery.webhook_url, { alert }, { timeout: DELIVERY_TIMEOUT_MS });
+  return { status: 'sent', httpStatus: response.status };
+}
+
+const CHANNEL_DELIVERERS = {
+  fcm: deliverByFcm,
+  email: deliverByEmail,
+  webhook: deliverByWebhook,
+};
+
+/**
+ * Delivers a new alert to each of the rule's channels. A failing channel does not stop the others.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} alert - The alert.
+ * @param {string[]} channels - The rule's channels.
+ * @param {typeof DEFAULT_ALERT_DELIVERY} delivery - The delivery targets.
+ * @returns {Promise<object>} Channel to delivery result.
+ */
+async function deliverAlert(client, alert, channels, delivery) {
+  const results = {};
+  for (const channel of channels) {
+    const deliver = CHANNEL_DELIVERERS[channel];
+    if (!deliver) {
+      results[channel] = { status: 'skipped', error: 'unknown_channel' };
+      continue;
+    }
+    try {
+      results[channel] = await deliver(client, alert, delivery);
+    } catch (error) {
+      results[channel] = { status: 'failed', error: String(error?.message || error).substring(0, 500) };
+      logger.warn(`[Alerts] Delivering alert ${alert.id} by ${channel} failed: ${results[channel].error}`);
+    }
+  }
+  return results;
+}
+
+/**
+ * Raises an alert, or counts a repeat of the matching unresolved one. Only new alerts are delivered.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} alert - The alert.
+ * @param {string} alert.ruleType - An ALERT_RULE_TYPES entry.
+ * @param {string} alert.dedupKey - Identifies repeats of the same problem.
+ * @param {string} alert.title - A short title.
+ * @param {string} alert.message - What happened.
+ * @param {number|null} [alert.boothId] - The booth involved.
+ * @param {number|null} [alert.slotId] - The slot involved.
+ * @param {number|null} [alert.sessionId] - The session involved.
+ * @param {object|null} [alert.data] - Extra details.
+ * @param {object} [settings] - The result of getAlertSettings(), if already loaded.
+ * @returns {Promise<{id: number, created: boolean}|null>} The alert, or null if the rule is off.
+ */
+async function raiseAlert(client, { ruleType, dedupKey, title, message, boothId = null, slotId = null, sessionId = null, data = null }, settings = null) {
+  const { rules, delivery } = settings || await getAlertSettings(client);
+  const rule = rules[ruleType];
+  if (!rule?.enabled) {
+    return null;
+  }
+
+  const alertRes = await client.query(
+    `INSERT INTO alerts (rule_type, dedup_key, severity, title, message, booth_id, slot_id, session_id, data)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (dedup_key) WHERE status <> 'resolved'
+     DO UPDATE SET occurrences = alerts.occurrences + 1, last_seen_at = NOW(), message = EXCLUDED.message, data = EXCLUDED.data
+     RETURNING id, (xmax = 0) AS created`,
+    [ruleType, dedupKey, rule.severity, title, message, boothId, slotId, sessionId, data ? JSON.stringify(data) : null]
+  );
+  const { id, created } = alertRes.rows[0];
+  if (!created) {
+    return { id, created: false };
+  }
+
+  logger.warn(`[Alerts] ${rule.severity} alert ${id} (${ruleType}): ${message}`);
+  const deliveries = await deliverAlert(client, { id, ruleType, severity: rule.severity, title, message, boothId, slotId, sessionId, data }, rule.channels || [], delivery);
+  await client.query('UPDATE alerts SET deliveries = $2 WHERE id = $1', [id, JSON.stringify(deliveries)]);
+  return { id, created: true };
+}
+
+/**
+ * Resolves the unresolved alerts with the given dedup keys.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string|string[]} dedupKeys - The alerts' dedup keys.
+ * @param {string} [note] - Why they were resolved.
+ * @returns {Promise<number[]>} The resolved alert IDs.
+ */
+async function resolveAlerts(client, dedupKeys, note = 'Condition cleared.') {
+  const keys = Array.isArray(dedupKeys) ? dedupKeys : [dedupKeys];
+  if (keys.length === 0) return [];
+
+  const resolvedRes = await client.query(
+    `UPDATE alerts
+     SET status = 'resolved', resolved_at = NOW(), resolution_note = $2
+     WHERE dedup_key = ANY($1::text[]) AND status <> 'resolved'
+     RETURNING id`,
+    [keys, note]
+  );
+  return resolvedRes.rows.map((row) => row.id);
+}
+
+/**
+ * Evaluates the slot rules on a telemetry sync: the slot turning faulty and over-temperature.
+ * Clears the matching alerts (and any no-session alert) once the slot recovers.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} slot - The synced slot.
+ * @param {number} slot.boothId - Its booth.
+ * @param {string} slot.boothUid - Its booth UID.
+ * @param {number} slot.slotId - The slot.
+ * @param {string} slot.slotIdentifier - The slot identifier.
+ * @param {string} slot.previousStatus - The slot status before the sync.
+ * @param {string} slot.status - The slot status after the sync.
+ * @param {object} slot.telemetry - The reported telemetry.
+ * @returns {Promise<void>}
+ */
+async function checkSlotAlerts(client, { boothId, boothUid, slotId, slotIdentifier, previousStatus, status, telemetry }) {
+  const settings = await getAlertSettings(client);
+  const location = { boothId, slotId, data: { boothUid, slotIdentifier } };
+
+  if (status === 'faulty' && previousStatus !== 'faulty') {
+    await raiseAlert(client, {
+      ...location,
+      ruleType: 'slot_faulty',
+      dedupKey: `slot_faulty:${slotId}`,
+      title: 'Slot faulty',
+      message: `${boothUid}/${slotIdentifier} reported a fault.`,
+    }, settings);
+  } else if (previousStatus === 'faulty' && status !== 'faulty') {
+    await resolveAlerts(client, [`slot_faulty:${slotId}`, `rejected_no_session:${slotId}`], `Slot is ${status} again.`);
+  }
+
+  const temperature = getTemperatureFromTelemetry(telemetry);
+  if (temperature === null) return;
+  const maxTemperature = Number(settings.rules.over_temperature.max_temperature_c);
+  if (temperature > maxTemperature) {
+    await raiseAlert(client, {
+      boothId,
+      slotId,
+      ruleType: 'over_temperature',
+      dedupKey: `over_temperature:${slotId}`,
+      title: 'Battery over temperature',
+      message: `${boothUid}/${slotIdentifier} is at ${temperature}°C (limit ${maxTemperature}°C).`,
+      data: { boothUid, slotIdentifier, temperatureC: temperature },
+    }, settings);
+  } else {
+    await resolveAlerts(client, `over_temperature:${slotId}`, `Temperature back to ${temperature}°C.`);
+  }
+}
+
+/**
+ * Evaluates the time-based rules: slot doors left open and payments stuck pending. Each
+ * offending slot or session raises (or repeats) its alert; alerts whose condition has cleared are
+ * resolved.
+ * @param {object} client - The PostgreSQL client.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<{raised: number, resolved: number}>} How many alerts were raised or repeated, and resolved.
+ */
+async function checkTimedAlerts(client, now = new Date()) {
+  const settings = await getAlertSettings(client);
+  const { door_open: doorRule, payment_stuck: paymentRule } = settings.rules;
+  const doorCutoff = new Date(now.getTime() - Number(doorRule.minutes) * 60 * 1000);
+  const paymentCutoff = new Date(now.getTime() - Number(paymentRule.minutes) * 60 * 1000);
+  let raised = 0;
+
+  const doorsRes = await client.query(
+    `SELECT s.id, s.slot_identifier, s.door_open_since, b.id AS booth_id, b.booth_uid
+     FROM booth_slots s
+     JOIN booths b ON b.id = s.booth_id
+     WHERE s.door_open_since < $1`,
+    [doorCutoff]
+  );
+  for (const slot of doorsRes.rows) {
+    const minutesOpen = Math.floor((now.getTime() - new Date(slot.door_open_since).getTime()) / 60000);
+    const alert = await raiseAlert(client, {
+      boothId: slot.booth_id,
+      slotId: slot.id,
+      ruleType: 'door_open',
+      dedupKey: `door_open:${slot.id}`,
+      title: 'Slot door left open',
+      message: `The door of ${slot.booth_uid}/${slot.slot_identifier} has been open for ${minutesOpen} minutes.`,
+      data: { boothUid: slot.booth_uid, slotIdentifier: slot.slot_identifier, minutesOpen },
+    }, settings);
+    if (alert) raised += 1;
+  }
+
+  const paymentsRes = await client.query(
+    `SELECT d.id, d.user_id, d.amount, d.started_at, d.mpesa_checkout_id, d.booth_id
+     FROM deposits d
+     WHERE d.session_type = 'withdrawal'
+       AND d.status = 'pending'
+       AND d.mpesa_checkout_id IS NOT NULL
+       AND d.started_at < $1`,
+    [paymentCutoff]
+  );
+  for (const session of paymentsRes.rows) {
+    const alert = await raiseAlert(client, {
+      boothId: session.booth_id,
+      sessionId: session.id,
+      ruleType: 'payment_stuck',
+      dedupKey: `payment_stuck:${session.id}`,
+      title: 'Payment stuck pending',
+      message: `Withdrawal ${session.id} (KES ${session.amount}) has waited for M-Pesa since ${new Date(session.started_at).toISOString()}.`,
+      data: { userId: session.user_id, checkoutRequestId: session.mpesa_checkout_id },
+    }, settings);
+    if (alert) raised += 1;
+  }
+
+  const clearedRes = await client.query(
+    `UPDATE alerts a
+     SET status = 'resolved', resolved_at = NOW(), resolution_note = 'Condition cleared.'
+     WHERE a.status <> 'resolved'
+       AND (
+         (a.rule_type = 'door_open' AND NOT EXISTS (
+           SELECT 1 FROM booth_slots s WHERE s.id = a.slot_id AND s.door_open_since IS NOT NULL
+         ))
+         OR (a.rule_type = 'payment_stuck' AND NOT EXISTS (
+           SELECT 1 FROM deposits d WHERE d.id = a.session_id AND d.status = 'pending'
+         ))
+       )
+     RETURNING a.id`
+  );
+
+  return { raised, resolved: clearedRes.rowCount };
+}
+
+module.exports = {
+  ALERT_RULE_TYPES,
+  DEFAULT_ALERT_RULES,
+  getAlertSettings,
+  raiseAlert,
+  resolveAlerts,
+  checkSlotAlerts,
+  checkTimedAlerts,
+};
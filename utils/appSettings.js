@@ -0,0 +1,378 @@
+const logger = require('./logger');
+
+/**
+ * Validation and version history for app_settings.
+ *
+ * Each key has a JSON schema (the subset of JSON Schema that validateAgainstSchema() understands)
+ * and every change is kept in `app_settings_versions`. A change either applies at once or is
+ * scheduled for `effective_at` and applied by the settings cron; rolling back creates a new
+ * version with an older value, so the history is never rewritten.
+ */
+
+const SETTING_VERSION_STATUSES = ['scheduled', 'applied', 'cancelled', 'failed'];
+
+const percent = { type: 'number', minimum: 0, maximum: 100 };
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+const clockTime = { type: 'string', pattern: '^([01]?\\d|2[0-3]):[0-5]\\d$' };
+const alertSeverity = { type: 'string', enum: ['info', 'warning', 'critical'] };
+const alertChannels = { type: 'array', items: { type: 'string', enum: ['fcm', 'email', 'webhook'] } };
+
+/**
+ * Builds the schema of one alert rule.
+ * @param {object} [thresholds] - Schemas of the rule's threshold fields.
+ * @returns {object} The schema.
+ */
+const alertRule = (thresholds = {}) => ({
+  type: 'object',
+  additionalProperties: false,
+  properties: { enabled: { type: 'boolean' }, severity: alertSeverity, channels: alertChannels, ...thresholds },
+});
+
+// Everything in `pricing` except booth_overrides, which holds these same rules per booth.
+const pricingRules = {
+  base_swap_fee: nonNegativeNumber,
+  cost_per_charge_percent: nonNegativeNumber,
+  battery_capacity_kwh: { type: ['number', 'null'], exclusiveMinimum: 0 },
+  kwh_tiers: {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['rate_per_kwh'],
+      properties: { up_to_kwh: { type: 'number', exclusiveMinimum: 0 }, rate_per_kwh: nonNegativeNumber },
+    },
+  },
+  time_of_day: {
+    type: 'array',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['start', 'end', 'multiplier'],
+      properties: {
+        name: { type: 'string' },
+        start: clockTime,
+        end: clockTime,
+        multiplier: { type: 'number', exclusiveMinimum: 0 },
+      },
+    },
+  },
+  timezone: { type: 'string', minLength: 1 },
+  overtime_penalty_per_minute: nonNegativeNumber,
+  grace_period_minutes: { type: 'integer', minimum: 0 },
+};
+
+const SETTING_SCHEMAS = {
+  pricing: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['base_swap_fee', 'cost_per_charge_percent'],
+    properties: {
+      ...pricingRules,
+      booth_overrides: {
+        type: 'object',
+        additionalProperties: { type: 'object', additionalProperties: false, properties: pricingRules },
+      },
+    },
+  },
+  withdrawal_rules: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['min_charge_level'],
+    properties: { min_charge_level: percent },
+  },
+  refund_rules: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { auto_approve_max_amount: nonNegativeNumber },
+  },
+  reservation_rules: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { hold_minutes: { type: 'integer', minimum: 1 }, min_charge_level: percent },
+  },
+  battery_health_rules: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      rated_cycles: { type: 'integer', minimum: 1 },
+      degraded_below_soh: percent,
+      faulty_below_soh: percent,
+      faulty_temperature_c: { type: 'number' },
+    },
+  },
+  telemetry_storage: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      sample_interval_seconds: { type: 'integer', minimum: 0 },
+      retention_days: { type: 'integer', minimum: 1 },
+    },
+  },
+  booth_heartbeat: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { offline_after_seconds: { type: 'integer', minimum: 30 } },
+  },
+  alert_rules: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      slot_faulty: alertRule(),
+      rejected_no_session: alertRule(),
+      booth_offline: alertRule(),
+      payment_stuck: alertRule({ minutes: { type: 'number', exclusiveMinimum: 0 } }),
+      door_open: alertRule({ minutes: { type: 'number', exclusiveMinimum: 0 } }),
+      over_temperature: alertRule({ max_temperature_c: { type: 'number' } }),
+    },
+  },
+  alert_delivery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      email_recipients: { type: 'array', items: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$' } },
+      webhook_url: { type: ['string', 'null'], pattern: '^https?://' },
+    },
+  },
+  command_approvals: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      actions: { type: 'array', items: { type: 'string', enum: ['force_unlock', 'open_door', 'reset_slots', 'manual_withdraw'] } },
+      window_minutes: { type: 'integer', minimum: 1 },
+    },
+  },
+};
+
+const SETTING_KEYS = Object.keys(SETTING_SCHEMAS);
+
+/**
+ * Returns the JSON type of a value, telling integers apart from other numbers.
+ * @param {any} value - The value.
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'.
+ */
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema. Supports type, enum, minimum, maximum, exclusiveMinimum,
+ * minLength, pattern, properties, required, additionalProperties and items.
+ * @param {any} value - The value to check.
+ * @param {object} schema - The schema.
+ * @param {string} path - Where the value sits, for error messages.
+ * @returns {string[]} The problems found, empty if the value is valid.
+ */
+function validateAgainstSchema(value, schema, path) {
+  const actualType = jsonTypeOf(value);
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    const matches = allowed.includes(actualType) || (actualType === 'integer' && allowed.includes('number'));
+    if (!matches) {
+      return [`${path} must be ${allowed.join(' or ')}, got ${actualType}.`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(', ')}.`];
+  }
+
+  const errors = [];
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}.`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}.`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be greater than ${schema.exclusiveMinimum}.`);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must not be empty.`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} has an invalid format.`);
+  }
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+  }
+  if (actualType === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${path}.${field} is required.`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties?.[field];
+      if (fieldSchema) {
+        errors.push(...validateAgainstSchema(fieldValue, fieldSchema, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${field} is not a known field.`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(fieldValue, schema.additionalProperties, `${path}.${field}`));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a new value for a setting.
+ * @param {string} key - The setting key.
+ * @param {any} value - The proposed value.
+ * @returns {string[]} The problems found, empty if the value can be saved.
+ */
+function validateSetting(key, value) {
+  const schema = SETTING_SCHEMAS[key];
+  if (!schema) {
+    return [`Unknown setting '${key}'. Must be one of: ${SETTING_KEYS.join(', ')}.`];
+  }
+  return validateAgainstSchema(value, schema, key);
+}
+
+/**
+ * Lists the differences between two setting values, field by field. Arrays are compared whole.
+ * @param {any} before - The old value.
+ * @param {any} after - The new value.
+ * @param {string} [path] - Prefix for the reported paths.
+ * @returns {Array<{path: string, change: string, before: any, after: any}>} The changes; `change` is 'added', 'removed' or 'changed'.
+ */
+function diffSettingValues(before, after, path = '') {
+  const isObject = (value) => jsonTypeOf(value) === 'object';
+  if (isObject(before) && isObject(after)) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return fields.flatMap((field) => {
+      const fieldPath = path ? `${path}.${field}` : field;
+      if (!(field in before)) return [{ path: fieldPath, change: 'added', before: null, after: after[field] }];
+      if (!(field in after)) return [{ path: fieldPath, change: 'removed', before: before[field], after: null }];
+      return diffSettingValues(before[field], after[field], fieldPath);
+    });
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  return [{ path, change: 'changed', before: before ?? null, after: after ?? null }];
+}
+
+/**
+ * Writes a setting's value to app_settings, creating the key if needed.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} key - The setting key.
+ * @param {any} value - The value.
+ * @returns {Promise<void>}
+ */
+async function writeSettingValue(client, key, value) {
+  await client.query(
+    `INSERT INTO app_settings (key, value)
+     VALUES ($1, $2::jsonb)
+     ON CONFLICT (key) DO UPDATE SET value = $2::jsonb`,
+    [key, JSON.stringify(value)]
+  );
+}
+
+/**
+ * Records a new version of a setting and, unless it is scheduled for later, applies it.
+ * The value must already have passed validateSetting().
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} change - The change.
+ * @param {string} change.key - The setting key.
+ * @param {any} change.value - The new value.
+ * @param {string} change.createdBy - The admin's UID.
+ * @param {Date|null} [change.effectiveAt] - When the change takes effect; now if omitted or in the past.
+ * @param {string|null} [change.note] - Why the change was made.
+ * @param {number|null} [change.rollbackOf] - The version being restored, for rollbacks.
+ * @returns {Promise<{version: number, status: string, effectiveAt: Date, previousValue: any}>} The new version.
+ */
+async function recordSettingVersion(client, { key, value, createdBy, effectiveAt = null, note = null, rollbackOf = null }) {
+  const now = new Date();
+  const scheduled = Boolean(effectiveAt && effectiveAt > now);
+
+  // Serialises changes to the key so they get consecutive version numbers. A row lock would not
+  // cover a key that has no app_settings row yet, so this takes a transaction-level advisory lock.
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [key]);
+  const currentRes = await client.query('SELECT value FROM app_settings WHERE key = $1', [key]);
+  const previousValue = currentRes.rows[0]?.value ?? null;
+
+  const latestRes = await client.query(
+    'SELECT COALESCE(MAX(version), 0) AS version FROM app_settings_versions WHERE key = $1',
+    [key]
+  );
+  let version = Number(latestRes.rows[0].version) + 1;
+
+  // Keeps the value set before versioning existed, so the first change can be diffed and rolled back.
+  if (version === 1 && previousValue !== null) {
+    await client.query(
+      `INSERT INTO app_settings_versions (key, version, value, status, applied_at, created_by, note)
+       VALUES ($1, 1, $2::jsonb, 'applied', NOW(), 'system', 'Initial value')`,
+      [key, JSON.stringify(previousValue)]
+    );
+    version = 2;
+  }
+
+  await client.query(
+    `INSERT INTO app_settings_versions
+       (key, version, value, status, effective_at, applied_at, rollback_of_version, note, created_by)
+     VALUES ($1, $2, $3::jsonb, $4, $5, $6, $7, $8, $9)`,
+    [
+      key, version, JSON.stringify(value), scheduled ? 'scheduled' : 'applied',
+      scheduled ? effectiveAt : now, scheduled ? null : now, rollbackOf, note, createdBy,
+    ]
+  );
+
+  if (!scheduled) {
+    await writeSettingValue(client, key, value);
+  }
+
+  return { version, status: scheduled ? 'scheduled' : 'applied', effectiveAt: scheduled ? effectiveAt : now, previousValue };
+}
+
+/**
+ * Applies scheduled setting versions whose time has come, oldest first. A version that no longer
+ * passes its schema (e.g. the schema changed since it was scheduled) is marked 'failed' instead.
+ * @param {object} client - The PostgreSQL client.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<{applied: number, failed: number}>} Outcome counts.
+ */
+async function applyScheduledSettings(client, now = new Date()) {
+  const counts = { applied: 0, failed: 0 };
+  try {
+    await client.query('BEGIN');
+    const dueRes = await client.query(
+      `SELECT id, key, version, value FROM app_settings_versions
+       WHERE status = 'scheduled' AND effective_at <= $1
+       ORDER BY effective_at, version
+       FOR UPDATE SKIP LOCKED`,
+      [now]
+    );
+
+    for (const due of dueRes.rows) {
+      const errors = validateSetting(due.key, due.value);
+      if (errors.length > 0) {
+        await client.query(
+          "UPDATE app_settings_versions SET status = 'failed', error = $2 WHERE id = $1",
+          [due.id, errors.join(' ')]
+        );
+        logger.error(`[Settings] Scheduled version ${due.version} of '${due.key}' is no longer valid: ${errors.join(' ')}`);
+        counts.failed += 1;
+        continue;
+      }
+      await writeSettingValue(client, due.key, due.value);
+      await client.query(
+        "UPDATE app_settings_versions SET status = 'applied', applied_at = $2 WHERE id = $1",
+        [due.id, now]
+      );
+      logger.info(`[Settings] Applied scheduled version ${due.version} of '${due.key}'.`);
+      counts.applied += 1;
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+  return counts;
+}
+
+module.exports = {
+  SETTING_SCHEMAS,
+  SETTING_KEYS,
+  SETTING_VERSION_STATUSES,
+  validateSetting,
+  diffSettingValues,
+  recordSettingVersion,
+  applyScheduledSettings,
+};
@@ -0,0 +1,174 @@
+const logger = require('./logger');
+
+// Telemetry fields firmware may report the pack's serial in, most specific first:
+// the BMS ID read over the battery bus, then an RFID tag read at the slot.
+const SERIAL_TELEMETRY_FIELDS = ['batterySerial', 'bmsId', 'rfidTag'];
+
+// Bulk imports are done in one transaction, so keep a single file to a manageable size.
+const MAX_IMPORT_ROWS = 1000;
+const MAX_BATTERY_UID_LENGTH = 100;
+const MAX_MODEL_LENGTH = 100;
+
+/**
+ * Reads the battery serial number from slot telemetry.
+ * @param {object} telemetry - The telemetry data object.
+ * @returns {string|null} The trimmed serial, or null if the firmware reported none.
+ */
+function getBatterySerialFromTelemetry(telemetry) {
+  for (const field of SERIAL_TELEMETRY_FIELDS) {
+    const value = telemetry?.[field];
+    if ((typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '') {
+      return String(value).trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the batteries row for a serial number, creating it the first time the pack is seen.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} serial - The hardware-reported serial (stored as battery_uid).
+ * @param {number|null} [chargeLevel] - The pack's current SOC, if known.
+ * @returns {Promise<number>} The battery ID.
+ */
+async function upsertBatteryBySerial(client, serial, chargeLevel = null) {
+  const soc = chargeLevel === null ? null : Math.round(chargeLevel);
+  const batteryRes = await client.query(
+    `INSERT INTO batteries (battery_uid, charge_level_percent)
+     VALUES ($1, COALESCE($2::int, 100))
+     ON CONFLICT (battery_uid) DO UPDATE
+       SET charge_level_percent = COALESCE($2::int, batteries.charge_level_percent)
+     RETURNING id`,
+    [serial, soc]
+  );
+  return batteryRes.rows[0].id;
+}
+
+/**
+ * Records which battery left a slot against the slot's in-progress withdrawal, and flags the
+ * session when it is not the battery the rider was billed for.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} slotId - The slot the battery was removed from.
+ * @param {number} batteryId - The battery that was in the slot.
+ * @returns {Promise<{sessionId: number, billedBatteryId: number|null, mismatch: boolean}|null>}
+ * The stamped withdrawal, or null if no withdrawal was in progress on the slot.
+ */
+async function recordCollectedBattery(client, slotId, batteryId) {
+  const stampRes = await client.query(
+    `UPDATE deposits
+     SET collected_battery_id = $2,
+         battery_mismatch = (battery_id IS NOT NULL AND battery_id <> $2)
+     WHERE slot_id = $1
+       AND session_type = 'withdrawal'
+       AND status = 'in_progress'
+       AND collected_battery_id IS NULL
+     RETURNING id, battery_id, battery_mismatch`,
+    [slotId, batteryId]
+  );
+  if (stampRes.rowCount === 0) {
+    return null;
+  }
+
+  const { id: sessionId, battery_id: billedBatteryId, battery_mismatch: mismatch } = stampRes.rows[0];
+  if (mismatch) {
+    logger.warn(`Battery mismatch on withdrawal ${sessionId}: billed for battery ${billedBatteryId}, collected battery ${batteryId}.`);
+  }
+  return { sessionId, billedBatteryId, mismatch };
+}
+
+/**
+ * Splits one CSV line into fields. Supports double-quoted fields with "" escapes; fields
+ * cannot span lines.
+ * @param {string} line - The CSV line.
+ * @returns {string[]} The trimmed field values.
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Parses a battery import CSV. The header row must have a `battery_uid` (or `serial`) column;
+ * `model` and `notes` columns are optional and other columns are ignored.
+ * @param {string} text - The CSV file contents.
+ * @returns {{batteries: {batteryUid: string, model: string|null, notes: string|null}[], errors: {line: number, error: string}[]}}
+ * The parsed batteries and any per-line errors.
+ */
+function parseBatteryCsv(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => line.trim() !== '');
+  if (headerIndex === -1) {
+    return { batteries: [], errors: [{ line: 1, error: 'The file is empty.' }] };
+  }
+
+  const header = splitCsvLine(lines[headerIndex]).map((name) => name.toLowerCase().replace(/[^a-z]/g, ''));
+  const uidColumn = header.findIndex((name) => name === 'batteryuid' || name === 'serial');
+  if (uidColumn === -1) {
+    return { batteries: [], errors: [{ line: headerIndex + 1, error: 'The header must include a battery_uid column.' }] };
+  }
+  const modelColumn = header.indexOf('model');
+  const notesColumn = header.indexOf('notes');
+
+  const batteries = [];
+  const errors = [];
+  const seen = new Set();
+  for (let i = headerIndex + 1; i < lines.length; i += 1) {
+    if (lines[i].trim() === '') {
+      continue;
+    }
+    const lineNumber = i + 1;
+    const fields = splitCsvLine(lines[i]);
+    const batteryUid = fields[uidColumn] || '';
+    const model = modelColumn === -1 ? null : fields[modelColumn] || null;
+
+    if (batteryUid === '') {
+      errors.push({ line: lineNumber, error: 'battery_uid is required.' });
+    } else if (batteryUid.length > MAX_BATTERY_UID_LENGTH) {
+      errors.push({ line: lineNumber, error: `battery_uid must be at most ${MAX_BATTERY_UID_LENGTH} characters.` });
+    } else if (model && model.length > MAX_MODEL_LENGTH) {
+      errors.push({ line: lineNumber, error: `model must be at most ${MAX_MODEL_LENGTH} characters.` });
+    } else if (seen.has(batteryUid)) {
+      errors.push({ line: lineNumber, error: `battery_uid ${batteryUid} appears more than once.` });
+    } else {
+      seen.add(batteryUid);
+      batteries.push({ batteryUid, model, notes: notesColumn === -1 ? null : fields[notesColumn] || null });
+    }
+  }
+
+  if (batteries.length + errors.length > MAX_IMPORT_ROWS) {
+    return { batteries: [], errors: [{ line: 1, error: `A file can hold at most ${MAX_IMPORT_ROWS} batteries.` }] };
+  }
+  return { batteries, errors };
+}
+
+module.exports = {
+  MAX_BATTERY_UID_LENGTH,
+  MAX_MODEL_LENGTH,
+  parseBatteryCsv,
+  getBatterySerialFromTelemetry,
+  upsertBatteryBySerial,
+  recordCollectedBattery,
+};
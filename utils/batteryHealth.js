@@ -0,0 +1,243 @@
+const logger = require('./logger');
+
+/**
+ * Battery state-of-health model.
+ *
+ * Every telemetry sync for a slot holding a known battery feeds one sample in here. From the
+ * SOC the pack gains between samples we count equivalent full cycles (100% of SOC gained = one
+ * cycle) and learn a charge-rate curve per 10% SOC band. Booth chargers deliver a roughly
+ * constant current in the bulk phase, so a pack whose capacity has faded gains SOC faster than it
+ * did when new: capacity fade is estimated from the bulk charge rate against the pack's first
+ * measured rate. The state of health is 100% minus the larger of the measured fade and the wear
+ * expected from the cycle count (20% at `rated_cycles`, the usual end-of-life definition).
+ */
+
+const DEFAULT_BATTERY_HEALTH_RULES = {
+  rated_cycles: 1500,
+  degraded_below_soh: 80,
+  faulty_below_soh: 60,
+  faulty_temperature_c: 65,
+};
+
+// Wear expected at rated_cycles, in SoH percentage points.
+const RATED_CYCLE_WEAR = 20;
+// Bands at or above this SOC are in the charger's constant-voltage taper (see chargeEstimator.js).
+const BULK_SOC_LIMIT = 80;
+// Longer gaps between samples (sync outages, charging paused) say nothing about the charge rate.
+const MAX_RATE_SAMPLE_GAP_MINUTES = 30;
+// Weight of the newest sample in a band's smoothed rate.
+const RATE_SMOOTHING = 0.2;
+// Bulk-band samples needed before the first bulk rate is fixed as the baseline.
+const BASELINE_MIN_SAMPLES = 10;
+
+const HEALTH_STATUS_RANK = { good: 0, degraded: 1, faulty: 2 };
+
+/**
+ * Loads the battery health rules from app_settings, falling back to the defaults.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<typeof DEFAULT_BATTERY_HEALTH_RULES>} The rules.
+ */
+async function getBatteryHealthRules(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'battery_health_rules'");
+  return { ...DEFAULT_BATTERY_HEALTH_RULES, ...(settingsRes.rows[0]?.value || {}) };
+}
+
+/**
+ * Reads the pack temperature from telemetry. Firmware reports 0 when it has no reading.
+ * @param {object} telemetry - The telemetry data object.
+ * @returns {number|null} The temperature in °C, or null.
+ */
+function getTemperatureFromTelemetry(telemetry) {
+  const temperature = Number(telemetry?.temperatureC ?? telemetry?.temperature);
+  return Number.isFinite(temperature) && temperature !== 0 ? temperature : null;
+}
+
+/**
+ * Folds one charge-rate observation into the curve.
+ * @param {object} curve - Band ('0', '10', ... '90') to `{rate, samples}`.
+ * @param {number} fromSoc - SOC at the start of the observation.
+ * @param {number} ratePercentPerMinute - The observed rate.
+ * @returns {object} The updated curve (a new object).
+ */
+function addRateSample(curve, fromSoc, ratePercentPerMinute) {
+  const band = String(Math.min(90, Math.floor(fromSoc / 10) * 10));
+  const previous = curve[band];
+  const rate = previous
+    ? previous.rate + RATE_SMOOTHING * (ratePercentPerMinute - previous.rate)
+    : ratePercentPerMinute;
+  return {
+    ...curve,
+    [band]: { rate: Number(rate.toFixed(4)), samples: (previous?.samples || 0) + 1 },
+  };
+}
+
+/**
+ * Averages the bulk-phase bands of a curve, weighted by sample count.
+ * @param {object} curve - The charge-rate curve.
+ * @returns {{rate: number|null, samples: number}} The bulk rate (null if unmeasured) and its sample count.
+ */
+function getBulkChargeRate(curve) {
+  let weighted = 0;
+  let samples = 0;
+  for (const [band, entry] of Object.entries(curve || {})) {
+    if (Number(band) < BULK_SOC_LIMIT && entry?.samples > 0) {
+      weighted += entry.rate * entry.samples;
+      samples += entry.samples;
+    }
+  }
+  return { rate: samples > 0 ? weighted / samples : null, samples };
+}
+
+/**
+ * Scores a battery's state of health and maps it to a health status.
+ * @param {object} state - The battery's accumulated health data.
+ * @param {number} state.cycleCount - Equivalent full cycles.
+ * @param {number|null} state.maxTemperatureC - Highest temperature seen.
+ * @param {number|null} state.bulkChargeRate - Current bulk charge rate (% per minute).
+ * @param {number|null} state.baselineChargeRate - Bulk charge rate when first measured.
+ * @param {typeof DEFAULT_BATTERY_HEALTH_RULES} rules - The health rules.
+ * @returns {{stateOfHealth: number, capacityFadePercent: number|null, healthStatus: string}} The score.
+ */
+function scoreBatteryHealth({ cycleCount, maxTemperatureC, bulkChargeRate, baselineChargeRate }, rules) {
+  const cycleWear = (Number(cycleCount) / Number(rules.rated_cycles)) * RATED_CYCLE_WEAR;
+  const capacityFadePercent = bulkChargeRate && baselineChargeRate
+    ? Math.max(0, (1 - baselineChargeRate / bulkChargeRate) * 100)
+    : null;
+
+  const stateOfHealth = Math.min(100, Math.max(0, 100 - Math.max(cycleWear, capacityFadePercent || 0)));
+
+  let healthStatus = 'good';
+  if (stateOfHealth < Number(rules.faulty_below_soh)
+    || (maxTemperatureC !== null && maxTemperatureC >= Number(rules.faulty_temperature_c))) {
+    healthStatus = 'faulty';
+  } else if (stateOfHealth < Number(rules.degraded_below_soh)) {
+    healthStatus = 'degraded';
+  }
+
+  return {
+    stateOfHealth: Number(stateOfHealth.toFixed(2)),
+    capacityFadePercent: capacityFadePercent === null ? null : Number(capacityFadePercent.toFixed(2)),
+    healthStatus,
+  };
+}
+
+/**
+ * Records one telemetry sample for the battery in a slot: counts cycles, tracks the peak
+ * temperature and the charge-rate curve, rescores the battery and updates today's trend row.
+ * Batteries are only ever moved to a worse status automatically, never back.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} batteryId - The battery in the slot.
+ * @param {number|null} soc - The SOC reported in this sample.
+ * @param {object} telemetry - The slot telemetry.
+ * @param {Date} [now] - The sample time.
+ * @returns {Promise<{stateOfHealth: number, healthStatus: string}|null>} The new score, or null if the battery is unknown.
+ */
+async function recordHealthSample(client, batteryId, soc, telemetry, now = new Date()) {
+  const rules = await getBatteryHealthRules(client);
+  const stateRes = await client.query(
+    `SELECT bat.health_status, h.cycle_count, h.max_temperature_c, h.charge_rate_curve,
+            h.baseline_charge_rate, h.last_soc, h.last_sample_at
+     FROM batteries bat
+     LEFT JOIN battery_health h ON h.battery_id = bat.id
+     WHERE bat.id = $1`,
+    [batteryId]
+  );
+  if (stateRes.rowCount === 0) {
+    return null;
+  }
+
+  const state = stateRes.rows[0];
+  const lastSoc = state.last_soc === null || state.last_soc === undefined ? null : Number(state.last_soc);
+  let cycleCount = Number(state.cycle_count || 0);
+  let curve = state.charge_rate_curve || {};
+  let baselineChargeRate = state.baseline_charge_rate === null || state.baseline_charge_rate === undefined
+    ? null
+    : Number(state.baseline_charge_rate);
+
+  // Only SOC gained counts: discharge and recalibration drops are not charge cycles.
+  if (soc !== null && lastSoc !== null && soc > lastSoc) {
+    const gained = soc - lastSoc;
+    cycleCount += gained / 100;
+
+    const minutes = state.last_sample_at ? (now.getTime() - new Date(state.last_sample_at).getTime()) / 60000 : 0;
+    if (minutes > 0 && minutes <= MAX_RATE_SAMPLE_GAP_MINUTES) {
+      curve = addRateSample(curve, lastSoc, gained / minutes);
+    }
+  }
+
+  const bulk = getBulkChargeRate(curve);
+  if (baselineChargeRate === null && bulk.samples >= BASELINE_MIN_SAMPLES) {
+    baselineChargeRate = bulk.rate;
+  }
+
+  const temperature = getTemperatureFromTelemetry(telemetry);
+  const previousMax = state.max_temperature_c === null || state.max_temperature_c === undefined
+    ? null
+    : Number(state.max_temperature_c);
+  const maxTemperatureC = temperature !== null && (previousMax === null || temperature > previousMax) ? temperature : previousMax;
+
+  const score = scoreBatteryHealth({
+    cycleCount,
+    maxTemperatureC,
+    bulkChargeRate: bulk.rate,
+    baselineChargeRate,
+  }, rules);
+  const currentStatus = state.health_status;
+  const healthStatus = HEALTH_STATUS_RANK[score.healthStatus] > (HEALTH_STATUS_RANK[currentStatus] ?? 0)
+    ? score.healthStatus
+    : currentStatus;
+
+  await client.query(
+    `INSERT INTO battery_health
+       (battery_id, cycle_count, max_temperature_c, state_of_health, capacity_fade_percent,
+        charge_rate_curve, baseline_charge_rate, last_soc, last_sample_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (battery_id) DO UPDATE SET
+       cycle_count = EXCLUDED.cycle_count,
+       max_temperature_c = EXCLUDED.max_temperature_c,
+       state_of_health = EXCLUDED.state_of_health,
+       capacity_fade_percent = EXCLUDED.capacity_fade_percent,
+       charge_rate_curve = EXCLUDED.charge_rate_curve,
+       baseline_charge_rate = EXCLUDED.baseline_charge_rate,
+       last_soc = COALESCE(EXCLUDED.last_soc, battery_health.last_soc),
+       last_sample_at = EXCLUDED.last_sample_at`,
+    [
+      batteryId, cycleCount.toFixed(2), maxTemperatureC, score.stateOfHealth, score.capacityFadePercent,
+      JSON.stringify(curve), baselineChargeRate, soc, now,
+    ]
+  );
+
+  await client.query(
+    `INSERT INTO battery_health_snapshots
+       (battery_id, snapshot_date, state_of_health, cycle_count, max_temperature_c, capacity_fade_percent, bulk_charge_rate, health_status)
+     VALUES ($1, $2::date, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (battery_id, snapshot_date) DO UPDATE SET
+       state_of_health = EXCLUDED.state_of_health,
+       cycle_count = EXCLUDED.cycle_count,
+       max_temperature_c = EXCLUDED.max_temperature_c,
+       capacity_fade_percent = EXCLUDED.capacity_fade_percent,
+       bulk_charge_rate = EXCLUDED.bulk_charge_rate,
+       health_status = EXCLUDED.health_status`,
+    [
+      batteryId, now.toISOString().slice(0, 10), score.stateOfHealth, cycleCount.toFixed(2), maxTemperatureC,
+      score.capacityFadePercent, bulk.rate === null ? null : Number(bulk.rate.toFixed(4)), healthStatus,
+    ]
+  );
+
+  if (healthStatus !== currentStatus) {
+    await client.query('UPDATE batteries SET health_status = $1 WHERE id = $2', [healthStatus, batteryId]);
+    logger.warn(`Battery ${batteryId} moved from '${currentStatus}' to '${healthStatus}' (SoH ${score.stateOfHealth}%, max ${maxTemperatureC ?? '-'}°C).`);
+  }
+
+  return { stateOfHealth: score.stateOfHealth, healthStatus };
+}
+
+module.exports = {
+  DEFAULT_BATTERY_HEALTH_RULES,
+  getBatteryHealthRules,
+  getTemperatureFromTelemetry,
+  scoreBatteryHealth,
+  addRateSample,
+  getBulkChargeRate,
+  recordHealthSample,
+};
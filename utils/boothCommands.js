@@ -0,0 +1,436 @@
+const { getDatabase } = require('firebase-admin/database');
+const logger = require('./logger');
+const { finalizeWithdrawalSession } = require('./sessionUtils');
+const { recordSessionPayment } = require('./ledger');
+const { calculateSwapPrice } = require('./pricingEngine');
+const { emitWebhookEvent } = require('./webhooks');
+const { extractValidSoc } = require('../controllers/booths/shared');
+
+/**
+ * The high-risk slot actions: force unlock, door-opening commands, slot reset and manual withdrawal.
+ *
+ * They are called straight from the admin booth routes, or once a second admin approves a
+ * pending request (see utils/commandApprovals.js). `actors` says who asked for the action and,
+ * if it went through approval, who approved it; both are stored on the sessions it changes.
+ */
+
+// Errors the actions throw for a request that can not be carried out, with the HTTP response for each.
+const BOOTH_COMMAND_ERRORS = {
+  BOOTH_NOT_FOUND: { status: 404, message: 'Booth not found.' },
+  INVALID_SLOT: { status: 400, message: 'Invalid slot identifier.' },
+  SLOT_NOT_FOUND: { status: 404, message: 'Slot not found.' },
+  NO_DEPOSITED_BATTERY: { status: 400, message: 'No deposited battery found in this slot. No withdrawal session to complete.' },
+  WITHDRAWAL_IN_PROGRESS: { status: 409, message: 'An active withdrawal session already exists on this slot. Resolve it first.' },
+  PRICING_NOT_CONFIGURED: { status: 500, message: 'Pricing settings are not configured in the database.' },
+};
+
+/**
+ * Generates the initial data structure for 15 slots in a new booth.
+ * @returns {object} An object containing 15 slots with default values.
+ */
+function initializeFirebaseSlots() {
+  const slots = {};
+  const defaultSlotData = {
+    battery: false,
+    command: {
+      ack: "",
+      forceLock: false,
+      forceUnlock: false,
+      lastScannedSerial: "",
+      openDoorId: "",
+      openForCollection: false,
+      openForDeposit: false,
+      startCharging: false,
+      stopCharging: false
+    },
+    devicePresent: false,
+    events: {},
+    final_soc: 22,
+    final_voltage: 0,
+    initial_soc: 0,
+    initial_voltage: 0,
+    pendingCmd: false,
+    rejection: {},
+    relay: "OFF",
+    relayOn: false,
+    safetyReason: "",
+    shouldCharge: true,
+    soc: 0,
+    status: "booting", // Or 'available'
+    telemetry: {
+      batteryInserted: false,
+      doorClosed: true,
+      doorLocked: true,
+      plugConnected: false,
+      qr: "",
+      relayOn: false,
+      restVoltage: 0,
+      soc: 0,
+      status: "booting",
+      temperature: 0,
+      temperatureC: 0,
+      timestamp: 0,
+      voltage: 0
+    }
+  };
+
+  for (let i = 1; i <= 15; i++) {
+    const slotIdentifier = `slot${String(i).padStart(3, '0')}`; // e.g., slot001
+    slots[slotIdentifier] = { ...defaultSlotData };
+  }
+  return slots;
+}
+
+/**
+ * Force-unlocks a slot: completes the slot's stuck withdrawal (or fails an orphaned deposit),
+ * frees the slot, then writes the commands to Firebase.
+ * A database failure is logged and does not stop the commands, as a stuck door must still open.
+ * @param {object} client - The PostgreSQL client, not within a transaction.
+ * @param {string} boothUid - The booth.
+ * @param {string} slotIdentifier - The slot.
+ * @param {object} commands - The Firebase command flags, including `forceUnlock: true`.
+ * @param {{requestedBy: string, approvedBy?: string|null, approvalId?: number|null}} actors - Who asked and who approved.
+ * @returns {Promise<{previousCommand: object|null, forceCompletedSessionId: number|null}>} The command before the write and the completed withdrawal.
+ */
+async function forceUnlockSlot(client, boothUid, slotIdentifier, commands, actors) {
+  const { requestedBy, approvedBy = null, approvalId = null } = actors;
+  let forceCompletedSessionId = null;
+
+  // --- Auto-complete stuck withdrawal sessions on Force Unlock ---
+  // If an admin is force-unlocking, it often implies a manual intervention for a withdrawal.
+  // We resolve the last 'in_progress' withdrawal session for this slot to keep the DB in sync.
+  try {
+    await client.query('BEGIN');
+
+    const updateResult = await client.query(`
+      UPDATE deposits
+      SET
+        status = 'completed',
+        completed_at = NOW(),
+        notes = COALESCE(notes, '') || '\n[' || NOW() || '] Session force-completed by admin via manual unlock command.',
+        action_requested_by = $3,
+        action_approved_by = $4,
+        command_approval_id = $5
+      WHERE id = (
+        SELECT d.id
+        FROM deposits d
+        JOIN booth_slots s ON d.slot_id = s.id
+        JOIN booths b ON s.booth_id = b.id
+        WHERE b.booth_uid = $1
+          AND s.slot_identifier = $2
+          AND d.session_type = 'withdrawal'
+          AND d.status = 'in_progress'
+        ORDER BY d.created_at DESC
+        LIMIT 1
+      )
+      RETURNING id, consumed_deposit_id;
+    `, [boothUid, slotIdentifier, requestedBy, approvedBy, approvalId]);
+
+    // If we force-completed a withdrawal, we must also mark the associated 'deposit credit'
+    // as 'redeemed' to prevent the user from withdrawing again with the same credit.
+    if (updateResult.rowCount > 0 && updateResult.rows[0].consumed_deposit_id) {
+      await client.query(
+        "UPDATE deposits SET status = 'redeemed', updated_at = NOW() WHERE id = $1",
+        [updateResult.rows[0].consumed_deposit_id]
+      );
+    }
+
+    // If no in_progress withdrawal was found, mark any orphaned completed deposit on this slot
+    // as 'failed' so it doesn't appear as an active session to the user.
+    if (updateResult.rowCount === 0) {
+      await client.query(`
+        UPDATE deposits
+        SET status = 'failed',
+            notes = COALESCE(notes, '') || '\n[' || NOW() || '] Slot force-unlocked with no active withdrawal.',
+            action_requested_by = $3,
+            action_approved_by = $4,
+            command_approval_id = $5
+        WHERE slot_id = (
+          SELECT s.id FROM booth_slots s
+          JOIN booths b ON s.booth_id = b.id
+          WHERE b.booth_uid = $1 AND s.slot_identifier = $2
+        )
+          AND session_type = 'deposit' AND status = 'completed'
+      `, [boothUid, slotIdentifier, requestedBy, approvedBy, approvalId]);
+    }
+
+    // Also reset the slot status to 'available' and remove the battery link.
+    // This ensures the slot is immediately ready for the next user.
+    await client.query(`
+      UPDATE booth_slots
+      SET 
+        status = 'available',
+        current_battery_id = NULL,
+        updated_at = NOW()
+      WHERE slot_identifier = $2 
+        AND booth_id = (SELECT id FROM booths WHERE booth_uid = $1)
+    `, [boothUid, slotIdentifier]);
+
+    await client.query('COMMIT');
+
+    if (updateResult.rowCount > 0) {
+      forceCompletedSessionId = updateResult.rows[0].id;
+      logger.info(`Admin (UID: ${requestedBy}) force-unlocked slot ${slotIdentifier}. Withdrawal session ${updateResult.rows[0].id} was auto-completed and slot reset to available.`);
+    }
+  } catch (dbError) {
+    await client.query('ROLLBACK');
+    logger.error(`Failed to auto-complete session during forceUnlock for ${slotIdentifier}:`, dbError);
+  }
+
+  const { previousCommand } = await sendSlotCommands(boothUid, slotIdentifier, commands);
+
+  return { previousCommand, forceCompletedSessionId };
+}
+
+/**
+ * Writes command flags to a slot's command object in Firebase.
+ * @param {string} boothUid - The booth.
+ * @param {string} slotIdentifier - The slot.
+ * @param {object} commands - The Firebase command flags, e.g. `{ openForCollection: true }`.
+ * @returns {Promise<{previousCommand: object|null}>} The command before the write.
+ */
+async function sendSlotCommands(boothUid, slotIdentifier, commands) {
+  const commandRef = getDatabase().ref(`booths/${boothUid}/slots/${slotIdentifier}/command`);
+  const previousCommand = (await commandRef.get()).val();
+  await commandRef.update(commands);
+
+  return { previousCommand };
+}
+
+/**
+ * Resets one or all slots of a booth to their default state in PostgreSQL and Firebase,
+ * failing any session still active in them.
+ * @param {object} client - The PostgreSQL client, not within a transaction.
+ * @param {string} boothUid - The booth.
+ * @param {string|null} slotIdentifier - The slot to reset, or null for every slot.
+ * @param {{requestedBy: string, approvedBy?: string|null, approvalId?: number|null}} actors - Who asked and who approved.
+ * @returns {Promise<{terminatedSessionIds: number[]}>} The sessions that were failed.
+ * @throws {Error} 'BOOTH_NOT_FOUND', or 'INVALID_SLOT' for an unknown slot identifier.
+ */
+async function resetBoothSlots(client, boothUid, slotIdentifier, actors) {
+  const { requestedBy, approvedBy = null, approvalId = null } = actors;
+
+  try {
+    await client.query('BEGIN');
+
+    // 1. Get the internal booth ID
+    const boothRes = await client.query('SELECT id FROM booths WHERE booth_uid = $1', [boothUid]);
+    if (boothRes.rows.length === 0) {
+      throw new Error('BOOTH_NOT_FOUND');
+    }
+    const boothId = boothRes.rows[0].id;
+
+    const allDefaultSlots = initializeFirebaseSlots();
+    if (slotIdentifier && !allDefaultSlots[slotIdentifier]) {
+      throw new Error('INVALID_SLOT');
+    }
+
+    // 2. Find and terminate any active user sessions in the slot(s) being reset.
+    // An active session is one that is not already in a terminal state (failed, cancelled, or a completed withdrawal).
+    const terminateSessionsQuery = `
+      UPDATE deposits
+      SET status = 'failed',
+          action_requested_by = $2,
+          action_approved_by = $3,
+          command_approval_id = $4
+      WHERE id IN (
+        SELECT d.id FROM deposits d
+        JOIN booth_slots s ON d.slot_id = s.id
+        WHERE s.booth_id = $1
+          ${slotIdentifier ? 'AND s.slot_identifier = $5' : ''}
+          AND d.status NOT IN ('failed', 'cancelled')
+          AND NOT (d.session_type = 'withdrawal' AND d.status = 'completed')
+      )
+      RETURNING id;
+    `;
+    const terminateParams = [boothId, requestedBy, approvedBy, approvalId];
+    if (slotIdentifier) terminateParams.push(slotIdentifier);
+    const terminatedRes = await client.query(terminateSessionsQuery, terminateParams);
+
+    // 3. Reset the slot(s) in PostgreSQL
+    const pgResetQuery = `
+      UPDATE booth_slots
+      SET
+        status = 'available',
+        current_battery_id = NULL,
+        charge_level_percent = NULL,
+        door_status = 'closed',
+        is_charging = FALSE,
+        telemetry = NULL,
+        updated_at = NOW()
+      WHERE booth_id = $1
+    ` + (slotIdentifier ? 'AND slot_identifier = $2' : '');
+
+    const pgQueryParams = slotIdentifier ? [boothId, slotIdentifier] : [boothId];
+    await client.query(pgResetQuery, pgQueryParams);
+
+    // 4. Reset the slot(s) in Firebase
+    const db = getDatabase();
+    if (slotIdentifier) {
+      await db.ref(`booths/${boothUid}/slots/${slotIdentifier}`).set(allDefaultSlots[slotIdentifier]);
+      logger.info(`Admin ${requestedBy} reset slot ${boothUid}/${slotIdentifier}.`);
+    } else {
+      await db.ref(`booths/${boothUid}/slots`).set(allDefaultSlots);
+      logger.info(`Admin ${requestedBy} reset all slots for booth ${boothUid}.`);
+    }
+
+    await client.query('COMMIT');
+    return { terminatedSessionIds: terminatedRes.rows.map((row) => row.id) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Manually withdraws the battery left in a slot, for a rider who paid the admin in person:
+ * stops charging, prices the swap, records a completed cash withdrawal and its ledger entry,
+ * frees the slot and opens the door.
+ * @param {object} client - The PostgreSQL client, not within a transaction.
+ * @param {string} boothUid - The booth.
+ * @param {string} slotIdentifier - The slot.
+ * @param {{requestedBy: string, approvedBy?: string|null, approvalId?: number|null}} actors - Who asked and who approved.
+ * @returns {Promise<{sessionId: number, depositSessionId: number, userId: string, userName: string, amount: number, price: object}>} The new withdrawal.
+ * @throws {Error} 'SLOT_NOT_FOUND', 'NO_DEPOSITED_BATTERY', 'WITHDRAWAL_IN_PROGRESS' or 'PRICING_NOT_CONFIGURED'.
+ */
+async function manualWithdrawBattery(client, boothUid, slotIdentifier, actors) {
+  const { requestedBy, approvedBy = null, approvalId = null } = actors;
+  const db = getDatabase();
+  const commandRef = db.ref(`booths/${boothUid}/slots/${slotIdentifier}/command`);
+
+  let result;
+  try {
+    await client.query('BEGIN');
+
+    // 1. Resolve the slot and booth
+    const slotRes = await client.query(`
+      SELECT s.id AS "slotId", s.charge_level_percent AS "chargeLevel", s.current_battery_id,
+             b.id AS "boothId", b.booth_uid
+      FROM booth_slots s
+      JOIN booths b ON s.booth_id = b.id
+      WHERE b.booth_uid = $1 AND s.slot_identifier = $2
+      FOR UPDATE OF s
+    `, [boothUid, slotIdentifier]);
+
+    if (slotRes.rows.length === 0) {
+      throw new Error('SLOT_NOT_FOUND');
+    }
+
+    const { slotId, chargeLevel: dbChargeLevel, boothId } = slotRes.rows[0];
+
+    // 2. Find the most recent completed deposit on this slot (the battery owner)
+    const depositRes = await client.query(`
+      SELECT d.id, d.user_id, d.initial_charge_level, d.completed_at,
+             u.name AS "userName"
+      FROM deposits d
+      JOIN users u ON d.user_id = u.user_id
+      WHERE d.slot_id = $1 AND d.session_type = 'deposit' AND d.status = 'completed'
+      ORDER BY d.completed_at DESC
+      LIMIT 1
+    `, [slotId]);
+
+    if (depositRes.rows.length === 0) {
+      throw new Error('NO_DEPOSITED_BATTERY');
+    }
+
+    const { id: depositCreditId, user_id: userId, initial_charge_level: slotInitialSoc, completed_at: depositCompletedAt, userName } = depositRes.rows[0];
+
+    // 3. Guard: ensure there is no active withdrawal on this slot
+    const activeWithdrawalRes = await client.query(`
+      SELECT 1 FROM deposits
+      WHERE slot_id = $1 AND session_type = 'withdrawal' AND status IN ('pending', 'in_progress')
+      LIMIT 1
+    `, [slotId]);
+
+    if (activeWithdrawalRes.rows.length > 0) {
+      throw new Error('WITHDRAWAL_IN_PROGRESS');
+    }
+
+    // 4. Stop charging via Firebase command
+    await commandRef.update({ stopCharging: true });
+
+    // 5. Fetch pricing
+    const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'pricing'");
+    if (settingsRes.rows.length === 0) {
+      throw new Error('PRICING_NOT_CONFIGURED');
+    }
+
+    const pricingRules = settingsRes.rows[0].value;
+
+    // 6. Read current SOC from Firebase telemetry, fallback to DB
+    const snapshot = await db.ref(`booths/${boothUid}/slots/${slotIdentifier}`).get();
+    const slotData = snapshot.exists() ? snapshot.val() : null;
+    const currentChargeLevel = Number(extractValidSoc(slotData, dbChargeLevel) ?? 0);
+
+    // 7. Calculate cost
+    const price = calculateSwapPrice(pricingRules, {
+      boothUid,
+      initialSoc: slotInitialSoc,
+      finalSoc: currentChargeLevel,
+      depositCompletedAt,
+    });
+    const totalCost = price.total;
+
+    // 8. Create withdrawal session (completed) and redeem the deposit credit
+    const insertRes = await client.query(`
+      INSERT INTO deposits
+        (user_id, booth_id, slot_id, session_type, status, amount, initial_charge_level, consumed_deposit_id, completed_at, notes, payment_method, price_breakdown,
+         action_requested_by, action_approved_by, command_approval_id)
+      VALUES
+        ($1, $2, $3, 'withdrawal', 'completed', $4, $5, $6, NOW(), 'Manual admin withdraw — physical payment collected', 'cash', $7, $8, $9, $10)
+      RETURNING id
+    `, [userId, boothId, slotId, totalCost, currentChargeLevel, depositCreditId, JSON.stringify(price), requestedBy, approvedBy, approvalId]);
+
+    const newSessionId = insertRes.rows[0].id;
+
+    // Book the physically collected payment in the ledger.
+    await recordSessionPayment(client, {
+      sessionId: newSessionId,
+      userId,
+      boothId,
+      amount: totalCost,
+      paymentMethod: 'cash',
+      createdBy: requestedBy,
+    });
+
+    // 9. Finalize the slot state using the same shared logic as paid withdrawals.
+    // Pass the newSessionId so the CTE matches the just-inserted completed withdrawal
+    // and the deposit credit is properly redeemed.
+    await finalizeWithdrawalSession(client, slotId, slotIdentifier, newSessionId);
+
+    // Partners get the same events as for a rider's withdrawal.
+    const sessionEvent = { sessionId: newSessionId, sessionType: 'withdrawal', userId, boothUid, slotIdentifier };
+    await emitWebhookEvent(client, 'session.created', { ...sessionEvent, amount: Number(totalCost).toFixed(2) });
+    await emitWebhookEvent(client, 'payment.succeeded', {
+      sessionId: newSessionId,
+      userId,
+      boothUid,
+      amount: Number(totalCost).toFixed(2),
+      paymentMethod: 'cash',
+      reference: null,
+    });
+    await emitWebhookEvent(client, 'session.completed', sessionEvent);
+
+    await client.query('COMMIT');
+    result = { sessionId: newSessionId, depositSessionId: depositCreditId, userId, userName, amount: totalCost, price };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  // 10. Send openForCollection to Firebase to release the battery
+  await commandRef.update({ openForCollection: true });
+
+  logger.info(`Admin (UID: ${requestedBy}) manually withdrew battery from ${boothUid}/${slotIdentifier}. ` +
+    `Session ${result.sessionId} created for user ${result.userId} (${result.userName}), amount KES ${result.amount}.`);
+  return result;
+}
+
+module.exports = {
+  BOOTH_COMMAND_ERRORS,
+  initializeFirebaseSlots,
+  forceUnlockSlot,
+  sendSlotCommands,
+  resetBoothSlots,
+  manualWithdrawBattery,
+};
@@ -0,0 +1,173 @@
+const { sendAdminAlert } = require('./adminAlerts');
+const { raiseAlert, resolveAlerts } = require('./alerts');
+const { emitWebhookEvent } = require('./webhooks');
+
+const DEFAULT_HEARTBEAT_SETTINGS = { offline_after_seconds: 300 };
+
+// Telemetry can change every few seconds; the heartbeat only needs to be this fresh.
+const HEARTBEAT_WRITE_INTERVAL_MS = 30 * 1000;
+
+// Last heartbeat written per booth UID, to skip redundant writes.
+const lastHeartbeats = new Map();
+
+/**
+ * Loads the heartbeat settings from app_settings, falling back to the defaults.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<typeof DEFAULT_HEARTBEAT_SETTINGS>} The settings.
+ */
+async function getHeartbeatSettings(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'booth_heartbeat'");
+  return { ...DEFAULT_HEARTBEAT_SETTINGS, ...(settingsRes.rows[0]?.value || {}) };
+}
+
+/**
+ * Checks whether any slot's telemetry changed between two Firebase snapshots of a booth.
+ * Commands and statuses written by the backend do not count: only the hardware writes telemetry.
+ * @param {object|null} boothBefore - The booth's previous Firebase data.
+ * @param {object|null} boothAfter - The booth's current Firebase data.
+ * @returns {boolean} True if the booth reported new telemetry.
+ */
+function hasTelemetryChanged(boothBefore, boothAfter) {
+  const beforeSlots = boothBefore?.slots || {};
+  return Object.entries(boothAfter?.slots || {}).some(([slotIdentifier, slot]) => (
+    slot?.telemetry && JSON.stringify(slot.telemetry) !== JSON.stringify(beforeSlots[slotIdentifier]?.telemetry)
+  ));
+}
+
+/**
+ * Checks whether the booth's stored heartbeat is old enough to be written again.
+ * @param {string} boothUid - The booth.
+ * @param {Date} [now] - The current time.
+ * @returns {boolean} True if a heartbeat should be recorded.
+ */
+function isHeartbeatDue(boothUid, now = new Date()) {
+  const last = lastHeartbeats.get(boothUid);
+  return !last || now.getTime() - last >= HEARTBEAT_WRITE_INTERVAL_MS;
+}
+
+/**
+ * Records that the booth is alive.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} boothUid - The booth.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<void>}
+ */
+async function recordBoothHeartbeat(client, boothUid, now = new Date()) {
+  lastHeartbeats.set(boothUid, now.getTime());
+  await client.query(
+    'UPDATE booths SET last_heartbeat_at = $2 WHERE booth_uid = $1 AND (last_heartbeat_at IS NULL OR last_heartbeat_at < $2)',
+    [boothUid, now]
+  );
+}
+
+/**
+ * Adds a row to the booth status history.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} change - The change.
+ * @param {number} change.boothId - The booth.
+ * @param {string|null} change.fromStatus - The status before.
+ * @param {string} change.toStatus - The status after.
+ * @param {string} change.reason - 'heartbeat_lost', 'heartbeat_restored' or 'admin'.
+ * @param {Date|null} [change.lastHeartbeatAt] - The booth's last heartbeat.
+ * @param {string|null} [change.changedBy] - The admin's Firebase UID.
+ * @returns {Promise<void>}
+ */
+async function recordBoothStatusChange(client, { boothId, fromStatus, toStatus, reason, lastHeartbeatAt = null, changedBy = null }) {
+  await client.query(
+    `INSERT INTO booth_status_history (booth_id, from_status, to_status, reason, last_heartbeat_at, changed_by)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [boothId, fromStatus, toStatus, reason, lastHeartbeatAt, changedBy]
+  );
+}
+
+/**
+ * Marks online booths with no recent heartbeat as offline, and brings booths this check took
+ * offline back online once their heartbeat resumes. Booths an admin set offline or into
+ * maintenance are left alone.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<{offline: object[], online: object[]}>} The booths that changed, as `{boothId, boothUid, name, lastHeartbeatAt}`.
+ */
+async function checkBoothHeartbeats(client, now = new Date()) {
+  const { offline_after_seconds: offlineAfterSeconds } = await getHeartbeatSettings(client);
+  const cutoff = new Date(now.getTime() - Number(offlineAfterSeconds) * 1000);
+
+  const restoredRes = await client.query(
+    `UPDATE booths
+     SET status = 'online', auto_offline_at = NULL, updated_at = NOW()
+     WHERE status = 'offline'
+       AND auto_offline_at IS NOT NULL
+       AND last_heartbeat_at > auto_offline_at
+       AND last_heartbeat_at >= $1
+     RETURNING id, booth_uid, name, last_heartbeat_at`,
+    [cutoff]
+  );
+  const lostRes = await client.query(
+    `UPDATE booths
+     SET status = 'offline', auto_offline_at = $2, updated_at = NOW()
+     WHERE status = 'online'
+       AND (last_heartbeat_at IS NULL OR last_heartbeat_at < $1)
+     RETURNING id, booth_uid, name, last_heartbeat_at`,
+    [cutoff, now]
+  );
+
+  const toTransition = (row) => ({
+    boothId: row.id,
+    boothUid: row.booth_uid,
+    name: row.name,
+    lastHeartbeatAt: row.last_heartbeat_at,
+  });
+  const online = restoredRes.rows.map(toTransition);
+  const offline = lostRes.rows.map(toTransition);
+
+  for (const booth of online) {
+    await recordBoothStatusChange(client, { boothId: booth.boothId, fromStatus: 'offline', toStatus: 'online', reason: 'heartbeat_restored', lastHeartbeatAt: booth.lastHeartbeatAt });
+  }
+  for (const booth of offline) {
+    await recordBoothStatusChange(client, { boothId: booth.boothId, fromStatus: 'online', toStatus: 'offline', reason: 'heartbeat_lost', lastHeartbeatAt: booth.lastHeartbeatAt });
+    await emitWebhookEvent(client, 'booth.offline', { boothUid: booth.boothUid, name: booth.name, lastHeartbeatAt: booth.lastHeartbeatAt });
+  }
+
+  return { offline, online };
+}
+
+/**
+ * Raises a booth_offline alert for each booth that went offline, and resolves it (with a push to
+ * admins) when the booth comes back.
+ * @param {object} client - The PostgreSQL client.
+ * @param {{offline: object[], online: object[]}} transitions - The result of checkBoothHeartbeats().
+ * @returns {Promise<void>}
+ */
+async function alertBoothTransitions(client, { offline, online }) {
+  for (const booth of offline) {
+    const silence = booth.lastHeartbeatAt
+      ? `has sent no telemetry since ${new Date(booth.lastHeartbeatAt).toISOString()}`
+      : 'has never sent telemetry';
+    await raiseAlert(client, {
+      boothId: booth.boothId,
+      ruleType: 'booth_offline',
+      dedupKey: `booth_offline:${booth.boothId}`,
+      title: 'Booth offline',
+      message: `${booth.name || booth.boothUid} ${silence}.`,
+      data: { boothUid: booth.boothUid, lastHeartbeatAt: booth.lastHeartbeatAt },
+    });
+  }
+  for (const booth of online) {
+    await resolveAlerts(client, `booth_offline:${booth.boothId}`, 'Heartbeat restored.');
+    await sendAdminAlert(client, {
+      title: 'Booth back online',
+      body: `${booth.name || booth.boothUid} is sending telemetry again.`,
+      data: { event: 'booth_online', boothUid: booth.boothUid },
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_HEARTBEAT_SETTINGS,
+  hasTelemetryChanged,
+  isHeartbeatDue,
+  recordBoothHeartbeat,
+  recordBoothStatusChange,
+  checkBoothHeartbeats,
+  alertBoothTransitions,
+};
@@ -0,0 +1,129 @@
+/**
+ * Estimates how long a battery needs to reach a given state of charge.
+ *
+ * Lithium packs charge roughly linearly up to ~80% (constant current) and then slow
+ * down while the charger holds the voltage (constant voltage). The estimator models
+ * this as a linear "bulk" rate that drops by TAPER_FACTOR above TAPER_START_SOC, and
+ * learns the bulk rate from what the battery has actually gained since it was deposited,
+ * or from the slot's recent telemetry samples.
+ */
+
+const DEFAULT_RATE_PERCENT_PER_MINUTE = 0.5;
+const TAPER_START_SOC = 80;
+const TAPER_FACTOR = 0.5;
+// Below this much observed charging the measured rate is mostly noise.
+const MIN_OBSERVATION_MINUTES = 5;
+
+/**
+ * Converts a SOC range into "bulk-rate minutes of work", weighting the taper zone.
+ * @param {number} fromSoc - Starting SOC (%).
+ * @param {number} toSoc - Target SOC (%).
+ * @returns {number} Effort in %-at-bulk-rate units.
+ */
+function chargeEffort(fromSoc, toSoc) {
+  const from = Math.max(0, Math.min(100, fromSoc));
+  const to = Math.max(0, Math.min(100, toSoc));
+  if (to <= from) return 0;
+
+  const bulk = Math.max(0, Math.min(to, TAPER_START_SOC) - from);
+  const taper = Math.max(0, to - Math.max(from, TAPER_START_SOC));
+  return bulk + taper / TAPER_FACTOR;
+}
+
+/**
+ * Estimates the bulk charge rate from the charge gained since the battery was deposited.
+ * Falls back to DEFAULT_RATE_PERCENT_PER_MINUTE when there is not enough history.
+ * @param {object} observation - What has been observed so far.
+ * @param {number|string} observation.initialSoc - SOC when charging started.
+ * @param {number|string} observation.currentSoc - SOC now.
+ * @param {Date|string|null} observation.chargingSince - When charging started.
+ * @param {Date} [observation.now] - The current time.
+ * @returns {{ratePercentPerMinute: number, observed: boolean}} The bulk rate and whether it was measured.
+ */
+function estimateChargeRate({ initialSoc, currentSoc, chargingSince, now = new Date() }) {
+  const elapsedMinutes = chargingSince ? (now.getTime() - new Date(chargingSince).getTime()) / 60000 : 0;
+  const effort = chargeEffort(Number(initialSoc) || 0, Number(currentSoc) || 0);
+
+  // A battery that reached 100% long ago would look like a very slow charger, so only
+  // trust the observation while it is still below full.
+  if (elapsedMinutes >= MIN_OBSERVATION_MINUTES && effort > 0 && Number(currentSoc) < 100) {
+    return { ratePercentPerMinute: effort / elapsedMinutes, observed: true };
+  }
+
+  return { ratePercentPerMinute: DEFAULT_RATE_PERCENT_PER_MINUTE, observed: false };
+}
+
+/**
+ * Estimates the minutes needed to go from the current SOC to a target SOC.
+ * @param {number} currentSoc - SOC now (%).
+ * @param {number} targetSoc - Target SOC (%).
+ * @param {number} ratePercentPerMinute - Bulk charge rate from estimateChargeRate().
+ * @returns {number} Whole minutes (0 when the target is already reached).
+ */
+function estimateMinutesToSoc(currentSoc, targetSoc, ratePercentPerMinute) {
+  const effort = chargeEffort(Number(currentSoc) || 0, Number(targetSoc));
+  if (effort === 0 || !(ratePercentPerMinute > 0)) return 0;
+  return Math.ceil(effort / ratePercentPerMinute);
+}
+
+/**
+ * Estimates the bulk charge rate from a slot's recent SOC samples.
+ * @param {{at: Date|string, soc: number|string|null}[]} samples - Samples taken while charging, oldest first.
+ * @returns {number|null} The bulk rate (% per minute), or null if the samples span too little time or no charge.
+ */
+function estimateRateFromSamples(samples) {
+  const withSoc = (samples || []).filter((sample) => sample.soc !== null && sample.soc !== undefined);
+  if (withSoc.length < 2) return null;
+
+  const first = withSoc[0];
+  const last = withSoc[withSoc.length - 1];
+  const minutes = (new Date(last.at).getTime() - new Date(first.at).getTime()) / 60000;
+  const effort = chargeEffort(Number(first.soc), Number(last.soc));
+  if (minutes < MIN_OBSERVATION_MINUTES || effort <= 0) return null;
+  return effort / minutes;
+}
+
+/**
+ * Predicts when a charging battery will reach the withdrawal threshold and full charge. The
+ * slot's own recent rate is preferred, then the booth's historical average, then the default.
+ * @param {object} input - What is known about the battery.
+ * @param {number} input.currentSoc - SOC now (%).
+ * @param {number} input.thresholdSoc - The SOC a battery needs before it can be withdrawn.
+ * @param {number|null} [input.slotRate] - Bulk rate from the slot's recent samples.
+ * @param {number|null} [input.boothRate] - Historical bulk rate at the booth.
+ * @param {Date} [input.now] - The current time.
+ * @returns {{ratePercentPerMinute: number, rateSource: string, thresholdSoc: number, minutesToThreshold: number,
+ * thresholdAt: Date, minutesToFull: number, fullAt: Date}} The prediction.
+ */
+function predictChargeEta({ currentSoc, thresholdSoc, slotRate = null, boothRate = null, now = new Date() }) {
+  let ratePercentPerMinute = DEFAULT_RATE_PERCENT_PER_MINUTE;
+  let rateSource = 'default';
+  if (slotRate > 0) {
+    ratePercentPerMinute = slotRate;
+    rateSource = 'slot';
+  } else if (boothRate > 0) {
+    ratePercentPerMinute = boothRate;
+    rateSource = 'booth';
+  }
+
+  const minutesToThreshold = estimateMinutesToSoc(currentSoc, thresholdSoc, ratePercentPerMinute);
+  const minutesToFull = estimateMinutesToSoc(currentSoc, 100, ratePercentPerMinute);
+  return {
+    ratePercentPerMinute,
+    rateSource,
+    thresholdSoc,
+    minutesToThreshold,
+    thresholdAt: new Date(now.getTime() + minutesToThreshold * 60000),
+    minutesToFull,
+    fullAt: new Date(now.getTime() + minutesToFull * 60000),
+  };
+}
+
+module.exports = {
+  DEFAULT_RATE_PERCENT_PER_MINUTE,
+  TAPER_START_SOC,
+  estimateChargeRate,
+  estimateMinutesToSoc,
+  estimateRateFromSamples,
+  predictChargeEta,
+};
@@ -0,0 +1,85 @@
+const { estimateRateFromSamples, predictChargeEta } = require('./chargeEstimator');
+const { getRecentSocSamples, getBoothBulkChargeRate } = require('./telemetryStore');
+const { sendNotification } = require('./notifications');
+
+const DEFAULT_WITHDRAWAL_RULES = { min_charge_level: 95 };
+
+/**
+ * Loads the withdrawal rules from app_settings, falling back to the defaults.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<typeof DEFAULT_WITHDRAWAL_RULES>} The withdrawal rules.
+ */
+async function getWithdrawalRules(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'withdrawal_rules'");
+  return { ...DEFAULT_WITHDRAWAL_RULES, ...(settingsRes.rows[0]?.value || {}) };
+}
+
+/**
+ * Predicts when a deposited battery will be ready (at the withdrawal threshold) and full.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} battery - The battery being charged.
+ * @param {number} battery.slotId - Its slot.
+ * @param {number} battery.boothId - Its booth.
+ * @param {number} battery.currentSoc - Its SOC now.
+ * @param {number} thresholdSoc - The withdrawal threshold.
+ * @param {Map<number, Promise<number|null>>} [boothRates] - Booth rates already looked up for this request.
+ * @returns {Promise<object>} The prediction from predictChargeEta().
+ */
+async function getChargeEta(client, { slotId, boothId, currentSoc }, thresholdSoc, boothRates = new Map()) {
+  const slotRate = estimateRateFromSamples(await getRecentSocSamples(client, slotId));
+  if (!slotRate && !boothRates.has(boothId)) {
+    boothRates.set(boothId, getBoothBulkChargeRate(client, boothId));
+  }
+  const boothRate = slotRate ? null : await boothRates.get(boothId);
+  return predictChargeEta({ currentSoc, thresholdSoc, slotRate, boothRate });
+}
+
+/**
+ * Tells the rider their deposited battery has reached the withdrawal threshold. Each deposit
+ * is notified at most once.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} slotId - The slot the battery is charging in.
+ * @param {number|null} soc - The SOC just reported for the slot.
+ * @returns {Promise<number|null>} The notified deposit ID, or null if nothing was due.
+ */
+async function notifyBatteryReady(client, slotId, soc) {
+  if (soc === null) return null;
+  const { min_charge_level: thresholdSoc } = await getWithdrawalRules(client);
+  if (soc < Number(thresholdSoc)) return null;
+
+  const depositRes = await client.query(
+    `UPDATE deposits d
+     SET ready_notified_at = NOW()
+     FROM booth_slots s
+     WHERE d.slot_id = $1
+       AND s.id = d.slot_id
+       AND d.session_type = 'deposit'
+       AND d.status = 'completed'
+       AND d.ready_notified_at IS NULL
+       AND s.current_battery_id IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM deposits w
+         WHERE w.consumed_deposit_id = d.id
+           AND w.session_type = 'withdrawal'
+           AND w.status NOT IN ('cancelled', 'failed')
+       )
+     RETURNING d.id, d.user_id, s.slot_identifier`,
+    [slotId]
+  );
+  if (depositRes.rowCount === 0) return null;
+
+  const { id: depositId, user_id: userId, slot_identifier: slotIdentifier } = depositRes.rows[0];
+  await sendNotification(client, userId, 'battery_ready', {
+    sessionId: depositId,
+    slotIdentifier,
+    chargeLevel: Math.floor(soc),
+  });
+  return depositId;
+}
+
+module.exports = {
+  DEFAULT_WITHDRAWAL_RULES,
+  getWithdrawalRules,
+  getChargeEta,
+  notifyBatteryReady,
+};
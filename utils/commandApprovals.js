@@ -0,0 +1,229 @@
+const logger = require('./logger');
+const { forceUnlockSlot, sendSlotCommands, resetBoothSlots, manualWithdrawBattery } = require('./boothCommands');
+
+/**
+ * Two-person approval for high-risk booth commands.
+ *
+ * The actions listed in the `command_approvals` setting are not run when an admin asks for them:
+ * a `pending` row is stored in `command_approvals` instead, and a different admin must approve it
+ * before it expires. Approving runs the action (see utils/boothCommands.js) with both admins
+ * recorded on the sessions it changes.
+ */
+
+const COMMAND_APPROVAL_ACTIONS = ['force_unlock', 'open_door', 'reset_slots', 'manual_withdraw'];
+
+const COMMAND_APPROVAL_STATUSES = ['pending', 'approved', 'executed', 'failed', 'rejected', 'expired'];
+
+const DEFAULT_COMMAND_APPROVAL_SETTINGS = { actions: COMMAND_APPROVAL_ACTIONS, window_minutes: 30 };
+
+/**
+ * Loads the approval settings from app_settings, falling back to the defaults.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<typeof DEFAULT_COMMAND_APPROVAL_SETTINGS>} The settings.
+ */
+async function getCommandApprovalSettings(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'command_approvals'");
+  return { ...DEFAULT_COMMAND_APPROVAL_SETTINGS, ...(settingsRes.rows[0]?.value || {}) };
+}
+
+/**
+ * Maps a command_approvals row to its API shape.
+ * @param {object} row - The row.
+ * @returns {object} The approval request.
+ */
+function formatCommandApproval(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    boothUid: row.booth_uid,
+    slotIdentifier: row.slot_identifier,
+    payload: row.payload,
+    reason: row.reason,
+    status: row.status,
+    requestedBy: row.requested_by,
+    requestedAt: row.created_at,
+    expiresAt: row.expires_at,
+    decidedBy: row.decided_by,
+    decidedAt: row.decided_at,
+    decisionNote: row.decision_note,
+    executedAt: row.executed_at,
+    result: row.result,
+    error: row.error,
+  };
+}
+
+/**
+ * Stores a pending approval request for an action, unless the action does not need one.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} request - The request.
+ * @param {string} request.action - One of COMMAND_APPROVAL_ACTIONS.
+ * @param {string} request.boothUid - The booth.
+ * @param {string|null} request.slotIdentifier - The slot, or null for a whole-booth action.
+ * @param {object} request.payload - What the action needs to run later, e.g. the Firebase commands.
+ * @param {string} request.requestedBy - The requesting admin's UID.
+ * @param {string|null} [request.reason] - Why the action is needed.
+ * @returns {Promise<object|null>} The pending approval, or null if the action can run straight away.
+ * @throws {Error} 'APPROVAL_ALREADY_PENDING' if the same action is already waiting on this slot.
+ */
+async function requestCommandApproval(client, { action, boothUid, slotIdentifier, payload, requestedBy, reason = null }) {
+  const settings = await getCommandApprovalSettings(client);
+  if (!settings.actions.includes(action)) {
+    return null;
+  }
+
+  const insertRes = await client.query(
+    `INSERT INTO command_approvals (action, booth_uid, slot_identifier, payload, reason, requested_by, expires_at)
+     SELECT $1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7)
+     WHERE NOT EXISTS (
+       SELECT 1 FROM command_approvals
+       WHERE action = $1 AND booth_uid = $2 AND slot_identifier IS NOT DISTINCT FROM $3
+         AND status = 'pending' AND expires_at > NOW()
+     )
+     RETURNING *`,
+    [action, boothUid, slotIdentifier, JSON.stringify(payload), reason, requestedBy, settings.window_minutes]
+  );
+  if (insertRes.rowCount === 0) {
+    throw new Error('APPROVAL_ALREADY_PENDING');
+  }
+
+  const approval = insertRes.rows[0];
+  logger.info(`Admin (UID: ${requestedBy}) requested ${action} on ${boothUid}${slotIdentifier ? `/${slotIdentifier}` : ''} (approval ${approval.id}, expires ${approval.expires_at.toISOString()}).`);
+  return approval;
+}
+
+/**
+ * Marks a pending request as approved by a second admin, so no one else can act on it.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} approvalId - The approval request.
+ * @param {string} approverUid - The approving admin's UID.
+ * @returns {Promise<object>} The approved request.
+ * @throws {Error} 'APPROVAL_NOT_FOUND', 'APPROVAL_NOT_PENDING', 'APPROVAL_EXPIRED' or 'SELF_APPROVAL'.
+ */
+async function claimCommandApproval(client, approvalId, approverUid) {
+  try {
+    await client.query('BEGIN');
+
+    const approvalRes = await client.query('SELECT * FROM command_approvals WHERE id = $1 FOR UPDATE', [approvalId]);
+    if (approvalRes.rowCount === 0) {
+      throw new Error('APPROVAL_NOT_FOUND');
+    }
+    const approval = approvalRes.rows[0];
+    if (approval.status !== 'pending') {
+      throw new Error('APPROVAL_NOT_PENDING');
+    }
+    if (approval.expires_at <= new Date()) {
+      await client.query("UPDATE command_approvals SET status = 'expired' WHERE id = $1", [approvalId]);
+      await client.query('COMMIT');
+      throw new Error('APPROVAL_EXPIRED');
+    }
+    if (approval.requested_by === approverUid) {
+      throw new Error('SELF_APPROVAL');
+    }
+
+    const updateRes = await client.query(
+      `UPDATE command_approvals
+       SET status = 'approved', decided_by = $2, decided_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [approvalId, approverUid]
+    );
+
+    await client.query('COMMIT');
+    return updateRes.rows[0];
+  } catch (error) {
+    if (error.message !== 'APPROVAL_EXPIRED') {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Runs an approved request and records the outcome on it.
+ * @param {object} client - The PostgreSQL client, not within a transaction.
+ * @param {object} approval - The request, as returned by claimCommandApproval().
+ * @returns {Promise<object>} The action's result.
+ * @throws {Error} Whatever the action throws; the request is then marked 'failed'.
+ */
+async function executeCommandApproval(client, approval) {
+  const { id, action, booth_uid: boothUid, slot_identifier: slotIdentifier, payload } = approval;
+  const actors = { requestedBy: approval.requested_by, approvedBy: approval.decided_by, approvalId: id };
+
+  let result;
+  try {
+    if (action === 'force_unlock') {
+      result = await forceUnlockSlot(client, boothUid, slotIdentifier, payload.commands, actors);
+    } else if (action === 'open_door') {
+      result = await sendSlotCommands(boothUid, slotIdentifier, payload.commands);
+    } else if (action === 'reset_slots') {
+      result = await resetBoothSlots(client, boothUid, slotIdentifier, actors);
+    } else if (action === 'manual_withdraw') {
+      result = await manualWithdrawBattery(client, boothUid, slotIdentifier, actors);
+    } else {
+      throw new Error('UNKNOWN_ACTION');
+    }
+  } catch (error) {
+    await client.query(
+      "UPDATE command_approvals SET status = 'failed', executed_at = NOW(), error = $2 WHERE id = $1",
+      [id, error.message]
+    );
+    logger.error(`Approved ${action} ${id} on ${boothUid} failed:`, error);
+    throw error;
+  }
+
+  await client.query(
+    "UPDATE command_approvals SET status = 'executed', executed_at = NOW(), result = $2 WHERE id = $1",
+    [id, JSON.stringify(result)]
+  );
+  logger.info(`Admin (UID: ${approval.decided_by}) approved ${action} ${id} on ${boothUid} requested by ${approval.requested_by}; it has been executed.`);
+  return result;
+}
+
+/**
+ * Rejects a pending request.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} approvalId - The approval request.
+ * @param {string} deciderUid - The rejecting admin's UID; may be the requester withdrawing it.
+ * @param {string|null} note - Why it was rejected.
+ * @returns {Promise<object>} The rejected request.
+ * @throws {Error} 'APPROVAL_NOT_FOUND' or 'APPROVAL_NOT_PENDING'.
+ */
+async function rejectCommandApproval(client, approvalId, deciderUid, note) {
+  const updateRes = await client.query(
+    `UPDATE command_approvals
+     SET status = 'rejected', decided_by = $2, decided_at = NOW(), decision_note = $3
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [approvalId, deciderUid, note]
+  );
+  if (updateRes.rowCount > 0) {
+    return updateRes.rows[0];
+  }
+  const existsRes = await client.query('SELECT 1 FROM command_approvals WHERE id = $1', [approvalId]);
+  throw new Error(existsRes.rowCount === 0 ? 'APPROVAL_NOT_FOUND' : 'APPROVAL_NOT_PENDING');
+}
+
+/**
+ * Expires pending requests whose approval window has passed.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<number>} How many requests expired.
+ */
+async function expireCommandApprovals(client) {
+  const expireRes = await client.query(
+    "UPDATE command_approvals SET status = 'expired' WHERE status = 'pending' AND expires_at <= NOW()"
+  );
+  return expireRes.rowCount;
+}
+
+module.exports = {
+  COMMAND_APPROVAL_ACTIONS,
+  COMMAND_APPROVAL_STATUSES,
+  DEFAULT_COMMAND_APPROVAL_SETTINGS,
+  getCommandApprovalSettings,
+  formatCommandApproval,
+  requestCommandApproval,
+  claimCommandApproval,
+  executeCommandApproval,
+  rejectCommandApproval,
+  expireCommandApprovals,
+};
@@ -7,6 +7,16 @@ const logger = require('../logger');
 const { querySTKStatus } = require('../mpesa');
 const { completePaidWithdrawal } = require('../sessionUtils');
 const { runMpesaReconciliation } = require('../reconciliationWorker');
+const { processRefund, flagUnconfirmedRefunds } = require('../refunds');
+const { getPreviousBillingPeriod, generateInvoicesForPeriod } = require('../organizations');
+const { expireReservations } = require('../reservations');
+const { maintainTelemetryPartitions } = require('../telemetryStore');
+const { checkBoothHeartbeats, alertBoothTransitions } = require('../boothHeartbeat');
+const { checkTimedAlerts } = require('../alerts');
+const { emitWebhookEvent, deliverPendingWebhooks } = require('../webhooks');
+const { deliverQueuedNotifications } = require('../notifications');
+const { applyScheduledSettings } = require('../appSettings');
+const { expireCommandApprovals } = require('../commandApprovals');
 
 /**
  * Checks for slots that meet all safety conditions for charging but are not currently charging.
@@ -145,12 +155,21 @@ async function resolvePendingPayments() {
 
           if (ageSeconds > 75) {
             logger.warn(`[MpesaCron] Marking session ${sessionId} as failed. M-Pesa code: ${ResultCode} (${ResultDesc})`);
-            await client.query(
+            const failRes = await client.query(
               `UPDATE deposits SET status = 'failed',
                notes = COALESCE(notes, '') || '\n[' || NOW() || '] Proactive check failed: ' || $1
-               WHERE id = $2 AND status = 'pending'`,
+               WHERE id = $2 AND status = 'pending'
+               RETURNING user_id, amount`,
               [`${ResultCode} - ${ResultDesc}`, sessionId]
             );
+            if (failRes.rowCount > 0) {
+              await emitWebhookEvent(client, 'payment.failed', {
+                sessionId,
+                userId: failRes.rows[0].user_id,
+                amount: Number(failRes.rows[0].amount || 0).toFixed(2),
+                reason: `${ResultCode} - ${ResultDesc}`,
+              });
+            }
           } else {
             logger.debug(`[MpesaCron] Session ${sessionId} still pending (M-Pesa: ${ResultCode}). Skipping.`);
           }
@@ -207,6 +226,234 @@ async function resolveStuckWithdrawals() {
   }
 }
 
+/**
+ * Pays out refunds that are 'approved' (auto-approved by the hardware sync or approved by an admin
+ * whose immediate payout attempt did not run). Each refund is processed in its own transactions so
+ * one failing payout does not hold back the rest. M-Pesa refunds that never got a B2C result are
+ * first moved to 'pending_confirmation' for an admin to reconcile.
+ */
+async function processApprovedRefunds() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+
+    const unconfirmed = await flagUnconfirmedRefunds(client);
+    if (unconfirmed.length > 0) {
+      logger.warn(`[RefundCron] No B2C result for refund(s) ${unconfirmed.join(', ')}; they are now 'pending_confirmation'.`);
+    }
+
+    const { rows } = await client.query(
+      "SELECT id FROM refunds WHERE status = 'approved' ORDER BY created_at ASC LIMIT 20"
+    );
+
+    if (rows.length === 0) return;
+
+    logger.info(`[RefundCron] Found ${rows.length} approved refund(s) to pay out.`);
+
+    for (const { id } of rows) {
+      try {
+        const status = await processRefund(client, id);
+        if (status) {
+          logger.info(`[RefundCron] Refund ${id} is now '${status}'.`);
+        }
+      } catch (refundError) {
+        logger.error(`[RefundCron] Failed to process refund ${id}:`, refundError);
+      }
+    }
+  } catch (error) {
+    logger.error('[RefundCron] Error processing approved refunds:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Releases slot reservations whose hold time has run out, so the slots can be used again.
+ */
+async function releaseExpiredReservations() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const expired = await expireReservations(client);
+    await client.query('COMMIT');
+
+    if (expired > 0) {
+      logger.info(`[ReservationCron] Released ${expired} expired reservation(s).`);
+    }
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    logger.error('[ReservationCron] Error releasing expired reservations:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Issues last month's organisation invoices. Safe to re-run: organisations that already have an
+ * invoice for the period are skipped.
+ */
+async function generateMonthlyInvoices() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    const period = getPreviousBillingPeriod();
+
+    await client.query('BEGIN');
+    const invoices = await generateInvoicesForPeriod(client, period);
+    await client.query('COMMIT');
+
+    if (invoices.length > 0) {
+      logger.info(`[InvoiceCron] Issued ${invoices.length} invoice(s) for ${period.periodStart}.`);
+    }
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    logger.error('[InvoiceCron] Error generating monthly invoices:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Creates the upcoming daily telemetry partitions and drops those past the retention period.
+ */
+async function maintainTelemetryStorage() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    await maintainTelemetryPartitions(client);
+  } catch (error) {
+    logger.error('[TelemetryCron] Error maintaining telemetry partitions:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Marks booths with no recent telemetry as offline and brings them back online when it resumes,
+ * then alerts admins about each change.
+ */
+async function checkBoothHeartbeatStatus() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const transitions = await checkBoothHeartbeats(client);
+    await client.query('COMMIT');
+
+    const { offline, online } = transitions;
+    if (offline.length > 0 || online.length > 0) {
+      logger.info(`[HeartbeatCron] ${offline.length} booth(s) went offline, ${online.length} came back online.`);
+      await alertBoothTransitions(client, transitions);
+    }
+  } catch (error) {
+    if (client) await client.query('ROLLBACK');
+    logger.error('[HeartbeatCron] Error checking booth heartbeats:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Evaluates the time-based alert rules: slot doors left open and M-Pesa payments stuck pending.
+ */
+async function evaluateAlertRules() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    const { raised, resolved } = await checkTimedAlerts(client);
+    if (raised > 0 || resolved > 0) {
+      logger.info(`[AlertCron] ${raised} alert(s) raised or repeated, ${resolved} resolved.`);
+    }
+  } catch (error) {
+    logger.error('[AlertCron] Error evaluating alert rules:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Posts the webhook deliveries that are due, including retries.
+ */
+async function deliverWebhooks() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    const { delivered, retrying, failed } = await deliverPendingWebhooks(client);
+    if (delivered > 0 || retrying > 0 || failed > 0) {
+      logger.info(`[WebhookCron] ${delivered} delivered, ${retrying} to retry, ${failed} failed for good.`);
+    }
+  } catch (error) {
+    logger.error('[WebhookCron] Error delivering webhooks:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Sends rider notifications queued by payment and refund transactions.
+ */
+async function deliverNotifications() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    const { sent, failed, skipped } = await deliverQueuedNotifications(client);
+    if (sent > 0 || failed > 0 || skipped > 0) {
+      logger.info(`[NotificationCron] ${sent} sent, ${failed} failed, ${skipped} skipped.`);
+    }
+  } catch (error) {
+    logger.error('[NotificationCron] Error delivering notifications:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Applies scheduled app settings changes that are due.
+ */
+async function applyDueSettings() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    const { applied, failed } = await applyScheduledSettings(client);
+    if (applied > 0 || failed > 0) {
+      logger.info(`[SettingsCron] ${applied} scheduled setting change(s) applied, ${failed} failed validation.`);
+    }
+  } catch (error) {
+    logger.error('[SettingsCron] Error applying scheduled settings:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Expires booth command approval requests that were not approved in time.
+ */
+async function expireStaleCommandApprovals() {
+  let client;
+  try {
+    const pool = await poolPromise;
+    client = await pool.connect();
+    const expired = await expireCommandApprovals(client);
+    if (expired > 0) {
+      logger.info(`[ApprovalCron] ${expired} command approval request(s) expired.`);
+    }
+  } catch (error) {
+    logger.error('[ApprovalCron] Error expiring command approvals:', error);
+  } finally {
+    if (client) client.release();
+  }
+}
+
 /**
  * Weekly maintenance: purges cancelled sessions older than 30 days.
  */
@@ -260,6 +507,16 @@ function startCronJob() {
     logger.error('[CleanupCron] Initial maintenance failed:', err);
   });
 
+  // Make sure today's telemetry partition exists before the first slot sync writes to it
+  maintainTelemetryStorage().catch((err) => {
+    logger.error('[TelemetryCron] Initial partition maintenance failed:', err);
+  });
+
+  // Catch up on last month's invoices if the server was down on the 1st
+  generateMonthlyInvoices().catch((err) => {
+    logger.error('[InvoiceCron] Initial invoice run failed:', err);
+  });
+
   // Schedule M-Pesa reconciliation at 2 AM daily
   cron.schedule('0 2 * * *', async () => {
     logger.info('[HardwareCron] Starting daily M-Pesa reconciliation task...');
@@ -272,6 +529,18 @@ function startCronJob() {
     await runWeeklyMaintenance();
   });
 
+  // Roll telemetry partitions forward and apply retention at 00:15 daily
+  cron.schedule('15 0 * * *', async () => {
+    logger.info('[HardwareCron] Starting telemetry partition maintenance...');
+    await maintainTelemetryStorage();
+  });
+
+  // Issue organisation invoices at 1 AM on the 1st of every month
+  cron.schedule('0 1 1 * *', async () => {
+    logger.info('[HardwareCron] Starting monthly invoice run...');
+    await generateMonthlyInvoices();
+  });
+
   // Check charging conditions every 5 seconds
   setInterval(() => {
     checkChargingConditions().catch((err) => {
@@ -296,6 +565,62 @@ function startCronJob() {
       logger.error('[MpesaCron] Scheduled pending payment check failed:', err);
     });
   }, 30 * 1000);
+
+  // Pay out approved refunds every 60 seconds
+  setInterval(() => {
+    processApprovedRefunds().catch((err) => {
+      logger.error('[RefundCron] Scheduled refund run failed:', err);
+    });
+  }, 60 * 1000);
+
+  // Release expired slot reservations every 30 seconds
+  setInterval(() => {
+    releaseExpiredReservations().catch((err) => {
+      logger.error('[ReservationCron] Scheduled reservation expiry failed:', err);
+    });
+  }, 30 * 1000);
+
+  // Detect booths that stopped (or resumed) sending telemetry every 60 seconds
+  setInterval(() => {
+    checkBoothHeartbeatStatus().catch((err) => {
+      logger.error('[HeartbeatCron] Scheduled heartbeat check failed:', err);
+    });
+  }, 60 * 1000);
+
+  // Raise alerts for doors left open and payments stuck pending every 60 seconds
+  setInterval(() => {
+    evaluateAlertRules().catch((err) => {
+      logger.error('[AlertCron] Scheduled alert evaluation failed:', err);
+    });
+  }, 60 * 1000);
+
+  // Deliver queued partner webhooks (and due retries) every 30 seconds
+  setInterval(() => {
+    deliverWebhooks().catch((err) => {
+      logger.error('[WebhookCron] Scheduled webhook delivery failed:', err);
+    });
+  }, 30 * 1000);
+
+  // Send queued rider notifications every 10 seconds, so a payment push arrives promptly
+  setInterval(() => {
+    deliverNotifications().catch((err) => {
+      logger.error('[NotificationCron] Scheduled notification delivery failed:', err);
+    });
+  }, 10 * 1000);
+
+  // Apply scheduled settings changes every 60 seconds
+  setInterval(() => {
+    applyDueSettings().catch((err) => {
+      logger.error('[SettingsCron] Scheduled settings run failed:', err);
+    });
+  }, 60 * 1000);
+
+  // Expire unapproved booth command requests every 60 seconds
+  setInterval(() => {
+    expireStaleCommandApprovals().catch((err) => {
+      logger.error('[ApprovalCron] Scheduled approval expiry failed:', err);
+    });
+  }, 60 * 1000);
 }
 
 module.exports = {
@@ -303,5 +628,15 @@ module.exports = {
   checkChargingConditions,
   resolvePendingPayments,
   resolveStuckWithdrawals,
+  processApprovedRefunds,
   runWeeklyMaintenance,
+  generateMonthlyInvoices,
+  releaseExpiredReservations,
+  maintainTelemetryStorage,
+  checkBoothHeartbeatStatus,
+  evaluateAlertRules,
+  deliverWebhooks,
+  deliverNotifications,
+  applyDueSettings,
+  expireStaleCommandApprovals,
 };
@@ -2,9 +2,27 @@ const { getDatabase } = require('firebase-admin/database');
 const pool = require('../db');
 const logger = require('./logger');
 const { finalizeWithdrawalSession } = require('./sessionUtils');
+const { refundFailedWithdrawal } = require('./refunds');
+const { getBatterySerialFromTelemetry, upsertBatteryBySerial, recordCollectedBattery } = require('./batteries');
+const { recordHealthSample } = require('./batteryHealth');
+const { recordTelemetrySample } = require('./telemetryStore');
+const { notifyBatteryReady } = require('./chargeReadiness');
+const { sendNotification } = require('./notifications');
+const { hasTelemetryChanged, isHeartbeatDue, recordBoothHeartbeat } = require('./boothHeartbeat');
+const { checkSlotAlerts, raiseAlert } = require('./alerts');
+const { emitWebhookEvent } = require('./webhooks');
 
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
+// What the rider is told when the booth rejects their deposit.
+const DEPOSIT_FAILURE_REASONS = {
+  deposit_timeout: 'no battery was inserted in time.',
+  openForDeposit_rejected_battery_present: 'the slot already holds a battery.',
+  rejected_no_plug: 'the battery was not plugged in.',
+  rejected_voltage: 'the battery voltage is out of range.',
+  rejected_temperature: 'the battery temperature is out of range.',
+};
+
 /**
  * Checks if an error is a PostgreSQL pool connection timeout.
  * @param {any} error - The error object to check.
@@ -90,14 +108,21 @@ function enqueueBoothSync(boothUid, task) {
  * @param {string} firebaseStatus - The overall status from the Firebase slot data (e.g., 'booting', 'available').
  * @param {string} currentDbStatus - The current status of the slot in the database.
  * @param {boolean} batteryInserted - From telemetry, indicates if a battery is physically present.
+ * @param {boolean} [hasOpenWorkOrder] - True while a maintenance work order is open for the slot.
  * @returns {string} The corresponding PostgreSQL status.
  */
-function mapSlotStatus(firebaseStatus, currentDbStatus, batteryInserted) {
+function mapSlotStatus(firebaseStatus, currentDbStatus, batteryInserted, hasOpenWorkOrder = false) {
+  // A slot being worked on stays out of service until its work order is closed.
+  if (hasOpenWorkOrder) return 'maintenance';
   // This mapping can be expanded as more states are defined in the IoT device firmware.
   if (firebaseStatus === 'fault') return 'faulty';
   if (firebaseStatus === 'maintenance') return 'maintenance';
   if (currentDbStatus === 'disabled') return 'disabled';
 
+  // A reserved slot stays held until the reservation is used, cancelled or expires,
+  // whether it is an empty slot held for a deposit or a charged battery held for collection.
+  if (currentDbStatus === 'reserved') return 'reserved';
+
   // Protect the 'opening' state: If the DB says we are waiting for a deposit,
   // do not revert to 'available' just because the battery isn't in yet.
   if (currentDbStatus === 'opening' && !batteryInserted) {
@@ -175,24 +200,45 @@ async function handleDepositCompletion(pgClient, boothUid, slotIdentifier, slotI
       slot_id = $2
       AND status IN ('opening', 'occupied') -- The session must have been in an 'opening' or 'occupied' state.
       AND session_type = 'deposit'
-    RETURNING id;
+    RETURNING id, user_id, swap_slot_id;
   `;
   const depositUpdateResult = await pgClient.query(findAndUpdateDepositQuery, [chargeLevel, slotId]);
 
   if (depositUpdateResult.rowCount > 0) {
-    const depositId = depositUpdateResult.rows[0].id;
+    const { id: depositId, user_id: userId, swap_slot_id: swapSlotId } = depositUpdateResult.rows[0];
     logger.info(`Deposit session ${depositId} for slot ${slotIdentifier} completed with initial charge ${chargeLevel}%.`);
+    await emitWebhookEvent(pgClient, 'session.completed', {
+      sessionId: depositId,
+      sessionType: 'deposit',
+      userId,
+      boothUid,
+      slotIdentifier,
+      chargeLevel,
+    });
 
     // Ensure the slot has a linked battery record. Dev booths and admin simulations
     // already set current_battery_id, but the normal hardware flow does not.
     // Without this, my-battery-status returns empty because it requires
     // s.current_battery_id IS NOT NULL.
+    // Firmware that reports the pack's serial links the real battery; otherwise a placeholder is created.
     try {
+      const batterySerial = getBatterySerialFromTelemetry(telemetry);
       const slotCheck = await pgClient.query(
         'SELECT current_battery_id FROM booth_slots WHERE id = $1',
         [slotId]
       );
-      if (slotCheck.rows.length > 0 && slotCheck.rows[0].current_battery_id === null) {
+      if (batterySerial) {
+        const batteryId = await upsertBatteryBySerial(pgClient, batterySerial, chargeLevel);
+        await pgClient.query(
+          'UPDATE booth_slots SET current_battery_id = $1 WHERE id = $2',
+          [batteryId, slotId]
+        );
+        await pgClient.query(
+          'UPDATE deposits SET battery_id = $1 WHERE id = $2',
+          [batteryId, depositId]
+        );
+        logger.info(`Linked battery ${batterySerial} (id=${batteryId}) to slot ${slotIdentifier} for deposit ${depositId}.`);
+      } else if (slotCheck.rows.length > 0 && slotCheck.rows[0].current_battery_id === null) {
         const batteryUid = `bat-${slotId}-${Date.now()}`;
         const batteryRes = await pgClient.query(
           `INSERT INTO batteries (battery_uid, charge_level_percent, health_status)
@@ -224,6 +270,19 @@ async function handleDepositCompletion(pgClient, boothUid, slotIdentifier, slotI
       stopCharging: false // Ensure mutual exclusivity
     });
     logger.info(`Sent 'startCharging' command to ${slotIdentifier} at booth ${boothUid} after deposit completion.`);
+
+    // Swaps: stop charging the held battery so the rider can collect it straight away.
+    if (swapSlotId) {
+      const swapSlotRes = await pgClient.query('SELECT slot_identifier FROM booth_slots WHERE id = $1', [swapSlotId]);
+      if (swapSlotRes.rows.length > 0) {
+        const swapSlotIdentifier = swapSlotRes.rows[0].slot_identifier;
+        await db.ref(`booths/${boothUid}/slots/${swapSlotIdentifier}/command`).update({
+          stopCharging: true,
+          startCharging: false,
+        });
+        logger.info(`Sent 'stopCharging' command to swap slot ${swapSlotIdentifier} at booth ${boothUid} for deposit ${depositId}.`);
+      }
+    }
     return true; // Indicate that a session was completed.
   }
   return false; // No session was completed.
@@ -235,10 +294,21 @@ async function handleDepositCompletion(pgClient, boothUid, slotIdentifier, slotI
  * @param {object} pgClient - The active PostgreSQL client.
  * @param {string} slotIdentifier - The identifier of the slot.
  * @param {number} slotId - The primary key of the slot in the database.
+ * @param {string|null} [boothUid] - The UID of the booth, for the webhook event.
  * @returns {Promise<boolean>} True if a session was completed.
  */
-async function handleWithdrawalCompletion(pgClient, slotIdentifier, slotId) {
+async function handleWithdrawalCompletion(pgClient, slotIdentifier, slotId, boothUid = null) {
   const finalized = await finalizeWithdrawalSession(pgClient, slotId, slotIdentifier);
+  if (finalized?.sessionId) {
+    const sessionRes = await pgClient.query('SELECT user_id FROM deposits WHERE id = $1', [finalized.sessionId]);
+    await emitWebhookEvent(pgClient, 'session.completed', {
+      sessionId: finalized.sessionId,
+      sessionType: 'withdrawal',
+      userId: sessionRes.rows[0]?.user_id ?? null,
+      boothUid,
+      slotIdentifier,
+    });
+  }
   return finalized !== null;
 }
 
@@ -268,7 +338,11 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
 
     // 1. Fetch current database state for this slot.
     const currentSlotRes = await pgClient.query(
-      `SELECT bs.id, bs.status, b.id as booth_id 
+      `SELECT bs.id, bs.status, bs.current_battery_id, b.id as booth_id,
+              EXISTS (
+                SELECT 1 FROM work_orders w
+                WHERE w.slot_id = bs.id AND w.status IN ('open', 'assigned', 'in_progress')
+              ) AS "hasOpenWorkOrder"
        FROM booth_slots bs
        JOIN booths b ON bs.booth_id = b.id
        WHERE b.booth_uid = $1 AND bs.slot_identifier = $2`,
@@ -278,6 +352,8 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
     let slotId;
     let boothId;
     let dbStatus;
+    let previousBatteryId = null;
+    let hasOpenWorkOrder = false;
 
     if (currentSlotRes.rowCount === 0) {
       // 2. If the slot doesn't exist, create it (Auto-provisioning).
@@ -296,11 +372,14 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
       dbStatus = 'available';
     } else {
       slotId = currentSlotRes.rows[0].id;
+      boothId = currentSlotRes.rows[0].booth_id;
       dbStatus = currentSlotRes.rows[0].status;
+      previousBatteryId = currentSlotRes.rows[0].current_battery_id;
+      hasOpenWorkOrder = currentSlotRes.rows[0].hasOpenWorkOrder;
     }
 
     // 3. Map Firebase data to PostgreSQL enums.
-    const newStatus = mapSlotStatus(slotData.status, dbStatus, batteryInserted);
+    const newStatus = mapSlotStatus(slotData.status, dbStatus, batteryInserted, hasOpenWorkOrder);
     const doorStatus = mapDoorStatus(!!telemetry.doorClosed, !!telemetry.doorLocked);
     const isCharging = !!telemetry.isCharging;
 
@@ -308,6 +387,10 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
     // When the battery is physically removed, also clear current_battery_id to prevent
     // stale deposit credits from being usable against a slot that will be reassigned.
     const batteryCleared = !batteryInserted && dbStatus !== 'available';
+    // Track the physical pack when the firmware reports its serial, so the slot always points at
+    // the battery that is actually inside it.
+    const batterySerial = batteryInserted ? getBatterySerialFromTelemetry(telemetry) : null;
+    const reportedBatteryId = batterySerial ? await upsertBatteryBySerial(pgClient, batterySerial, soc) : null;
     const result = await pgClient.query(
       `UPDATE booth_slots 
        SET 
@@ -316,10 +399,11 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
          charge_level_percent = $3, 
          is_charging = $4,
          telemetry = $5,
-         current_battery_id = CASE WHEN $7 THEN NULL ELSE current_battery_id END,
+         door_open_since = CASE WHEN $2 = 'open' THEN COALESCE(door_open_since, NOW()) ELSE NULL END,
+         current_battery_id = CASE WHEN $7 THEN NULL ELSE COALESCE($8, current_battery_id) END,
          updated_at = NOW()
        WHERE id = $6`,
-      [newStatus, doorStatus, soc, isCharging, telemetry, slotId, batteryCleared]
+      [newStatus, doorStatus, soc, isCharging, telemetry, slotId, batteryCleared, reportedBatteryId]
     );
 
     if (result.rowCount === 0) {
@@ -333,6 +417,49 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
     }
     logger.debug(`Successfully synced slot ${slotIdentifier} for booth ${boothUid}.`);
 
+    // 4b. Custody: the battery that just left the slot is the one a paid withdrawal collected.
+    if (batteryCleared && previousBatteryId) {
+      await recordCollectedBattery(pgClient, slotId, previousBatteryId);
+    }
+
+    // 4c. Battery health: feed the sample to the battery still in the slot. A failure here must
+    // not hold up the session handling below.
+    const batteryInSlotId = batteryInserted ? (reportedBatteryId || previousBatteryId) : null;
+    if (batteryInSlotId) {
+      try {
+        await recordHealthSample(pgClient, batteryInSlotId, soc, telemetry);
+      } catch (healthError) {
+        logger.error(`Failed to record health sample for battery ${batteryInSlotId} in slot ${slotIdentifier}:`, healthError);
+      }
+    }
+
+    // 4d. Telemetry history (downsampled). Like health, best-effort.
+    try {
+      await recordTelemetrySample(pgClient, slotId, telemetry, soc);
+    } catch (telemetryError) {
+      logger.error(`Failed to store telemetry sample for slot ${slotIdentifier}:`, telemetryError);
+    }
+
+    // 4e. Tell the rider once their deposited battery reaches the withdrawal threshold.
+    if (batteryInserted) {
+      try {
+        await notifyBatteryReady(pgClient, slotId, soc);
+      } catch (readyError) {
+        logger.error(`Failed to send battery ready notification for slot ${slotIdentifier}:`, readyError);
+      }
+    }
+
+    if (newStatus === 'faulty' && dbStatus !== 'faulty') {
+      await emitWebhookEvent(pgClient, 'slot.faulty', { boothUid, slotIdentifier, previousStatus: dbStatus });
+    }
+
+    // 4f. Admin alerts for a faulty or overheating slot. Best-effort as well.
+    try {
+      await checkSlotAlerts(pgClient, { boothId, boothUid, slotId, slotIdentifier, previousStatus: dbStatus, status: newStatus, telemetry });
+    } catch (alertError) {
+      logger.error(`Failed to evaluate alert rules for slot ${slotIdentifier}:`, alertError);
+    }
+
     // 5. Defensive cleanup: If the slot just transitioned to 'available' from a non-available
     // state (battery physically removed), fail any orphaned unredeemed completed deposits.
     // This is the critical safety net that prevents double-allocation: without this, a stale
@@ -372,9 +499,11 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
           logger.info(`Received 'openForCollection_pulsed' for slot ${slotIdentifier}. Recording attempt.`);
           try {
             // Update the session notes so the user/admin can see that an attempt occurred.
+            // door_opened_at tells the refund logic the rider had access to the battery.
             await pgClient.query(
               `UPDATE deposits 
-               SET notes = COALESCE(notes, '') || '\n[' || NOW() || '] Hardware pulsed solenoid for collection.'
+               SET notes = COALESCE(notes, '') || '\n[' || NOW() || '] Hardware pulsed solenoid for collection.',
+                   door_opened_at = COALESCE(door_opened_at, NOW())
                WHERE slot_id = $1 AND status = 'in_progress' AND session_type = 'withdrawal'`,
               [slotId]
             );
@@ -392,7 +521,7 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
           logger.info(`Received 'collection_complete' ACK for slot ${slotIdentifier}. Finalizing withdrawal session.`);
           try {
             // Use the centralized handler
-            if (!await handleWithdrawalCompletion(pgClient, slotIdentifier, slotId)) {
+            if (!await handleWithdrawalCompletion(pgClient, slotIdentifier, slotId, boothUid)) {
               logger.warn(`'collection_complete' ACK for ${slotIdentifier} received, but no 'in_progress' session was found to complete.`);
             }
             // Clear command and ACK to stop hardware reporting
@@ -425,11 +554,16 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
           // If the battery was actually removed, the next Firebase telemetry sync will
           // detect it and clean up via syncSlotState().
           const timeoutFailResult = await pgClient.query(
-            "UPDATE deposits SET status = 'failed' WHERE slot_id = $1 AND status = 'in_progress' AND session_type = 'withdrawal' RETURNING id",
+            "UPDATE deposits SET status = 'failed' WHERE slot_id = $1 AND status = 'in_progress' AND session_type = 'withdrawal' RETURNING id, door_opened_at",
             [slotId]
           );
           if (timeoutFailResult.rowCount > 0) {
-            logger.info(`Session ${timeoutFailResult.rows[0].id} marked as 'failed' due to collection timeout.`);
+            const { id: timedOutSessionId, door_opened_at: doorOpenedAt } = timeoutFailResult.rows[0];
+            logger.info(`Session ${timedOutSessionId} marked as 'failed' due to collection timeout.`);
+            // The rider paid but the door never opened, so they never had a chance to collect.
+            if (!doorOpenedAt) {
+              await refundFailedWithdrawal(pgClient, timedOutSessionId, 'Collection timed out before the slot door opened.');
+            }
           }
           await commandRef.update({ openForCollection: false, ack: "" });
           break;
@@ -446,6 +580,7 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
           );
           if (noBatteryFailResult.rowCount > 0) {
             logger.info(`Session ${noBatteryFailResult.rows[0].id} marked as 'failed' due to no battery in slot.`);
+            await refundFailedWithdrawal(pgClient, noBatteryFailResult.rows[0].id, 'Slot had no battery to release.');
           }
 
           // Reset the slot: the battery is gone, so the slot is available again.
@@ -487,11 +622,21 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
           logger.warn(`Received deposit failure ACK '${ackMessage}' for slot ${slotIdentifier}. Cancelling pending deposit session.`);
           // The deposit failed. Cancel the session and free up the slot.
           const cancelQueryResult = await pgClient.query(
-            "UPDATE deposits SET status = 'cancelled' WHERE slot_id = $1 AND status = 'opening' AND session_type = 'deposit' RETURNING id",
+            "UPDATE deposits SET status = 'cancelled' WHERE slot_id = $1 AND status = 'opening' AND session_type = 'deposit' RETURNING id, user_id",
             [slotId]
           );
           if (cancelQueryResult.rowCount > 0) {
-            logger.info(`Session ${cancelQueryResult.rows[0].id} marked as 'cancelled' due to deposit failure.`);
+            const { id: sessionId, user_id: userId } = cancelQueryResult.rows[0];
+            logger.info(`Session ${sessionId} marked as 'cancelled' due to deposit failure.`);
+            if (ackMessage === 'rejected_door_open') {
+              await sendNotification(pgClient, userId, 'door_left_open', { sessionId, slotIdentifier });
+            } else {
+              await sendNotification(pgClient, userId, 'session_cancelled', {
+                sessionId,
+                slotIdentifier,
+                reason: DEPOSIT_FAILURE_REASONS[ackMessage],
+              });
+            }
           }
           // Explicitly ensure the slot is marked available if the deposit failed
           await pgClient.query("UPDATE booth_slots SET status = 'available' WHERE id = $1", [slotId]);
@@ -582,6 +727,27 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
           break;
         }
 
+        case 'rejected_no_session': {
+          // A battery with no session behind it; the slot is held for review. Alert once per ACK,
+          // not on every telemetry update while it stays set.
+          if (slotBefore?.command?.ack !== ackMessage) {
+            try {
+              await raiseAlert(pgClient, {
+                boothId,
+                slotId,
+                ruleType: 'rejected_no_session',
+                dedupKey: `rejected_no_session:${slotId}`,
+                title: 'Battery with no session',
+                message: `${boothUid}/${slotIdentifier} holds a battery with no session behind it. Charging was refused.`,
+                data: { boothUid, slotIdentifier },
+              });
+            } catch (alertError) {
+              logger.error(`Failed to raise no-session alert for slot ${slotIdentifier}:`, alertError);
+            }
+          }
+          break;
+        }
+
         default:
           logger.debug(`Received unhandled ACK '${ackMessage}' for slot ${slotIdentifier}. No action taken.`);
           break;
@@ -596,6 +762,24 @@ async function syncSlotState(boothUid, slotIdentifier, slotData, slotBefore) {
   }
 }
 
+/**
+ * Records a heartbeat for the booth. Best-effort: a failure only delays offline detection.
+ * @param {string} boothUid - The booth that reported telemetry.
+ * @returns {Promise<void>}
+ */
+async function syncBoothHeartbeat(boothUid) {
+  let pgClient;
+  try {
+    const dbPool = await pool;
+    pgClient = await acquirePgClientWithRetry(dbPool, boothUid, 'heartbeat');
+    await recordBoothHeartbeat(pgClient, boothUid);
+  } catch (error) {
+    logger.error(`Failed to record heartbeat for booth ${boothUid}:`, error);
+  } finally {
+    if (pgClient) pgClient.release();
+  }
+}
+
 // In-memory cache to hold the last known state of each booth.
 const boothStateCache = {};
 
@@ -625,6 +809,11 @@ function initializeFirebaseSync() {
       const beforeSlots = boothBefore.slots || {};
       const afterSlots = boothAfter?.slots || {};
 
+      // New telemetry from any slot means the booth is alive.
+      if (hasTelemetryChanged(boothBefore, boothAfter) && isHeartbeatDue(boothUid)) {
+        await syncBoothHeartbeat(boothUid);
+      }
+
       // Identify which slots have changed and need syncing.
       const slotIdentifiers = new Set([
         ...Object.keys(beforeSlots),
@@ -0,0 +1,239 @@
+const logger = require('./logger');
+
+/**
+ * Chart of accounts seeded by db/init.js.
+ */
+const ACCOUNTS = {
+  MPESA_CLEARING: 'mpesa_clearing',
+  CASH_ON_HAND: 'cash_on_hand',
+  BANK: 'bank',
+  ACCOUNTS_RECEIVABLE: 'accounts_receivable',
+  WALLET_LIABILITY: 'wallet_liability',
+  SWAP_REVENUE: 'swap_revenue',
+  SUBSCRIPTION_REVENUE: 'subscription_revenue',
+  ADJUSTMENTS: 'adjustments',
+};
+
+/**
+ * Maps a session payment method to the account that received the money and the journal entry type.
+ * Dev payments are booked like M-Pesa so the dev schema ledger mirrors production.
+ */
+const PAYMENT_METHOD_POSTINGS = {
+  mpesa: { account: ACCOUNTS.MPESA_CLEARING, entryType: 'stk_charge' },
+  dev: { account: ACCOUNTS.MPESA_CLEARING, entryType: 'stk_charge' },
+  wallet: { account: ACCOUNTS.WALLET_LIABILITY, entryType: 'wallet_payment' },
+  cash: { account: ACCOUNTS.CASH_ON_HAND, entryType: 'cash_payment' },
+  account: { account: ACCOUNTS.ACCOUNTS_RECEIVABLE, entryType: 'account_charge' },
+};
+
+/**
+ * Converts a decimal amount to integer cents to avoid float drift when balancing.
+ * @param {number|string} value - The amount.
+ * @returns {number} The amount in cents.
+ */
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+/**
+ * @typedef {object} JournalLine
+ * @property {string} account - The ledger account code.
+ * @property {number} [debit] - Debit amount (use either debit or credit).
+ * @property {number} [credit] - Credit amount (use either debit or credit).
+ * @property {string|null} [userId] - Optional rider dimension.
+ * @property {number|null} [boothId] - Optional booth dimension.
+ */
+
+/**
+ * Posts a balanced journal entry. Entries are append-only; corrections must be posted
+ * as new entries. Must be called inside an active transaction so the entry commits or
+ * rolls back together with the business change it records.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} entry - The journal entry.
+ * @param {string} entry.entryType - One of stk_charge, wallet_topup, wallet_payment, cash_payment, refund, adjustment,
+ *   subscription_payment, account_charge, invoice_payment.
+ * @param {JournalLine[]} entry.lines - At least two lines whose debits equal their credits.
+ * @param {string|null} [entry.referenceType] - What the entry relates to (e.g. 'session').
+ * @param {string|number|null} [entry.referenceId] - The related record ID.
+ * @param {string|null} [entry.externalReference] - M-Pesa receipt or checkout ID.
+ * @param {string|null} [entry.description] - Human readable description.
+ * @param {string|null} [entry.createdBy] - Admin UID for manual entries.
+ * @returns {Promise<number>} The new journal entry ID.
+ */
+async function postJournalEntry(client, {
+  entryType,
+  lines,
+  referenceType = null,
+  referenceId = null,
+  externalReference = null,
+  description = null,
+  createdBy = null,
+}) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('LEDGER_ENTRY_REQUIRES_TWO_LINES');
+  }
+
+  let debitCents = 0;
+  let creditCents = 0;
+  for (const line of lines) {
+    const debit = toCents(line.debit);
+    const credit = toCents(line.credit);
+    if (debit < 0 || credit < 0 || (debit === 0) === (credit === 0)) {
+      throw new Error('LEDGER_INVALID_LINE');
+    }
+    debitCents += debit;
+    creditCents += credit;
+  }
+
+  if (debitCents !== creditCents) {
+    throw new Error('LEDGER_ENTRY_UNBALANCED');
+  }
+
+  const entryRes = await client.query(
+    `INSERT INTO journal_entries (entry_type, reference_type, reference_id, external_reference, description, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [entryType, referenceType, referenceId === null ? null : String(referenceId), externalReference, description, createdBy]
+  );
+  const entryId = entryRes.rows[0].id;
+
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO journal_lines (entry_id, account_code, user_id, booth_id, debit, credit)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [entryId, line.account, line.userId ?? null, line.boothId ?? null, toCents(line.debit) / 100, toCents(line.credit) / 100]
+    );
+  }
+
+  return entryId;
+}
+
+/**
+ * Records the money received for a withdrawal session: debits the account the money
+ * arrived in (M-Pesa till, rider wallet or cash) and credits swap revenue for the booth.
+ * Zero-amount sessions are not booked.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} payment - The payment details.
+ * @param {number} payment.sessionId - The withdrawal session ID.
+ * @param {string} payment.userId - The paying rider's Firebase UID.
+ * @param {number} payment.boothId - The booth the session belongs to.
+ * @param {number|string} payment.amount - The amount paid.
+ * @param {string|null} [payment.paymentMethod] - 'mpesa', 'wallet', 'cash', 'account' or 'dev'. Defaults to 'mpesa'.
+ * @param {string|null} [payment.externalReference] - M-Pesa receipt or checkout ID.
+ * @param {string|null} [payment.createdBy] - Admin UID when an admin recorded the payment.
+ * @returns {Promise<number|null>} The journal entry ID, or null if nothing was booked.
+ */
+async function recordSessionPayment(client, {
+  sessionId,
+  userId,
+  boothId,
+  amount,
+  paymentMethod = 'mpesa',
+  externalReference = null,
+  createdBy = null,
+}) {
+  if (toCents(amount) <= 0) {
+    return null;
+  }
+
+  const posting = PAYMENT_METHOD_POSTINGS[paymentMethod || 'mpesa'];
+  if (!posting) {
+    throw new Error(`LEDGER_UNKNOWN_PAYMENT_METHOD: ${paymentMethod}`);
+  }
+
+  const entryId = await postJournalEntry(client, {
+    entryType: posting.entryType,
+    referenceType: 'session',
+    referenceId: sessionId,
+    externalReference,
+    description: `Payment for withdrawal session ${sessionId}`,
+    createdBy,
+    lines: [
+      { account: posting.account, debit: Number(amount), userId, boothId },
+      { account: ACCOUNTS.SWAP_REVENUE, credit: Number(amount), userId, boothId },
+    ],
+  });
+
+  logger.info(`Ledger entry ${entryId} (${posting.entryType}) recorded for session ${sessionId}.`);
+  return entryId;
+}
+
+/**
+ * Records a completed refund: reverses swap revenue against the account the money went
+ * back through (M-Pesa till for B2C payouts, rider wallet for wallet refunds, or the
+ * organisation receivable for swaps billed to an account). When more was paid out than the
+ * session was booked at (B2C rounds up to whole shillings) the difference goes to adjustments.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} refund - The refund details.
+ * @param {number} refund.refundId - The refund ID.
+ * @param {number|null} refund.sessionId - The refunded session ID.
+ * @param {string} refund.userId - The rider's Firebase UID.
+ * @param {number|null} refund.boothId - The booth the session belonged to.
+ * @param {number|string} refund.amount - The refunded amount.
+ * @param {number|string} [refund.paidOut] - What actually went back to the rider, if more than `amount`.
+ * @param {string} refund.method - 'mpesa', 'wallet', 'account' or 'dev'.
+ * @param {string|null} [refund.externalReference] - M-Pesa transaction ID, when paid out via B2C.
+ * @param {string|null} [refund.createdBy] - Admin UID that approved the refund.
+ * @returns {Promise<number>} The journal entry ID.
+ */
+async function recordRefund(client, {
+  refundId,
+  sessionId,
+  userId,
+  boothId,
+  amount,
+  paidOut = amount,
+  method,
+  externalReference = null,
+  createdBy = null,
+}) {
+  const refundAccounts = { wallet: ACCOUNTS.WALLET_LIABILITY, account: ACCOUNTS.ACCOUNTS_RECEIVABLE };
+  const account = refundAccounts[method] || ACCOUNTS.MPESA_CLEARING;
+  const roundingCents = toCents(paidOut) - toCents(amount);
+
+  return postJournalEntry(client, {
+    entryType: 'refund',
+    referenceType: 'refund',
+    referenceId: refundId,
+    externalReference,
+    description: `Refund ${refundId} for withdrawal session ${sessionId}`,
+    createdBy,
+    lines: [
+      { account: ACCOUNTS.SWAP_REVENUE, debit: Number(amount), userId, boothId },
+      ...(roundingCents > 0 ? [{ account: ACCOUNTS.ADJUSTMENTS, debit: roundingCents / 100, userId, boothId }] : []),
+      { account, credit: Number(paidOut), userId, boothId },
+    ],
+  });
+}
+
+/**
+ * Records the M-Pesa payment for a subscription plan. The swaps it covers are priced at zero,
+ * so the revenue is recognised once, when the plan is bought.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} payment - The payment details.
+ * @param {number} payment.subscriptionId - The user_subscriptions ID.
+ * @param {string} payment.userId - The rider's Firebase UID.
+ * @param {number|string} payment.amount - The amount paid.
+ * @param {string|null} [payment.externalReference] - M-Pesa receipt or checkout ID.
+ * @returns {Promise<number>} The journal entry ID.
+ */
+async function recordSubscriptionPayment(client, { subscriptionId, userId, amount, externalReference = null }) {
+  return postJournalEntry(client, {
+    entryType: 'subscription_payment',
+    referenceType: 'subscription',
+    referenceId: subscriptionId,
+    externalReference,
+    description: `Subscription ${subscriptionId}`,
+    lines: [
+      { account: ACCOUNTS.MPESA_CLEARING, debit: Number(amount), userId },
+      { account: ACCOUNTS.SUBSCRIPTION_REVENUE, credit: Number(amount), userId },
+    ],
+  });
+}
+
+module.exports = {
+  ACCOUNTS,
+  postJournalEntry,
+  recordSessionPayment,
+  recordRefund,
+  recordSubscriptionPayment,
+  toCents,
+};
@@ -41,6 +41,23 @@ const MPESA_CONFIG = {
  * @property {MpesaSTKCallback} Body.stkCallback - The STK callback information.
  */
 
+/**
+ * @typedef {object} MpesaB2CResult
+ * @property {number} ResultType - 0 for a completed request.
+ * @property {number} ResultCode - 0 for success, any other value for failure.
+ * @property {string} ResultDesc - Description of the result.
+ * @property {string} OriginatorConversationID - Unique ID returned when the payout was requested.
+ * @property {string} ConversationID - M-Pesa's conversation ID for the payout.
+ * @property {string} [TransactionID] - The M-Pesa transaction ID on success.
+ * @property {{ResultParameter: MpesaCallbackItem[]|MpesaCallbackItem}} [ResultParameters] - Payout details on success.
+ */
+
+/**
+ * @typedef {object} MpesaB2CCallbackPayload
+ * @description The structure of the request body sent by Safaricom to the B2C result and timeout URLs.
+ * @property {MpesaB2CResult} Result - The B2C result information.
+ */
+
 /**
  * Returns an array of whitelisted M-Pesa IP addresses.
  * In a real-world scenario, these should be managed carefully.
@@ -159,20 +176,28 @@ const querySTKStatus = async (checkoutRequestId) => {
   });
 };
 
-// B2C (Payout)
-const initiateB2CPayout = async (driverPhone, amount, remarks) => {
+/**
+ * Sends money from the business short code to a customer's phone (B2C).
+ * Results arrive asynchronously on /api/mpesa/b2c/result (or /b2c/timeout).
+ * @param {string} driverPhone - The recipient's phone number.
+ * @param {number} amount - The amount to pay out (rounded to whole shillings).
+ * @param {string} remarks - Remarks shown on the transaction (max 100 chars).
+ * @param {string} [occasion] - Optional occasion label (e.g. 'Refund').
+ * @returns {Promise<object>} The axios response; `data.OriginatorConversationID` identifies the payout.
+ */
+const initiateB2CPayout = async (driverPhone, amount, remarks, occasion = 'DriverPayout') => {
   const token = await getAccessToken();
   const payload = {
     InitiatorName: process.env.MPESA_INITIATOR_NAME,
     SecurityCredential: process.env.MPESA_SECURITY_CREDENTIAL, // Encrypted creds
     CommandID: 'BusinessPayment',
-    Amount: amount,
+    Amount: Math.round(amount), // M-Pesa API expects an integer
     PartyA: MPESA_CONFIG.shortCode,
     PartyB: `254${driverPhone.slice(-9)}`,
-    Remarks: remarks,
-    QueueTimeOutURL: `${MPESA_CONFIG.baseUrl}/api/mpesa/callback?type=b2c_timeout`,
-    ResultURL: `${MPESA_CONFIG.baseUrl}/api/mpesa/callback?type=b2c_result`,
-    Occasion: 'DriverPayout',
+    Remarks: String(remarks).substring(0, 100),
+    QueueTimeOutURL: `${MPESA_CONFIG.baseUrl}/api/mpesa/b2c/timeout`,
+    ResultURL: `${MPESA_CONFIG.baseUrl}/api/mpesa/b2c/result`,
+    Occasion: occasion,
   };
 
   return axios.post(`${MPESA_CONFIG.apiUrl}/mpesa/b2c/v1/paymentrequest`, payload, {
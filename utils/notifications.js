@@ -0,0 +1,312 @@
+const { admin } = require('./firebase');
+const logger = require('./logger');
+const { withSavepoint } = require('./savepoint');
+const { getSmsProvider } = require('./sms');
+
+/**
+ * Rider notifications.
+ *
+ * Every message is sent from a named template as a push notification. If the push can not be
+ * delivered (no FCM token, or FCM rejected it) the same text is sent by SMS instead. Every
+ * attempt is stored in `notifications` with its channel and outcome: `sent`, `failed` (the
+ * provider rejected it) or `skipped` (the rider opted out, or has no token or phone number).
+ *
+ * sendNotification() calls FCM straight away, so it is only for callers outside a transaction.
+ * Payment and refund flows hold row locks until they commit; they call queueNotification(),
+ * which only inserts a `queued` row under a savepoint, and the delivery cron sends it (and any
+ * SMS fallback) after the commit. Neither throws, so a notification problem can not interrupt the flow that
+ * triggered it.
+ */
+
+const NOTIFICATION_TEMPLATES = {
+  battery_ready: {
+    title: 'Battery ready',
+    body: ({ slotIdentifier, chargeLevel }) => `Your battery in ${slotIdentifier} is charged to ${chargeLevel}% and ready to collect.`,
+  },
+  payment_received: {
+    title: 'Payment successful',
+    body: ({ amount }) => `KES ${amount} received. Please scan the QR code on the booth to collect your battery.`,
+  },
+  session_cancelled: {
+    title: 'Session cancelled',
+    body: ({ slotIdentifier, reason }) => `Your session at ${slotIdentifier} was cancelled: ${reason}`,
+  },
+  door_left_open: {
+    title: 'Close the slot door',
+    body: ({ slotIdentifier }) => `The door of ${slotIdentifier} was left open, so your deposit was cancelled. Close the door firmly and try again.`,
+  },
+  refund_issued: {
+    title: 'Refund issued',
+    body: ({ amount, method }) => {
+      const destination = { mpesa: ' to your M-Pesa', wallet: ' to your wallet', account: ' on your organisation account' }[method] || '';
+      return `KES ${amount} has been refunded${destination}.`;
+    },
+  },
+};
+
+const NOTIFICATION_TEMPLATE_NAMES = Object.keys(NOTIFICATION_TEMPLATES);
+
+// A rider can turn off each template, and the SMS fallback as a whole.
+const NOTIFICATION_PREFERENCE_KEYS = [...NOTIFICATION_TEMPLATE_NAMES, 'sms'];
+
+// Queued notifications are claimed as 'sending' before the push goes out, so overlapping
+// cron runs never send one twice. A run that dies mid-batch leaves its rows 'sending'.
+const DELIVERY_BATCH_SIZE = 50;
+
+/**
+ * Merges a rider's stored opt-outs over the default of everything enabled.
+ * @param {object|null} stored - `users.notification_preferences`.
+ * @returns {{[key: string]: boolean}} Template name (or 'sms') to enabled.
+ */
+function resolvePreferences(stored) {
+  return Object.fromEntries(
+    NOTIFICATION_PREFERENCE_KEYS.map((name) => [name, stored?.[name] !== false])
+  );
+}
+
+/**
+ * Renders a template into the push title, body and string-only FCM data payload.
+ * @param {string} template - A NOTIFICATION_TEMPLATES key.
+ * @param {object} data - Template values.
+ * @returns {{title: string, body: string, payload: {[key: string]: string}}} The message.
+ */
+function renderNotification(template, data) {
+  const { title, body } = NOTIFICATION_TEMPLATES[template];
+  const payload = Object.fromEntries(
+    Object.entries({ type: template, ...data })
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, String(value)])
+  );
+  return { title, body: body(data), payload };
+}
+
+/**
+ * Writes the application log line for one attempt.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {string} template - The template name.
+ * @param {string} channel - 'push' or 'sms'.
+ * @param {string} status - 'sent', 'failed' or 'skipped'.
+ * @param {string|null} error - The provider error or skip reason.
+ */
+function reportAttempt(userId, template, channel, status, error) {
+  if (status === 'failed') {
+    logger.warn(`${channel} '${template}' to user ${userId} failed: ${error}`);
+  } else {
+    logger.info(`${channel} '${template}' to user ${userId}: ${status}${error ? ` (${error})` : ''}.`);
+  }
+}
+
+/**
+ * Stores one delivery attempt.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} attempt - The attempt.
+ * @param {string} attempt.userId - The rider's Firebase UID.
+ * @param {string} attempt.template - The template name.
+ * @param {string} attempt.channel - 'push' or 'sms'.
+ * @param {string} attempt.title - The rendered title.
+ * @param {string} attempt.body - The rendered body.
+ * @param {object} attempt.payload - The data payload.
+ * @param {string} attempt.status - 'sent', 'failed' or 'skipped'.
+ * @param {string|null} attempt.error - The provider error or skip reason.
+ * @param {string|null} attempt.providerMessageId - The provider's message ID.
+ * @returns {Promise<{id: number, channel: string, status: string}>} The logged attempt.
+ */
+async function logAttempt(client, { userId, template, channel, title, body, payload, status, error, providerMessageId }) {
+  const logRes = await client.query(
+    `INSERT INTO notifications (user_id, template, channel, title, body, data, status, error, provider_message_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [userId, template, channel, title, body, JSON.stringify(payload), status, error, providerMessageId]
+  );
+
+  reportAttempt(userId, template, channel, status, error);
+  return { id: logRes.rows[0].id, channel, status };
+}
+
+/**
+ * Sends a push through FCM.
+ * @param {string|null} token - The rider's FCM token.
+ * @param {string} title - The rendered title.
+ * @param {string} body - The rendered body.
+ * @param {object} payload - The data payload.
+ * @returns {Promise<{status: string, error: string|null, providerMessageId: string|null}>} The outcome.
+ */
+async function deliverPush(token, title, body, payload) {
+  if (!token) {
+    return { status: 'skipped', error: 'no_token', providerMessageId: null };
+  }
+  try {
+    const providerMessageId = await admin.messaging().send({
+      token,
+      notification: { title, body },
+      data: payload,
+      android: {
+        priority: 'high',
+      },
+    });
+    return { status: 'sent', error: null, providerMessageId };
+  } catch (sendError) {
+    return { status: 'failed', error: String(sendError?.message || sendError).substring(0, 1000), providerMessageId: null };
+  }
+}
+
+/**
+ * Sends an SMS through the configured provider.
+ * @param {object} provider - The SMS provider from getSmsProvider().
+ * @param {string|null} phone - The rider's phone number.
+ * @param {string} message - The text to send.
+ * @returns {Promise<{status: string, error: string|null, providerMessageId: string|null}>} The outcome.
+ */
+async function deliverSms(provider, phone, message) {
+  if (!phone) {
+    return { status: 'skipped', error: 'no_phone', providerMessageId: null };
+  }
+  try {
+    const { messageId } = await provider.send(phone, message);
+    return { status: 'sent', error: null, providerMessageId: messageId };
+  } catch (sendError) {
+    return { status: 'failed', error: String(sendError?.message || sendError).substring(0, 1000), providerMessageId: null };
+  }
+}
+
+/**
+ * Sends a templated notification to a rider by push, falling back to SMS, and logs every attempt.
+ * Inside a transaction use queueNotification() instead.
+ * @param {object} client - The PostgreSQL client, not within a transaction.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {string} template - A NOTIFICATION_TEMPLATES key.
+ * @param {object} [data] - Template values; also sent as the push data payload.
+ * @returns {Promise<{id: number, channel: string, status: string}|null>} The last logged attempt, or null if it could not be logged.
+ */
+async function sendNotification(client, userId, template, data = {}) {
+  const definition = NOTIFICATION_TEMPLATES[template];
+  if (!definition) {
+    logger.error(`Unknown notification template '${template}' for user ${userId}.`);
+    return null;
+  }
+
+  try {
+    const { title, body, payload } = renderNotification(template, data);
+    const attempt = { userId, template, title, body, payload };
+
+    const userRes = await client.query(
+      'SELECT fcm_token, phone, notification_preferences FROM users WHERE user_id = $1 LIMIT 1',
+      [userId]
+    );
+    const user = userRes.rows[0];
+    const preferences = resolvePreferences(user?.notification_preferences);
+
+    if (!preferences[template]) {
+      return await logAttempt(client, { ...attempt, channel: 'push', status: 'skipped', error: 'opted_out', providerMessageId: null });
+    }
+
+    const push = await logAttempt(client, { ...attempt, channel: 'push', ...await deliverPush(user?.fcm_token, title, body, payload) });
+    const smsProvider = getSmsProvider();
+    if (push.status === 'sent' || !preferences.sms || !smsProvider) {
+      return push;
+    }
+
+    return await logAttempt(client, { ...attempt, channel: 'sms', ...await deliverSms(smsProvider, user?.phone, `${title}: ${body}`) });
+  } catch (error) {
+    logger.warn(`Could not send or log notification '${template}' for user ${userId}: ${error?.message || error}`);
+    return null;
+  }
+}
+
+/**
+ * Queues a templated push for the delivery cron. Only the `notifications` row is written, under
+ * a savepoint, so a failed insert is rolled back on its own and the caller's transaction and
+ * row locks are never held up by FCM.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {string} template - A NOTIFICATION_TEMPLATES key.
+ * @param {object} [data] - Template values; also sent as the push data payload.
+ * @returns {Promise<{id: number, channel: string, status: string}|null>} The queued row, or null if it could not be queued.
+ */
+async function queueNotification(client, userId, template, data = {}) {
+  if (!NOTIFICATION_TEMPLATES[template]) {
+    logger.error(`Unknown notification template '${template}' for user ${userId}.`);
+    return null;
+  }
+
+  try {
+    const { title, body, payload } = renderNotification(template, data);
+    return await withSavepoint(client, 'queue_notification', async () => {
+      const queuedRes = await client.query(
+        `INSERT INTO notifications (user_id, template, channel, title, body, data, status)
+         VALUES ($1, $2, 'push', $3, $4, $5, 'queued')
+         RETURNING id`,
+        [userId, template, title, body, JSON.stringify(payload)]
+      );
+      return { id: queuedRes.rows[0].id, channel: 'push', status: 'queued' };
+    });
+  } catch (error) {
+    logger.warn(`Could not queue notification '${template}' for user ${userId}: ${error?.message || error}`);
+    return null;
+  }
+}
+
+/**
+ * Claims queued notifications and sends each push, recording the outcome on its row. A push
+ * that does not go out falls back to SMS, logged as its own row as in sendNotification().
+ * @param {object} client - The PostgreSQL client, not within a transaction.
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>} Outcome counts, by each notification's last attempt.
+ */
+async function deliverQueuedNotifications(client) {
+  const claimedRes = await client.query(
+    `UPDATE notifications n
+     SET status = 'sending'
+     FROM users u
+     WHERE n.id IN (
+         SELECT id FROM notifications
+         WHERE status = 'queued'
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       AND u.user_id = n.user_id
+     RETURNING n.id, n.user_id, n.template, n.title, n.body, n.data,
+               u.fcm_token, u.phone, u.notification_preferences`,
+    [DELIVERY_BATCH_SIZE]
+  );
+
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+  for (const queued of claimedRes.rows) {
+    const preferences = resolvePreferences(queued.notification_preferences);
+    const { status, error, providerMessageId } = preferences[queued.template]
+      ? await deliverPush(queued.fcm_token, queued.title, queued.body, queued.data)
+      : { status: 'skipped', error: 'opted_out', providerMessageId: null };
+
+    await client.query(
+      'UPDATE notifications SET status = $2, error = $3, provider_message_id = $4 WHERE id = $1',
+      [queued.id, status, error, providerMessageId]
+    );
+    reportAttempt(queued.user_id, queued.template, 'push', status, error);
+
+    const smsProvider = getSmsProvider();
+    if (status === 'sent' || error === 'opted_out' || !preferences.sms || !smsProvider) {
+      counts[status] += 1;
+      continue;
+    }
+    const sms = await logAttempt(client, {
+      userId: queued.user_id,
+      template: queued.template,
+      channel: 'sms',
+      title: queued.title,
+      body: queued.body,
+      payload: queued.data,
+      ...await deliverSms(smsProvider, queued.phone, `${queued.title}: ${queued.body}`),
+    });
+    counts[sms.status] += 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  NOTIFICATION_TEMPLATE_NAMES,
+  NOTIFICATION_PREFERENCE_KEYS,
+  resolvePreferences,
+  sendNotification,
+  queueNotification,
+  deliverQueuedNotifications,
+};
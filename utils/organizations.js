@@ -0,0 +1,262 @@
+const logger = require('./logger');
+const { ACCOUNTS, postJournalEntry } = require('./ledger');
+
+// Months, spending limits and invoice periods follow the local calendar.
+const BILLING_TIMEZONE = 'Africa/Nairobi';
+
+// Where the money for a paid invoice arrived.
+const INVOICE_PAYMENT_ACCOUNTS = {
+  mpesa: ACCOUNTS.MPESA_CLEARING,
+  bank: ACCOUNTS.BANK,
+  cash: ACCOUNTS.CASH_ON_HAND,
+};
+
+// Account-billed sessions whose refund has completed are no longer owed by the organisation.
+const NOT_REFUNDED = "NOT EXISTS (SELECT 1 FROM refunds r WHERE r.session_id = d.id AND r.status = 'completed')";
+
+/**
+ * Normalizes a Kenyan phone number to +254XXXXXXXXX so invitations match however the
+ * number was typed (07..., 2547..., +2547...). Riders are matched on the last 9 digits,
+ * the same way M-Pesa numbers are built.
+ * @param {string} phone - The phone number as entered.
+ * @returns {string|null} The normalized number, or null if it has fewer than 9 digits.
+ */
+function normalizeMemberPhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 9) return null;
+  return `+254${digits.slice(-9)}`;
+}
+
+/**
+ * Returns the first day of the previous calendar month and of the current one, in the
+ * billing time zone. Used as the [start, end) period of the monthly invoice run.
+ * @param {Date} [now] - The current time.
+ * @returns {{periodStart: string, periodEnd: string}} ISO dates (YYYY-MM-DD).
+ */
+function getPreviousBillingPeriod(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone: BILLING_TIMEZONE, year: 'numeric', month: '2-digit' })
+    .formatToParts(now);
+  const year = Number(parts.find((part) => part.type === 'year').value);
+  const month = Number(parts.find((part) => part.type === 'month').value);
+
+  const previousYear = month === 1 ? year - 1 : year;
+  const previousMonth = month === 1 ? 12 : month - 1;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return {
+    periodStart: `${previousYear}-${pad(previousMonth)}-01`,
+    periodEnd: `${year}-${pad(month)}-01`,
+  };
+}
+
+/**
+ * Finds the rider's active organisation membership.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {{forUpdate?: boolean}} [options] - Lock the membership row (requires an active transaction).
+ * @returns {Promise<{memberId: number, organizationId: number, organizationName: string, organizationStatus: string, role: string, monthlySpendLimit: number|null}|null>} The membership, or null.
+ */
+async function getActiveMembership(client, userId, { forUpdate = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT m.id, m.organization_id, o.name, o.status AS organization_status, m.role, m.monthly_spend_limit
+     FROM organization_members m
+     JOIN organizations o ON o.id = m.organization_id
+     WHERE m.user_id = $1 AND m.status = 'active'
+     LIMIT 1
+     ${forUpdate ? 'FOR UPDATE OF m' : ''}`,
+    [userId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const member = rows[0];
+  return {
+    memberId: member.id,
+    organizationId: member.organization_id,
+    organizationName: member.name,
+    organizationStatus: member.organization_status,
+    role: member.role,
+    monthlySpendLimit: member.monthly_spend_limit === null ? null : parseFloat(member.monthly_spend_limit),
+  };
+}
+
+/**
+ * Sums what a rider has billed to the organisation so far this calendar month.
+ * Cancelled, failed and refunded sessions do not count.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} organizationId - The organisation.
+ * @param {string} userId - The rider's Firebase UID.
+ * @returns {Promise<number>} The month-to-date spend.
+ */
+async function getMonthToDateSpend(client, organizationId, userId) {
+  const { rows } = await client.query(
+    `SELECT COALESCE(SUM(d.amount), 0) AS spend
+     FROM deposits d
+     WHERE d.organization_id = $1
+       AND d.user_id = $2
+       AND d.session_type = 'withdrawal'
+       AND d.payment_method = 'account'
+       AND d.status NOT IN ('cancelled', 'failed')
+       AND d.started_at >= date_trunc('month', NOW() AT TIME ZONE $3) AT TIME ZONE $3
+       AND ${NOT_REFUNDED}`,
+    [organizationId, userId, BILLING_TIMEZONE]
+  );
+  return parseFloat(rows[0].spend);
+}
+
+/**
+ * Checks that a withdrawal can be billed to the rider's organisation account.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {number|string} amount - The amount to bill.
+ * @returns {Promise<{organizationId: number, organizationName: string, remaining: number|null}>} The organisation to bill and the limit left after this charge.
+ * @throws {Error} 'NOT_ORG_MEMBER', 'ORG_SUSPENDED' or 'SPENDING_LIMIT_EXCEEDED'.
+ */
+async function authorizeAccountBilling(client, userId, amount) {
+  const membership = await getActiveMembership(client, userId, { forUpdate: true });
+  if (!membership) {
+    throw new Error('NOT_ORG_MEMBER');
+  }
+  if (membership.organizationStatus !== 'active') {
+    throw new Error('ORG_SUSPENDED');
+  }
+
+  let remaining = null;
+  if (membership.monthlySpendLimit !== null) {
+    const spend = await getMonthToDateSpend(client, membership.organizationId, userId);
+    remaining = Math.round((membership.monthlySpendLimit - spend - Number(amount)) * 100) / 100;
+    if (remaining < 0) {
+      throw new Error('SPENDING_LIMIT_EXCEEDED');
+    }
+  }
+
+  return {
+    organizationId: membership.organizationId,
+    organizationName: membership.organizationName,
+    remaining,
+  };
+}
+
+/**
+ * Issues one invoice per organisation for the account-billed withdrawals in a period and links
+ * the sessions to it. Sessions refunded before the run are left off. Idempotent: an organisation that already has an invoice for the period
+ * is skipped, and sessions are only ever linked to one invoice.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {{periodStart: string, periodEnd: string}} period - [start, end) as ISO dates in the billing time zone.
+ * @returns {Promise<{invoiceId: number, organizationId: number, sessionCount: number, amount: number}[]>} The invoices issued.
+ */
+async function generateInvoicesForPeriod(client, { periodStart, periodEnd }) {
+  const billableFilter = `
+    d.payment_method = 'account'
+    AND d.session_type = 'withdrawal'
+    AND d.status IN ('in_progress', 'completed')
+    AND d.invoice_id IS NULL
+    AND ${NOT_REFUNDED}
+    AND d.started_at >= ($1::date)::timestamp AT TIME ZONE $3
+    AND d.started_at < ($2::date)::timestamp AT TIME ZONE $3`;
+
+  const { rows: totals } = await client.query(
+    `SELECT d.organization_id, COUNT(*)::int AS session_count, SUM(d.amount) AS amount
+     FROM deposits d
+     WHERE d.organization_id IS NOT NULL AND ${billableFilter}
+     GROUP BY d.organization_id`,
+    [periodStart, periodEnd, BILLING_TIMEZONE]
+  );
+
+  const invoices = [];
+  for (const total of totals) {
+    const invoiceRes = await client.query(
+      `INSERT INTO organization_invoices (organization_id, period_start, period_end, session_count, amount, due_at)
+       SELECT $1, $2, $3, $4, $5, $3::date + o.payment_terms_days
+       FROM organizations o
+       WHERE o.id = $1
+       ON CONFLICT (organization_id, period_start) DO NOTHING
+       RETURNING id`,
+      [total.organization_id, periodStart, periodEnd, total.session_count, total.amount]
+    );
+    if (invoiceRes.rowCount === 0) {
+      continue;
+    }
+
+    const invoiceId = invoiceRes.rows[0].id;
+    await client.query(
+      `UPDATE deposits d SET invoice_id = $4
+       WHERE d.organization_id = $5 AND ${billableFilter}`,
+      [periodStart, periodEnd, BILLING_TIMEZONE, invoiceId, total.organization_id]
+    );
+
+    invoices.push({
+      invoiceId,
+      organizationId: total.organization_id,
+      sessionCount: total.session_count,
+      amount: parseFloat(total.amount),
+    });
+    logger.info(`Invoice ${invoiceId} issued to organization ${total.organization_id} for ${periodStart}: ${total.session_count} swap(s), KES ${total.amount}.`);
+  }
+
+  return invoices;
+}
+
+/**
+ * Records the payment of an issued invoice and books it against the receivable.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number|string} invoiceId - The invoice ID.
+ * @param {object} payment - How the invoice was paid.
+ * @param {string} payment.method - 'mpesa', 'bank' or 'cash'.
+ * @param {string|null} [payment.reference] - Bank or M-Pesa reference.
+ * @param {string} payment.recordedBy - Admin UID.
+ * @returns {Promise<{id: number, organizationId: number, amount: number}>} The paid invoice.
+ * @throws {Error} 'INVALID_PAYMENT_METHOD', 'INVOICE_NOT_FOUND' or 'INVOICE_NOT_PAYABLE'.
+ */
+async function markInvoicePaid(client, invoiceId, { method, reference = null, recordedBy }) {
+  const account = INVOICE_PAYMENT_ACCOUNTS[method];
+  if (!account) {
+    throw new Error('INVALID_PAYMENT_METHOD');
+  }
+
+  const invoiceRes = await client.query(
+    'SELECT id, organization_id, amount, status FROM organization_invoices WHERE id = $1 FOR UPDATE',
+    [invoiceId]
+  );
+  if (invoiceRes.rowCount === 0) {
+    throw new Error('INVOICE_NOT_FOUND');
+  }
+  const invoice = invoiceRes.rows[0];
+  if (invoice.status !== 'issued') {
+    throw new Error('INVOICE_NOT_PAYABLE');
+  }
+
+  await client.query(
+    `UPDATE organization_invoices
+     SET status = 'paid', paid_at = NOW(), payment_method = $2, payment_reference = $3, recorded_by = $4
+     WHERE id = $1`,
+    [invoice.id, method, reference, recordedBy]
+  );
+
+  await postJournalEntry(client, {
+    entryType: 'invoice_payment',
+    referenceType: 'organization_invoice',
+    referenceId: invoice.id,
+    externalReference: reference,
+    description: `Payment for invoice ${invoice.id} (organization ${invoice.organization_id})`,
+    createdBy: recordedBy,
+    lines: [
+      { account, debit: Number(invoice.amount) },
+      { account: ACCOUNTS.ACCOUNTS_RECEIVABLE, credit: Number(invoice.amount) },
+    ],
+  });
+
+  return { id: invoice.id, organizationId: invoice.organization_id, amount: parseFloat(invoice.amount) };
+}
+
+module.exports = {
+  BILLING_TIMEZONE,
+  normalizeMemberPhone,
+  getPreviousBillingPeriod,
+  getActiveMembership,
+  getMonthToDateSpend,
+  authorizeAccountBilling,
+  generateInvoicesForPeriod,
+  markInvoicePaid,
+};
@@ -0,0 +1,163 @@
+/**
+ * Permission model for the admin API.
+ *
+ * Firebase `admin` and `developer` users keep full access. Everyone else gets permissions only
+ * through roles assigned in `admin_role_assignments`. An assignment can be scoped to booth UIDs
+ * and/or regions (`booths.region`), in which case its permissions apply only to routes about one
+ * of those booths, and to the booth lists, which are filtered to them.
+ */
+
+const PERMISSIONS = [
+  'dashboard:read',
+  'booths:read',
+  'booths:write',
+  'booths:command',
+  'batteries:read',
+  'batteries:write',
+  'sessions:read',
+  'sessions:write',
+  'users:read',
+  'users:write',
+  'payments:read',
+  'payments:write',
+  'organizations:read',
+  'organizations:write',
+  'subscriptions:read',
+  'subscriptions:write',
+  'promotions:read',
+  'promotions:write',
+  'reports:read',
+  'reports:write',
+  'alerts:read',
+  'alerts:write',
+  'work_orders:read',
+  'work_orders:write',
+  'notifications:read',
+  'settings:read',
+  'settings:write',
+  'webhooks:manage',
+  'audit:read',
+  'roles:manage',
+];
+
+const FULL_ACCESS_ROLES = ['admin', 'developer'];
+
+// Seeded by db/init.js as system roles; admins can change their permissions but not delete them.
+const DEFAULT_ADMIN_ROLES = [
+  {
+    name: 'operator',
+    description: 'Runs the booth network: booth and slot changes, door commands, batteries, alerts, problem reports and work orders.',
+    permissions: [
+      'dashboard:read', 'booths:read', 'booths:write', 'booths:command', 'batteries:read', 'batteries:write',
+      'sessions:read', 'alerts:read', 'alerts:write', 'reports:read', 'reports:write', 'work_orders:read',
+      'work_orders:write',
+    ],
+  },
+  {
+    name: 'support_agent',
+    description: 'Helps riders: looks up users, sessions, payments and notifications, and handles problem reports.',
+    permissions: [
+      'dashboard:read', 'booths:read', 'users:read', 'sessions:read', 'payments:read', 'subscriptions:read',
+      'promotions:read', 'notifications:read', 'alerts:read', 'reports:read', 'reports:write', 'work_orders:read',
+    ],
+  },
+  {
+    name: 'finance',
+    description: 'Payments, refunds, ledger adjustments, organisation invoices, plans and promotions.',
+    permissions: [
+      'dashboard:read', 'sessions:read', 'payments:read', 'payments:write', 'organizations:read',
+      'organizations:write', 'subscriptions:read', 'subscriptions:write', 'promotions:read', 'promotions:write',
+      'audit:read',
+    ],
+  },
+  {
+    name: 'technician',
+    description: 'Field maintenance: booth status, door commands, batteries, alerts and work orders. Usually scoped to booths or a region.',
+    permissions: [
+      'booths:read', 'booths:command', 'batteries:read', 'batteries:write', 'alerts:read', 'alerts:write',
+      'reports:read', 'reports:write', 'work_orders:read', 'work_orders:write',
+    ],
+  },
+];
+
+/**
+ * Loads the role assignments of a user, with each role's permissions.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} uid - The user's Firebase UID.
+ * @returns {Promise<Array<{permissions: string[], booth_uids: string[]|null, regions: string[]|null}>>} The grants.
+ */
+async function getPermissionGrants(client, uid) {
+  const grantsRes = await client.query(
+    `SELECT r.permissions, a.booth_uids, a.regions
+     FROM admin_role_assignments a
+     JOIN admin_roles r ON r.id = a.role_id
+     WHERE a.user_id = $1`,
+    [uid]
+  );
+  return grantsRes.rows;
+}
+
+/**
+ * Works out where a user may use a permission.
+ * @param {Array<{permissions: string[], booth_uids: string[]|null, regions: string[]|null}>} grants - From getPermissionGrants().
+ * @param {string} permission - e.g. 'booths:command'.
+ * @returns {{boothUids: string[], regions: string[]}|null|false} false if no grant has the permission,
+ *   null if one grants it everywhere, otherwise the booths and regions it is limited to.
+ */
+function resolvePermissionScope(grants, permission) {
+  const matching = grants.filter((grant) => (grant.permissions || []).includes(permission));
+  if (matching.length === 0) {
+    return false;
+  }
+  const isScoped = (grant) => (grant.booth_uids?.length || 0) > 0 || (grant.regions?.length || 0) > 0;
+  if (matching.some((grant) => !isScoped(grant))) {
+    return null;
+  }
+  return {
+    boothUids: [...new Set(matching.flatMap((grant) => grant.booth_uids || []))],
+    regions: [...new Set(matching.flatMap((grant) => grant.regions || []))],
+  };
+}
+
+/**
+ * Checks whether a booth is within a permission scope.
+ * @param {object} client - The PostgreSQL client.
+ * @param {{boothUids: string[], regions: string[]}} scope - From resolvePermissionScope().
+ * @param {string} boothUid - The booth.
+ * @returns {Promise<boolean>} True if the scope covers the booth.
+ */
+async function isBoothInScope(client, scope, boothUid) {
+  if (scope.boothUids.includes(boothUid)) {
+    return true;
+  }
+  if (scope.regions.length === 0) {
+    return false;
+  }
+  const boothRes = await client.query('SELECT region FROM booths WHERE booth_uid = $1', [boothUid]);
+  return scope.regions.includes(boothRes.rows[0]?.region);
+}
+
+/**
+ * Builds the SQL condition that limits a booth query to a permission scope.
+ * @param {{boothUids: string[], regions: string[]}|null|undefined} scope - `req.permissionScope`; null or undefined for no limit.
+ * @param {any[]} params - The query parameters; the scope's values are appended.
+ * @param {string} [alias] - The booths table alias.
+ * @returns {string} The condition, or '' for no limit.
+ */
+function boothScopeCondition(scope, params, alias = 'b') {
+  if (!scope) {
+    return '';
+  }
+  params.push(scope.boothUids, scope.regions);
+  return `(${alias}.booth_uid = ANY($${params.length - 1}::text[]) OR ${alias}.region = ANY($${params.length}::text[]))`;
+}
+
+module.exports = {
+  PERMISSIONS,
+  FULL_ACCESS_ROLES,
+  DEFAULT_ADMIN_ROLES,
+  getPermissionGrants,
+  resolvePermissionScope,
+  isBoothInScope,
+  boothScopeCondition,
+};
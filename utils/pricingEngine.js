@@ -0,0 +1,271 @@
+/**
+ * Pricing engine for battery swaps.
+ *
+ * Rules live in the `pricing` key of app_settings:
+ *
+ * {
+ *   "base_swap_fee": 5,                  // minimum charged for any swap
+ *   "cost_per_charge_percent": 10,       // flat rate per % SOC added (used when no kWh tiers are set)
+ *   "battery_capacity_kwh": 1.5,         // converts % SOC added into kWh for tiered rates
+ *   "kwh_tiers": [                       // optional progressive rates; the last tier may omit up_to_kwh
+ *     { "up_to_kwh": 0.5, "rate_per_kwh": 40 },
+ *     { "rate_per_kwh": 30 }
+ *   ],
+ *   "time_of_day": [                     // optional multipliers on the energy charge (local time)
+ *     { "name": "peak", "start": "17:00", "end": "21:00", "multiplier": 1.2 },
+ *     { "name": "off_peak", "start": "22:00", "end": "06:00", "multiplier": 0.8 }
+ *   ],
+ *   "timezone": "Africa/Nairobi",
+ *   "overtime_penalty_per_minute": 0.1,  // charged per minute the battery stays past the grace period
+ *   "grace_period_minutes": 240,
+ *   "booth_overrides": { "<boothUid>": { ...any of the keys above } }
+ * }
+ *
+ * The engine itself is pure so it can be shared by the API, the quote endpoint and the
+ * offline simulation script.
+ */
+
+const DEFAULT_PRICING_RULES = {
+  base_swap_fee: 0,
+  cost_per_charge_percent: 0,
+  battery_capacity_kwh: null,
+  kwh_tiers: [],
+  time_of_day: [],
+  timezone: 'Africa/Nairobi',
+  overtime_penalty_per_minute: 0,
+  grace_period_minutes: 240,
+};
+
+const CURRENCY = 'KES';
+
+/**
+ * Rounds a money amount to 2 decimal places.
+ * @param {number} value - The amount.
+ * @returns {number} The rounded amount.
+ */
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Formats an amount for breakdown labels.
+ * @param {number} value - The amount.
+ * @returns {string} e.g. "KES 10.00".
+ */
+const formatMoney = (value) => `${CURRENCY} ${Number(value).toFixed(2)}`;
+
+/**
+ * Merges the stored pricing rules with the defaults and any override for the booth.
+ * @param {object} pricing - The `pricing` app setting.
+ * @param {string|null} [boothUid] - The booth being priced.
+ * @returns {{rules: object, boothOverride: boolean}} The effective rules.
+ */
+function resolvePricingRules(pricing, boothUid = null) {
+  const { booth_overrides: boothOverrides = {}, ...globalRules } = pricing || {};
+  const override = boothUid && boothOverrides ? boothOverrides[boothUid] : null;
+
+  return {
+    rules: { ...DEFAULT_PRICING_RULES, ...globalRules, ...(override || {}) },
+    boothOverride: Boolean(override),
+  };
+}
+
+/**
+ * Converts "HH:MM" into minutes after midnight.
+ * @param {string} value - The time string.
+ * @returns {number} Minutes after midnight, or NaN if malformed.
+ */
+function parseClockMinutes(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return NaN;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Returns the minutes after local midnight for a date in the given time zone.
+ * @param {Date} at - The instant.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {number} Minutes after midnight.
+ */
+function getLocalMinutes(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(at);
+  const hour = Number(parts.find((part) => part.type === 'hour').value);
+  const minute = Number(parts.find((part) => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+/**
+ * Finds the time-of-day window that contains the given instant.
+ * Windows whose end is earlier than their start wrap past midnight.
+ * @param {object[]} windows - The configured windows.
+ * @param {Date} at - The instant being priced.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {object|null} The matching window, or null.
+ */
+function findTimeOfDayWindow(windows, at, timeZone) {
+  if (!Array.isArray(windows) || windows.length === 0) return null;
+
+  const now = getLocalMinutes(at, timeZone);
+  return windows.find((window) => {
+    const start = parseClockMinutes(window.start);
+    const end = parseClockMinutes(window.end);
+    if (Number.isNaN(start) || Number.isNaN(end) || start === end) return false;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }) || null;
+}
+
+/**
+ * Prices the energy delivered using progressive kWh tiers.
+ * @param {number} energyKwh - kWh delivered.
+ * @param {object[]} tiers - Tiers ordered by ascending `up_to_kwh`.
+ * @returns {{code: string, label: string, amount: number}[]} One breakdown line per tier used.
+ */
+function priceKwhTiers(energyKwh, tiers) {
+  const lines = [];
+  let priced = 0;
+
+  for (let i = 0; i < tiers.length && priced < energyKwh; i += 1) {
+    const tier = tiers[i];
+    const isLast = i === tiers.length - 1;
+    const ceiling = tier.up_to_kwh == null || isLast ? Infinity : Number(tier.up_to_kwh);
+    const kwhInTier = Math.min(energyKwh, ceiling) - priced;
+    if (kwhInTier <= 0) continue;
+
+    const rate = Number(tier.rate_per_kwh || 0);
+    lines.push({
+      code: 'energy',
+      label: `${kwhInTier.toFixed(3)} kWh @ ${formatMoney(rate)}/kWh`,
+      amount: roundMoney(kwhInTier * rate),
+    });
+    priced += kwhInTier;
+  }
+
+  return lines;
+}
+
+/**
+ * @typedef {object} PriceLine
+ * @property {string} code - energy | time_of_day | minimum_fee | overtime.
+ * @property {string} label - Human readable explanation shown to riders.
+ * @property {number} amount - The line amount (may be negative for off-peak discounts).
+ */
+
+/**
+ * @typedef {object} PriceBreakdown
+ * @property {number} total - The amount to charge.
+ * @property {string} currency - Always 'KES'.
+ * @property {number} chargeAdded - Percentage points of SOC added.
+ * @property {number|null} energyKwh - kWh delivered, when the battery capacity is configured.
+ * @property {string|null} timeOfDayPeriod - Name of the time-of-day window applied.
+ * @property {number} overtimeMinutes - Billable minutes past the grace period.
+ * @property {boolean} boothOverride - Whether booth-specific rules were applied.
+ * @property {PriceLine[]} lines - Itemised breakdown; amounts sum to `total`.
+ */
+
+/**
+ * Calculates the price of a withdrawal.
+ * @param {object} pricing - The `pricing` app setting.
+ * @param {object} session - What is being priced.
+ * @param {string|null} [session.boothUid] - The booth, for per-booth overrides.
+ * @param {number|string} session.initialSoc - SOC when the battery was deposited.
+ * @param {number|string} session.finalSoc - SOC at withdrawal.
+ * @param {Date|string|null} [session.depositCompletedAt] - When the battery was deposited, for overtime.
+ * @param {Date} [session.at] - The instant being priced (defaults to now).
+ * @returns {PriceBreakdown} The itemised price.
+ */
+function calculateSwapPrice(pricing, { boothUid = null, initialSoc, finalSoc, depositCompletedAt = null, at = new Date() }) {
+  const { rules, boothOverride } = resolvePricingRules(pricing, boothUid);
+  const lines = [];
+
+  const chargeAdded = Math.max(0, parseFloat(finalSoc || 0) - parseFloat(initialSoc || 0));
+  const capacityKwh = Number(rules.battery_capacity_kwh) || null;
+  const energyKwh = capacityKwh ? (chargeAdded / 100) * capacityKwh : null;
+  const tiers = Array.isArray(rules.kwh_tiers) ? rules.kwh_tiers : [];
+
+  // 1. Energy: tiered per kWh when configured, otherwise flat per % SOC added.
+  if (tiers.length > 0 && energyKwh !== null) {
+    lines.push(...priceKwhTiers(energyKwh, tiers));
+  } else {
+    const rate = Number(rules.cost_per_charge_percent || 0);
+    lines.push({
+      code: 'energy',
+      label: `${chargeAdded.toFixed(1)}% charge added @ ${formatMoney(rate)}/%`,
+      amount: roundMoney(chargeAdded * rate),
+    });
+  }
+  const energyCost = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  // 2. Peak / off-peak multiplier on the energy charge.
+  const window = findTimeOfDayWindow(rules.time_of_day, at, rules.timezone);
+  const multiplier = window ? Number(window.multiplier ?? 1) : 1;
+  if (window && multiplier !== 1 && energyCost > 0) {
+    lines.push({
+      code: 'time_of_day',
+      label: `${window.name || 'Time of day'} rate (${window.start}-${window.end}) x${multiplier}`,
+      amount: roundMoney(energyCost * (multiplier - 1)),
+    });
+  }
+
+  // 3. Minimum swap fee: riders always pay at least the base fee.
+  const swapSubtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const baseSwapFee = Number(rules.base_swap_fee || 0);
+  if (swapSubtotal < baseSwapFee) {
+    lines.push({
+      code: 'minimum_fee',
+      label: `Minimum swap fee of ${formatMoney(baseSwapFee)}`,
+      amount: roundMoney(baseSwapFee - swapSubtotal),
+    });
+  }
+
+  // 4. Overtime: per-minute penalty once the battery stays past the grace period.
+  let overtimeMinutes = 0;
+  const penaltyPerMinute = Number(rules.overtime_penalty_per_minute || 0);
+  if (penaltyPerMinute > 0 && depositCompletedAt && rules.grace_period_minutes != null) {
+    const elapsedMinutes = Math.floor((new Date(at).getTime() - new Date(depositCompletedAt).getTime()) / 60000);
+    overtimeMinutes = Math.max(0, elapsedMinutes - Number(rules.grace_period_minutes));
+    if (overtimeMinutes > 0) {
+      lines.push({
+        code: 'overtime',
+        label: `${overtimeMinutes} min past the ${rules.grace_period_minutes} min grace period @ ${formatMoney(penaltyPerMinute)}/min`,
+        amount: roundMoney(overtimeMinutes * penaltyPerMinute),
+      });
+    }
+  }
+
+  const total = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    total,
+    currency: CURRENCY,
+    chargeAdded: parseFloat(chargeAdded.toFixed(1)),
+    energyKwh: energyKwh === null ? null : parseFloat(energyKwh.toFixed(3)),
+    timeOfDayPeriod: window ? window.name || null : null,
+    overtimeMinutes,
+    boothOverride,
+    lines,
+  };
+}
+
+/**
+ * Loads the `pricing` app setting.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<object>} The stored pricing rules.
+ * @throws {Error} If pricing has not been configured.
+ */
+async function getPricingRules(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'pricing'");
+  if (settingsRes.rows.length === 0) {
+    throw new Error('Pricing settings are not configured in the database.');
+  }
+  return settingsRes.rows[0].value;
+}
+
+module.exports = {
+  DEFAULT_PRICING_RULES,
+  calculateSwapPrice,
+  getPricingRules,
+  resolvePricingRules,
+};
@@ -0,0 +1,118 @@
+/**
+ * Rider-facing messages for promo codes that cannot be applied, keyed by error code.
+ */
+const PROMO_ERROR_MESSAGES = {
+  PROMO_NOT_FOUND: 'This promo code does not exist.',
+  PROMO_INACTIVE: 'This promo code is no longer active.',
+  PROMO_NOT_STARTED: 'This promo code is not valid yet.',
+  PROMO_EXPIRED: 'This promo code has expired.',
+  PROMO_BOOTH_NOT_ELIGIBLE: 'This promo code is not valid at this booth.',
+  PROMO_LIMIT_REACHED: 'This promo code has been fully redeemed.',
+  PROMO_USER_LIMIT_REACHED: 'You have already used this promo code the maximum number of times.',
+};
+
+/**
+ * Normalizes a promo code for storage and lookup (codes are case-insensitive).
+ * @param {string} code - The code as typed.
+ * @returns {string} The trimmed, upper-case code.
+ */
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Calculates the discount a promotion gives on an amount. Never exceeds the amount.
+ * @param {{discount_type: string, discount_value: number|string}} promotion - The promotion row.
+ * @param {number} amount - The undiscounted amount.
+ * @returns {number} The discount, rounded to 2 decimal places.
+ */
+function calculateDiscount(promotion, amount) {
+  const value = Number(promotion.discount_value);
+  const raw = promotion.discount_type === 'percentage' ? (amount * value) / 100 : value;
+  return Math.round(Math.min(Math.max(raw, 0), amount) * 100) / 100;
+}
+
+/**
+ * Checks whether a promotion can be applied.
+ * @param {object} promotion - The promotion row.
+ * @param {object} context - Where and when the code is being used.
+ * @param {string|null} context.boothUid - The booth of the withdrawal.
+ * @param {Date} context.now - The current time.
+ * @param {number} context.redemptions - Live redemptions across all riders.
+ * @param {number} context.userRedemptions - Live redemptions by this rider.
+ * @returns {string|null} An error code from PROMO_ERROR_MESSAGES, or null if the code can be used.
+ */
+function checkPromotionEligibility(promotion, { boothUid, now, redemptions, userRedemptions }) {
+  if (!promotion.is_active) return 'PROMO_INACTIVE';
+  if (promotion.valid_from && now < new Date(promotion.valid_from)) return 'PROMO_NOT_STARTED';
+  if (promotion.valid_until && now >= new Date(promotion.valid_until)) return 'PROMO_EXPIRED';
+
+  const boothUids = promotion.booth_uids || [];
+  if (boothUids.length > 0 && !boothUids.includes(boothUid)) return 'PROMO_BOOTH_NOT_ELIGIBLE';
+
+  if (promotion.max_redemptions && redemptions >= promotion.max_redemptions) return 'PROMO_LIMIT_REACHED';
+  if (promotion.max_redemptions_per_user && userRedemptions >= promotion.max_redemptions_per_user) {
+    return 'PROMO_USER_LIMIT_REACHED';
+  }
+
+  return null;
+}
+
+/**
+ * Validates a promo code for a withdrawal and calculates its discount. Locks the promotion
+ * row so concurrent withdrawals cannot exceed the redemption caps; the redemption itself is
+ * recorded when the caller stores `promotion_id` on the withdrawal session.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} options - The withdrawal being discounted.
+ * @param {string} options.code - The promo code entered by the rider.
+ * @param {string} options.userId - The rider's Firebase UID.
+ * @param {string|null} options.boothUid - The booth of the withdrawal.
+ * @param {number} options.amount - The undiscounted price.
+ * @param {Date} [options.now] - The current time.
+ * @returns {Promise<{promotionId: number, code: string, discountAmount: number, line: {code: string, label: string, amount: number}}>} The discount to apply.
+ * @throws {Error} One of the PROMO_ERROR_MESSAGES codes.
+ */
+async function applyPromotion(client, { code, userId, boothUid, amount, now = new Date() }) {
+  const promoRes = await client.query(
+    'SELECT * FROM promotions WHERE code = $1 FOR UPDATE',
+    [normalizePromoCode(code)]
+  );
+  if (promoRes.rowCount === 0) {
+    throw new Error('PROMO_NOT_FOUND');
+  }
+
+  const promotion = promoRes.rows[0];
+  const countRes = await client.query(
+    `SELECT
+       COUNT(*)::int AS redemptions,
+       COUNT(*) FILTER (WHERE user_id = $2)::int AS "userRedemptions"
+     FROM deposits
+     WHERE promotion_id = $1
+       AND session_type = 'withdrawal'
+       AND status NOT IN ('cancelled', 'failed')`,
+    [promotion.id, userId]
+  );
+
+  const errorCode = checkPromotionEligibility(promotion, { boothUid, now, ...countRes.rows[0] });
+  if (errorCode) {
+    throw new Error(errorCode);
+  }
+
+  const discountAmount = calculateDiscount(promotion, amount);
+  const label = promotion.discount_type === 'percentage'
+    ? `Promo ${promotion.code} (${Number(promotion.discount_value)}% off)`
+    : `Promo ${promotion.code}`;
+
+  return {
+    promotionId: promotion.id,
+    code: promotion.code,
+    discountAmount,
+    line: { code: 'promotion', label, amount: -discountAmount },
+  };
+}
+
+module.exports = {
+  PROMO_ERROR_MESSAGES,
+  normalizePromoCode,
+  calculateDiscount,
+  checkPromotionEligibility,
+  applyPromotion,
+};
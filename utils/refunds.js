@@ -0,0 +1,444 @@
+const logger = require('./logger');
+const { initiateB2CPayout } = require('./mpesa');
+const { recordRefund } = require('./ledger');
+const { creditWallet } = require('./wallet');
+const { queueNotification } = require('./notifications');
+
+// Payment methods that took real (or simulated) money from the rider and can be refunded.
+// Cash is handed back at the booth by the operator, so it never goes through this flow.
+// Account refunds take the session off the organisation's invoice, so they are only possible
+// until the monthly invoice run has billed it.
+const REFUNDABLE_METHODS = ['mpesa', 'wallet', 'dev', 'account'];
+
+const DEFAULT_REFUND_RULES = { auto_approve_max_amount: 100 };
+
+/**
+ * Loads the refund rules from app_settings, falling back to the defaults.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<{auto_approve_max_amount: number}>} The refund rules.
+ */
+async function getRefundRules(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'refund_rules'");
+  return { ...DEFAULT_REFUND_RULES, ...(settingsRes.rows[0]?.value || {}) };
+}
+
+/**
+ * Creates a refund for a paid withdrawal session that never released a battery.
+ * System-raised refunds at or below `refund_rules.auto_approve_max_amount` are created
+ * as 'approved' and picked up by the refund cron; everything else waits for an admin.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} sessionId - The withdrawal session ID.
+ * @param {object} options - Refund options.
+ * @param {string} options.reason - Why the rider is being refunded.
+ * @param {string|null} [options.requestedBy] - Admin UID when raised manually; manual refunds always need approval.
+ * @returns {Promise<{id: number, status: string, amount: number, method: string}>} The new refund.
+ * @throws {Error} 'SESSION_NOT_FOUND', 'NOT_REFUNDABLE' (including account sessions already invoiced) or 'REFUND_EXISTS'.
+ */
+async function createSessionRefund(client, sessionId, { reason, requestedBy = null }) {
+  const sessionRes = await client.query(
+    `SELECT d.id, d.user_id, d.booth_id, d.amount, d.payment_method, d.session_type, d.invoice_id, u.phone
+     FROM deposits d
+     JOIN users u ON u.user_id = d.user_id
+     WHERE d.id = $1
+     FOR UPDATE OF d`,
+    [sessionId]
+  );
+  if (sessionRes.rowCount === 0) {
+    throw new Error('SESSION_NOT_FOUND');
+  }
+
+  const session = sessionRes.rows[0];
+  const method = session.payment_method || 'mpesa';
+  if (session.session_type !== 'withdrawal' || !REFUNDABLE_METHODS.includes(method) || Number(session.amount) <= 0) {
+    throw new Error('NOT_REFUNDABLE');
+  }
+  if (method === 'account' && session.invoice_id) {
+    throw new Error('NOT_REFUNDABLE');
+  }
+
+  const existingRes = await client.query(
+    "SELECT id FROM refunds WHERE session_id = $1 AND status <> 'rejected'",
+    [sessionId]
+  );
+  if (existingRes.rowCount > 0) {
+    throw new Error('REFUND_EXISTS');
+  }
+
+  const amount = Number(session.amount);
+  const rules = await getRefundRules(client);
+  // Nothing is paid out for account refunds, so the amount threshold does not apply.
+  const autoApprove = !requestedBy && (method === 'account' || amount <= Number(rules.auto_approve_max_amount));
+  const status = autoApprove ? 'approved' : 'pending_approval';
+
+  const refundRes = await client.query(
+    `INSERT INTO refunds (session_id, user_id, booth_id, amount, method, phone, reason, status, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [sessionId, session.user_id, session.booth_id, amount, method, session.phone, reason, status, requestedBy]
+  );
+
+  const refund = { id: refundRes.rows[0].id, status, amount, method };
+  logger.info(`Refund ${refund.id} (${method}, KES ${amount}) created for session ${sessionId} as '${status}'.`);
+  return refund;
+}
+
+/**
+ * Pays out an approved refund. Wallet, account and dev refunds complete immediately; M-Pesa
+ * refunds are sent via B2C and stay 'processing' until the result callback arrives.
+ *
+ * The 'processing' state is committed before the B2C request goes out, so no payout is ever sent
+ * for a refund that could still be picked up again. Only a request M-Pesa rejects outright marks
+ * the refund 'failed' so it can be retried. When the outcome is unknown (a timeout or a network
+ * error) M-Pesa may still pay, so the refund moves to 'pending_confirmation' until the result
+ * callback arrives or an admin settles it with reconcileRefund().
+ * @param {object} client - The PostgreSQL client, not within a transaction: this function commits its own.
+ * @param {number} refundId - The refund ID.
+ * @param {string|null} [approvedBy] - Admin UID that approved the refund, recorded on the ledger entry.
+ * @returns {Promise<string|null>} The new refund status, or null if the refund was not 'approved'.
+ */
+async function processRefund(client, refundId, approvedBy = null) {
+  let refund;
+  try {
+    await client.query('BEGIN');
+    const refundRes = await client.query(
+      "SELECT * FROM refunds WHERE id = $1 AND status = 'approved' FOR UPDATE",
+      [refundId]
+    );
+    if (refundRes.rowCount === 0) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    refund = refundRes.rows[0];
+
+    if (refund.method !== 'mpesa') {
+      // A manual account refund may still be waiting for approval when the invoice run bills it.
+      if (refund.method === 'account') {
+        const invoicedRes = await client.query('SELECT invoice_id FROM deposits WHERE id = $1 FOR UPDATE', [refund.session_id]);
+        if (invoicedRes.rows[0]?.invoice_id) {
+          await client.query(
+            "UPDATE refunds SET status = 'failed', attempts = attempts + 1, result_desc = $2 WHERE id = $1",
+            [refund.id, `Session already billed on invoice ${invoicedRes.rows[0].invoice_id}.`]
+          );
+          await client.query('COMMIT');
+          logger.warn(`Refund ${refund.id} failed: session ${refund.session_id} is already invoiced.`);
+          return 'failed';
+        }
+      }
+
+      if (refund.method === 'wallet') {
+        await creditWallet(client, refund.user_id, refund.amount, {
+          source: 'refund',
+          referenceId: refund.id,
+          description: `Refund for session ${refund.session_id}`,
+        });
+      }
+
+      await recordRefund(client, {
+        refundId: refund.id,
+        sessionId: refund.session_id,
+        userId: refund.user_id,
+        boothId: refund.booth_id,
+        amount: refund.amount,
+        method: refund.method,
+        createdBy: approvedBy,
+      });
+      await client.query(
+        "UPDATE refunds SET status = 'completed', attempts = attempts + 1, completed_at = NOW() WHERE id = $1",
+        [refund.id]
+      );
+      await notifyRefundIssued(client, refund);
+      await client.query('COMMIT');
+      logger.info(`Refund ${refund.id} of KES ${refund.amount} credited via ${refund.method}.`);
+      return 'completed';
+    }
+
+    if (!refund.phone) {
+      await client.query(
+        "UPDATE refunds SET status = 'failed', result_desc = 'Rider has no phone number on file.' WHERE id = $1",
+        [refund.id]
+      );
+      await client.query('COMMIT');
+      logger.warn(`Refund ${refund.id} failed: rider ${refund.user_id} has no phone number.`);
+      return 'failed';
+    }
+
+    await client.query(
+      `UPDATE refunds
+       SET status = 'processing', attempts = attempts + 1,
+           mpesa_conversation_id = NULL, mpesa_originator_conversation_id = NULL,
+           result_code = NULL, result_desc = NULL
+       WHERE id = $1`,
+      [refund.id]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+
+  return sendB2CRefund(client, refund);
+}
+
+/**
+ * What a refund pays back to the rider. B2C only pays out whole shillings, so M-Pesa refunds are
+ * rounded up: the rider never gets back less than the session cost, and recordRefund() books
+ * the extra cents to adjustments.
+ * @param {object} refund - The `refunds` row.
+ * @returns {number} The amount paid back.
+ */
+function getRefundPayout(refund) {
+  return refund.method === 'mpesa' ? Math.ceil(Number(refund.amount)) : Number(refund.amount);
+}
+
+/**
+ * Tells whether M-Pesa definitively refused a B2C request, so nothing was paid and it can be retried.
+ * @param {Error & {response?: {status: number, data?: object}}} error - The error from initiateB2CPayout().
+ * @returns {boolean} True for an HTTP 4xx response that carries an M-Pesa error code.
+ */
+function isB2CRejection(error) {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && Boolean(error.response.data?.errorCode);
+}
+
+/**
+ * Sends the B2C payout for a refund already committed as 'processing', and records how the request went.
+ * @param {object} client - The PostgreSQL client, not within a transaction.
+ * @param {object} refund - The `refunds` row.
+ * @returns {Promise<string>} 'processing', 'failed' or 'pending_confirmation'.
+ */
+async function sendB2CRefund(client, refund) {
+  let status;
+  let resultDesc;
+  let conversationIds = [null, null];
+  try {
+    const response = await initiateB2CPayout(refund.phone, getRefundPayout(refund), `Refund for session ${refund.session_id}`, 'Refund');
+    const { ConversationID, OriginatorConversationID, ResponseCode, ResponseDescription } = response.data;
+    if (ResponseCode !== undefined && String(ResponseCode) !== '0') {
+      status = 'failed';
+      resultDesc = ResponseDescription;
+    } else {
+      status = 'processing';
+      conversationIds = [ConversationID, OriginatorConversationID];
+    }
+  } catch (error) {
+    status = isB2CRejection(error) ? 'failed' : 'pending_confirmation';
+    resultDesc = error.response?.data?.errorMessage || error.message;
+  }
+
+  await client.query(
+    `UPDATE refunds
+     SET status = $2, mpesa_conversation_id = $3, mpesa_originator_conversation_id = $4, result_desc = $5
+     WHERE id = $1 AND status = 'processing'`,
+    [refund.id, status, ...conversationIds, resultDesc ? String(resultDesc).substring(0, 255) : null]
+  );
+
+  if (status === 'processing') {
+    logger.info(`Refund ${refund.id} sent to M-Pesa B2C (OriginatorConversationID: ${conversationIds[1]}).`);
+  } else if (status === 'failed') {
+    logger.error(`Refund ${refund.id} B2C request was rejected: ${resultDesc}`);
+  } else {
+    logger.error(`Refund ${refund.id} B2C request outcome is unknown (${resultDesc}); it needs confirming before any retry.`);
+  }
+  return status;
+}
+
+/**
+ * Moves 'processing' refunds that have had no B2C result for a while to 'pending_confirmation',
+ * e.g. when the server stopped after committing 'processing' but before recording the B2C response.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} [olderThanMinutes] - How long a refund may wait for its result.
+ * @returns {Promise<number[]>} The IDs of the refunds moved.
+ */
+async function flagUnconfirmedRefunds(client, olderThanMinutes = 60) {
+  const flaggedRes = await client.query(
+    `UPDATE refunds
+     SET status = 'pending_confirmation', result_desc = COALESCE(result_desc, 'No B2C result received.')
+     WHERE status = 'processing' AND updated_at < NOW() - make_interval(mins => $1)
+     RETURNING id`,
+    [olderThanMinutes]
+  );
+  return flaggedRes.rows.map(({ id }) => id);
+}
+
+/**
+ * Queues the rider's notice that a refund has reached them; it is sent after the commit.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} refund - The completed `refunds` row.
+ * @returns {Promise<void>}
+ */
+async function notifyRefundIssued(client, refund) {
+  await queueNotification(client, refund.user_id, 'refund_issued', {
+    sessionId: refund.session_id,
+    amount: getRefundPayout(refund).toFixed(2),
+    method: refund.method,
+  });
+}
+
+/**
+ * Completes an M-Pesa refund the rider has been paid and books it in the ledger.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} refund - The locked `refunds` row.
+ * @param {object} payment - The payout.
+ * @param {string|null} payment.resultCode - The B2C result code, or null if confirmed by an admin.
+ * @param {string|null} payment.resultDesc - The B2C result description or the admin's note.
+ * @param {string|null} payment.transactionId - The M-Pesa transaction ID.
+ * @param {string} payment.externalReference - The ledger entry's external reference.
+ * @param {string|null} payment.createdBy - The admin UID recorded on the ledger entry.
+ * @returns {Promise<void>}
+ */
+async function completeMpesaRefund(client, refund, { resultCode, resultDesc, transactionId, externalReference, createdBy }) {
+  await client.query(
+    `UPDATE refunds
+     SET status = 'completed', result_code = $2, result_desc = $3, mpesa_transaction_id = $4, completed_at = NOW()
+     WHERE id = $1`,
+    [refund.id, resultCode, resultDesc, transactionId]
+  );
+  await recordRefund(client, {
+    refundId: refund.id,
+    sessionId: refund.session_id,
+    userId: refund.user_id,
+    boothId: refund.booth_id,
+    amount: refund.amount,
+    paidOut: getRefundPayout(refund),
+    method: refund.method,
+    externalReference,
+    createdBy,
+  });
+  await notifyRefundIssued(client, refund);
+}
+
+/**
+ * Applies a B2C result callback to the matching refund, including one whose outcome was unknown.
+ * Idempotent: refunds that are no longer waiting for a result are left untouched.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {import('./mpesa').MpesaB2CResult} result - The `Result` object from the callback.
+ * @returns {Promise<{id: number, status: string}|null>} The updated refund, or null if none matched.
+ */
+async function applyB2CResult(client, result) {
+  const refundRes = await client.query(
+    `SELECT * FROM refunds
+     WHERE mpesa_originator_conversation_id = $1 AND status IN ('processing', 'pending_confirmation')
+     FOR UPDATE`,
+    [result.OriginatorConversationID]
+  );
+  if (refundRes.rowCount === 0) {
+    return null;
+  }
+
+  const refund = refundRes.rows[0];
+  const resultCode = Number(result.ResultCode);
+
+  if (resultCode !== 0) {
+    await client.query(
+      "UPDATE refunds SET status = 'failed', result_code = $2, result_desc = $3 WHERE id = $1",
+      [refund.id, String(resultCode), result.ResultDesc]
+    );
+    logger.warn(`Refund ${refund.id} B2C payout failed: ${resultCode} - ${result.ResultDesc}`);
+    return { id: refund.id, status: 'failed' };
+  }
+
+  await completeMpesaRefund(client, refund, {
+    resultCode: '0',
+    resultDesc: result.ResultDesc,
+    transactionId: result.TransactionID || null,
+    externalReference: result.TransactionID || result.OriginatorConversationID,
+    createdBy: refund.reviewed_by,
+  });
+  logger.info(`Refund ${refund.id} of KES ${refund.amount} paid out (M-Pesa transaction ${result.TransactionID}).`);
+  return { id: refund.id, status: 'completed' };
+}
+
+/**
+ * Moves a 'processing' refund to 'pending_confirmation' after M-Pesa reports a queue timeout.
+ * A timeout does not mean the payout was not made, so the refund is not retried: the result
+ * callback may still settle it, otherwise an admin confirms it with reconcileRefund().
+ * @param {object} client - The PostgreSQL client.
+ * @param {import('./mpesa').MpesaB2CResult} result - The `Result` object from the timeout callback.
+ * @returns {Promise<number|null>} The refund ID, or null if none matched.
+ */
+async function applyB2CTimeout(client, result) {
+  const timeoutRes = await client.query(
+    `UPDATE refunds
+     SET status = 'pending_confirmation', result_code = $2, result_desc = $3
+     WHERE mpesa_originator_conversation_id = $1 AND status = 'processing'
+     RETURNING id`,
+    [result.OriginatorConversationID, result.ResultCode ?? null, result.ResultDesc || 'B2C request timed out.']
+  );
+
+  return timeoutRes.rowCount > 0 ? timeoutRes.rows[0].id : null;
+}
+
+/**
+ * Settles a refund whose B2C outcome is unknown, once an admin has checked the M-Pesa statement.
+ * A paid refund is completed and booked like a successful B2C result; an unpaid one is marked
+ * 'failed' so it can be approved again.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} refundId - The refund ID.
+ * @param {object} reconciliation - What the statement shows.
+ * @param {boolean} reconciliation.paid - Whether the payout reached the rider.
+ * @param {string|null} [reconciliation.transactionId] - The M-Pesa transaction ID, when paid.
+ * @param {string|null} [reconciliation.note] - The admin's note.
+ * @param {string} reconciliation.reconciledBy - The admin's UID.
+ * @returns {Promise<string>} The new status: 'completed' or 'failed'.
+ * @throws {Error} 'REFUND_NOT_FOUND' or 'INVALID_STATUS' if the refund is not 'pending_confirmation'.
+ */
+async function reconcileRefund(client, refundId, { paid, transactionId = null, note = null, reconciledBy }) {
+  const refundRes = await client.query('SELECT * FROM refunds WHERE id = $1 FOR UPDATE', [refundId]);
+  if (refundRes.rowCount === 0) {
+    throw new Error('REFUND_NOT_FOUND');
+  }
+  const refund = refundRes.rows[0];
+  if (refund.status !== 'pending_confirmation') {
+    throw new Error('INVALID_STATUS');
+  }
+
+  if (paid) {
+    await completeMpesaRefund(client, refund, {
+      resultCode: null,
+      resultDesc: note || 'Confirmed paid on the M-Pesa statement.',
+      transactionId,
+      externalReference: transactionId,
+      createdBy: reconciledBy,
+    });
+  } else {
+    await client.query(
+      "UPDATE refunds SET status = 'failed', result_desc = $2 WHERE id = $1",
+      [refund.id, note || 'Confirmed not paid on the M-Pesa statement.']
+    );
+  }
+
+  logger.info(`Admin (UID: ${reconciledBy}) reconciled refund ${refund.id} as ${paid ? 'paid' : 'not paid'}.`);
+  return paid ? 'completed' : 'failed';
+}
+
+/**
+ * Raises a refund for a withdrawal that failed before the battery was released.
+ * Sessions that were not paid (cash, zero amount) are skipped silently; any other
+ * error is logged so it never interrupts hardware ACK handling.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} sessionId - The failed withdrawal session ID.
+ * @param {string} reason - Why the withdrawal failed.
+ * @returns {Promise<void>}
+ */
+async function refundFailedWithdrawal(client, sessionId, reason) {
+  try {
+    await createSessionRefund(client, sessionId, { reason });
+  } catch (error) {
+    if (error.message === 'NOT_REFUNDABLE' || error.message === 'REFUND_EXISTS') {
+      logger.debug(`No refund raised for session ${sessionId}: ${error.message}.`);
+      return;
+    }
+    logger.error(`Failed to raise refund for session ${sessionId}:`, error);
+  }
+}
+
+module.exports = {
+  createSessionRefund,
+  processRefund,
+  flagUnconfirmedRefunds,
+  applyB2CResult,
+  applyB2CTimeout,
+  reconcileRefund,
+  refundFailedWithdrawal,
+};
@@ -0,0 +1,289 @@
+const logger = require('./logger');
+
+const RESERVATION_TYPES = ['deposit', 'battery'];
+
+const DEFAULT_RESERVATION_RULES = { hold_minutes: 10, min_charge_level: 90 };
+
+// A swap's battery hold is bound to its withdrawal session and must outlive its expiry time
+// while the rider pays and collects.
+const HOLD_IN_USE_SQL = `EXISTS (
+  SELECT 1 FROM deposits w
+  WHERE w.id = r.session_id
+    AND w.session_type = 'withdrawal'
+    AND w.status IN ('pending', 'in_progress')
+)`;
+
+// Slots a rider can hold. A 'battery' hold needs a charged battery that no rider still has a
+// deposit credit on; the rider's own charging battery is collected through the withdrawal flow.
+const RESERVABLE_SLOTS_QUERY = {
+  deposit: `
+    SELECT s.id, s.slot_identifier, s.status
+    FROM booth_slots s
+    WHERE s.booth_id = $1
+      AND s.status = 'available'
+    ORDER BY s.slot_identifier ASC`,
+  battery: `
+    SELECT s.id, s.slot_identifier, s.status
+    FROM booth_slots s
+    WHERE s.booth_id = $1
+      AND s.status = 'occupied'
+      AND s.current_battery_id IS NOT NULL
+      AND s.charge_level_percent >= $2
+      AND NOT EXISTS (
+        SELECT 1 FROM deposits d
+        WHERE d.slot_id = s.id
+          AND d.session_type = 'deposit'
+          AND d.status = 'completed'
+          AND NOT EXISTS (
+            SELECT 1 FROM deposits w
+            WHERE w.consumed_deposit_id = d.id
+              AND w.session_type = 'withdrawal'
+              AND w.status NOT IN ('cancelled', 'failed')
+          )
+      )
+    ORDER BY s.charge_level_percent DESC, s.slot_identifier ASC`,
+};
+
+/**
+ * Loads the reservation rules from app_settings, falling back to the defaults.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<{hold_minutes: number, min_charge_level: number}>} The reservation rules.
+ */
+async function getReservationRules(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'reservation_rules'");
+  return { ...DEFAULT_RESERVATION_RULES, ...(settingsRes.rows[0]?.value || {}) };
+}
+
+/**
+ * Maps a slot_reservations row (joined with its slot and booth) to the API shape.
+ * @param {object} row - The database row.
+ * @returns {{id: number, type: string, boothId: number, boothUid: string, slotId: number, slotIdentifier: string, expiresAt: Date}} The reservation.
+ */
+function toReservation(row) {
+  return {
+    id: row.id,
+    type: row.reservation_type,
+    boothId: row.booth_id,
+    boothUid: row.booth_uid,
+    slotId: row.slot_id,
+    slotIdentifier: row.slot_identifier,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Finds the rider's live reservation. Holds past their expiry are ignored even before the
+ * expiry cron has released them, unless a swap withdrawal is still using them.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {{boothId?: number, type?: string}} [filters] - Only match a hold at this booth and/or of this type.
+ * @returns {Promise<object|null>} The reservation (see toReservation), or null.
+ */
+async function getActiveReservation(client, userId, { boothId = null, type = null } = {}) {
+  const { rows } = await client.query(
+    `SELECT r.id, r.reservation_type, r.booth_id, b.booth_uid, r.slot_id, s.slot_identifier, r.expires_at
+     FROM slot_reservations r
+     JOIN booth_slots s ON s.id = r.slot_id
+     JOIN booths b ON b.id = r.booth_id
+     WHERE r.user_id = $1
+       AND r.status = 'active'
+       AND (r.expires_at > NOW() OR ${HOLD_IN_USE_SQL})
+       AND ($2::int IS NULL OR r.booth_id = $2)
+       AND ($3::varchar IS NULL OR r.reservation_type = $3)`,
+    [userId, boothId, type]
+  );
+  return rows.length > 0 ? toReservation(rows[0]) : null;
+}
+
+/**
+ * Holds a slot for a rider. Each candidate slot is claimed with an atomic
+ * `UPDATE ... WHERE status = <expected>` so two riders can never hold the same slot.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} options - Reservation options.
+ * @param {string} options.userId - The rider's Firebase UID.
+ * @param {number} options.boothId - The booth to reserve at.
+ * @param {string} options.type - 'deposit' for an empty slot, 'battery' for a charged battery.
+ * @returns {Promise<object>} The reservation (see toReservation) plus `holdMinutes`.
+ * @throws {Error} 'INVALID_RESERVATION_TYPE', 'RESERVATION_EXISTS', 'NO_AVAILABLE_SLOTS' or 'NO_CHARGED_BATTERY'.
+ */
+async function createReservation(client, { userId, boothId, type }) {
+  if (!RESERVATION_TYPES.includes(type)) {
+    throw new Error('INVALID_RESERVATION_TYPE');
+  }
+  // Clear the rider's own overdue hold first so it cannot block the new one.
+  await expireReservations(client, { userId });
+  if (await getActiveReservation(client, userId)) {
+    throw new Error('RESERVATION_EXISTS');
+  }
+
+  const rules = await getReservationRules(client);
+  const params = type === 'battery' ? [boothId, Number(rules.min_charge_level)] : [boothId];
+  const { rows: candidates } = await client.query(RESERVABLE_SLOTS_QUERY[type], params);
+
+  for (const candidate of candidates) {
+    const claimRes = await client.query(
+      "UPDATE booth_slots SET status = 'reserved' WHERE id = $1 AND status = $2 RETURNING id",
+      [candidate.id, candidate.status]
+    );
+    if (claimRes.rowCount === 0) {
+      continue;
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO slot_reservations (user_id, booth_id, slot_id, reservation_type, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+       RETURNING id, reservation_type, booth_id, slot_id, expires_at`,
+      [userId, boothId, candidate.id, type, Number(rules.hold_minutes)]
+    );
+
+    logger.info(`Reservation ${rows[0].id} (${type}) holds slot ${candidate.slot_identifier} for user ${userId} until ${rows[0].expires_at}.`);
+    return {
+      ...toReservation({ ...rows[0], slot_identifier: candidate.slot_identifier }),
+      holdMinutes: Number(rules.hold_minutes),
+    };
+  }
+
+  throw new Error(type === 'battery' ? 'NO_CHARGED_BATTERY' : 'NO_AVAILABLE_SLOTS');
+}
+
+/**
+ * Ends a live reservation and hands the slot back: 'occupied' if it holds a battery,
+ * otherwise 'available'. Slots that have since moved out of 'reserved' are left alone.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} reservationId - The reservation ID.
+ * @param {string} status - 'cancelled' or 'expired'.
+ * @returns {Promise<boolean>} True if the reservation was still active.
+ */
+async function releaseReservation(client, reservationId, status) {
+  const releaseRes = await client.query(
+    "UPDATE slot_reservations SET status = $2 WHERE id = $1 AND status = 'active' RETURNING slot_id",
+    [reservationId, status]
+  );
+  if (releaseRes.rowCount === 0) {
+    return false;
+  }
+
+  await client.query(
+    `UPDATE booth_slots
+     SET status = CASE WHEN current_battery_id IS NOT NULL THEN 'occupied' ELSE 'available' END
+     WHERE id = $1 AND status = 'reserved'`,
+    [releaseRes.rows[0].slot_id]
+  );
+  return true;
+}
+
+/**
+ * Releases the charged-battery hold of a swap deposit that was cancelled before the rider paid.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} depositId - The cancelled deposit session.
+ * @returns {Promise<boolean>} True if a live hold was released.
+ */
+async function releaseSwapHold(client, depositId) {
+  const { rows } = await client.query(
+    `SELECT r.id
+     FROM slot_reservations r
+     JOIN deposits d ON d.swap_slot_id = r.slot_id AND d.user_id = r.user_id
+     WHERE d.id = $1 AND r.reservation_type = 'battery' AND r.status = 'active'`,
+    [depositId]
+  );
+  return rows.length > 0 && releaseReservation(client, rows[0].id, 'cancelled');
+}
+
+/**
+ * Releases the charged-battery hold bound to a swap withdrawal that was cancelled before the
+ * rider paid. The withdrawal's slot is the held one, so it goes back to 'occupied'.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} sessionId - The cancelled withdrawal session.
+ * @returns {Promise<boolean>} True if a live hold was released.
+ */
+async function releaseWithdrawalHold(client, sessionId) {
+  const { rows } = await client.query(
+    "SELECT id FROM slot_reservations WHERE session_id = $1 AND reservation_type = 'battery' AND status = 'active'",
+    [sessionId]
+  );
+  return rows.length > 0 && releaseReservation(client, rows[0].id, 'cancelled');
+}
+
+/**
+ * Returns the rider's live charged-battery hold at a booth, or holds one. Used by swaps, which
+ * keep the battery held from the moment the rider starts the deposit until they collect it.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {number} boothId - The booth.
+ * @returns {Promise<object>} The reservation (see toReservation).
+ * @throws {Error} 'RESERVATION_EXISTS' or 'NO_CHARGED_BATTERY'.
+ */
+async function holdChargedBattery(client, userId, boothId) {
+  const existing = await getActiveReservation(client, userId, { boothId, type: 'battery' });
+  return existing || createReservation(client, { userId, boothId, type: 'battery' });
+}
+
+/**
+ * Binds a battery hold to the swap withdrawal that will collect it. The hold stays active, and
+ * the slot stays 'reserved', until finalizeWithdrawalSession() marks it fulfilled.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} reservationId - The reservation ID.
+ * @param {number} sessionId - The withdrawal session ID.
+ * @returns {Promise<void>}
+ */
+async function bindReservationToSession(client, reservationId, sessionId) {
+  await client.query(
+    "UPDATE slot_reservations SET session_id = $2 WHERE id = $1 AND status = 'active'",
+    [reservationId, sessionId]
+  );
+}
+
+/**
+ * Marks a reservation as used by a session. The caller moves the slot out of 'reserved'.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} reservationId - The reservation ID.
+ * @param {number} sessionId - The deposit or withdrawal session that used the hold.
+ * @returns {Promise<void>}
+ */
+async function fulfillReservation(client, reservationId, sessionId) {
+  await client.query(
+    "UPDATE slot_reservations SET status = 'fulfilled', session_id = $2 WHERE id = $1 AND status = 'active'",
+    [reservationId, sessionId]
+  );
+}
+
+/**
+ * Releases every hold past its expiry time, except battery holds a swap withdrawal is still using.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {{userId?: string}} [filters] - Only release this rider's holds.
+ * @returns {Promise<number>} The number of reservations expired.
+ */
+async function expireReservations(client, { userId = null } = {}) {
+  const { rows } = await client.query(
+    `SELECT r.id FROM slot_reservations r
+     WHERE r.status = 'active'
+       AND r.expires_at <= NOW()
+       AND NOT ${HOLD_IN_USE_SQL}
+       AND ($1::varchar IS NULL OR r.user_id = $1)
+     ORDER BY r.expires_at ASC
+     FOR UPDATE OF r SKIP LOCKED`,
+    [userId]
+  );
+
+  let expired = 0;
+  for (const { id } of rows) {
+    if (await releaseReservation(client, id, 'expired')) {
+      expired += 1;
+    }
+  }
+  return expired;
+}
+
+module.exports = {
+  RESERVATION_TYPES,
+  getReservationRules,
+  getActiveReservation,
+  createReservation,
+  holdChargedBattery,
+  bindReservationToSession,
+  releaseReservation,
+  releaseSwapHold,
+  releaseWithdrawalHold,
+  fulfillReservation,
+  expireReservations,
+};
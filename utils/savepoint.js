@@ -0,0 +1,40 @@
+/**
+ * Savepoints for side writes (notification log, webhook outbox) made inside someone else's
+ * transaction. A failed statement aborts the whole PostgreSQL transaction, so catching its
+ * error is not enough: without a savepoint the caller's COMMIT silently rolls everything back.
+ */
+
+// SQLSTATE for "SAVEPOINT can only be used in transaction blocks".
+const NO_ACTIVE_SQL_TRANSACTION = '25P01';
+
+/**
+ * Runs `work` under a savepoint, rolling back to it if `work` fails. Outside a transaction
+ * block each statement commits on its own and can not poison anything, so `work` just runs.
+ * @template T
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} name - The savepoint name (a plain identifier).
+ * @param {() => Promise<T>} work - The writes to protect.
+ * @returns {Promise<T>} What `work` returned.
+ * @throws {Error} Whatever `work` threw, after rolling back to the savepoint.
+ */
+async function withSavepoint(client, name, work) {
+  try {
+    await client.query(`SAVEPOINT ${name}`);
+  } catch (error) {
+    if (error?.code === NO_ACTIVE_SQL_TRANSACTION) {
+      return work();
+    }
+    throw error;
+  }
+
+  try {
+    const result = await work();
+    await client.query(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (error) {
+    await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+    throw error;
+  }
+}
+
+module.exports = { withSavepoint };
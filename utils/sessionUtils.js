@@ -1,9 +1,12 @@
-const { admin } = require('./firebase');
 const logger = require('./logger');
+const { recordSessionPayment } = require('./ledger');
+const { queueNotification } = require('./notifications');
+const { emitWebhookEvent } = require('./webhooks');
 
 /**
  * Finalizes a withdrawal session by completing the withdrawal row, redeeming the
- * original deposit credit, and resetting the slot back to available.
+ * original deposit credit, fulfilling any swap battery hold bound to the session,
+ * and resetting the slot back to available.
  * This is shared by paid withdrawals and manual/admin withdrawals so they cannot
  * diverge in the slot-release behavior.
  * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
@@ -42,6 +45,13 @@ async function finalizeWithdrawalSession(client, slotId, slotIdentifier = null,
       SET status = 'redeemed'
       WHERE id = (SELECT consumed_deposit_id FROM selected)
       RETURNING id
+    ), fulfill_hold AS (
+      -- Swaps: the rider's battery hold on this slot is used up.
+      UPDATE slot_reservations
+      SET status = 'fulfilled'
+      WHERE session_id = (SELECT id FROM selected)
+        AND status = 'active'
+      RETURNING id
     )
     UPDATE booth_slots
     SET status = 'available', current_battery_id = NULL, updated_at = NOW()
@@ -68,17 +78,19 @@ async function finalizeWithdrawalSession(client, slotId, slotIdentifier = null,
  * A reusable function to complete a paid withdrawal session.
  * It updates the database and sends the command to Firebase to open the slot.
  * This prevents code duplication between the M-Pesa callback and self-healing logic.
+ * The payment is booked in the ledger in the same transaction.
  * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
  * @param {string} checkoutRequestId - The M-Pesa checkout request ID.
+ * @param {{receiptNumber?: string|null}} [paymentDetails] - Optional details from the payment provider.
  * @returns {Promise<boolean>} - True if the session was successfully updated, false otherwise.
  */
-async function completePaidWithdrawal(client, checkoutRequestId) {
+async function completePaidWithdrawal(client, checkoutRequestId, paymentDetails = {}) {
   // Note: This function is designed to be called from within an existing transaction.
   // It does not handle BEGIN/COMMIT/ROLLBACK itself.
   try {
     // 1. Find and lock the specific session row to prevent race conditions.
     const sessionRes = await client.query(
-      `SELECT d.id, d.status, d.user_id, d.amount
+      `SELECT d.id, d.status, d.user_id, d.amount, d.booth_id, d.payment_method, b.booth_uid
        FROM deposits d
        JOIN booth_slots s ON d.slot_id = s.id
        JOIN booths b ON s.booth_id = b.id
@@ -97,49 +109,42 @@ async function completePaidWithdrawal(client, checkoutRequestId) {
       id: sessionId,
       user_id: userId,
       amount,
+      booth_id: boothId,
+      payment_method: paymentMethod,
+      booth_uid: boothUid,
     } = sessionRes.rows[0];
 
     // 2. Atomically update the status from 'pending' to 'in_progress'.
     await client.query("UPDATE deposits SET status = 'in_progress' WHERE id = $1", [sessionId]);
 
-    // 3. Command is no longer sent here. User must scan the booth to trigger release.
+    // 2b. Book the payment in the ledger.
+    await recordSessionPayment(client, {
+      sessionId,
+      userId,
+      boothId,
+      amount,
+      paymentMethod,
+      externalReference: paymentDetails.receiptNumber || checkoutRequestId,
+    });
 
-    // 4. Best-effort user push notification for successful payment.
-    // Notification failures should not block payment completion.
-    try {
-      const userRes = await client.query(
-        'SELECT fcm_token FROM users WHERE user_id = $1 LIMIT 1',
-        [userId]
-      );
-      const fcmToken = userRes.rows[0]?.fcm_token;
+    await emitWebhookEvent(client, 'payment.succeeded', {
+      sessionId,
+      userId,
+      boothUid,
+      amount: Number(amount || 0).toFixed(2),
+      paymentMethod: paymentMethod || 'mpesa',
+      reference: paymentDetails.receiptNumber || checkoutRequestId,
+    });
 
-      if (fcmToken) {
-        const formattedAmount = Number(amount || 0).toFixed(2);
-        await admin.messaging().send({
-          token: fcmToken,
-          notification: {
-            title: 'Payment successful',
-            body: `KES ${formattedAmount} received. Please scan the QR code on the booth to collect your battery.`,
-          },
-          data: {
-            type: 'payment_success',
-            checkoutRequestId: String(checkoutRequestId),
-            sessionId: String(sessionId),
-            amount: String(formattedAmount),
-          },
-          android: {
-            priority: 'high',
-          },
-        });
-        logger.info(`Sent payment success push notification for session ${sessionId} (user ${userId}).`);
-      } else {
-        logger.info(`No FCM token on file for user ${userId}; skipping payment success push.`);
-      }
-    } catch (pushError) {
-      logger.warn(
-        `Payment success push failed for checkout ${checkoutRequestId}: ${pushError?.message || pushError}`
-      );
-    }
+    // 3. Command is no longer sent here. User must scan the booth to trigger release.
+
+    // 4. Queue the rider's push; the notification cron sends it once this transaction commits,
+    // and a failed insert only rolls back its own savepoint.
+    await queueNotification(client, userId, 'payment_received', {
+      checkoutRequestId,
+      sessionId,
+      amount: Number(amount || 0).toFixed(2),
+    });
 
     logger.info(`Payment confirmed for session ${sessionId}. Waiting for user to scan and release battery.`);
     return true;
@@ -0,0 +1,49 @@
+const axios = require('axios');
+
+const LIVE_URL = 'https://api.africastalking.com/version1/messaging';
+const SANDBOX_URL = 'https://api.sandbox.africastalking.com/version1/messaging';
+
+// Recipient status codes that mean the message was accepted: Processed, Sent, Queued.
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+/**
+ * Creates an SMS provider that sends through the Africa's Talking messaging API.
+ * The 'sandbox' username talks to the sandbox API, as Africa's Talking expects.
+ * @param {object} config - The account settings.
+ * @param {string} config.username - The Africa's Talking app username.
+ * @param {string} config.apiKey - The app's API key.
+ * @param {string} [config.senderId] - A registered sender ID or short code; the shared one if omitted.
+ * @param {number} [config.timeout] - Request timeout in milliseconds.
+ * @returns {{name: string, send: (to: string, message: string) => Promise<{messageId: string|null}>}} The provider.
+ */
+function createAfricasTalkingProvider({ username, apiKey, senderId, timeout = 15000 }) {
+  if (!username || !apiKey) {
+    throw new Error("Africa's Talking SMS needs a username and API key.");
+  }
+  const url = username === 'sandbox' ? SANDBOX_URL : LIVE_URL;
+
+  return {
+    name: 'africastalking',
+    async send(to, message) {
+      const form = new URLSearchParams({ username, to, message });
+      if (senderId) form.set('from', senderId);
+
+      const { data } = await axios.post(url, form.toString(), {
+        headers: {
+          apiKey,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        timeout,
+      });
+
+      const recipient = data?.SMSMessageData?.Recipients?.[0];
+      if (!recipient || !ACCEPTED_STATUS_CODES.includes(Number(recipient.statusCode))) {
+        throw new Error(`SMS rejected: ${recipient?.status || data?.SMSMessageData?.Message || 'no recipient in response'}`);
+      }
+      return { messageId: recipient.messageId || null };
+    },
+  };
+}
+
+module.exports = { createAfricasTalkingProvider };
@@ -0,0 +1,58 @@
+const { createAfricasTalkingProvider } = require('./africasTalking');
+const { createMockProvider } = require('./mock');
+
+/**
+ * SMS delivery, used as the fallback channel for rider notifications.
+ *
+ * The provider is picked by SMS_PROVIDER: 'africastalking' or 'mock'. Outside production it
+ * defaults to the mock provider, which only logs; in production SMS is off unless configured.
+ */
+
+let provider;
+
+/**
+ * Builds the provider named by the environment.
+ * @returns {object|null} The provider, or null if SMS is turned off.
+ */
+function createProviderFromEnv() {
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'none' : 'mock');
+  switch (name) {
+    case 'africastalking':
+      return createAfricasTalkingProvider({
+        username: process.env.AFRICASTALKING_USERNAME,
+        apiKey: process.env.AFRICASTALKING_API_KEY,
+        senderId: process.env.AFRICASTALKING_SENDER_ID,
+      });
+    case 'mock':
+      return createMockProvider();
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown SMS_PROVIDER '${name}'.`);
+  }
+}
+
+/**
+ * Returns the configured SMS provider, creating it on first use.
+ * @returns {object|null} The provider, or null if SMS is turned off.
+ */
+function getSmsProvider() {
+  if (provider === undefined) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+/**
+ * Replaces the SMS provider (e.g. with a mock in tests). Pass undefined to re-read the environment.
+ * @param {object|null|undefined} nextProvider - The provider to use.
+ * @returns {void}
+ */
+function setSmsProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+module.exports = {
+  getSmsProvider,
+  setSmsProvider,
+};
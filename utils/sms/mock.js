@@ -0,0 +1,21 @@
+const logger = require('../logger');
+
+/**
+ * Creates an SMS provider that only records and logs messages. Used in development and tests.
+ * @returns {{name: string, sent: {to: string, message: string, messageId: string}[], send: (to: string, message: string) => Promise<{messageId: string}>}} The provider.
+ */
+function createMockProvider() {
+  const sent = [];
+  return {
+    name: 'mock',
+    sent,
+    async send(to, message) {
+      const messageId = `mock-${sent.length + 1}`;
+      sent.push({ to, message, messageId });
+      logger.info(`[MockSMS] To ${to}: ${message}`);
+      return { messageId };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
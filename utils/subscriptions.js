@@ -0,0 +1,144 @@
+const logger = require('./logger');
+const { recordSubscriptionPayment } = require('./ledger');
+
+/**
+ * @typedef {object} SubscriptionSummary
+ * @property {number} id - The user_subscriptions ID.
+ * @property {number} planId - The purchased plan.
+ * @property {string} planName - The plan name.
+ * @property {number|null} swapsAllowed - Swaps included per period; null means unlimited.
+ * @property {number} swapsUsed - Live withdrawals charged to this subscription.
+ * @property {number|null} swapsRemaining - Swaps left; null means unlimited.
+ * @property {Date} startsAt - Start of the period.
+ * @property {Date} endsAt - End of the period.
+ */
+
+/**
+ * Finds the rider's current subscription (active and within its period) and counts the swaps
+ * used against it. Cancelled or failed withdrawals do not use up the allowance.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} userId - The rider's Firebase UID.
+ * @param {{forUpdate?: boolean}} [options] - Lock the subscription row (requires an active transaction).
+ * @returns {Promise<SubscriptionSummary|null>} The current subscription, or null if there is none.
+ */
+async function getActiveSubscription(client, userId, { forUpdate = false } = {}) {
+  const subscriptionRes = await client.query(
+    `SELECT us.id, us.plan_id, p.name AS plan_name, us.swap_allowance, us.starts_at, us.ends_at
+     FROM user_subscriptions us
+     JOIN subscription_plans p ON p.id = us.plan_id
+     WHERE us.user_id = $1 AND us.status = 'active' AND us.starts_at <= NOW() AND us.ends_at > NOW()
+     ORDER BY us.ends_at DESC
+     LIMIT 1
+     ${forUpdate ? 'FOR UPDATE OF us' : ''}`,
+    [userId]
+  );
+  if (subscriptionRes.rowCount === 0) {
+    return null;
+  }
+
+  const subscription = subscriptionRes.rows[0];
+  const usageRes = await client.query(
+    `SELECT COUNT(*)::int AS used
+     FROM deposits
+     WHERE subscription_id = $1
+       AND session_type = 'withdrawal'
+       AND status NOT IN ('cancelled', 'failed')`,
+    [subscription.id]
+  );
+
+  const swapsAllowed = subscription.swap_allowance === null ? null : Number(subscription.swap_allowance);
+  const swapsUsed = usageRes.rows[0].used;
+  return {
+    id: subscription.id,
+    planId: subscription.plan_id,
+    planName: subscription.plan_name,
+    swapsAllowed,
+    swapsUsed,
+    swapsRemaining: swapsAllowed === null ? null : Math.max(0, swapsAllowed - swapsUsed),
+    startsAt: subscription.starts_at,
+    endsAt: subscription.ends_at,
+  };
+}
+
+/**
+ * Claims one swap from the rider's subscription for a new withdrawal. The subscription row
+ * stays locked until the caller's transaction ends, so concurrent withdrawals cannot overdraw
+ * the allowance; the swap is used once the caller stores `subscription_id` on the session.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} userId - The rider's Firebase UID.
+ * @returns {Promise<SubscriptionSummary|null>} The subscription covering the swap, or null if the rider has no allowance left.
+ */
+async function claimSubscriptionSwap(client, userId) {
+  const subscription = await getActiveSubscription(client, userId, { forUpdate: true });
+  if (!subscription || subscription.swapsRemaining === 0) {
+    return null;
+  }
+  return subscription;
+}
+
+/**
+ * Activates a pending subscription once M-Pesa confirms the payment and books it in the ledger.
+ * The period starts at activation, not at purchase.
+ * Idempotent: a subscription that is no longer pending is left untouched.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} checkoutRequestId - The M-Pesa checkout request ID of the purchase.
+ * @param {string|null} [receiptNumber] - The M-Pesa receipt number, when known.
+ * @returns {Promise<boolean>} True if the subscription was activated by this call, false otherwise.
+ */
+async function completeSubscriptionPurchase(client, checkoutRequestId, receiptNumber = null) {
+  const subscriptionRes = await client.query(
+    'SELECT id, user_id, amount, status FROM user_subscriptions WHERE mpesa_checkout_id = $1 FOR UPDATE',
+    [checkoutRequestId]
+  );
+
+  if (subscriptionRes.rowCount === 0 || subscriptionRes.rows[0].status !== 'pending') {
+    return false;
+  }
+
+  const { id: subscriptionId, user_id: userId, amount } = subscriptionRes.rows[0];
+
+  const activatedRes = await client.query(
+    `UPDATE user_subscriptions
+     SET status = 'active', mpesa_receipt = $2, starts_at = NOW(), ends_at = NOW() + make_interval(days => period_days)
+     WHERE id = $1
+     RETURNING ends_at`,
+    [subscriptionId, receiptNumber]
+  );
+
+  await recordSubscriptionPayment(client, {
+    subscriptionId,
+    userId,
+    amount,
+    externalReference: receiptNumber || checkoutRequestId,
+  });
+
+  logger.info(`Subscription ${subscriptionId} activated for user ${userId} until ${new Date(activatedRes.rows[0].ends_at).toISOString()}.`);
+  return true;
+}
+
+/**
+ * Marks a pending subscription purchase as failed.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} checkoutRequestId - The M-Pesa checkout request ID of the purchase.
+ * @param {string} reason - The failure reason reported by M-Pesa.
+ * @returns {Promise<number|null>} The failed subscription ID, or null if no pending purchase matched.
+ */
+async function failSubscriptionPurchase(client, checkoutRequestId, reason) {
+  const failRes = await client.query(
+    `UPDATE user_subscriptions
+     SET status = 'failed',
+         notes = COALESCE(notes, '') || '\n[' || NOW() || '] M-Pesa Error: ' || $2
+     WHERE mpesa_checkout_id = $1 AND status = 'pending'
+     RETURNING id`,
+    [checkoutRequestId, reason]
+  );
+
+  return failRes.rowCount > 0 ? failRes.rows[0].id : null;
+}
+
+module.exports = {
+  getActiveSubscription,
+  claimSubscriptionSwap,
+  completeSubscriptionPurchase,
+  failSubscriptionPurchase,
+};
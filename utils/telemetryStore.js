@@ -0,0 +1,329 @@
+const logger = require('./logger');
+const { TAPER_START_SOC } = require('./chargeEstimator');
+
+/**
+ * Slot telemetry history.
+ *
+ * `booth_slots.telemetry` only holds the latest snapshot. Every slot sync also offers its
+ * telemetry here, and a sample is written to `slot_telemetry_samples` when the slot's last
+ * sample is at least `sample_interval_seconds` old, or straight away when the relay, door or
+ * battery presence changes (the transitions are what a charging fault is debugged from).
+ * The table is partitioned by day so old history is dropped a whole partition at a time.
+ */
+
+const DEFAULT_TELEMETRY_SETTINGS = {
+  sample_interval_seconds: 60,
+  retention_days: 30,
+};
+
+// Query resolutions, in seconds. 'raw' returns the stored samples as they are.
+const RESOLUTIONS = {
+  raw: 0,
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '1d': 86400,
+};
+// Upper bound on the points an 'auto' resolution query returns.
+const MAX_AUTO_POINTS = 1000;
+// Partitions created ahead of today, so a sync just after midnight always has one to write to.
+const PARTITION_DAYS_AHEAD = 2;
+// Consecutive samples further apart than this (sync outages, paused charging) are not a charge rate.
+const MAX_RATE_SAMPLE_GAP_MINUTES = 30;
+// Sample pairs needed before a booth's historical charge rate is trusted.
+const MIN_BOOTH_RATE_PAIRS = 10;
+
+// Last stored sample per slot ID. Slot syncs run in this process, so this is the downsampling
+// state; after a restart the first sync of each slot is stored.
+const lastSamples = new Map();
+
+/**
+ * Loads the telemetry storage settings from app_settings, falling back to the defaults.
+ * @param {object} client - The PostgreSQL client.
+ * @returns {Promise<typeof DEFAULT_TELEMETRY_SETTINGS>} The settings.
+ */
+async function getTelemetrySettings(client) {
+  const settingsRes = await client.query("SELECT value FROM app_settings WHERE key = 'telemetry_storage'");
+  return { ...DEFAULT_TELEMETRY_SETTINGS, ...(settingsRes.rows[0]?.value || {}) };
+}
+
+/**
+ * Parses a telemetry number. Returns null for missing or non-numeric values.
+ * @param {any} value - The raw value.
+ * @returns {number|null} The number, or null.
+ */
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Reduces slot telemetry to the columns stored per sample.
+ * @param {object} telemetry - The slot telemetry.
+ * @param {number|null} soc - The normalised SOC for this sync.
+ * @returns {{soc: number|null, voltage: number|null, current: number|null, temperatureC: number|null,
+ * relayOn: boolean, doorClosed: boolean, doorLocked: boolean, batteryInserted: boolean}} The sample.
+ */
+function toTelemetrySample(telemetry, soc) {
+  return {
+    soc,
+    voltage: toNumberOrNull(telemetry?.voltage),
+    current: toNumberOrNull(telemetry?.current),
+    temperatureC: toNumberOrNull(telemetry?.temperatureC ?? telemetry?.temperature),
+    relayOn: !!telemetry?.relayOn,
+    doorClosed: !!telemetry?.doorClosed,
+    doorLocked: !!telemetry?.doorLocked,
+    batteryInserted: !!telemetry?.batteryInserted,
+  };
+}
+
+/**
+ * Decides whether a sample should be stored, given the slot's last stored sample.
+ * @param {{at: number, sample: object}|undefined} last - The slot's last stored sample.
+ * @param {object} sample - The new sample.
+ * @param {number} now - The sample time (ms).
+ * @param {number} intervalSeconds - The downsampling interval.
+ * @returns {boolean} True if the sample should be stored.
+ */
+function shouldStoreSample(last, sample, now, intervalSeconds) {
+  if (!last) {
+    return true;
+  }
+  const stateChanged = ['relayOn', 'doorClosed', 'doorLocked', 'batteryInserted']
+    .some((field) => last.sample[field] !== sample[field]);
+  return stateChanged || now - last.at >= intervalSeconds * 1000;
+}
+
+/**
+ * Stores a downsampled telemetry sample for a slot.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} slotId - The slot ID.
+ * @param {object} telemetry - The slot telemetry.
+ * @param {number|null} soc - The normalised SOC for this sync.
+ * @param {Date} [now] - The sample time.
+ * @returns {Promise<boolean>} True if a sample was written.
+ */
+async function recordTelemetrySample(client, slotId, telemetry, soc, now = new Date()) {
+  const settings = await getTelemetrySettings(client);
+  const sample = toTelemetrySample(telemetry, soc);
+  if (!shouldStoreSample(lastSamples.get(slotId), sample, now.getTime(), Number(settings.sample_interval_seconds))) {
+    return false;
+  }
+
+  await client.query(
+    `INSERT INTO slot_telemetry_samples
+       (slot_id, sampled_at, soc, voltage, current, temperature_c, relay_on, door_closed, door_locked, battery_inserted)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     ON CONFLICT (slot_id, sampled_at) DO NOTHING`,
+    [
+      slotId, now, sample.soc, sample.voltage, sample.current, sample.temperatureC,
+      sample.relayOn, sample.doorClosed, sample.doorLocked, sample.batteryInserted,
+    ]
+  );
+  lastSamples.set(slotId, { at: now.getTime(), sample });
+  return true;
+}
+
+/**
+ * Formats a date as the YYYYMMDD suffix of its daily partition.
+ * @param {Date} date - A date.
+ * @returns {string} The suffix (UTC).
+ */
+function partitionSuffix(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Creates the daily partitions from today through PARTITION_DAYS_AHEAD days ahead, and drops
+ * partitions that are entirely older than the retention period.
+ * @param {object} client - The PostgreSQL client.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<{created: string[], dropped: string[]}>} The partitions created and dropped.
+ */
+async function maintainTelemetryPartitions(client, now = new Date()) {
+  const settings = await getTelemetrySettings(client);
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  const existingRes = await client.query(
+    `SELECT c.relname AS name
+     FROM pg_inherits i
+     JOIN pg_class c ON c.oid = i.inhrelid
+     WHERE i.inhparent = 'slot_telemetry_samples'::regclass`
+  );
+  const existing = new Set(existingRes.rows.map((row) => row.name));
+
+  const created = [];
+  for (let day = 0; day <= PARTITION_DAYS_AHEAD; day += 1) {
+    const from = new Date(today.getTime() + day * 86400000);
+    const to = new Date(from.getTime() + 86400000);
+    const name = `slot_telemetry_samples_${partitionSuffix(from)}`;
+    if (!existing.has(name)) {
+      await client.query(
+        `CREATE TABLE IF NOT EXISTS ${name} PARTITION OF slot_telemetry_samples
+         FOR VALUES FROM ('${from.toISOString()}') TO ('${to.toISOString()}')`
+      );
+      created.push(name);
+    }
+  }
+
+  // A partition named for day D holds [D, D+1): it can go once D+1 is past the cutoff.
+  const cutoff = partitionSuffix(new Date(today.getTime() - Number(settings.retention_days) * 86400000));
+  const dropped = [];
+  for (const name of existing) {
+    const match = /^slot_telemetry_samples_(\d{8})$/.exec(name);
+    if (match && match[1] < cutoff) {
+      await client.query(`DROP TABLE IF EXISTS ${name}`);
+      dropped.push(name);
+    }
+  }
+
+  if (created.length > 0 || dropped.length > 0) {
+    logger.info(`[TelemetryStore] Created ${created.length} and dropped ${dropped.length} telemetry partition(s).`);
+  }
+  return { created, dropped };
+}
+
+/**
+ * Picks the finest resolution that keeps a range under MAX_AUTO_POINTS points per slot.
+ * @param {Date} from - Range start.
+ * @param {Date} to - Range end.
+ * @param {number} intervalSeconds - The sampling interval (raw points are roughly this dense).
+ * @returns {string} The resolution key.
+ */
+function pickResolution(from, to, intervalSeconds) {
+  const rangeSeconds = (to.getTime() - from.getTime()) / 1000;
+  if (rangeSeconds / Math.max(1, intervalSeconds) <= MAX_AUTO_POINTS) {
+    return 'raw';
+  }
+  const fit = Object.entries(RESOLUTIONS).find(([, seconds]) => seconds > 0 && rangeSeconds / seconds <= MAX_AUTO_POINTS);
+  return fit ? fit[0] : '1d';
+}
+
+/**
+ * Reads a slot's telemetry history, optionally bucketed. Buckets average SOC, voltage and current,
+ * keep the peak temperature, and report the relay as on if it was on at any point in the bucket.
+ * Door and battery state are the last reported in the bucket.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} slotId - The slot ID.
+ * @param {Date} from - Range start (inclusive).
+ * @param {Date} to - Range end (exclusive).
+ * @param {string} resolution - A RESOLUTIONS key.
+ * @returns {Promise<object[]>} The points, oldest first.
+ */
+async function getTelemetrySeries(client, slotId, from, to, resolution) {
+  const bucketSeconds = RESOLUTIONS[resolution];
+  if (!bucketSeconds) {
+    const { rows } = await client.query(
+      `SELECT sampled_at AS "at", soc, voltage, current, temperature_c AS "temperatureC",
+              relay_on AS "relayOn", door_closed AS "doorClosed", door_locked AS "doorLocked",
+              battery_inserted AS "batteryInserted"
+       FROM slot_telemetry_samples
+       WHERE slot_id = $1 AND sampled_at >= $2 AND sampled_at < $3
+       ORDER BY sampled_at`,
+      [slotId, from, to]
+    );
+    return rows.map(toSeriesPoint);
+  }
+
+  const { rows } = await client.query(
+    `SELECT to_timestamp(floor(extract(epoch FROM sampled_at) / $4) * $4) AS "at",
+            AVG(soc) AS soc,
+            AVG(voltage) AS voltage,
+            AVG(current) AS current,
+            MAX(temperature_c) AS "temperatureC",
+            BOOL_OR(relay_on) AS "relayOn",
+            (ARRAY_AGG(door_closed ORDER BY sampled_at DESC))[1] AS "doorClosed",
+            (ARRAY_AGG(door_locked ORDER BY sampled_at DESC))[1] AS "doorLocked",
+            (ARRAY_AGG(battery_inserted ORDER BY sampled_at DESC))[1] AS "batteryInserted",
+            COUNT(*)::int AS samples
+     FROM slot_telemetry_samples
+     WHERE slot_id = $1 AND sampled_at >= $2 AND sampled_at < $3
+     GROUP BY 1
+     ORDER BY 1`,
+    [slotId, from, to, bucketSeconds]
+  );
+  return rows.map(toSeriesPoint);
+}
+
+/**
+ * Converts the DECIMAL columns of a series row to numbers.
+ * @param {object} row - The series row.
+ * @returns {object} The point.
+ */
+function toSeriesPoint(row) {
+  const round = (value) => (value === null ? null : Number(parseFloat(value).toFixed(2)));
+  return {
+    ...row,
+    soc: round(row.soc),
+    voltage: round(row.voltage),
+    current: round(row.current),
+    temperatureC: round(row.temperatureC),
+  };
+}
+
+/**
+ * Reads a slot's samples taken while charging over the last few minutes.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} slotId - The slot ID.
+ * @param {number} [minutes] - How far back to look.
+ * @returns {Promise<{at: Date, soc: string|null}[]>} The samples, oldest first.
+ */
+async function getRecentSocSamples(client, slotId, minutes = 30) {
+  const { rows } = await client.query(
+    `SELECT sampled_at AS "at", soc
+     FROM slot_telemetry_samples
+     WHERE slot_id = $1 AND relay_on AND soc IS NOT NULL
+       AND sampled_at >= NOW() - make_interval(mins => $2)
+     ORDER BY sampled_at`,
+    [slotId, minutes]
+  );
+  return rows;
+}
+
+/**
+ * Averages the bulk-phase charge rate over every slot of a booth: SOC gained between consecutive
+ * samples with the relay on, below the charger's taper, weighted by time.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} boothId - The booth ID.
+ * @param {number} [days] - How many days of history to use.
+ * @returns {Promise<number|null>} The rate (% per minute), or null without enough history.
+ */
+async function getBoothBulkChargeRate(client, boothId, days = 7) {
+  const { rows } = await client.query(
+    `WITH pairs AS (
+       SELECT t.soc, t.sampled_at, t.relay_on,
+              LAG(t.soc) OVER w AS prev_soc,
+              LAG(t.sampled_at) OVER w AS prev_at,
+              LAG(t.relay_on) OVER w AS prev_relay_on
+       FROM slot_telemetry_samples t
+       JOIN booth_slots s ON s.id = t.slot_id
+       WHERE s.booth_id = $1 AND t.sampled_at >= NOW() - make_interval(days => $2)
+       WINDOW w AS (PARTITION BY t.slot_id ORDER BY t.sampled_at)
+     )
+     SELECT SUM(soc - prev_soc) / NULLIF(SUM(EXTRACT(EPOCH FROM sampled_at - prev_at) / 60), 0) AS rate,
+            COUNT(*)::int AS pairs
+     FROM pairs
+     WHERE relay_on AND prev_relay_on
+       AND soc > prev_soc AND soc <= $3
+       AND sampled_at - prev_at <= make_interval(mins => $4)`,
+    [boothId, days, TAPER_START_SOC, MAX_RATE_SAMPLE_GAP_MINUTES]
+  );
+  const { rate, pairs } = rows[0] || {};
+  return rate !== null && rate !== undefined && pairs >= MIN_BOOTH_RATE_PAIRS ? Number(rate) : null;
+}
+
+module.exports = {
+  DEFAULT_TELEMETRY_SETTINGS,
+  RESOLUTIONS,
+  getTelemetrySettings,
+  recordTelemetrySample,
+  maintainTelemetryPartitions,
+  pickResolution,
+  getTelemetrySeries,
+  getRecentSocSamples,
+  getBoothBulkChargeRate,
+};
@@ -0,0 +1,144 @@
+const logger = require('./logger');
+const { ACCOUNTS, postJournalEntry } = require('./ledger');
+
+/**
+ * Credits a user's wallet and records the movement in wallet_transactions.
+ * Must be called inside an active transaction.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} userId - The Firebase UID of the wallet owner.
+ * @param {number} amount - The positive amount to credit.
+ * @param {{source: string, referenceId?: number|null, description?: string|null}} details - Ledger details for the movement.
+ * @returns {Promise<{transactionId: number, balance: number}>} The new ledger row ID and wallet balance.
+ */
+async function creditWallet(client, userId, amount, { source, referenceId = null, description = null }) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('INVALID_AMOUNT');
+  }
+
+  const balanceRes = await client.query(
+    'UPDATE users SET balance = balance + $2 WHERE user_id = $1 RETURNING balance',
+    [userId, value]
+  );
+  if (balanceRes.rowCount === 0) {
+    throw new Error('USER_NOT_FOUND');
+  }
+
+  const balance = parseFloat(balanceRes.rows[0].balance);
+  const ledgerRes = await client.query(
+    `INSERT INTO wallet_transactions (user_id, type, amount, balance_after, source, reference_id, description)
+     VALUES ($1, 'credit', $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [userId, value, balance, source, referenceId, description]
+  );
+
+  return { transactionId: ledgerRes.rows[0].id, balance };
+}
+
+/**
+ * Debits a user's wallet and records the movement in wallet_transactions.
+ * The balance check and the debit happen in a single UPDATE so concurrent
+ * debits can never take the balance below zero.
+ * Must be called inside an active transaction.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} userId - The Firebase UID of the wallet owner.
+ * @param {number} amount - The positive amount to debit.
+ * @param {{source: string, referenceId?: number|null, description?: string|null}} details - Ledger details for the movement.
+ * @returns {Promise<{transactionId: number, balance: number}>} The new ledger row ID and wallet balance.
+ * @throws {Error} 'INSUFFICIENT_BALANCE' if the wallet cannot cover the amount.
+ */
+async function debitWallet(client, userId, amount, { source, referenceId = null, description = null }) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('INVALID_AMOUNT');
+  }
+
+  const balanceRes = await client.query(
+    'UPDATE users SET balance = balance - $2 WHERE user_id = $1 AND balance >= $2 RETURNING balance',
+    [userId, value]
+  );
+  if (balanceRes.rowCount === 0) {
+    throw new Error('INSUFFICIENT_BALANCE');
+  }
+
+  const balance = parseFloat(balanceRes.rows[0].balance);
+  const ledgerRes = await client.query(
+    `INSERT INTO wallet_transactions (user_id, type, amount, balance_after, source, reference_id, description)
+     VALUES ($1, 'debit', $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [userId, value, balance, source, referenceId, description]
+  );
+
+  return { transactionId: ledgerRes.rows[0].id, balance };
+}
+
+/**
+ * Completes a pending wallet top-up once M-Pesa confirms the payment, credits the wallet
+ * and books the top-up in the ledger.
+ * Idempotent: a top-up that is no longer pending is left untouched.
+ * Must be called inside an active transaction.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {string} checkoutRequestId - The M-Pesa checkout request ID of the top-up.
+ * @param {string|null} [receiptNumber] - The M-Pesa receipt number, when known.
+ * @returns {Promise<boolean>} True if the top-up was completed by this call, false otherwise.
+ */
+async function completeWalletTopUp(client, checkoutRequestId, receiptNumber = null) {
+  const topUpRes = await client.query(
+    'SELECT id, user_id, amount, status FROM wallet_topups WHERE mpesa_checkout_id = $1 FOR UPDATE',
+    [checkoutRequestId]
+  );
+
+  if (topUpRes.rowCount === 0 || topUpRes.rows[0].status !== 'pending') {
+    return false;
+  }
+
+  const { id: topUpId, user_id: userId, amount } = topUpRes.rows[0];
+
+  await client.query(
+    "UPDATE wallet_topups SET status = 'completed', mpesa_receipt = $2, completed_at = NOW() WHERE id = $1",
+    [topUpId, receiptNumber]
+  );
+
+  const { balance } = await creditWallet(client, userId, amount, {
+    source: 'mpesa_topup',
+    referenceId: topUpId,
+    description: receiptNumber ? `M-Pesa top-up ${receiptNumber}` : 'M-Pesa top-up',
+  });
+
+  await postJournalEntry(client, {
+    entryType: 'wallet_topup',
+    referenceType: 'wallet_topup',
+    referenceId: topUpId,
+    externalReference: receiptNumber || checkoutRequestId,
+    description: `Wallet top-up ${topUpId}`,
+    lines: [
+      { account: ACCOUNTS.MPESA_CLEARING, debit: Number(amount), userId },
+      { account: ACCOUNTS.WALLET_LIABILITY, credit: Number(amount), userId },
+    ],
+  });
+
+  logger.info(`Wallet top-up ${topUpId} completed for user ${userId}. New balance: ${balance.toFixed(2)}.`);
+  return true;
+}
+
+/**
+ * Marks a pending wallet top-up as failed. Nothing is credited.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} checkoutRequestId - The M-Pesa checkout request ID of the top-up.
+ * @param {string} reason - The failure reason reported by M-Pesa.
+ * @returns {Promise<number|null>} The failed top-up ID, or null if no pending top-up matched.
+ */
+async function failWalletTopUp(client, checkoutRequestId, reason) {
+  const failRes = await client.query(
+    `UPDATE wallet_topups
+     SET status = 'failed',
+         notes = COALESCE(notes, '') || '\n[' || NOW() || '] M-Pesa Error: ' || $2
+     WHERE mpesa_checkout_id = $1 AND status = 'pending'
+     RETURNING id`,
+    [checkoutRequestId, reason]
+  );
+
+  return failRes.rowCount > 0 ? failRes.rows[0].id : null;
+}
+
+module.exports = { creditWallet, debitWallet, completeWalletTopUp, failWalletTopUp };
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('./logger');
+const { withSavepoint } = require('./savepoint');
+
+/**
+ * Outbound webhooks for partner integrations.
+ *
+ * Events are queued in `webhook_deliveries` (one row per subscribed endpoint) in the same
+ * transaction as the change they describe, then posted by the delivery cron. Each request is
+ * signed with the subscription's secret; failed attempts are retried with exponential backoff
+ * until WEBHOOK_MAX_ATTEMPTS, after which the delivery is 'failed' and can be replayed by an admin.
+ */
+
+const WEBHOOK_EVENT_TYPES = [
+  'session.created',
+  'session.completed',
+  'payment.succeeded',
+  'payment.failed',
+  'slot.faulty',
+  'booth.offline',
+];
+
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_SECONDS = 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 6 * 60 * 60;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// A claimed delivery is not picked up again for this long, so overlapping runs don't double-send.
+const DELIVERY_LEASE_SECONDS = 5 * 60;
+const DELIVERY_BATCH_SIZE = 50;
+
+/**
+ * Generates a signing secret for a new subscription.
+ * @returns {string} The secret.
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signs a request body. Receivers recompute the HMAC over `${timestamp}.${body}` with their
+ * secret and compare it to `v1`; the timestamp lets them reject replayed requests.
+ * @param {string} secret - The subscription's secret.
+ * @param {string} body - The exact JSON body sent.
+ * @param {number} timestamp - Unix time in seconds.
+ * @returns {string} The `X-RiderCMS-Signature` header value.
+ */
+function signWebhookPayload(secret, body, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Seconds to wait before the next attempt: 30s, 1m, 2m, 4m... capped at 6 hours.
+ * @param {number} attempts - Attempts made so far (at least 1).
+ * @returns {number} The delay in seconds.
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_SECONDS);
+}
+
+/**
+ * Queues an event for every active subscription listening to it. The insert runs under a
+ * savepoint, so a failure is rolled back on its own, logged and swallowed: partners missing an
+ * event must not roll back the change that produced it.
+ * @param {object} client - The PostgreSQL client, ideally in the transaction making the change.
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES.
+ * @param {object} data - The event data.
+ * @returns {Promise<number>} How many deliveries were queued.
+ */
+async function emitWebhookEvent(client, eventType, data) {
+  try {
+    const payload = {
+      id: crypto.randomUUID(),
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+    const queuedRes = await withSavepoint(client, 'emit_webhook_event', () => client.query(
+      `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+       SELECT id, $1, $2, $3 FROM webhook_subscriptions
+       WHERE is_active = true AND $2 = ANY(event_types)`,
+      [payload.id, eventType, JSON.stringify(payload)]
+    ));
+    return queuedRes.rowCount;
+  } catch (error) {
+    logger.error(`[Webhooks] Failed to queue '${eventType}' event:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Makes one delivery attempt and records its outcome: 'delivered' on a 2xx response, otherwise
+ * 'pending' with the next attempt scheduled, or 'failed' once the attempts run out.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} delivery - The delivery row joined with its subscription's `url` and `secret`.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<{status: string, responseStatus: number|null, error: string|null}>} The outcome.
+ */
+async function attemptDelivery(client, delivery, now = new Date()) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-RiderCMS-Event': delivery.event_type,
+        'X-RiderCMS-Delivery': String(delivery.id),
+        'X-RiderCMS-Signature': signWebhookPayload(delivery.secret, body, timestamp),
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+    });
+    responseStatus = response.status;
+  } catch (requestError) {
+    responseStatus = requestError.response?.status ?? null;
+    error = String(requestError?.message || requestError).substring(0, 500);
+  }
+
+  let status = 'delivered';
+  if (error) {
+    status = attempts >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+  }
+  const nextAttemptAt = status === 'pending'
+    ? new Date(now.getTime() + getRetryDelaySeconds(attempts) * 1000)
+    : now;
+
+  await client.query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, last_attempt_at = $4, response_status = $5, last_error = $6,
+         next_attempt_at = $7, delivered_at = CASE WHEN $2 = 'delivered' THEN $4 ELSE delivered_at END
+     WHERE id = $1`,
+    [delivery.id, status, attempts, now, responseStatus, error, nextAttemptAt]
+  );
+
+  if (error) {
+    logger.warn(`[Webhooks] Delivery ${delivery.id} (${delivery.event_type}) attempt ${attempts} failed: ${error}`);
+  }
+  return { status, responseStatus, error };
+}
+
+/**
+ * Claims the deliveries that are due and attempts each of them.
+ * @param {object} client - The PostgreSQL client.
+ * @param {Date} [now] - The current time.
+ * @returns {Promise<{delivered: number, retrying: number, failed: number}>} Outcome counts.
+ */
+async function deliverPendingWebhooks(client, now = new Date()) {
+  const leaseUntil = new Date(now.getTime() + DELIVERY_LEASE_SECONDS * 1000);
+  const claimedRes = await client.query(
+    `WITH due AS (
+       SELECT d.id
+       FROM webhook_deliveries d
+       JOIN webhook_subscriptions s ON s.id = d.subscription_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= $1 AND s.is_active = true
+       ORDER BY d.next_attempt_at
+       LIMIT $3
+       FOR UPDATE OF d SKIP LOCKED
+     )
+     UPDATE webhook_deliveries d
+     SET next_attempt_at = $2
+     FROM due, webhook_subscriptions s
+     WHERE d.id = due.id AND s.id = d.subscription_id
+     RETURNING d.id, d.event_type, d.payload, d.attempts, s.url, s.secret`,
+    [now, leaseUntil, DELIVERY_BATCH_SIZE]
+  );
+
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+  for (const delivery of claimedRes.rows) {
+    const { status } = await attemptDelivery(client, delivery, now);
+    if (status === 'delivered') counts.delivered += 1;
+    else if (status === 'pending') counts.retrying += 1;
+    else counts.failed += 1;
+  }
+  return counts;
+}
+
+/**
+ * Re-sends a delivery right away with a fresh set of attempts, whatever its status.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} subscriptionId - The subscription the delivery belongs to.
+ * @param {number} deliveryId - The delivery.
+ * @returns {Promise<{status: string, responseStatus: number|null, error: string|null}|null>} The outcome, or null if not found.
+ */
+async function replayDelivery(client, subscriptionId, deliveryId) {
+  const deliveryRes = await client.query(
+    `UPDATE webhook_deliveries d
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+     FROM webhook_subscriptions s
+     WHERE d.id = $2 AND d.subscription_id = $1 AND s.id = d.subscription_id
+     RETURNING d.id, d.event_type, d.payload, d.attempts, s.url, s.secret`,
+    [subscriptionId, deliveryId]
+  );
+  if (deliveryRes.rowCount === 0) {
+    return null;
+  }
+  return attemptDelivery(client, deliveryRes.rows[0]);
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signWebhookPayload,
+  getRetryDelaySeconds,
+  emitWebhookEvent,
+  deliverPendingWebhooks,
+  replayDelivery,
+};
@@ -0,0 +1,416 @@
+const logger = require('./logger');
+const { recordBoothStatusChange } = require('./boothHeartbeat');
+
+/**
+ * Maintenance work orders for slots and booths.
+ *
+ * Opening an order for a slot moves the slot into `maintenance` (and keeps it there: telemetry
+ * sync does not change a slot with an active order); an order without a slot does the same for
+ * the whole booth. Closing the order, completed or cancelled, puts it back into service. An order
+ * opened from a problem report or an alert also moves that report or alert along.
+ */
+
+const WORK_ORDER_STATUSES = ['open', 'assigned', 'in_progress', 'completed', 'cancelled'];
+const ACTIVE_WORK_ORDER_STATUSES = ['open', 'assigned', 'in_progress'];
+const WORK_ORDER_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const WORK_ORDER_SOURCES = ['problem_report', 'alert', 'manual'];
+
+// Errors thrown for a request that can not be carried out, with the HTTP response for each.
+const WORK_ORDER_ERRORS = {
+  WORK_ORDER_NOT_FOUND: { status: 404, message: 'Work order not found.' },
+  WORK_ORDER_CLOSED: { status: 409, message: 'The work order is already closed.' },
+  BOOTH_NOT_FOUND: { status: 404, message: 'Booth not found.' },
+  SLOT_NOT_FOUND: { status: 404, message: 'Slot not found.' },
+  PROBLEM_REPORT_NOT_FOUND: { status: 404, message: 'Problem report not found.' },
+  ALERT_NOT_FOUND: { status: 404, message: 'Alert not found.' },
+  NO_BOOTH: { status: 400, message: 'The problem report or alert is not about a booth; give a boothUid.' },
+  ASSIGNEE_NOT_STAFF: { status: 400, message: 'Work orders can only be assigned to admins or users with a staff role.' },
+  NOT_ASSIGNED: { status: 400, message: 'Assign the work order to a technician first.' },
+  SLOT_IN_USE: { status: 409, message: 'The slot has an active session; wait for it to finish or resolve it first.' },
+  SLOT_RESERVED: { status: 409, message: 'The slot is held for a rider; cancel the reservation or wait for it to end first.' },
+  SLOT_HOLDS_RIDER_BATTERY: { status: 409, message: "A rider's deposited battery is waiting for collection in the slot; wait for it to be collected first." },
+  WORK_ORDER_ALREADY_OPEN: { status: 409, message: 'There is already an open work order for this slot or booth.' },
+};
+
+const activeStatusList = ACTIVE_WORK_ORDER_STATUSES.map((status) => `'${status}'`).join(', ');
+
+/**
+ * Maps a work_orders row, joined with its booth_uid and slot_identifier, to its API shape.
+ * @param {object} row - The row.
+ * @returns {object} The work order.
+ */
+function formatWorkOrder(row) {
+  return {
+    id: row.id,
+    boothUid: row.booth_uid,
+    slotIdentifier: row.slot_identifier,
+    source: row.source,
+    problemReportId: row.problem_report_id,
+    alertId: row.alert_id,
+    title: row.title,
+    description: row.description,
+    priority: row.priority,
+    status: row.status,
+    assignedTo: row.assigned_to,
+    assignedAt: row.assigned_at,
+    partsUsed: row.parts_used,
+    resolutionNotes: row.resolution_notes,
+    openedBy: row.opened_by,
+    openedAt: row.created_at,
+    closedBy: row.closed_by,
+    closedAt: row.closed_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Validates a list of parts used on a job.
+ * @param {any} partsUsed - From the request body.
+ * @returns {string|null} An error message, or null if the list is valid.
+ */
+function validatePartsUsed(partsUsed) {
+  if (!Array.isArray(partsUsed)) {
+    return 'partsUsed must be an array.';
+  }
+  for (const part of partsUsed) {
+    if (!part || typeof part !== 'object' || typeof part.name !== 'string' || !part.name.trim()) {
+      return 'Each part must have a name.';
+    }
+    if (!Number.isInteger(part.quantity) || part.quantity < 1) {
+      return `Part '${part.name}' must have a whole-number quantity of at least 1.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks that a work order can be assigned to a user: an admin, a developer or someone with a staff role.
+ * @param {object} client - The PostgreSQL client.
+ * @param {string} userId - The user's Firebase UID.
+ * @returns {Promise<void>}
+ * @throws {Error} 'ASSIGNEE_NOT_STAFF'.
+ */
+async function assertAssignable(client, userId) {
+  const staffRes = await client.query(
+    `SELECT 1 FROM users u
+     WHERE u.user_id = $1
+       AND (u.role IN ('admin', 'developer') OR EXISTS (SELECT 1 FROM admin_role_assignments a WHERE a.user_id = u.user_id))`,
+    [userId]
+  );
+  if (staffRes.rowCount === 0) {
+    throw new Error('ASSIGNEE_NOT_STAFF');
+  }
+}
+
+/**
+ * Works out which booth and slot an order is for, from the request or from its problem report or alert.
+ * @param {object} client - The PostgreSQL client.
+ * @param {object} input - The order.
+ * @param {string} [input.boothUid] - The booth, if given.
+ * @param {string} [input.slotIdentifier] - The slot, if given.
+ * @param {number} [input.problemReportId] - The problem report the order is opened from.
+ * @param {number} [input.alertId] - The alert the order is opened from.
+ * @returns {Promise<{source: string, boothId: number, slotId: number|null, problemReportId: number|null, alertId: number|null}>} The order's target.
+ */
+async function resolveWorkOrderTarget(client, { boothUid, slotIdentifier, problemReportId, alertId }) {
+  let source = 'manual';
+  let linked = { booth_id: null, slot_id: null };
+
+  if (problemReportId) {
+    source = 'problem_report';
+    const reportRes = await client.query('SELECT booth_id, slot_id FROM problem_reports WHERE id = $1', [problemReportId]);
+    if (reportRes.rowCount === 0) throw new Error('PROBLEM_REPORT_NOT_FOUND');
+    linked = reportRes.rows[0];
+  } else if (alertId) {
+    source = 'alert';
+    const alertRes = await client.query('SELECT booth_id, slot_id FROM alerts WHERE id = $1', [alertId]);
+    if (alertRes.rowCount === 0) throw new Error('ALERT_NOT_FOUND');
+    linked = alertRes.rows[0];
+  }
+
+  // An explicit booth or slot in the request wins over the one on the report or alert.
+  let boothId = linked.booth_id;
+  let slotId = boothUid || slotIdentifier ? null : linked.slot_id;
+  if (boothUid) {
+    const boothRes = await client.query('SELECT id FROM booths WHERE booth_uid = $1', [boothUid]);
+    if (boothRes.rowCount === 0) throw new Error('BOOTH_NOT_FOUND');
+    boothId = boothRes.rows[0].id;
+  }
+  if (!boothId) {
+    throw new Error('NO_BOOTH');
+  }
+  if (slotIdentifier) {
+    const slotRes = await client.query('SELECT id FROM booth_slots WHERE booth_id = $1 AND slot_identifier = $2', [boothId, slotIdentifier]);
+    if (slotRes.rowCount === 0) throw new Error('SLOT_NOT_FOUND');
+    slotId = slotRes.rows[0].id;
+  }
+
+  return { source, boothId, slotId, problemReportId: problemReportId || null, alertId: alertId || null };
+}
+
+/**
+ * Opens a work order and takes its slot (or booth) out of service.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {object} order - The order.
+ * @param {string} [order.boothUid] - The booth; optional when opened from a report or alert about a booth.
+ * @param {string} [order.slotIdentifier] - The slot; omit for a whole-booth order.
+ * @param {number} [order.problemReportId] - The problem report the order was opened from.
+ * @param {number} [order.alertId] - The alert the order was opened from.
+ * @param {string} order.title - A short summary.
+ * @param {string|null} [order.description] - Details.
+ * @param {string} [order.priority] - One of WORK_ORDER_PRIORITIES.
+ * @param {string|null} [order.assignedTo] - The technician's Firebase UID.
+ * @param {string} order.openedBy - The admin's Firebase UID.
+ * @returns {Promise<object>} The new work_orders row.
+ * @throws {Error} One of the WORK_ORDER_ERRORS codes.
+ */
+async function openWorkOrder(client, order) {
+  const { title, description = null, priority = 'normal', assignedTo = null, openedBy } = order;
+  const target = await resolveWorkOrderTarget(client, order);
+  if (assignedTo) {
+    await assertAssignable(client, assignedTo);
+  }
+
+  // Maintenance would strand a rider's hold, or the battery they deposited, in a slot nobody can open.
+  if (target.slotId) {
+    const slotRes = await client.query(
+      `SELECT
+         EXISTS (
+           SELECT 1 FROM deposits d
+           WHERE d.slot_id = s.id AND d.status IN ('pending', 'opening', 'in_progress')
+         ) AS "hasActiveSession",
+         EXISTS (
+           SELECT 1 FROM slot_reservations r
+           WHERE r.slot_id = s.id AND r.status = 'active'
+         ) AS "hasActiveReservation",
+         EXISTS (
+           SELECT 1 FROM deposits d
+           WHERE d.slot_id = s.id AND d.session_type = 'deposit' AND d.status = 'completed'
+             AND NOT EXISTS (
+               SELECT 1 FROM deposits w
+               WHERE w.consumed_deposit_id = d.id
+                 AND w.session_type = 'withdrawal'
+                 AND w.status NOT IN ('cancelled', 'failed')
+             )
+         ) AS "hasStoredDeposit"
+       FROM booth_slots s WHERE s.id = $1 FOR UPDATE`,
+      [target.slotId]
+    );
+    const { hasActiveSession, hasActiveReservation, hasStoredDeposit } = slotRes.rows[0];
+    if (hasActiveSession) {
+      throw new Error('SLOT_IN_USE');
+    }
+    if (hasActiveReservation) {
+      throw new Error('SLOT_RESERVED');
+    }
+    if (hasStoredDeposit) {
+      throw new Error('SLOT_HOLDS_RIDER_BATTERY');
+    }
+  }
+
+  const insertRes = await client.query(
+    `INSERT INTO work_orders
+       (booth_id, slot_id, source, problem_report_id, alert_id, title, description, priority, status, assigned_to, assigned_at, opened_by)
+     SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CASE WHEN $10::text IS NULL THEN NULL ELSE NOW() END, $11
+     WHERE NOT EXISTS (
+       SELECT 1 FROM work_orders
+       WHERE booth_id = $1 AND slot_id IS NOT DISTINCT FROM $2 AND status IN (${activeStatusList})
+     )
+     RETURNING *`,
+    [
+      target.boothId, target.slotId, target.source, target.problemReportId, target.alertId,
+      title, description, priority, assignedTo ? 'assigned' : 'open', assignedTo, openedBy,
+    ]
+  );
+  if (insertRes.rowCount === 0) {
+    throw new Error('WORK_ORDER_ALREADY_OPEN');
+  }
+  const workOrder = insertRes.rows[0];
+
+  if (target.slotId) {
+    await client.query("UPDATE booth_slots SET status = 'maintenance', updated_at = NOW() WHERE id = $1", [target.slotId]);
+  } else {
+    const boothRes = await client.query('SELECT status FROM booths WHERE id = $1 FOR UPDATE', [target.boothId]);
+    const fromStatus = boothRes.rows[0].status;
+    if (fromStatus !== 'maintenance') {
+      await client.query(
+        "UPDATE booths SET status = 'maintenance', auto_offline_at = NULL, updated_at = NOW() WHERE id = $1",
+        [target.boothId]
+      );
+      await recordBoothStatusChange(client, { boothId: target.boothId, fromStatus, toStatus: 'maintenance', reason: 'admin', changedBy: openedBy });
+    }
+  }
+
+  if (target.problemReportId) {
+    await client.query(
+      "UPDATE problem_reports SET status = 'investigating' WHERE id = $1 AND status = 'open'",
+      [target.problemReportId]
+    );
+  }
+  if (target.alertId) {
+    await client.query(
+      "UPDATE alerts SET status = 'acknowledged', acknowledged_by = $2, acknowledged_at = NOW() WHERE id = $1 AND status = 'open'",
+      [target.alertId, openedBy]
+    );
+  }
+
+  logger.info(`Admin (UID: ${openedBy}) opened work order ${workOrder.id} (${target.source}) for booth ${target.boothId}${target.slotId ? `, slot ${target.slotId}` : ''}.`);
+  return workOrder;
+}
+
+/**
+ * Updates an open work order: its details, assignee, progress, parts and notes.
+ * Assigning an `open` order moves it to `assigned`; unassigning an order moves it back to `open`.
+ * @param {object} client - The PostgreSQL client.
+ * @param {number} workOrderId - The work order.
+ * @param {object} changes - The fields to change; undefined fields are left as they are.
+ * @param {string} [changes.title] - A short summary.
+ * @param {string|null} [changes.description] - Details.
+ * @param {string} [changes.priority] - One of WORK_ORDER_PRIORITIES.
+ * @param {string|null} [changes.assignedTo] - The technician's Firebase UID, or null to unassign.
+ * @param {string} [changes.status] - 'assigned' or 'in_progress'.
+ * @param {Array<object>} [changes.partsUsed] - Replaces the parts recorded on the order.
+ * @param {string|null} [changes.resolutionNotes] - Notes so far.
+ * @returns {Promise<{before: object, workOrder: object}>} The row before and after the update.
+ * @throws {Error} 'WORK_ORDER_NOT_FOUND', 'WORK_ORDER_CLOSED', 'ASSIGNEE_NOT_STAFF' or 'NOT_ASSIGNED'.
+ */
+async function updateWorkOrder(client, workOrderId, changes) {
+  const orderRes = await client.query('SELECT * FROM work_orders WHERE id = $1', [workOrderId]);
+  if (orderRes.rowCount === 0) {
+    throw new Error('WORK_ORDER_NOT_FOUND');
+  }
+  const before = orderRes.rows[0];
+  if (!ACTIVE_WORK_ORDER_STATUSES.includes(before.status)) {
+    throw new Error('WORK_ORDER_CLOSED');
+  }
+
+  const assignedTo = changes.assignedTo === undefined ? before.assigned_to : changes.assignedTo;
+  if (changes.assignedTo && changes.assignedTo !== before.assigned_to) {
+    await assertAssignable(client, changes.assignedTo);
+  }
+  let status = changes.status;
+  if (!status) {
+    // Assigning an open order moves it on; unassigning puts it back in the queue.
+    status = !assignedTo ? 'open' : before.status === 'open' ? 'assigned' : before.status;
+  }
+  if (status !== 'open' && !assignedTo) {
+    throw new Error('NOT_ASSIGNED');
+  }
+
+  const updateRes = await client.query(
+    `UPDATE work_orders
+     SET title = COALESCE($2, title),
+         description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+         priority = COALESCE($5, priority),
+         status = $6,
+         assigned_to = $7,
+         assigned_at = CASE WHEN assigned_to IS DISTINCT FROM $7 THEN NOW() ELSE assigned_at END,
+         parts_used = COALESCE($8::jsonb, parts_used),
+         resolution_notes = CASE WHEN $9::boolean THEN $10 ELSE resolution_notes END
+     WHERE id = $1 AND status IN (${activeStatusList})
+     RETURNING *`,
+    [
+      workOrderId,
+      changes.title ?? null,
+      changes.description !== undefined, changes.description ?? null,
+      changes.priority ?? null,
+      status,
+      assignedTo,
+      changes.partsUsed ? JSON.stringify(changes.partsUsed) : null,
+      changes.resolutionNotes !== undefined, changes.resolutionNotes ?? null,
+    ]
+  );
+  if (updateRes.rowCount === 0) {
+    throw new Error('WORK_ORDER_CLOSED');
+  }
+  return { before, workOrder: updateRes.rows[0] };
+}
+
+/**
+ * Closes a work order and puts its slot (or booth) back into service.
+ * A completed order also resolves the problem report or alert it was opened from.
+ * @param {object} client - The PostgreSQL client, assumed to be within an active transaction.
+ * @param {number} workOrderId - The work order.
+ * @param {object} closing - How it was closed.
+ * @param {string} closing.outcome - 'completed' or 'cancelled'.
+ * @param {string|null} closing.resolutionNotes - What was done, or why it was cancelled.
+ * @param {Array<object>} [closing.partsUsed] - Replaces the parts recorded on the order, if given.
+ * @param {string} closing.closedBy - The admin's Firebase UID.
+ * @returns {Promise<object>} The closed work_orders row.
+ * @throws {Error} 'WORK_ORDER_NOT_FOUND' or 'WORK_ORDER_CLOSED'.
+ */
+async function closeWorkOrder(client, workOrderId, { outcome, resolutionNotes, partsUsed, closedBy }) {
+  const orderRes = await client.query('SELECT * FROM work_orders WHERE id = $1 FOR UPDATE', [workOrderId]);
+  if (orderRes.rowCount === 0) {
+    throw new Error('WORK_ORDER_NOT_FOUND');
+  }
+  if (!ACTIVE_WORK_ORDER_STATUSES.includes(orderRes.rows[0].status)) {
+    throw new Error('WORK_ORDER_CLOSED');
+  }
+
+  const updateRes = await client.query(
+    `UPDATE work_orders
+     SET status = $2, resolution_notes = $3, parts_used = COALESCE($4::jsonb, parts_used), closed_by = $5, closed_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [workOrderId, outcome, resolutionNotes, partsUsed ? JSON.stringify(partsUsed) : null, closedBy]
+  );
+  const workOrder = updateRes.rows[0];
+
+  if (workOrder.slot_id) {
+    // Back into service; the next telemetry corrects the status if the battery changed meanwhile.
+    await client.query(
+      `UPDATE booth_slots
+       SET status = CASE WHEN current_battery_id IS NOT NULL THEN 'occupied' ELSE 'available' END, updated_at = NOW()
+       WHERE id = $1 AND status = 'maintenance'`,
+      [workOrder.slot_id]
+    );
+  } else {
+    const restoredRes = await client.query(
+      "UPDATE booths SET status = 'online', updated_at = NOW() WHERE id = $1 AND status = 'maintenance' RETURNING last_heartbeat_at",
+      [workOrder.booth_id]
+    );
+    if (restoredRes.rowCount > 0) {
+      await recordBoothStatusChange(client, {
+        boothId: workOrder.booth_id,
+        fromStatus: 'maintenance',
+        toStatus: 'online',
+        reason: 'admin',
+        lastHeartbeatAt: restoredRes.rows[0].last_heartbeat_at,
+        changedBy: closedBy,
+      });
+    }
+  }
+
+  if (outcome === 'completed' && workOrder.problem_report_id) {
+    await client.query(
+      "UPDATE problem_reports SET status = 'resolved', resolved_at = NOW() WHERE id = $1 AND status IN ('open', 'investigating')",
+      [workOrder.problem_report_id]
+    );
+  }
+  if (outcome === 'completed' && workOrder.alert_id) {
+    await client.query(
+      `UPDATE alerts
+       SET status = 'resolved', resolved_by = $2, resolved_at = NOW(), resolution_note = $3
+       WHERE id = $1 AND status <> 'resolved'`,
+      [workOrder.alert_id, closedBy, `Work order ${workOrderId}: ${resolutionNotes || 'completed'}`]
+    );
+  }
+
+  logger.info(`Admin (UID: ${closedBy}) closed work order ${workOrderId} as ${outcome}.`);
+  return workOrder;
+}
+
+module.exports = {
+  WORK_ORDER_STATUSES,
+  ACTIVE_WORK_ORDER_STATUSES,
+  WORK_ORDER_PRIORITIES,
+  WORK_ORDER_SOURCES,
+  WORK_ORDER_ERRORS,
+  formatWorkOrder,
+  validatePartsUsed,
+  assertAssignable,
+  openWorkOrder,
+  updateWorkOrder,
+  closeWorkOrder,
+};